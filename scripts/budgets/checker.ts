@@ -0,0 +1,212 @@
+/**
+ * Quality budget checker
+ *
+ * Loads config/quality-budgets.json, applies an `overrides` profile and
+ * compares every budget with the collected metrics. Budgets without a metric
+ * are reported as skipped rather than failed.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { collectMetrics } from './metrics';
+import type {
+  BudgetConfig,
+  BudgetReport,
+  BudgetReporting,
+  BudgetResult,
+  BudgetValues,
+  MetricSet,
+  MetricSources
+} from '../types/budgets';
+
+export const BUDGET_CONFIG_FILES = ['config/quality-budgets.json', 'quality-budgets.json'];
+
+export const DEFAULT_REPORTING: BudgetReporting = {
+  format: 'table',
+  output: 'console',
+  failOnBudgetExceeded: true,
+  showRecommendations: true
+};
+
+/** Direction and advice for the budgets shipped in quality-budgets.json */
+const KNOWN_BUDGETS: Record<string, { direction: 'max' | 'min'; recommendation: string }> = {
+  'performance.buildTimeMs': { direction: 'max', recommendation: 'Enable incremental builds and cache dependencies in CI' },
+  'performance.testTimeMs': { direction: 'max', recommendation: 'Run tests in parallel and move slow suites to a separate job' },
+  'performance.bundleSizeKb': { direction: 'max', recommendation: 'Code-split large routes and drop unused dependencies' },
+  'performance.cssSizeKb': { direction: 'max', recommendation: 'Purge unused CSS and avoid importing whole UI libraries' },
+  'quality.testCoveragePercent': { direction: 'min', recommendation: 'Add tests for uncovered modules (see coverage/lcov-report)' },
+  'quality.lintErrorsMax': { direction: 'max', recommendation: 'Run eslint --fix and resolve the remaining errors' },
+  'quality.securityVulnerabilitiesMax': { direction: 'max', recommendation: 'Run npm audit fix or upgrade the affected packages' },
+  'accessibility.contrastRatioMin': { direction: 'min', recommendation: 'Darken text or lighten backgrounds to reach WCAG AA' },
+  'accessibility.keyboardNavigationScoreMin': { direction: 'min', recommendation: 'Make every interactive element focusable and visible on focus' },
+  'seo.structuredDataScoreMin': { direction: 'min', recommendation: 'Add JSON-LD structured data to key pages' },
+  'seo.metaTagsCompletenessMin': { direction: 'min', recommendation: 'Add title, description and Open Graph tags to every page' }
+};
+
+/**
+ * Load the budget config from an explicit path or the default locations
+ */
+export async function loadBudgetConfig(rootDir: string, configPath?: string): Promise<{ config: BudgetConfig; path: string }> {
+  const candidates = configPath ? [configPath] : BUDGET_CONFIG_FILES;
+
+  for (const candidate of candidates) {
+    let content: string;
+    try {
+      content = await fs.readFile(path.resolve(rootDir, candidate), 'utf8');
+    } catch {
+      continue;
+    }
+
+    let config: BudgetConfig;
+    try {
+      config = JSON.parse(content);
+    } catch (error: any) {
+      throw new Error(`Invalid ${candidate}: ${error.message}`);
+    }
+    validateBudgetValues(config?.budgets, `${candidate}: budgets`);
+    return { config, path: candidate };
+  }
+
+  throw new Error(`No quality budgets found (looked for ${candidates.join(', ')})`);
+}
+
+function validateBudgetValues(values: unknown, label: string): asserts values is BudgetValues {
+  if (!values || typeof values !== 'object') {
+    throw new Error(`${label} must be an object of budget groups`);
+  }
+  for (const [group, budgets] of Object.entries(values)) {
+    if (!budgets || typeof budgets !== 'object') {
+      throw new Error(`${label}.${group} must be an object`);
+    }
+    for (const [name, limit] of Object.entries(budgets)) {
+      if (typeof limit !== 'number') {
+        throw new Error(`${label}.${group}.${name} must be a number`);
+      }
+    }
+  }
+}
+
+/**
+ * Budgets with a named `overrides` profile merged in
+ */
+export function applyProfile(config: BudgetConfig, profile?: string | null): BudgetValues {
+  const budgets: BudgetValues = {};
+  for (const [group, values] of Object.entries(config.budgets)) {
+    budgets[group] = { ...values };
+  }
+
+  if (!profile) {
+    return budgets;
+  }
+
+  const overrides = config.overrides?.[profile];
+  if (!overrides) {
+    const available = Object.keys(config.overrides || {});
+    throw new Error(`Unknown budget profile "${profile}"${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+  }
+  validateBudgetValues(overrides, `overrides.${profile}`);
+
+  for (const [group, values] of Object.entries(overrides)) {
+    budgets[group] = { ...budgets[group], ...values };
+  }
+  return budgets;
+}
+
+/**
+ * Compare budgets with metrics
+ */
+export function evaluateBudgets(budgets: BudgetValues, metrics: MetricSet): BudgetResult[] {
+  const results: BudgetResult[] = [];
+
+  for (const [group, values] of Object.entries(budgets)) {
+    for (const [name, limit] of Object.entries(values)) {
+      const id = `${group}.${name}`;
+      const known = KNOWN_BUDGETS[id];
+      // Unknown budgets follow the naming convention: "...Min" is a lower bound
+      const direction = known?.direction || (name.endsWith('Min') ? 'min' : 'max');
+      const metric = metrics[id];
+
+      const result: BudgetResult = {
+        id,
+        group,
+        name,
+        direction,
+        limit,
+        actual: metric ? metric.value : null,
+        status: 'skipped'
+      };
+
+      if (metric) {
+        const exceeded = direction === 'max' ? metric.value > limit : metric.value < limit;
+        result.status = exceeded ? 'fail' : 'pass';
+        result.source = metric.source;
+        if (exceeded && known) {
+          result.recommendation = known.recommendation;
+        }
+      }
+
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Collect metrics and check every budget
+ */
+export async function checkBudgets(
+  rootDir: string,
+  options: { config: BudgetConfig; profile?: string | null; sources?: MetricSources }
+): Promise<BudgetReport> {
+  const budgets = applyProfile(options.config, options.profile);
+  const metrics = await collectMetrics(rootDir, options.sources);
+  const results = evaluateBudgets(budgets, metrics);
+
+  return {
+    timestamp: new Date().toISOString(),
+    profile: options.profile || null,
+    results,
+    summary: {
+      passed: results.filter(r => r.status === 'pass').length,
+      exceeded: results.filter(r => r.status === 'fail').length,
+      skipped: results.filter(r => r.status === 'skipped').length
+    }
+  };
+}
+
+/**
+ * Reporting settings from the config with defaults filled in
+ */
+export function resolveReporting(config: BudgetConfig): BudgetReporting {
+  return { ...DEFAULT_REPORTING, ...config.reporting };
+}
+
+/**
+ * Plain-text table of budget results
+ */
+export function formatBudgetTable(report: BudgetReport, showRecommendations = true): string {
+  const icons = { pass: '✅', fail: '❌', skipped: '⚪' };
+  const rows = report.results.map(r => [
+    `${icons[r.status]} ${r.id}`,
+    `${r.direction === 'max' ? '≤' : '≥'} ${r.limit}`,
+    r.actual === null ? 'n/a' : String(r.actual)
+  ]);
+  const widths = [0, 1, 2].map(col => Math.max(...[['Budget', 'Limit', 'Actual'], ...rows].map(row => row[col].length)));
+  const line = (row: string[]) => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  const lines = [line(['Budget', 'Limit', 'Actual']), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)];
+
+  const { passed, exceeded, skipped } = report.summary;
+  lines.push('', `${passed} passed, ${exceeded} exceeded, ${skipped} skipped (no metric)`);
+
+  if (showRecommendations) {
+    const advice = report.results.filter(r => r.recommendation);
+    if (advice.length > 0) {
+      lines.push('', 'Recommendations:');
+      advice.forEach(r => lines.push(`  - ${r.id}: ${r.recommendation}`));
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,64 @@
+/**
+ * Quality budget check
+ *
+ * Reads config/quality-budgets.json, gathers metrics from existing reports
+ * (coverage summary, ESLint JSON, npm audit JSON, build output) and fails
+ * when a budget is exceeded.
+ *
+ * Runs as `devenv budgets` (see scripts/devenv/cli.ts for argument parsing).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { checkBudgets, formatBudgetTable, loadBudgetConfig, resolveReporting } from './checker';
+import { output as log } from '../utils/logger';
+import type { MetricSources } from '../types/budgets';
+
+export interface BudgetsCliOptions {
+  config?: string;
+  profile?: string;
+  format?: 'table' | 'json';
+  output?: string;
+  fail?: boolean;
+  sources?: MetricSources;
+}
+
+/**
+ * Main budgets command
+ */
+export async function runBudgets(options: BudgetsCliOptions) {
+  const workingDir = process.cwd();
+
+  const { config } = await loadBudgetConfig(workingDir, options.config);
+  const reporting = resolveReporting(config);
+  const format = options.format || reporting.format;
+  const output = options.output || reporting.output;
+
+  const report = await checkBudgets(workingDir, {
+    config,
+    profile: options.profile,
+    sources: options.sources
+  });
+
+  const rendered = format === 'json'
+    ? JSON.stringify(report, null, 2)
+    : formatBudgetTable(report, reporting.showRecommendations);
+
+  if (output === 'console') {
+    if (format === 'json') {
+      console.log(rendered);
+    } else {
+      log.info(rendered);
+    }
+  } else {
+    const outputPath = path.resolve(workingDir, output);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, rendered + '\n');
+    log.info(`💾 Budget report saved: ${output} (${report.summary.exceeded} exceeded)`);
+  }
+
+  const fail = options.fail ?? reporting.failOnBudgetExceeded;
+  if (fail && report.summary.exceeded > 0) {
+    process.exit(1);
+  }
+}
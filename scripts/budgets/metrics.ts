@@ -0,0 +1,162 @@
+/**
+ * Budget metric collection
+ *
+ * Reads the reports other tools already produce instead of running them:
+ * - coverage/coverage-summary.json (istanbul, c8)  → quality.testCoveragePercent
+ * - ESLint JSON output                             → quality.lintErrorsMax
+ * - `npm audit --json` output                      → quality.securityVulnerabilitiesMax
+ * - build output directory                         → performance.bundleSizeKb / cssSizeKb
+ * - .devenv/metrics.json for anything else (build and test time, audits)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { MetricSet, MetricSources } from '../types/budgets';
+
+const DEFAULT_SOURCES: Record<keyof MetricSources, string[]> = {
+  coverageSummary: ['coverage/coverage-summary.json'],
+  eslintReport: ['eslint-report.json', 'reports/eslint.json'],
+  auditReport: ['npm-audit.json', 'reports/npm-audit.json'],
+  buildDir: ['dist', 'build', 'out', '.next/static'],
+  metricsFile: ['.devenv/metrics.json']
+};
+
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+const STYLE_EXTENSIONS = ['.css'];
+
+/**
+ * Collect every metric that has a source. Explicit sources must exist;
+ * default locations are skipped when missing.
+ */
+export async function collectMetrics(rootDir: string, sources: MetricSources = {}): Promise<MetricSet> {
+  const metrics: MetricSet = {};
+
+  const coverage = await resolveSource(rootDir, sources, 'coverageSummary');
+  if (coverage) {
+    const summary = await readJson(rootDir, coverage);
+    const pct = summary?.total?.lines?.pct;
+    if (typeof pct !== 'number') {
+      throw new Error(`${coverage} has no total.lines.pct`);
+    }
+    metrics['quality.testCoveragePercent'] = { value: pct, source: coverage };
+  }
+
+  const eslint = await resolveSource(rootDir, sources, 'eslintReport');
+  if (eslint) {
+    const results = await readJson(rootDir, eslint);
+    if (!Array.isArray(results)) {
+      throw new Error(`${eslint} is not ESLint JSON output (expected an array of results)`);
+    }
+    const errors = results.reduce((sum: number, result: any) => sum + (result.errorCount || 0), 0);
+    metrics['quality.lintErrorsMax'] = { value: errors, source: eslint };
+  }
+
+  const audit = await resolveSource(rootDir, sources, 'auditReport');
+  if (audit) {
+    metrics['quality.securityVulnerabilitiesMax'] = {
+      value: countVulnerabilities(await readJson(rootDir, audit), audit),
+      source: audit
+    };
+  }
+
+  const buildDir = await resolveSource(rootDir, sources, 'buildDir');
+  if (buildDir) {
+    const sizes = await measureBuild(path.resolve(rootDir, buildDir));
+    metrics['performance.bundleSizeKb'] = { value: toKb(sizes.scripts), source: buildDir };
+    metrics['performance.cssSizeKb'] = { value: toKb(sizes.styles), source: buildDir };
+  }
+
+  const metricsFile = await resolveSource(rootDir, sources, 'metricsFile');
+  if (metricsFile) {
+    const values = await readJson(rootDir, metricsFile);
+    for (const [group, entries] of Object.entries<Record<string, unknown>>(values || {})) {
+      for (const [name, value] of Object.entries(entries || {})) {
+        if (typeof value === 'number') {
+          metrics[`${group}.${name}`] = { value, source: metricsFile };
+        }
+      }
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Vulnerability count from npm 7+ (metadata.vulnerabilities.total) or npm 6
+ * (per-severity counts only) audit output
+ */
+function countVulnerabilities(audit: any, file: string): number {
+  const counts = audit?.metadata?.vulnerabilities;
+  if (!counts || typeof counts !== 'object') {
+    throw new Error(`${file} is not \`npm audit --json\` output (missing metadata.vulnerabilities)`);
+  }
+  if (typeof counts.total === 'number') {
+    return counts.total;
+  }
+  return Object.values<number>(counts).reduce((sum, count) => sum + (count || 0), 0);
+}
+
+async function measureBuild(dir: string): Promise<{ scripts: number; styles: number }> {
+  const sizes = { scripts: 0, styles: 0 };
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const nested = await measureBuild(fullPath);
+      sizes.scripts += nested.scripts;
+      sizes.styles += nested.styles;
+    } else if (entry.isFile()) {
+      const ext = path.extname(entry.name);
+      if (SCRIPT_EXTENSIONS.includes(ext)) {
+        sizes.scripts += (await fs.stat(fullPath)).size;
+      } else if (STYLE_EXTENSIONS.includes(ext)) {
+        sizes.styles += (await fs.stat(fullPath)).size;
+      }
+    }
+  }
+
+  return sizes;
+}
+
+function toKb(bytes: number): number {
+  return Math.round((bytes / 1024) * 10) / 10;
+}
+
+async function resolveSource(
+  rootDir: string,
+  sources: MetricSources,
+  key: keyof MetricSources
+): Promise<string | null> {
+  const explicit = sources[key];
+  if (explicit) {
+    if (!(await exists(path.resolve(rootDir, explicit)))) {
+      throw new Error(`${explicit} not found`);
+    }
+    return explicit;
+  }
+
+  for (const candidate of DEFAULT_SOURCES[key]) {
+    if (await exists(path.join(rootDir, candidate))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+async function readJson(rootDir: string, file: string): Promise<any> {
+  try {
+    return JSON.parse(await fs.readFile(path.resolve(rootDir, file), 'utf8'));
+  } catch (error: any) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+async function exists(filePath: string): Promise<boolean> {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
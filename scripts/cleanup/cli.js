@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+
+/**
+ * Deprecated wrapper for the cleanup command
+ * Equivalent to `devenv cleanup <args>`; kept so existing scripts keep working
+ */
+
+require('../../dist/scripts/devenv/cli').runDeprecated('scripts/cleanup/cli.js', ['cleanup', ...process.argv.slice(2)]);
@@ -0,0 +1,225 @@
+/**
+ * Template Cleanup CLI
+ *
+ * Runs CleanupEngine over the current project: a dry run by default, changes
+ * only with --apply.
+ *
+ * Exit codes:
+ *   0  Success (or nothing to clean)
+ *   1  Config could not be loaded, or a rule failed
+ *   2  --fail-on-actions and the run found actions (the project isn't clean)
+ *
+ * --diff prints a unified diff of the changes (or writes it to a .patch file),
+ * so a dry run shows exactly which code would disappear.
+ *
+ * --apply stages every change and applies them together, journaling the
+ * originals under .devenv/cleanup-journal/ so `cleanup undo` can restore them.
+ *
+ * Runs as `devenv cleanup` (see scripts/devenv/cli.ts for argument parsing).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { executeCleanup, lintCleanupMarkers } from './engine';
+import { undoLastCleanup } from './journal';
+import { output } from '../utils/logger';
+import type { CleanupAction, CleanupReport } from '../types/cleanup';
+
+export interface CleanupCliOptions {
+  apply?: boolean;
+  config?: string;
+  profile?: string;
+  features?: string[];
+  /** TEMPLATE-IF variables from --var name=value */
+  var?: Record<string, string>;
+  onlyRules?: string[];
+  excludeRules?: string[];
+  excludeGlobs?: string[];
+  keepFiles?: string[];
+  report?: string;
+  /** true prints the diff; a string is a file to write it to */
+  diff?: boolean | string;
+  failOnActions?: boolean;
+  /** Stage and journal changes (default); false writes as rules run */
+  transaction?: boolean;
+  parallel?: boolean;
+  concurrency?: number;
+  cache?: boolean;
+  progress?: boolean;
+  progressVerbosity?: 'silent' | 'simple' | 'detailed';
+  performance?: boolean;
+  json?: boolean;
+}
+
+function describeAction(action: CleanupAction): string {
+  switch (action.type) {
+    case 'file_delete':
+      return `delete ${action.path}`;
+    case 'block_remove':
+      return `remove ${action.blocksRemoved ?? 1} block(s) from ${action.path}`;
+    case 'line_remove':
+      return `remove ${action.linesRemoved ?? 1} line(s) from ${action.path}`;
+    case 'dependency_remove':
+      return `remove ${action.dependency} from ${action.manager}${action.section ? ` ${action.section}` : ''}`;
+    default:
+      return `${action.type} ${action.path || action.file || action.dependency || ''}`.trim();
+  }
+}
+
+function printReport(report: CleanupReport, options: CleanupCliOptions, log: (message: string) => void): void {
+  const { summary } = report;
+  log(`🧹 Template Cleanup ${report.dryRun ? '(dry run) ' : ''}- profile ${report.profile}`);
+  if (report.features.length > 0) {
+    log(`   Features: ${report.features.join(', ')}`);
+  }
+  log('');
+
+  // A printed diff already shows every action
+  if (options.diff !== true) {
+    for (const action of report.actions) {
+      log(`   ${report.dryRun ? 'would ' : ''}${describeAction(action)}  [${action.rule}]`);
+    }
+    if (report.actions.length > 0) {
+      log('');
+    }
+  }
+
+  log(`   Actions: ${summary.totalActions} (${summary.filesDeleted} files, ${summary.blocksRemoved} blocks, ${summary.linesRemoved} lines, ${summary.dependenciesRemoved} dependencies)`);
+  report.errors.forEach(error => {
+    console.error(`   ✗ ${error.rule}${error.file ? ` (${error.file})` : ''}: ${error.error}`);
+  });
+
+  if (options.report) {
+    log(`   Report: ${options.report}`);
+  }
+  if (typeof options.diff === 'string') {
+    log(`   Diff: ${options.diff}`);
+  }
+  if (report.transaction?.journal) {
+    log(`   Journal: ${report.transaction.journal} (restore with: devenv cleanup undo)`);
+  } else if (report.transaction?.status === 'rolled-back') {
+    console.error(`   ↩️  Nothing was changed: ${report.transaction.error}`);
+  }
+  if (report.dryRun && summary.totalActions > 0) {
+    log('\n   Run with --apply to make these changes');
+  }
+}
+
+/**
+ * Main cleanup command
+ */
+export async function runCleanup(options: CleanupCliOptions = {}): Promise<void> {
+  // The performance report prints to stdout; keep stdout for the JSON report
+  const log = console.log;
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  let result;
+  try {
+    result = await executeCleanup({
+      workingDir: process.cwd(),
+      configPath: options.config,
+      dryRun: !options.apply,
+      profile: options.profile,
+      features: options.features,
+      variables: options.var,
+      onlyRules: options.onlyRules,
+      excludeRules: options.excludeRules,
+      excludeGlobs: options.excludeGlobs,
+      keepFiles: options.keepFiles,
+      report: options.report,
+      diff: !!options.diff,
+      transaction: options.transaction !== false,
+      failOnActions: options.failOnActions,
+      parallel: options.parallel,
+      concurrency: options.concurrency,
+      cache: options.cache,
+      progress: options.progress || !!options.progressVerbosity,
+      progressVerbosity: options.progressVerbosity,
+      performance: options.performance
+    });
+  } finally {
+    console.log = log;
+  }
+
+  const { report, exitCode, diff = '' } = result;
+  if (typeof options.diff === 'string') {
+    await fs.writeFile(path.resolve(options.diff), diff);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(options.diff === true ? { ...report, diff } : report, null, 2));
+  } else if (options.diff === true) {
+    // The patch owns stdout so it can be redirected to a file
+    process.stdout.write(diff);
+    printReport(report, options, console.error);
+  } else {
+    printReport(report, options, message => output.info(message));
+  }
+
+  if (report.errors.length > 0) {
+    process.exit(1);
+  }
+  if (exitCode !== 0) {
+    if (!options.json) {
+      console.error(`\n❌ Found ${report.actions.length} cleanup action(s) (--fail-on-actions)`);
+    }
+    process.exit(exitCode);
+  }
+}
+
+export interface CleanupUndoOptions {
+  force?: boolean;
+  json?: boolean;
+}
+
+/**
+ * Restore the files changed by the last applied cleanup
+ */
+export async function runCleanupUndo(options: CleanupUndoOptions = {}): Promise<void> {
+  const { journal, restored } = await undoLastCleanup(process.cwd(), { force: options.force });
+
+  if (options.json) {
+    console.log(JSON.stringify({ id: journal.id, profile: journal.profile, restored }, null, 2));
+    return;
+  }
+
+  output.info(`↩️  Undid cleanup ${journal.id} (profile ${journal.profile})\n`);
+  restored.forEach(file => output.info(`   restored ${file}`));
+  output.info(`\n   ${restored.length} file(s) restored`);
+}
+
+export interface CleanupLintOptions {
+  config?: string;
+  excludeGlobs?: string[];
+  json?: boolean;
+}
+
+/**
+ * Validate template markers across the project; exits 1 on problems
+ */
+export async function runCleanupLint(options: CleanupLintOptions = {}): Promise<void> {
+  const result = await lintCleanupMarkers({
+    workingDir: process.cwd(),
+    configPath: options.config,
+    excludeGlobs: options.excludeGlobs,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.problems.length === 0) {
+    output.info(`✅ Template markers OK (${result.filesChecked} files checked)`);
+  } else {
+    for (const problem of result.problems) {
+      const location = [problem.file, problem.line, problem.column].filter(part => part !== undefined).join(':');
+      output.info(`${location}: ${problem.message}`);
+    }
+    const files = new Set(result.problems.map(problem => problem.file)).size;
+    output.info(`\n❌ ${result.problems.length} marker problem(s) in ${files} file(s) (${result.filesChecked} files checked)`);
+  }
+
+  if (result.problems.length > 0) {
+    process.exit(1);
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * TEMPLATE-IF condition expressions
+ *
+ * A small, safe expression language (nothing is eval'd):
+ *
+ *   docker && !ci
+ *   (auth || payments) && postgres
+ *   profile == "frontend"
+ *   node >= 18 && typescript < 5.4
+ *
+ * A bare name is true when that feature is enabled (or a variable with that
+ * name is set to something other than "", "false" or "0"). Comparisons read
+ * variables; <, <=, > and >= compare dotted version numbers.
+ */
+
+export interface ConditionContext {
+  features: Set<string>;
+  variables: Record<string, string>;
+}
+
+export type ConditionNode =
+  | { type: 'or' | 'and'; left: ConditionNode; right: ConditionNode }
+  | { type: 'not'; operand: ConditionNode }
+  | { type: 'compare'; operator: CompareOperator; left: Operand; right: Operand }
+  | { type: 'name'; name: string; column: number }
+  | { type: 'literal'; value: boolean };
+
+type CompareOperator = '==' | '!=' | '<' | '<=' | '>' | '>=';
+
+type Operand =
+  | { type: 'name'; name: string; column: number }
+  | { type: 'string' | 'version'; value: string; column: number };
+
+interface Token {
+  type: 'name' | 'string' | 'version' | 'operator' | 'paren' | 'end';
+  value: string;
+  /** 1-based column in the expression */
+  column: number;
+}
+
+/**
+ * Malformed or unevaluable condition; column is 1-based within the expression
+ */
+export class ConditionSyntaxError extends Error {
+  column: number;
+
+  constructor(message: string, column: number) {
+    super(message);
+    this.name = 'ConditionSyntaxError';
+    this.column = column;
+  }
+}
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '!', '<', '>'];
+
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const column = i + 1;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, column });
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) {
+        throw new ConditionSyntaxError('Unterminated string', column);
+      }
+      i++;
+      tokens.push({ type: 'string', value, column });
+    } else if (/[0-9]/.test(char)) {
+      const match = /^\d+(\.\d+)*/.exec(source.slice(i))!;
+      tokens.push({ type: 'version', value: match[0], column });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_-]*/.exec(source.slice(i))!;
+      tokens.push({ type: 'name', value: match[0], column });
+      i += match[0].length;
+    } else {
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) {
+        const hint = char === '&' || char === '|' ? ` (use ${char}${char})` : char === '=' ? ' (use ==)' : '';
+        throw new ConditionSyntaxError(`Unexpected character '${char}'${hint}`, column);
+      }
+      tokens.push({ type: 'operator', value: operator, column });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'end', value: '', column: source.length + 1 });
+  return tokens;
+}
+
+function describe(token: Token): string {
+  return token.type === 'end' ? 'end of condition' : `'${token.value}'`;
+}
+
+/**
+ * Parse a condition into a syntax tree; throws ConditionSyntaxError
+ */
+export function parseCondition(source: string): ConditionNode {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isOperator = (value: string) => peek().type === 'operator' && peek().value === value;
+
+  function parseOr(): ConditionNode {
+    let left = parseAnd();
+    while (isOperator('||')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd(): ConditionNode {
+    let left = parseUnary();
+    while (isOperator('&&')) {
+      next();
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary(): ConditionNode {
+    if (isOperator('!')) {
+      next();
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parseOperand(): Operand {
+    const token = next();
+    if (token.type === 'name') return { type: 'name', name: token.value, column: token.column };
+    if (token.type === 'string' || token.type === 'version') {
+      return { type: token.type, value: token.value, column: token.column };
+    }
+    throw new ConditionSyntaxError(`Expected a feature, value or '(' but found ${describe(token)}`, token.column);
+  }
+
+  function parsePrimary(): ConditionNode {
+    const token = peek();
+    if (token.type === 'paren' && token.value === '(') {
+      next();
+      const inner = parseOr();
+      const close = next();
+      if (close.type !== 'paren' || close.value !== ')') {
+        throw new ConditionSyntaxError(`Expected ')' to close '(' at column ${token.column} but found ${describe(close)}`, close.column);
+      }
+      return inner;
+    }
+
+    const left = parseOperand();
+    const operator = peek();
+    if (operator.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(operator.value)) {
+      next();
+      return { type: 'compare', operator: operator.value as CompareOperator, left, right: parseOperand() };
+    }
+
+    if (left.type === 'name') {
+      if (left.name === 'true' || left.name === 'false') {
+        return { type: 'literal', value: left.name === 'true' };
+      }
+      return left;
+    }
+    throw new ConditionSyntaxError(`Expected a comparison after ${left.type === 'string' ? 'string' : 'version'} '${left.value}'`, left.column);
+  }
+
+  if (peek().type === 'end') {
+    throw new ConditionSyntaxError('Empty condition', 1);
+  }
+
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw new ConditionSyntaxError(`Unexpected ${describe(peek())}`, peek().column);
+  }
+  return tree;
+}
+
+function compareVersions(a: string, b: string): number {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function operandValue(operand: Operand, context: ConditionContext): string {
+  if (operand.type !== 'name') return operand.value;
+  const value = context.variables[operand.name];
+  if (value === undefined) {
+    throw new ConditionSyntaxError(`Unknown variable '${operand.name}'`, operand.column);
+  }
+  return value;
+}
+
+function evaluateNode(node: ConditionNode, context: ConditionContext): boolean {
+  switch (node.type) {
+    case 'or':
+      return evaluateNode(node.left, context) || evaluateNode(node.right, context);
+    case 'and':
+      return evaluateNode(node.left, context) && evaluateNode(node.right, context);
+    case 'not':
+      return !evaluateNode(node.operand, context);
+    case 'literal':
+      return node.value;
+    case 'name': {
+      const value = context.variables[node.name];
+      return context.features.has(node.name) || (value !== undefined && !['', 'false', '0'].includes(value));
+    }
+    case 'compare': {
+      const left = operandValue(node.left, context);
+      const right = operandValue(node.right, context);
+      if (node.operator === '==') return left === right;
+      if (node.operator === '!=') return left !== right;
+
+      for (const [value, operand] of [[left, node.left], [right, node.right]] as const) {
+        if (!/^\d+(\.\d+)*$/.test(value.replace(/^v/, ''))) {
+          throw new ConditionSyntaxError(`'${node.operator}' needs version numbers but got '${value}'`, operand.column);
+        }
+      }
+      const diff = compareVersions(left.replace(/^v/, ''), right.replace(/^v/, ''));
+      switch (node.operator) {
+        case '<': return diff < 0;
+        case '<=': return diff <= 0;
+        case '>': return diff > 0;
+        case '>=': return diff >= 0;
+      }
+    }
+  }
+}
+
+/**
+ * Evaluate a condition; throws ConditionSyntaxError for malformed conditions
+ * and comparisons against unknown variables
+ */
+export function evaluateCondition(condition: string | ConditionNode, context: ConditionContext): boolean {
+  return evaluateNode(typeof condition === 'string' ? parseCondition(condition) : condition, context);
+}
@@ -0,0 +1,218 @@
+/**
+ * Unified diffs for cleanup previews
+ *
+ * Turns the file changes recorded by CleanupEngine into a git-style patch
+ * that `git apply` accepts.
+ */
+
+import type { FileChange } from '../types/cleanup';
+
+/**
+ * Cap on the numbers the edit search keeps (8 bytes each); above it the
+ * changed middle of the file is shown as replaced wholesale
+ */
+const MAX_TRACE_CELLS = 8_000_000;
+
+interface Edit {
+  type: ' ' | '-' | '+';
+  line: string;
+  /** Lines of the old/new file before this edit */
+  oldIndex: number;
+  newIndex: number;
+}
+
+type LineEdit = Pick<Edit, 'type' | 'line'>;
+
+/**
+ * Split into lines that keep their "\n", so a missing final newline is a change
+ */
+function splitLines(text: string): string[] {
+  const lines = text.split(/(?<=\n)/);
+  return lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+}
+
+/**
+ * Shortest edit script (Myers) between two line arrays
+ */
+function diffLines(a: string[], b: string[]): LineEdit[] {
+  // Common prefix and suffix are context; only the middle needs the search
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+  const mark = (type: Edit['type'], lines: string[]): LineEdit[] => lines.map(line => ({ type, line }));
+  // concat rather than spreads: large files overflow the call stack
+  const withContext = (middle: LineEdit[]) =>
+    mark(' ', a.slice(0, prefix)).concat(middle, mark(' ', a.slice(a.length - suffix)));
+  // Old lines out, new lines in: the answer for added and deleted files, and
+  // the fallback when the search would take too much memory
+  const replace = () => withContext(mark('-', oldMiddle).concat(mark('+', newMiddle)));
+  if (n === 0 || m === 0) {
+    return replace();
+  }
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array<number>(2 * max + 3).fill(0);
+  const trace: number[][] = [];
+
+  search: for (let d = 0; d <= max; d++) {
+    if ((d + 1) * v.length > MAX_TRACE_CELLS) {
+      return replace();
+    }
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldMiddle[x] === newMiddle[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  const middle: LineEdit[] = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      middle.push({ type: ' ', line: oldMiddle[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        middle.push({ type: '+', line: newMiddle[--y] });
+      } else {
+        middle.push({ type: '-', line: oldMiddle[--x] });
+      }
+    }
+  }
+  middle.reverse();
+
+  return withContext(middle);
+}
+
+function formatLine(edit: Edit): string {
+  const text = edit.line.endsWith('\n') ? edit.line.slice(0, -1) : edit.line;
+  const marker = edit.line.endsWith('\n') ? '' : '\n\\ No newline at end of file';
+  return `${edit.type}${text}${marker}`;
+}
+
+function hunkRange(start: number, count: number): string {
+  // An empty range points at the line before it
+  return `${count === 0 ? start : start + 1},${count}`;
+}
+
+/**
+ * Hunks with `context` unchanged lines around each change
+ */
+function formatHunks(edits: Edit[], context: number): string[] {
+  const output: string[] = [];
+  let i = 0;
+
+  while (i < edits.length) {
+    while (i < edits.length && edits[i].type === ' ') i++;
+    if (i >= edits.length) break;
+
+    const start = Math.max(0, i - context);
+    let end = i;
+    // Extend while the next change is close enough to share context
+    while (end < edits.length) {
+      while (end < edits.length && edits[end].type !== ' ') end++;
+      let next = end;
+      while (next < edits.length && edits[next].type === ' ') next++;
+      if (next < edits.length && next - end <= 2 * context) {
+        end = next;
+      } else {
+        break;
+      }
+    }
+    end = Math.min(edits.length, end + context);
+
+    const hunk = edits.slice(start, end);
+    const oldCount = hunk.filter(edit => edit.type !== '+').length;
+    const newCount = hunk.filter(edit => edit.type !== '-').length;
+    output.push(`@@ -${hunkRange(hunk[0].oldIndex, oldCount)} +${hunkRange(hunk[0].newIndex, newCount)} @@`);
+    hunk.forEach(edit => output.push(formatLine(edit)));
+    i = end;
+  }
+
+  return output;
+}
+
+/**
+ * Unified diff for one file; empty when nothing changed
+ */
+export function createFileDiff(change: FileChange, context = 3): string {
+  const filePath = change.path.replace(/\\/g, '/');
+  const header = [`diff --git a/${filePath} b/${filePath}`];
+
+  if (change.after === null) {
+    header.push('deleted file mode 100644');
+  } else if (change.before === null) {
+    header.push('new file mode 100644');
+  }
+
+  if (change.binary) {
+    // git apply needs the full blob ids to delete a binary file
+    if (change.blobId && change.after === null) {
+      header.push(`index ${change.blobId}..${'0'.repeat(40)}`);
+    }
+    const from = change.before === null ? '/dev/null' : `a/${filePath}`;
+    const to = change.after === null ? '/dev/null' : `b/${filePath}`;
+    return [...header, `Binary files ${from} and ${to} differ`].join('\n') + '\n';
+  }
+
+  const oldLines = change.before === null ? [] : splitLines(change.before);
+  const newLines = change.after === null ? [] : splitLines(change.after);
+
+  let oldIndex = 0;
+  let newIndex = 0;
+  const edits: Edit[] = diffLines(oldLines, newLines).map(edit => {
+    const positioned = { ...edit, oldIndex, newIndex };
+    if (edit.type !== '+') oldIndex++;
+    if (edit.type !== '-') newIndex++;
+    return positioned;
+  });
+
+  const hunks = formatHunks(edits, context);
+  if (hunks.length === 0) {
+    return change.before === change.after ? '' : header.join('\n') + '\n';
+  }
+
+  return [
+    ...header,
+    change.before === null ? '--- /dev/null' : `--- a/${filePath}`,
+    change.after === null ? '+++ /dev/null' : `+++ b/${filePath}`,
+    ...hunks
+  ].join('\n') + '\n';
+}
+
+/**
+ * Patch covering every change, ordered by path
+ */
+export function formatCleanupDiff(changes: FileChange[], context = 3): string {
+  return [...changes]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(change => createFileDiff(change, context))
+    .join('');
+}
@@ -12,9 +12,25 @@ import path from 'path';
 import { glob } from 'glob';
 import yaml from 'yaml';
 import os from 'os';
+import { createHash } from 'crypto';
 import { resolveConfigPath } from '../utils/path-resolver';
 import { getPackageManager } from './package-managers';
-import { CleanupRule, CleanupAction, CleanupReport, CleanupConfig } from '../types/cleanup';
+import {
+  CleanupRule,
+  CleanupAction,
+  CleanupReport,
+  CleanupConfig,
+  FileChange,
+  MarkerLintResult,
+  MarkerProblem,
+  PluginRule,
+  RuleContext,
+  RuleTypePlugin,
+} from '../types/cleanup';
+import { evaluateCondition, parseCondition } from './condition';
+import { formatCleanupDiff } from './diff';
+import { applyTransaction, JOURNAL_DIR } from './journal';
+import { getRuleType, loadPlugins } from './plugins';
 import { PerformanceTracker } from '../types/performance';
 import { FileCache, ConfigCache } from '../utils/cache';
 import { parallel, calculateOptimalConcurrency } from '../utils/parallel';
@@ -52,10 +68,13 @@ const CODE_EXTENSIONS = [
 interface CleanupEngineOptions {
   profile?: string;
   features?: string[];
+  variables?: Record<string, string>;
   configPath?: string;
   workingDir?: string;
   dryRun?: boolean;
   failOnActions?: boolean;
+  diff?: boolean;
+  transaction?: boolean;
   onlyRules?: string[];
   excludeRules?: string[];
   excludeGlobs?: string[];
@@ -80,16 +99,23 @@ interface BlockInfo {
   start: number;
   end: number;
   marker: MarkerConfig;
+  /** TEMPLATE-ELSE line inside a conditional block */
+  elseLine?: number;
+  /** Expression after a TEMPLATE-IF: marker, and its 1-based column */
+  condition?: string;
+  conditionColumn?: number;
 }
 
 interface MarkerConfig {
   start: string;
   end: string;
+  else?: string;
 }
 
 interface ParsedContent {
   blocks: BlockInfo[];
   taggedLines: number[];
+  problems: MarkerProblem[];
 }
 
 type RuleHandler = (rule: CleanupRule) => Promise<CleanupAction[]>;
@@ -101,10 +127,16 @@ export class CleanupEngine {
   private config: CleanupConfig | null = null;
   private profile: string;
   private features: Set<string>;
+  private variables: Record<string, string>;
   private configPath: string;
   private workingDir: string;
   private dryRun: boolean;
   private failOnActions: boolean;
+  private diffEnabled: boolean;
+  private transactional: boolean;
+  private fileChanges: Map<string, FileChange>;
+  private deletedDirectories: string[];
+  private reportedMarkerProblems: Set<string>;
   private onlyRules: Set<string> | null;
   private excludeRules: Set<string> | null;
   private excludeGlobs: string[];
@@ -124,11 +156,21 @@ export class CleanupEngine {
   constructor(options: CleanupEngineOptions = {}) {
     this.profile = options.profile || "common";
     this.features = new Set(options.features || []);
+    this.variables = { ...options.variables };
     this.configPath = options.configPath || "cleanup.config.yaml";
     this.workingDir = options.workingDir || process.cwd();
     this.dryRun = options.dryRun !== false; // default true for safety
     this.failOnActions = options.failOnActions || false;
 
+    // Diff preview: file contents before and after, keyed by relative path
+    this.diffEnabled = options.diff || false;
+    this.fileChanges = new Map();
+
+    // Transactions stage every change like a dry run, then apply them together
+    this.transactional = !this.dryRun && (options.transaction || false);
+    this.deletedDirectories = [];
+    this.reportedMarkerProblems = new Set();
+
     // Rule filtering options
     this.onlyRules = options.onlyRules ? new Set(options.onlyRules) : null;
     this.excludeRules = options.excludeRules ? new Set(options.excludeRules) : null;
@@ -224,11 +266,21 @@ export class CleanupEngine {
       parsedConfig.comment_syntax = parsedConfig.comment_syntax || {};
       parsedConfig.markers = parsedConfig.markers || {};
 
+      // Plugins register the rule types they provide
+      loadPlugins(parsedConfig.plugins || [], path.dirname(configPath), this.workingDir);
+
       // Merge default features
       if (parsedConfig.features) {
         parsedConfig.features.forEach(f => this.features.add(f));
       }
 
+      // Config variables are defaults; --var values win
+      for (const [name, value] of Object.entries(parsedConfig.variables || {})) {
+        if (!(name in this.variables)) {
+          this.variables[name] = String(value);
+        }
+      }
+
       // Store the validated config
       this.config = parsedConfig;
       return this.config;
@@ -316,6 +368,10 @@ export class CleanupEngine {
       }
     }
 
+    if (this.transactional) {
+      await this.commitTransaction();
+    }
+
     // Calculate summary
     this.calculateSummary();
 
@@ -333,6 +389,38 @@ export class CleanupEngine {
     return this.report;
   }
 
+  /**
+   * Apply the staged changes, or none of them if a rule failed
+   */
+  private async commitTransaction(): Promise<void> {
+    if (this.report.errors.length > 0) {
+      this.report.transaction = { status: "rolled-back", error: "A rule failed; no changes were applied" };
+      return;
+    }
+
+    const changes = this.getFileChanges();
+    if (changes.length === 0 && this.deletedDirectories.length === 0) {
+      return; // Nothing to apply or undo
+    }
+
+    try {
+      const journal = await applyTransaction(
+        this.workingDir,
+        changes,
+        this.deletedDirectories,
+        this.profile
+      );
+      this.report.transaction = {
+        status: journal.status,
+        id: journal.id,
+        journal: path.join(JOURNAL_DIR, journal.id),
+      };
+    } catch (error: any) {
+      this.report.errors.push({ rule: "transaction", error: error.message });
+      this.report.transaction = { status: "rolled-back", error: error.message };
+    }
+  }
+
   /**
    * Check if a rule should be executed based on only/exclude filters
    */
@@ -358,6 +446,12 @@ export class CleanupEngine {
     // Normalize path for cross-platform compatibility (Windows case-insensitive)
     const normalizedPath = this.normalizePath(absolutePath);
 
+    // Files a dry run already deleted are gone for later rules
+    const change = this.fileChanges.get(path.relative(this.workingDir, absolutePath));
+    if (change && change.after === null) {
+      return false;
+    }
+
     // Check keep files (normalized absolute paths)
     if (this.keepFiles) {
       for (const keepPath of this.keepFiles) {
@@ -428,6 +522,143 @@ export class CleanupEngine {
     }
   }
 
+  /**
+   * Read a file as the cleanup sees it: in a diff dry run, earlier rules'
+   * changes apply even though nothing was written
+   */
+  private async readFileContent(file: string): Promise<string> {
+    const change = this.fileChanges.get(path.relative(this.workingDir, file));
+    if (change && change.after !== null) {
+      return change.after;
+    }
+    return fs.readFile(file, "utf8");
+  }
+
+  /**
+   * Whether rules change files as they run (not in dry runs or transactions)
+   */
+  private get writesDirectly(): boolean {
+    return !this.dryRun && !this.transactional;
+  }
+
+  /**
+   * Whether file changes are recorded, for the diff or the transaction
+   */
+  private get tracksChanges(): boolean {
+    return this.diffEnabled || this.transactional;
+  }
+
+  /**
+   * Write new file content (recorded for the diff; skipped in dry runs)
+   */
+  private async writeFileContent(file: string, before: string, after: string): Promise<void> {
+    this.recordChange(path.relative(this.workingDir, file), before, after);
+    if (this.writesDirectly) {
+      await fs.writeFile(file, after);
+    }
+  }
+
+  /**
+   * Delete a file or directory (recorded for the diff; skipped in dry runs)
+   */
+  private async deletePath(target: string): Promise<void> {
+    const stat = this.tracksChanges ? await fs.stat(target).catch(() => null) : null;
+    if (stat) {
+      if (stat.isDirectory() && this.transactional) {
+        this.deletedDirectories.push(path.relative(this.workingDir, target));
+      }
+      const files = stat.isDirectory()
+        ? await glob("**/*", { cwd: target, absolute: true, nodir: true, dot: true })
+        : [target];
+
+      for (const file of files) {
+        const buffer = await fs.readFile(file);
+        const relativePath = path.relative(this.workingDir, file);
+        if (buffer.includes(0)) {
+          const blobId = createHash("sha1").update(`blob ${buffer.length}\0`).update(buffer).digest("hex");
+          this.recordChange(relativePath, "", null, blobId);
+        } else {
+          this.recordChange(relativePath, buffer.toString("utf8"), null);
+        }
+      }
+    }
+
+    if (this.writesDirectly) {
+      await fs.rm(target, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Record a file change, keeping the content from before the first change
+   */
+  private recordChange(relativePath: string, before: string | null, after: string | null, blobId?: string): void {
+    if (!this.tracksChanges) {
+      return;
+    }
+    const existing = this.fileChanges.get(relativePath);
+    this.fileChanges.set(relativePath, {
+      path: relativePath,
+      before: existing ? existing.before : before,
+      after,
+      ...(blobId ? { binary: true, blobId } : {}),
+    });
+  }
+
+  /**
+   * Files changed by the run (requires the diff or transaction option)
+   */
+  getFileChanges(): FileChange[] {
+    return Array.from(this.fileChanges.values()).filter(change => change.before !== change.after);
+  }
+
+  /**
+   * Unified diff of every change (requires the diff option)
+   */
+  getDiff(): string {
+    return formatCleanupDiff(this.getFileChanges());
+  }
+
+  /**
+   * Check markers and TEMPLATE-IF conditions in every code file without
+   * changing anything
+   */
+  async lintMarkers(): Promise<MarkerLintResult> {
+    const problems: MarkerProblem[] = [];
+    const files = new Set<string>();
+
+    for (const pattern of CODE_EXTENSIONS) {
+      const matches = await glob(pattern, {
+        cwd: this.workingDir,
+        ignore: ["**/node_modules/**", "**/.git/**", ".devenv/**", ...this.excludeGlobs],
+        nodir: true,
+      });
+      matches.forEach(file => files.add(file));
+    }
+
+    for (const file of [...files].sort()) {
+      const content = await fs.readFile(path.join(this.workingDir, file), "utf8");
+      const { blocks, problems: markerProblems } = this.parseFileContent(content, file);
+      problems.push(...markerProblems.map(problem => ({ file, ...problem })));
+
+      for (const block of blocks) {
+        if (block.type !== "conditional" || !block.condition) continue;
+        try {
+          parseCondition(block.condition);
+        } catch (error: any) {
+          problems.push({
+            file,
+            line: block.start + 1,
+            column: block.conditionColumn! + error.column - 1,
+            message: `Invalid TEMPLATE-IF condition "${block.condition}": ${error.message}`,
+          });
+        }
+      }
+    }
+
+    problems.sort((a, b) => a.file!.localeCompare(b.file!) || a.line - b.line);
+    return { filesChecked: files.size, problems };
+  }
+
   /**
    * Get handler function for rule type
    */
@@ -442,7 +673,123 @@ export class CleanupEngine {
       custom: this.handleCustomRule.bind(this),
     };
 
-    return handlers[type] || null;
+    if (handlers[type]) {
+      return handlers[type];
+    }
+    const plugin = getRuleType(type);
+    return plugin ? rule => this.handlePluginRule(plugin, rule) : null;
+  }
+
+  /**
+   * Run a rule of a plugin rule type: validate, plan, then apply
+   */
+  private async handlePluginRule(plugin: RuleTypePlugin, rule: CleanupRule): Promise<CleanupAction[]> {
+    // The plugin's options were read from the config along with the rule
+    const pluginRule = rule as PluginRule;
+    const problems = plugin.validate?.(pluginRule) || [];
+    if (problems.length > 0) {
+      throw new Error(`Invalid ${rule.type} rule '${rule.id}': ${problems.join('; ')}`);
+    }
+
+    const actions: CleanupAction[] = [];
+    const context = this.createRuleContext(rule, actions);
+    const plan = await plugin.plan(pluginRule, context);
+    if (plan !== null && plan !== undefined) {
+      await plugin.apply(plan, pluginRule, context);
+    }
+    return actions;
+  }
+
+  /**
+   * The narrow view of the engine a plugin rule gets. File access goes through
+   * the same paths as the built-in rules, so dry runs, --diff, transactions
+   * and exclusions apply.
+   */
+  private createRuleContext(rule: CleanupRule, actions: CleanupAction[]): RuleContext {
+    const resolve = (file: string): string => {
+      const target = path.resolve(this.workingDir, file);
+      const relativePath = path.relative(this.workingDir, target);
+      if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+        throw new Error(`Rule '${rule.id}' can't access ${file}: it is outside the project`);
+      }
+      return target;
+    };
+    const reportError = (message: string, file?: string) => {
+      this.report.errors.push({ rule: rule.id, error: message, ...(file ? { file } : {}) });
+    };
+
+    return {
+      workingDir: this.workingDir,
+      dryRun: this.dryRun,
+      profile: this.profile,
+      features: Array.from(this.features),
+      variables: { profile: this.profile, ...this.variables },
+
+      glob: async (patterns, options = {}) => {
+        const files = await glob(patterns, {
+          cwd: this.workingDir,
+          ignore: [...(options.ignore || []), ...this.excludeGlobs],
+          nodir: true,
+          posix: true,
+        });
+        return files.filter(file => this.shouldProcessFile(file)).sort();
+      },
+
+      readFile: file => this.readFileContent(resolve(file)),
+
+      writeFile: async (file, content) => {
+        const target = resolve(file);
+        const before = await this.readFileContent(target).catch(() => null);
+        if (before !== null) {
+          await this.writeFileContent(target, before, content);
+          return;
+        }
+        this.recordChange(path.relative(this.workingDir, target), null, content);
+        if (this.writesDirectly) {
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.writeFile(target, content);
+        }
+      },
+
+      deleteFile: file => this.deletePath(resolve(file)),
+
+      forEach: async (items, worker) => {
+        const run = async (item: (typeof items)[number]) => {
+          try {
+            await worker(item);
+          } catch (error: any) {
+            reportError(error.message, typeof item === "string" ? item : undefined);
+          }
+        };
+
+        if (!this.parallelEnabled || items.length <= 10) {
+          for (const item of items) {
+            await run(item);
+          }
+          return;
+        }
+
+        if (this.progressTracker) {
+          this.progressTracker.createBar(rule.id, { total: items.length, label: `${rule.id} (items)` });
+        }
+        await parallel(items, run, {
+          concurrency: this.concurrency,
+          onProgress: completed => this.progressTracker?.updateBar(rule.id, completed),
+        });
+        if (this.progressTracker) {
+          this.progressTracker.finishBar(rule.id);
+        }
+        if (this.performanceTracker) {
+          this.performanceTracker.trackBatch();
+        }
+      },
+
+      report: action => {
+        actions.push({ ...action, rule: rule.id, dryRun: this.dryRun } as CleanupAction);
+      },
+
+      error: reportError,
+    };
   }
 
   /**
@@ -473,15 +820,14 @@ export class CleanupEngine {
   }
 
   /**
-   * Detect if line contains a marker
+   * Text of the comment on a line, or null when the line is not a comment
    */
-  private detectMarker(line: string, marker: string, commentSyntax: CommentSyntax): boolean {
+  private getCommentText(line: string, commentSyntax: CommentSyntax): string | null {
     const trimmed = line.trim();
 
     // Check single-line comments
     if (commentSyntax.single && trimmed.startsWith(commentSyntax.single)) {
-      const comment = trimmed.slice(commentSyntax.single.length).trim();
-      return comment.includes(marker);
+      return trimmed.slice(commentSyntax.single.length).trim();
     }
 
     // Check block comments
@@ -491,32 +837,49 @@ export class CleanupEngine {
         const startIdx = trimmed.indexOf(start);
         const endIdx = trimmed.indexOf(end, startIdx + start.length);
         if (startIdx !== -1 && endIdx !== -1) {
-          const comment = trimmed.slice(startIdx + start.length, endIdx).trim();
-          return comment.includes(marker);
+          return trimmed.slice(startIdx + start.length, endIdx).trim();
         }
       }
     }
 
-    return false;
+    return null;
+  }
+
+  /**
+   * Detect if line contains a marker
+   */
+  private detectMarker(line: string, marker: string, commentSyntax: CommentSyntax): boolean {
+    const comment = this.getCommentText(line, commentSyntax);
+    return comment !== null && comment.includes(marker);
   }
 
   /**
    * Parse file content for template markers
+   *
+   * Blocks may nest. Unclosed, orphaned and overlapping markers are returned
+   * as problems (1-based lines) instead of blocks.
    */
   private parseFileContent(content: string, filePath: string): ParsedContent {
     if (!this.config) {
-      return { blocks: [], taggedLines: [] };
+      return { blocks: [], taggedLines: [], problems: [] };
     }
 
     const lines = content.split("\n");
     const commentSyntax = this.getCommentSyntax(filePath);
     const blocks: BlockInfo[] = [];
     const taggedLines: number[] = [];
+    const problems: MarkerProblem[] = [];
 
-    let inBlock = false;
-    let blockStart = -1;
-    let blockType: string | null = null;
-    let blockMarker: MarkerConfig | null = null;
+    const markerTypes = Object.entries(this.config.markers)
+      .filter(([type, markerConfig]) => type !== "line_tag" && typeof markerConfig === "object")
+      .map(([type, markerConfig]) => {
+        const marker = markerConfig as MarkerConfig;
+        return { type, marker, elseMarker: marker.else || (type === "conditional" ? "TEMPLATE-ELSE" : undefined) };
+      });
+
+    const stack: BlockInfo[] = [];
+    // Blocks dropped by an overlapping end marker; their own end is not reported again
+    const abandoned: BlockInfo[] = [];
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -533,39 +896,91 @@ export class CleanupEngine {
         }
       }
 
-      // Check for block markers
-      if (!inBlock) {
-        // Look for start markers
-        for (const [type, markerConfig] of Object.entries(this.config.markers)) {
-          if (type === "line_tag") continue;
-
-          const config = markerConfig as MarkerConfig;
-          if (this.detectMarker(line, config.start, commentSyntax)) {
-            inBlock = true;
-            blockStart = i;
-            blockType = type;
-            blockMarker = config;
-            break;
+      for (const { type, marker, elseMarker } of markerTypes) {
+        if (this.detectMarker(line, marker.start, commentSyntax)) {
+          const block: BlockInfo = { type, start: i, end: -1, marker };
+          if (type === "conditional") {
+            const comment = this.getCommentText(line, commentSyntax)!;
+            const condition = comment.slice(comment.indexOf(marker.start) + marker.start.length);
+            const markerEnd = line.indexOf(marker.start) + marker.start.length;
+            block.condition = condition.trim();
+            block.conditionColumn = markerEnd + condition.length - condition.trimStart().length + 1;
           }
+          stack.push(block);
+          break;
         }
-      } else {
-        // Look for end marker
-        if (blockMarker && this.detectMarker(line, blockMarker.end, commentSyntax)) {
-          blocks.push({
-            type: blockType!,
-            start: blockStart,
-            end: i,
-            marker: blockMarker,
-          });
-          inBlock = false;
-          blockStart = -1;
-          blockType = null;
-          blockMarker = null;
+
+        if (elseMarker && this.detectMarker(line, elseMarker, commentSyntax)) {
+          const open = stack[stack.length - 1];
+          if (open && open.type === type && open.elseLine === undefined) {
+            open.elseLine = i;
+          } else if (open && open.type === type) {
+            problems.push({ line: i + 1, message: `Second ${elseMarker} in ${marker.start} block from line ${open.start + 1}` });
+          } else if (open) {
+            problems.push({ line: i + 1, message: `${elseMarker} inside ${open.marker.start} block from line ${open.start + 1}` });
+          } else {
+            problems.push({ line: i + 1, message: `${elseMarker} without a matching ${marker.start}` });
+          }
+          break;
+        }
+
+        if (this.detectMarker(line, marker.end, commentSyntax)) {
+          const index = stack.map(block => block.type).lastIndexOf(type);
+          if (index === -1) {
+            const dropped = abandoned.findIndex(block => block.type === type);
+            if (dropped !== -1) {
+              abandoned.splice(dropped, 1);
+            } else {
+              problems.push({ line: i + 1, message: `${marker.end} without a matching ${marker.start}` });
+            }
+            break;
+          }
+
+          const block = stack[index];
+          for (const inner of stack.splice(index + 1)) {
+            problems.push({
+              line: i + 1,
+              message: `${marker.end} closes ${marker.start} from line ${block.start + 1} while ${inner.marker.start} from line ${inner.start + 1} is still open`,
+            });
+            abandoned.push(inner);
+          }
+          stack.pop();
+          block.end = i;
+          blocks.push(block);
+          break;
         }
       }
     }
 
-    return { blocks, taggedLines };
+    for (const block of stack) {
+      problems.push({ line: block.start + 1, message: `${block.marker.start} is never closed with ${block.marker.end}` });
+    }
+
+    blocks.sort((a, b) => a.start - b.start);
+    problems.sort((a, b) => a.line - b.line);
+    return { blocks, taggedLines, problems };
+  }
+
+  /**
+   * Record marker problems as errors, once per file and line across rules.
+   * Returns true when the file has problems and must be left untouched.
+   */
+  private reportMarkerProblems(rule: CleanupRule, relativePath: string, problems: MarkerProblem[]): boolean {
+    for (const problem of problems) {
+      const error = `${relativePath}:${problem.line}: ${problem.message}`;
+      if (!this.reportedMarkerProblems.has(error)) {
+        this.reportedMarkerProblems.add(error);
+        this.report.errors.push({ rule: rule.id, file: relativePath, error, details: { line: problem.line } });
+      }
+    }
+    return problems.length > 0;
+  }
+
+  /**
+   * Blocks not nested inside another block of the list
+   */
+  private outermostBlocks(blocks: BlockInfo[]): BlockInfo[] {
+    return blocks.filter(block => !blocks.some(other => other !== block && other.start < block.start && other.end > block.end));
   }
 
   /**
@@ -606,9 +1021,7 @@ export class CleanupEngine {
           async (file) => {
             const relativePath = path.relative(this.workingDir, file);
             
-            if (!this.dryRun) {
-              await fs.rm(file, { recursive: true, force: true });
-            }
+            await this.deletePath(file);
 
             return {
               type: "file_delete",
@@ -643,9 +1056,7 @@ export class CleanupEngine {
         for (const file of filesToProcess) {
           const relativePath = path.relative(this.workingDir, file);
 
-          if (!this.dryRun) {
-            await fs.rm(file, { recursive: true, force: true });
-          }
+          await this.deletePath(file);
 
           actions.push({
             type: "file_delete",
@@ -696,10 +1107,13 @@ export class CleanupEngine {
           filesToProcess,
           async (file) => {
             try {
-              const content = await fs.readFile(file, "utf8");
-              const { blocks } = this.parseFileContent(content, file);
+              const content = await this.readFileContent(file);
+              const { blocks, problems } = this.parseFileContent(content, file);
+              if (this.reportMarkerProblems(rule, path.relative(this.workingDir, file), problems)) {
+                return undefined;
+              }
 
-              const templateBlocks = blocks.filter(b => b.type === "template_only");
+              const templateBlocks = this.outermostBlocks(blocks.filter(b => b.type === "template_only"));
 
               if (templateBlocks.length > 0) {
                 let newContent = content;
@@ -712,9 +1126,7 @@ export class CleanupEngine {
 
                 newContent = lines.join("\n");
 
-                if (!this.dryRun) {
-                  await fs.writeFile(file, newContent);
-                }
+                await this.writeFileContent(file, content, newContent);
 
                 return {
                   type: "block_remove",
@@ -760,10 +1172,13 @@ export class CleanupEngine {
           const relativePath = path.relative(this.workingDir, file);
 
           try {
-            const content = await fs.readFile(file, "utf8");
-            const { blocks } = this.parseFileContent(content, file);
+            const content = await this.readFileContent(file);
+            const { blocks, problems } = this.parseFileContent(content, file);
+            if (this.reportMarkerProblems(rule, relativePath, problems)) {
+              continue;
+            }
 
-            const templateBlocks = blocks.filter(b => b.type === "template_only");
+            const templateBlocks = this.outermostBlocks(blocks.filter(b => b.type === "template_only"));
 
             if (templateBlocks.length > 0) {
               let newContent = content;
@@ -776,9 +1191,7 @@ export class CleanupEngine {
 
               newContent = lines.join("\n");
 
-              if (!this.dryRun) {
-                await fs.writeFile(file, newContent);
-              }
+              await this.writeFileContent(file, content, newContent);
 
               actions.push({
                 type: "block_remove",
@@ -838,7 +1251,7 @@ export class CleanupEngine {
           filesToProcess,
           async (file) => {
             try {
-              const content = await fs.readFile(file, "utf8");
+              const content = await this.readFileContent(file);
               const lines = content.split("\n");
               const { taggedLines } = this.parseFileContent(content, file);
 
@@ -850,9 +1263,7 @@ export class CleanupEngine {
 
                 const newContent = lines.join("\n");
 
-                if (!this.dryRun) {
-                  await fs.writeFile(file, newContent);
-                }
+                await this.writeFileContent(file, content, newContent);
 
                 return {
                   type: "line_remove",
@@ -898,7 +1309,7 @@ export class CleanupEngine {
           const relativePath = path.relative(this.workingDir, file);
 
           try {
-            const content = await fs.readFile(file, "utf8");
+            const content = await this.readFileContent(file);
             const lines = content.split("\n");
             const { taggedLines } = this.parseFileContent(content, file);
 
@@ -910,9 +1321,7 @@ export class CleanupEngine {
 
               const newContent = lines.join("\n");
 
-              if (!this.dryRun) {
-                await fs.writeFile(file, newContent);
-              }
+              await this.writeFileContent(file, content, newContent);
 
               actions.push({
                 type: "line_remove",
@@ -938,14 +1347,22 @@ export class CleanupEngine {
 
   /**
    * Handle conditional block rule
+   *
+   * Each TEMPLATE-IF block keeps its if-branch when its condition holds, its
+   * TEMPLATE-ELSE branch (if any) otherwise; the marker lines always go.
+   * Blocks without their own condition are removed when the rule's condition
+   * holds and kept otherwise.
    */
   private async handleConditionalBlock(rule: CleanupRule): Promise<CleanupAction[]> {
     const actions: CleanupAction[] = [];
     const condition = rule.condition;
-    const shouldRemove = this.evaluateCondition(condition);
-
-    if (!shouldRemove) {
-      return actions; // Keep the blocks
+    let ruleRemoves: boolean | undefined;
+    if (condition) {
+      try {
+        ruleRemoves = this.evaluateCondition(condition);
+      } catch (error: any) {
+        throw new Error(`Invalid condition "${condition}": ${error.message} (column ${error.column})`);
+      }
     }
 
     const globs = rule.include_globs || ["**/*"];
@@ -967,39 +1384,88 @@ export class CleanupEngine {
           continue;
         }
         try {
-          const content = await fs.readFile(file, "utf8");
-          const { blocks } = this.parseFileContent(content, file);
+          const content = await this.readFileContent(file);
+          const { blocks, problems } = this.parseFileContent(content, file);
+          if (this.reportMarkerProblems(rule, relativePath, problems)) {
+            continue;
+          }
 
           const conditionalBlocks = blocks.filter(b => b.type === "conditional");
+          if (conditionalBlocks.length === 0) {
+            continue;
+          }
 
-          if (conditionalBlocks.length > 0) {
-            let newContent = content;
-            const lines = newContent.split("\n");
+          const keepIf = new Map<BlockInfo, boolean>();
+          let valid = true;
 
-            // Remove blocks in reverse order
-            conditionalBlocks.reverse().forEach(block => {
-              lines.splice(block.start, block.end - block.start + 1);
-            });
+          for (const block of conditionalBlocks) {
+            if (block.condition) {
+              try {
+                keepIf.set(block, this.evaluateCondition(block.condition));
+              } catch (error: any) {
+                const column = block.conditionColumn! + (error.column || 1) - 1;
+                this.report.errors.push({
+                  rule: rule.id,
+                  file: relativePath,
+                  error: `${relativePath}:${block.start + 1}:${column}: Invalid TEMPLATE-IF condition "${block.condition}": ${error.message}`,
+                  details: { line: block.start + 1, column, condition: block.condition },
+                });
+                valid = false;
+              }
+            } else if (ruleRemoves !== undefined) {
+              keepIf.set(block, !ruleRemoves);
+            } else {
+              this.report.errors.push({
+                rule: rule.id,
+                file: relativePath,
+                error: `${relativePath}:${block.start + 1}: TEMPLATE-IF block has no condition`,
+                details: { line: block.start + 1 },
+              });
+              valid = false;
+            }
+          }
 
-            newContent = lines.join("\n");
+          // A malformed condition leaves the whole file untouched
+          if (!valid) {
+            continue;
+          }
 
-            if (!this.dryRun) {
-              await fs.writeFile(file, newContent);
+          const lines = content.split("\n");
+          const blockAt = new Map(conditionalBlocks.map(block => [block.start, block]));
+
+          // Copy a range of lines, keeping one branch of each block inside it
+          const resolve = (from: number, to: number): string[] => {
+            const output: string[] = [];
+            for (let i = from; i < to; i++) {
+              const block = blockAt.get(i);
+              if (!block) {
+                output.push(lines[i]);
+                continue;
+              }
+              if (keepIf.get(block)) {
+                output.push(...resolve(block.start + 1, block.elseLine ?? block.end));
+              } else if (block.elseLine !== undefined) {
+                output.push(...resolve(block.elseLine + 1, block.end));
+              }
+              i = block.end;
             }
+            return output;
+          };
 
-            actions.push({
-              type: "block_remove",
-              rule: rule.id,
-              path: path.relative(this.workingDir, file),
-              blocksRemoved: conditionalBlocks.length,
-              condition: condition,
-              dryRun: this.dryRun,
-            });
-          }
+          await this.writeFileContent(file, content, resolve(0, lines.length).join("\n"));
+
+          actions.push({
+            type: "block_remove",
+            rule: rule.id,
+            path: relativePath,
+            blocksRemoved: conditionalBlocks.length,
+            condition: condition,
+            dryRun: this.dryRun,
+          });
         } catch (error: any) {
           this.report.errors.push({
             rule: rule.id,
-            file: path.relative(this.workingDir, file),
+            file: relativePath,
             error: `Failed to process file: ${error.message}`,
           });
         }
@@ -1010,18 +1476,13 @@ export class CleanupEngine {
   }
 
   /**
-   * Evaluate conditional expression
+   * Evaluate a condition expression against enabled features and variables
    */
-  private evaluateCondition(condition: string | undefined): boolean {
-    if (!condition) return false;
-
-    // Simple feature-based conditions: "feature" or "!feature"
-    if (condition.startsWith("!")) {
-      const feature = condition.slice(1);
-      return !this.features.has(feature);
-    } else {
-      return this.features.has(condition);
-    }
+  private evaluateCondition(condition: string): boolean {
+    return evaluateCondition(condition, {
+      features: this.features,
+      variables: { profile: this.profile, ...this.variables },
+    });
   }
 
   /**
@@ -1060,11 +1521,9 @@ export class CleanupEngine {
     if (removeEmptyFiles) {
       for (const file of files) {
         try {
-          const content = await fs.readFile(file, "utf8");
+          const content = await this.readFileContent(file);
           if (content.trim() === "") {
-            if (!this.dryRun) {
-              await fs.unlink(file);
-            }
+            await this.deletePath(file);
             actions.push({
               type: "file_delete",
               rule: rule.id,
@@ -1085,9 +1544,7 @@ export class CleanupEngine {
         try {
           const contents = await fs.readdir(dir);
           if (contents.length === 0) {
-            if (!this.dryRun) {
-              await fs.rmdir(dir);
-            }
+            await this.deletePath(dir);
             actions.push({
               type: "file_delete",
               rule: rule.id,
@@ -1110,15 +1567,26 @@ export class CleanupEngine {
    */
   private async handlePackagePrune(rule: CleanupRule): Promise<CleanupAction[]> {
     const actions: CleanupAction[] = [];
-    const managerName = rule.package_prune?.manager || "npm";
+    const managerName = rule.package_prune?.manager || rule.manager || "npm";
 
     try {
-      const packageManager = getPackageManager(managerName, this.workingDir, this.dryRun);
+      // In a transaction the manager only reports its changes, so it reads
+      // files as earlier rules left them; files they deleted are missing
+      const readFile = async (file: string) => {
+        if (this.fileChanges.get(path.normalize(file))?.after === null) {
+          throw Object.assign(new Error(`ENOENT: ${file} was deleted by an earlier rule`), { code: "ENOENT" });
+        }
+        return this.readFileContent(path.join(this.workingDir, file));
+      };
+      const packageManager = getPackageManager(managerName, this.workingDir, !this.writesDirectly, readFile);
       const result = await packageManager.prune(rule);
       
       if (result && result.actions) {
         actions.push(...result.actions);
       }
+      for (const change of result?.changes || []) {
+        this.recordChange(change.path, change.before, change.after);
+      }
     } catch (error: any) {
       this.report.errors.push({
         rule: rule.id,
@@ -1212,6 +1680,8 @@ export class CleanupEngine {
 interface ExecuteCleanupResult {
   report: CleanupReport;
   exitCode: number;
+  /** Unified diff of the changes, with the diff option */
+  diff?: string;
 }
 
 /**
@@ -1234,9 +1704,19 @@ export async function executeCleanup(options: CleanupEngineOptions = {}): Promis
       exitCode = 2; // Actions detected
     }
 
-    return { report, exitCode };
+    return options.diff ? { report, exitCode, diff: engine.getDiff() } : { report, exitCode };
   } catch (error: any) {
     throw new Error(`Cleanup failed: ${error.message}`);
   }
 }
 
+/**
+ * Validate template markers across the project without modifying anything
+ */
+export async function lintCleanupMarkers(options: CleanupEngineOptions = {}): Promise<MarkerLintResult> {
+  const engine = new CleanupEngine(options);
+  await engine.loadConfig();
+  return engine.lintMarkers();
+}
+
+export { registerRuleType, unregisterRuleType } from './plugins';
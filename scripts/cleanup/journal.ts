@@ -0,0 +1,191 @@
+/**
+ * Cleanup Journal
+ *
+ * Applies staged cleanup changes as one transaction: originals are copied to
+ * .devenv/cleanup-journal/<id>/ before anything is touched, a failure restores
+ * them, and `cleanup undo` restores the last applied run.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { CleanupJournal, FileChange, JournalEntry } from '../types/cleanup';
+
+export const JOURNAL_DIR = path.join('.devenv', 'cleanup-journal');
+
+const JOURNAL_FILE = 'journal.json';
+
+export interface UndoResult {
+  journal: CleanupJournal;
+  restored: string[];
+}
+
+function hash(content: Buffer | string): string {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+async function readIfExists(filePath: string): Promise<Buffer | null> {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error: any) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+}
+
+function journalPath(workingDir: string, id: string): string {
+  return path.join(workingDir, JOURNAL_DIR, id);
+}
+
+async function saveJournal(workingDir: string, journal: CleanupJournal): Promise<void> {
+  await fs.writeFile(path.join(journalPath(workingDir, journal.id), JOURNAL_FILE), JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Put every journaled file back the way it was before the cleanup
+ */
+async function restoreEntries(workingDir: string, journal: CleanupJournal, entries: JournalEntry[]): Promise<void> {
+  for (const directory of journal.directories) {
+    await fs.mkdir(path.join(workingDir, directory), { recursive: true });
+  }
+
+  for (const entry of [...entries].reverse()) {
+    const target = path.join(workingDir, entry.path);
+    if (entry.existed && entry.original) {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(journalPath(workingDir, journal.id), entry.original), target);
+    } else {
+      await fs.rm(target, { force: true }).catch(error => {
+        if (error.code !== 'ENOTDIR') throw error;
+      });
+    }
+  }
+}
+
+/**
+ * Apply staged changes. Throws after restoring every file if any write fails.
+ */
+export async function applyTransaction(
+  workingDir: string,
+  changes: FileChange[],
+  directories: string[],
+  profile: string
+): Promise<CleanupJournal> {
+  const timestamp = new Date().toISOString();
+  const journal: CleanupJournal = {
+    id: timestamp.replace(/[:.]/g, '-'),
+    timestamp,
+    profile,
+    status: 'pending',
+    entries: [],
+    directories
+  };
+
+  const dir = journalPath(workingDir, journal.id);
+  await fs.mkdir(path.join(dir, 'files'), { recursive: true });
+
+  // Copy originals before touching anything
+  for (const [index, change] of changes.entries()) {
+    const original = await readIfExists(path.join(workingDir, change.path));
+    const entry: JournalEntry = {
+      path: change.path,
+      existed: original !== null,
+      afterHash: change.after === null ? null : hash(change.after)
+    };
+    if (original !== null) {
+      entry.original = path.join('files', String(index));
+      entry.originalHash = hash(original);
+      await fs.writeFile(path.join(dir, entry.original), original);
+    }
+    journal.entries.push(entry);
+  }
+  await saveJournal(workingDir, journal);
+
+  const applied: JournalEntry[] = [];
+  try {
+    for (const [index, change] of changes.entries()) {
+      const target = path.join(workingDir, change.path);
+      applied.push(journal.entries[index]);
+      if (change.after === null) {
+        await fs.rm(target, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, change.after);
+      }
+    }
+    // Files inside were deleted above; this removes what's left of the directories
+    for (const directory of [...directories].sort().reverse()) {
+      await fs.rm(path.join(workingDir, directory), { recursive: true, force: true });
+    }
+  } catch (error: any) {
+    await restoreEntries(workingDir, journal, applied);
+    journal.status = 'rolled-back';
+    await saveJournal(workingDir, journal);
+    throw new Error(`Failed to apply ${applied[applied.length - 1]?.path}: ${error.message}. All changes were rolled back.`);
+  }
+
+  journal.status = 'applied';
+  await saveJournal(workingDir, journal);
+  return journal;
+}
+
+/**
+ * All journals, newest first
+ */
+export async function listJournals(workingDir: string): Promise<CleanupJournal[]> {
+  let ids: string[];
+  try {
+    ids = await fs.readdir(path.join(workingDir, JOURNAL_DIR));
+  } catch {
+    return [];
+  }
+
+  const journals: CleanupJournal[] = [];
+  for (const id of ids.sort().reverse()) {
+    try {
+      journals.push(JSON.parse(await fs.readFile(path.join(journalPath(workingDir, id), JOURNAL_FILE), 'utf8')));
+    } catch {
+      // Not a journal
+    }
+  }
+  return journals;
+}
+
+/**
+ * Files changed since the cleanup wrote them; undo would overwrite these edits
+ */
+export async function findConflicts(workingDir: string, journal: CleanupJournal): Promise<string[]> {
+  const conflicts: string[] = [];
+  for (const entry of journal.entries) {
+    const current = await readIfExists(path.join(workingDir, entry.path));
+    const currentHash = current === null ? null : hash(current);
+    if (currentHash !== entry.afterHash) {
+      conflicts.push(entry.path);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Restore the most recent applied cleanup. Refuses when files changed since,
+ * unless forced.
+ */
+export async function undoLastCleanup(workingDir: string, options: { force?: boolean } = {}): Promise<UndoResult> {
+  const journal = (await listJournals(workingDir)).find(candidate => candidate.status === 'applied');
+  if (!journal) {
+    throw new Error(`No applied cleanup to undo in ${JOURNAL_DIR}`);
+  }
+
+  if (!options.force) {
+    const conflicts = await findConflicts(workingDir, journal);
+    if (conflicts.length > 0) {
+      throw new Error(`Files changed since cleanup ${journal.id}: ${conflicts.join(', ')}. Use --force to restore anyway.`);
+    }
+  }
+
+  await restoreEntries(workingDir, journal, journal.entries);
+  journal.status = 'undone';
+  await saveJournal(workingDir, journal);
+
+  return { journal, restored: journal.entries.map(entry => entry.path) };
+}
@@ -1,6 +1,15 @@
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import { CleanupRule, CleanupAction } from '../../types/cleanup';
+import { glob } from 'glob';
+import { CleanupRule, CleanupAction, FileChange } from '../../types/cleanup';
+
+export type RemovedDependency = { name: string; section?: string };
+
+/** Reads a file relative to the working directory */
+export type FileReader = (file: string) => Promise<string>;
+
+// Build output and vendored code never holds project files to edit
+const IGNORED_DIRS = ['**/node_modules/**', '**/.git/**', '**/bin/**', '**/obj/**', '**/target/**', '**/build/**', '**/.gradle/**'];
 
 /**
  * Base class for all package managers
@@ -9,10 +18,16 @@ import { CleanupRule, CleanupAction } from '../../types/cleanup';
 export abstract class BasePackageManager {
   protected workingDir: string;
   protected dryRun: boolean;
+  private reader?: FileReader;
 
-  constructor(workingDir: string, dryRun: boolean) {
+  /**
+   * readFile lets the cleanup engine supply files as earlier rules left them
+   * when their changes are staged rather than written; defaults to the disk
+   */
+  constructor(workingDir: string, dryRun: boolean, readFile?: FileReader) {
     this.workingDir = workingDir;
     this.dryRun = dryRun;
+    this.reader = readFile;
   }
 
   /**
@@ -26,22 +41,68 @@ export abstract class BasePackageManager {
   abstract getLockFile(): string | null;
 
   /**
-   * Read the package file (must be implemented by subclasses)
+   * Parse package file text (must be implemented by subclasses)
    */
-  abstract readPackageFile(filePath: string): Promise<any>;
+  abstract parsePackageFile(text: string): any;
 
   /**
-   * Write the package file (must be implemented by subclasses)
+   * Serialize parsed package file content (must be implemented by subclasses)
    */
-  abstract writePackageFile(filePath: string, content: any): Promise<void>;
+  abstract serializePackageFile(content: any): string;
 
   /**
-   * Remove dependencies from package file (must be implemented by subclasses)
+   * Remove dependencies from package file (must be implemented by subclasses).
+   * Managers whose content is immutable (e.g. a string) return the updated content.
    */
   abstract removeDependencies(
     content: any,
-    rule: CleanupRule
-  ): Promise<{ modified: boolean; removedDeps: Array<{ name: string; section?: string }> }>;
+    rule: CleanupRule,
+    file: string
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[]; content?: any }>;
+
+  /**
+   * Package files to prune, relative to the working directory. Defaults to
+   * getPackageFile(); managers for multi-project layouts search for theirs.
+   */
+  async getPackageFiles(): Promise<string[]> {
+    return [this.getPackageFile()];
+  }
+
+  /**
+   * Existing files matching the patterns, outside build and vendor directories
+   */
+  protected async findFiles(patterns: string[]): Promise<string[]> {
+    const files = await glob(patterns, { cwd: this.workingDir, ignore: IGNORED_DIRS, nodir: true, posix: true });
+    return files.sort();
+  }
+
+  /**
+   * Read a file relative to the working directory
+   */
+  protected readFile(file: string): Promise<string> {
+    return this.reader ? this.reader(file) : fs.readFile(path.join(this.workingDir, file), 'utf8');
+  }
+
+  /**
+   * Dependencies named by the rule; ecosystems without dev dependencies treat both lists alike
+   */
+  protected getDependencyNames(rule: CleanupRule): string[] {
+    return [...(rule.remove_deps || []), ...(rule.remove_dev_deps || [])];
+  }
+
+  /**
+   * Read and parse the package file
+   */
+  async readPackageFile(filePath: string): Promise<any> {
+    return this.parsePackageFile(await fs.readFile(filePath, 'utf8'));
+  }
+
+  /**
+   * Serialize and write the package file
+   */
+  async writePackageFile(filePath: string, content: any): Promise<void> {
+    await fs.writeFile(filePath, this.serializePackageFile(content));
+  }
 
   /**
    * Get the manager name (defaults to class name without 'Manager' suffix)
@@ -53,25 +114,50 @@ export abstract class BasePackageManager {
   /**
    * Main pruning logic - shared across all package managers
    */
-  async prune(rule: CleanupRule): Promise<{ actions: CleanupAction[] }> {
+  async prune(rule: CleanupRule): Promise<{ actions: CleanupAction[]; changes: FileChange[] }> {
     const actions: CleanupAction[] = [];
-    const packageFilePath = path.join(this.workingDir, this.getPackageFile());
+    const changes: FileChange[] = [];
+    const removed: RemovedDependency[] = [];
 
     try {
-      // Read package file
-      const content = await this.readPackageFile(packageFilePath);
+      for (const packageFile of await this.getPackageFiles()) {
+        // Read package file
+        const before = await this.readFile(packageFile);
+        const content = this.parsePackageFile(before);
+
+        // Remove dependencies
+        const result = await this.removeDependencies(content, rule, packageFile);
+        const { modified, removedDeps } = result;
+
+        if (modified) {
+          let after = this.serializePackageFile(result.content ?? content);
+          // Keep the file's trailing newline
+          if (before.endsWith('\n') && !after.endsWith('\n')) {
+            after += '\n';
+          }
+          changes.push({ path: packageFile, before, after });
+        }
+        removed.push(...removedDeps);
+      }
 
-      // Remove dependencies
-      const { modified, removedDeps } = await this.removeDependencies(content, rule);
+      if (changes.length > 0) {
+        changes.push(...(await this.getLockFileChanges([...changes], removed, rule)));
+      }
 
-      // Write back if modified
-      if (modified && !this.dryRun) {
-        await this.writePackageFile(packageFilePath, content);
-        await this.removeLockFile();
+      // Write back
+      if (!this.dryRun) {
+        for (const change of changes) {
+          const target = path.join(this.workingDir, change.path);
+          if (change.after === null) {
+            await fs.rm(target, { force: true });
+          } else {
+            await fs.writeFile(target, change.after);
+          }
+        }
       }
 
       // Record actions
-      removedDeps.forEach((dep) => {
+      removed.forEach((dep) => {
         actions.push({
           type: 'dependency_remove',
           rule: rule.id,
@@ -85,7 +171,64 @@ export abstract class BasePackageManager {
       throw new Error(`Failed to prune ${this.getManagerName()}: ${error.message}`);
     }
 
-    return { actions };
+    return { actions, changes };
+  }
+
+  /**
+   * Lock file changes that accompany the package file changes. The lock file
+   * is pruned in place when the manager supports it and the rule doesn't ask
+   * for `lock_file: delete`; otherwise it is deleted so the next install
+   * regenerates it.
+   */
+  async getLockFileChanges(
+    packageChanges: FileChange[],
+    removedDeps: RemovedDependency[],
+    rule: CleanupRule
+  ): Promise<FileChange[]> {
+    const change = await this.getLockFileChange();
+    if (!change) return [];
+
+    const mode = rule.package_prune?.lock_file || rule.lock_file || 'prune';
+    const manifest = packageChanges.find(packageChange => packageChange.path === this.getPackageFile())?.after;
+    if (mode === 'delete' || manifest == null) return [change];
+
+    let after: string | null;
+    try {
+      after = this.pruneLockFileContent(change.before!, manifest, removedDeps);
+    } catch (error: any) {
+      throw new Error(`Could not prune ${change.path}: ${error.message} (set lock_file: delete to regenerate it instead)`);
+    }
+    if (after === null) return [change];
+    return after === change.before ? [] : [{ path: change.path, before: change.before, after }];
+  }
+
+  /**
+   * Lock file content without the removed dependencies and the entries only
+   * they needed, given the updated package file. Null means the manager can't
+   * prune its lock file and it is deleted instead.
+   */
+  pruneLockFileContent(lock: string, manifest: string, removedDeps: RemovedDependency[]): string | null {
+    return null;
+  }
+
+  /**
+   * Lock file deletion that accompanies a package file change, if there is a lock file
+   */
+  async getLockFileChange(): Promise<FileChange | null> {
+    const lockFile = this.getLockFile();
+    return lockFile ? this.getFileDeletion(lockFile) : null;
+  }
+
+  /**
+   * Deletion of a file relative to the working directory, or null if it doesn't exist
+   */
+  protected async getFileDeletion(file: string): Promise<FileChange | null> {
+    try {
+      const before = await this.readFile(file);
+      return { path: file, before, after: null };
+    } catch {
+      return null;
+    }
   }
 
   /**
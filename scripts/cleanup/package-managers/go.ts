@@ -0,0 +1,71 @@
+import { BasePackageManager, RemovedDependency } from './base';
+import { CleanupRule, FileChange } from '../../types/cleanup';
+
+/**
+ * Go modules handler (go.mod, go.sum)
+ */
+export class GoManager extends BasePackageManager {
+  getPackageFile(): string {
+    return 'go.mod';
+  }
+
+  getLockFile(): string {
+    return 'go.sum';
+  }
+
+  parsePackageFile(text: string): string {
+    return text;
+  }
+
+  serializePackageFile(content: string): string {
+    return content;
+  }
+
+  async removeDependencies(
+    content: string,
+    rule: CleanupRule
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[]; content: string }> {
+    const removedDeps: RemovedDependency[] = [];
+    let lines = content.split('\n');
+
+    for (const modulePath of this.getDependencyNames(rule)) {
+      const escaped = modulePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // require/replace/exclude lines, single or inside a ( ... ) block
+      const directive = new RegExp(`^\\s*(?:(?:require|replace|exclude)\\s+)?${escaped}(?:\\s+v\\S+)?\\s*(?:=>.*|//.*)?$`);
+      const kept = lines.filter(line => !directive.test(line.replace(/\r$/, '')));
+
+      if (kept.length !== lines.length) {
+        lines = kept;
+        removedDeps.push({ name: modulePath, section: 'go.mod' });
+      }
+    }
+
+    if (removedDeps.length === 0) {
+      return { modified: false, removedDeps, content };
+    }
+
+    // Drop blocks emptied above, e.g. "require (\n)"
+    const updated = lines.join('\n').replace(/^(?:require|replace|exclude) \(\s*\)[ \t]*\r?\n/gm, '');
+    return { modified: true, removedDeps, content: updated };
+  }
+
+  /**
+   * go.sum keeps its other checksums; only the removed modules' lines go
+   */
+  async getLockFileChanges(packageChanges: FileChange[], removedDeps: RemovedDependency[]): Promise<FileChange[]> {
+    let before: string;
+    try {
+      before = await this.readFile('go.sum');
+    } catch {
+      return [];
+    }
+
+    const modules = new Set(removedDeps.map(dep => dep.name));
+    const after = before
+      .split('\n')
+      .filter(line => !modules.has(line.split(' ')[0]))
+      .join('\n');
+
+    return after === before ? [] : [{ path: 'go.sum', before, after }];
+  }
+}
@@ -0,0 +1,109 @@
+import * as path from 'path';
+import { BasePackageManager, RemovedDependency } from './base';
+import { CleanupRule, FileChange } from '../../types/cleanup';
+
+/**
+ * Gradle handler (build.gradle and build.gradle.kts in every project)
+ *
+ * Dependencies are named group:name, or just name. Both string
+ * ("group:name:version") and map (group: ..., name: ...) notation are matched.
+ */
+export class GradleManager extends BasePackageManager {
+  getPackageFile(): string {
+    return 'build.gradle';
+  }
+
+  getLockFile(): string {
+    return 'gradle.lockfile';
+  }
+
+  async getPackageFiles(): Promise<string[]> {
+    return this.findFiles(['**/build.gradle', '**/build.gradle.kts']);
+  }
+
+  parsePackageFile(text: string): string[] {
+    return text.split('\n');
+  }
+
+  serializePackageFile(content: string[]): string {
+    return content.join('\n');
+  }
+
+  async removeDependencies(
+    lines: string[],
+    rule: CleanupRule,
+    file: string
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[] }> {
+    const names = this.getDependencyNames(rule);
+    const removedDeps: RemovedDependency[] = [];
+    const kept: string[] = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const name = this.matchDeclaration(lines[i], names);
+      if (!name) {
+        kept.push(lines[i]);
+        continue;
+      }
+      removedDeps.push({ name, section: file });
+
+      // A { ... } block after the declaration (exclude rules etc.) goes with it
+      let depth = braceDepth(lines[i]);
+      while (depth > 0 && i + 1 < lines.length) {
+        depth += braceDepth(lines[++i]);
+      }
+    }
+
+    if (removedDeps.length > 0) {
+      // Update the lines array in place
+      lines.length = 0;
+      lines.push(...kept);
+    }
+
+    return { modified: removedDeps.length > 0, removedDeps };
+  }
+
+  /**
+   * Dependency locking writes gradle.lockfile next to each build file
+   */
+  async getLockFileChanges(packageChanges: FileChange[]): Promise<FileChange[]> {
+    const changes: FileChange[] = [];
+    for (const dir of new Set(packageChanges.map(change => path.posix.dirname(change.path)))) {
+      const change = await this.getFileDeletion(path.posix.join(dir, 'gradle.lockfile'));
+      if (change) changes.push(change);
+    }
+    return changes;
+  }
+
+  /**
+   * The rule's name for a dependency declared on this line, if any
+   */
+  private matchDeclaration(line: string, names: string[]): string | undefined {
+    const declaration = /^\s*[A-Za-z_]\w*\s*[(\s](.*)$/.exec(line.replace(/\r$/, ''));
+    if (!declaration) return undefined;
+
+    const args = declaration[1];
+    let group: string | undefined;
+    let artifact: string | undefined;
+
+    const mapGroup = /\bgroup\s*[:=]\s*(['"])([^'"]+)\1/.exec(args);
+    const mapName = /\bname\s*[:=]\s*(['"])([^'"]+)\1/.exec(args);
+    if (mapGroup && mapName) {
+      group = mapGroup[2];
+      artifact = mapName[2];
+    } else {
+      const notation = /(['"])([^'"]+)\1/.exec(args)?.[2];
+      if (!notation || !notation.includes(':')) return undefined;
+      [group, artifact] = notation.replace(/@.*$/, '').split(':');
+    }
+
+    return names.find(dep => dep === `${group}:${artifact}` || (!dep.includes(':') && dep === artifact));
+  }
+}
+
+/**
+ * Open minus closed braces outside strings and // comments
+ */
+function braceDepth(line: string): number {
+  const code = line.replace(/(['"])(?:\\.|(?!\1).)*\1/g, '').replace(/\/\/.*$/, '');
+  return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+}
@@ -15,7 +15,7 @@ const {
   MavenManager,
   GradleManager,
   getPackageManager,
-} = require('../../../dist/cleanup/package-managers');
+} = require('../../../dist/scripts/cleanup/package-managers');
 
 module.exports = {
   BasePackageManager,
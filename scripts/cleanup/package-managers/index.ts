@@ -2,16 +2,20 @@
  * Package Manager Registry
  * Exports all package manager implementations
  * 
- * Focused on Node.js ecosystem (npm, yarn, pnpm) + Python (pip, poetry)
- * for indie developers and solo founders.
+ * Node.js (npm, yarn, pnpm), Python (pip, poetry), Go, .NET (nuget) and
+ * Java (maven, gradle).
  */
 
-import { BasePackageManager } from './base';
+import { BasePackageManager, FileReader } from './base';
 import { NpmManager } from './npm';
 import { YarnManager } from './yarn';
 import { PnpmManager } from './pnpm';
 import { PipManager } from './pip';
 import { PoetryManager } from './poetry';
+import { GoManager } from './go';
+import { NugetManager } from './nuget';
+import { MavenManager } from './maven';
+import { GradleManager } from './gradle';
 
 /**
  * Get package manager instance by name
@@ -19,22 +23,27 @@ import { PoetryManager } from './poetry';
 export function getPackageManager(
   managerName: string,
   workingDir: string,
-  dryRun: boolean
+  dryRun: boolean,
+  readFile?: FileReader
 ): BasePackageManager {
-  const managers: Record<string, new (workingDir: string, dryRun: boolean) => BasePackageManager> = {
+  const managers: Record<string, new (workingDir: string, dryRun: boolean, readFile?: FileReader) => BasePackageManager> = {
     npm: NpmManager,
     yarn: YarnManager,
     pnpm: PnpmManager,
     pip: PipManager,
     poetry: PoetryManager,
+    go: GoManager,
+    nuget: NugetManager,
+    maven: MavenManager,
+    gradle: GradleManager,
   };
 
   const ManagerClass = managers[managerName.toLowerCase()];
   if (!ManagerClass) {
-    throw new Error(`Unknown package manager: ${managerName}. Supported: npm, yarn, pnpm, pip, poetry`);
+    throw new Error(`Unknown package manager: ${managerName}. Supported: ${Object.keys(managers).join(', ')}`);
   }
 
-  return new ManagerClass(workingDir, dryRun);
+  return new ManagerClass(workingDir, dryRun, readFile);
 }
 
 export {
@@ -44,5 +53,9 @@ export {
   PnpmManager,
   PipManager,
   PoetryManager,
+  GoManager,
+  NugetManager,
+  MavenManager,
+  GradleManager,
 };
 
@@ -0,0 +1,339 @@
+/**
+ * Offline lock file pruning
+ *
+ * Removes pruned packages and the transitive entries nothing else needs from
+ * package-lock.json, yarn.lock and pnpm-lock.yaml. Every other pinned version
+ * stays as it was. Each pruner walks the dependency graph from the project's
+ * roots and drops what it can't reach. Flags such as `dev` on the entries
+ * that stay are left as they were; the next install refreshes them.
+ */
+
+import yaml from 'yaml';
+
+interface PackageJson {
+  dependencies?: Record<string, string>;
+  devDependencies?: Record<string, string>;
+  optionalDependencies?: Record<string, string>;
+  workspaces?: unknown;
+  [key: string]: any;
+}
+
+const ROOT_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'] as const;
+
+function detectIndent(text: string): string {
+  return /^([ \t]+)"/m.exec(text)?.[1] || '  ';
+}
+
+/**
+ * Walk a graph from the roots and return every node reached
+ */
+function reachable(roots: string[], edges: (node: string) => string[]): Set<string> {
+  const seen = new Set<string>();
+  const queue = [...roots];
+  while (queue.length > 0) {
+    const node = queue.pop()!;
+    if (seen.has(node)) continue;
+    seen.add(node);
+    queue.push(...edges(node));
+  }
+  return seen;
+}
+
+// ---------------------------------------------------------------------------
+// npm
+
+/**
+ * Node's module resolution over lock file paths: the nearest node_modules/<name>
+ * at or above `from`
+ */
+function resolveNpmPath(paths: Set<string>, from: string, name: string): string | null {
+  let base = from;
+  for (;;) {
+    const candidate = `${base ? `${base}/` : ''}node_modules/${name}`;
+    if (paths.has(candidate)) return candidate;
+    if (!base) return null;
+    const index = base.lastIndexOf('/node_modules/');
+    base = index === -1 ? '' : base.slice(0, index);
+  }
+}
+
+/**
+ * Flatten a lockfileVersion 1 "dependencies" tree into path -> required names
+ */
+function flattenNpmTree(tree: Record<string, any>, prefix: string, nodes: Map<string, string[]>): void {
+  for (const [name, entry] of Object.entries(tree)) {
+    const nodePath = `${prefix}node_modules/${name}`;
+    nodes.set(nodePath, Object.keys(entry.requires || {}));
+    if (entry.dependencies) {
+      flattenNpmTree(entry.dependencies, `${nodePath}/`, nodes);
+    }
+  }
+}
+
+/**
+ * Drop legacy "dependencies" tree entries whose path was pruned
+ */
+function pruneNpmTree(tree: Record<string, any>, prefix: string, keep: Set<string>): void {
+  for (const [name, entry] of Object.entries(tree)) {
+    const nodePath = `${prefix}node_modules/${name}`;
+    if (!keep.has(nodePath)) {
+      delete tree[name];
+    } else if (entry.dependencies) {
+      pruneNpmTree(entry.dependencies, `${nodePath}/`, keep);
+      if (Object.keys(entry.dependencies).length === 0) delete entry.dependencies;
+    }
+  }
+}
+
+/**
+ * Prune package-lock.json (lockfileVersion 1, 2 or 3) to match the manifest
+ */
+export function pruneNpmLock(text: string, manifest: PackageJson, removed: string[]): string {
+  const lock = JSON.parse(text);
+  const nodes = new Map<string, string[]>();
+  let roots: string[];
+
+  if (lock.packages) {
+    // Root and workspace entries mirror their package.json
+    const root = lock.packages[''] || {};
+    for (const section of ROOT_SECTIONS) {
+      for (const name of removed) {
+        if (root[section]) delete root[section][name];
+      }
+    }
+
+    for (const [key, entry] of Object.entries<any>(lock.packages)) {
+      const isProject = !key.includes('node_modules/');
+      // Dev dependencies are only installed for the root and workspaces
+      const sections = isProject
+        ? [...ROOT_SECTIONS, 'peerDependencies']
+        : ['dependencies', 'optionalDependencies', 'peerDependencies'];
+      const names = sections.flatMap(section => Object.keys(entry[section] || {}));
+      nodes.set(key, entry.link && entry.resolved ? [...names, `link:${entry.resolved}`] : names);
+    }
+    roots = [...nodes.keys()].filter(key => !key.includes('node_modules/'));
+  } else if (lock.dependencies) {
+    flattenNpmTree(lock.dependencies, '', nodes);
+    nodes.set('', ROOT_SECTIONS.flatMap(section => Object.keys(manifest[section] || {})));
+    roots = [''];
+  } else {
+    throw new Error('package-lock.json has neither "packages" nor "dependencies"');
+  }
+
+  const paths = new Set(nodes.keys());
+  const keep = reachable(roots, node =>
+    (nodes.get(node) || []).flatMap(name => {
+      if (name.startsWith('link:')) return [name.slice('link:'.length)];
+      const target = resolveNpmPath(paths, node, name);
+      return target ? [target] : [];
+    })
+  );
+
+  if (lock.packages) {
+    for (const key of Object.keys(lock.packages)) {
+      if (!keep.has(key)) delete lock.packages[key];
+    }
+  }
+  if (lock.dependencies) {
+    pruneNpmTree(lock.dependencies, '', keep);
+  }
+
+  return JSON.stringify(lock, null, detectIndent(text)) + (text.endsWith('\n') ? '\n' : '');
+}
+
+// ---------------------------------------------------------------------------
+// yarn
+
+interface YarnEntry {
+  /** Line range of the entry, including the blank lines after it */
+  start: number;
+  end: number;
+  header: string;
+  specs: string[];
+  /** `line` is the dependency's own line, `section` its dependencies: line */
+  dependencies: Array<{ name: string; range: string; line: number; section: number }>;
+}
+
+const unquote = (value: string) => value.replace(/^"|"$/g, '');
+
+function parseYarnLock(lines: string[]): YarnEntry[] {
+  const entries: YarnEntry[] = [];
+  let current: YarnEntry | null = null;
+  let section = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^[^\s#]/.test(line)) {
+      if (current) current.end = i;
+      const header = line.replace(/:\s*$/, '');
+      current = { start: i, end: lines.length, header, specs: header.split(/,\s*/).map(unquote), dependencies: [] };
+      entries.push(current);
+      section = -1;
+    } else if (current && /^ {2}\S/.test(line)) {
+      section = /^ {2}(dependencies|optionalDependencies):\s*$/.test(line) ? i : -1;
+    } else if (current && section !== -1 && /^ {4}\S/.test(line)) {
+      // classic: `    name "range"`; berry: `    name: "npm:range"`
+      const match = /^ {4}(?:"([^"]+)"|([^\s":]+)):?\s+(?:"([^"]*)"|(\S+))\s*$/.exec(line);
+      if (match) {
+        current.dependencies.push({ name: match[1] || match[2], range: match[3] ?? match[4], line: i, section });
+      }
+    } else if (/^#/.test(line) && current) {
+      current.end = i;
+      current = null;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Prune yarn.lock (classic v1 or berry) to match the manifest
+ */
+export function pruneYarnLock(text: string, manifest: PackageJson, removed: string[]): string {
+  const lines = text.split('\n');
+  const entries = parseYarnLock(lines);
+  const berry = entries.some(entry => entry.header === '__metadata');
+  const packages = entries.filter(entry => entry.header !== '__metadata');
+  const dropLines = new Set<number>();
+
+  let roots: string[];
+  if (berry) {
+    // Workspaces are entries of their own; the root one lists the manifest's dependencies
+    const workspaces = packages.filter(entry => entry.specs.some(spec => spec.includes('@workspace:')));
+    const root = workspaces.find(entry => entry.specs.some(spec => spec.endsWith('@workspace:.')));
+    const rootDeps = root?.dependencies || [];
+    for (const dep of rootDeps) {
+      if (removed.includes(dep.name)) dropLines.add(dep.line);
+    }
+    // A section whose dependencies were all removed loses its header too
+    for (const section of new Set(rootDeps.map(dep => dep.section))) {
+      if (rootDeps.every(dep => dep.section !== section || dropLines.has(dep.line))) dropLines.add(section);
+    }
+    roots = workspaces.flatMap(entry => entry.specs);
+  } else {
+    if (manifest.workspaces) {
+      throw new Error('yarn.lock pruning does not support yarn classic workspaces');
+    }
+    roots = ROOT_SECTIONS.flatMap(section =>
+      Object.entries(manifest[section] || {}).map(([name, range]) => `${name}@${range}`)
+    );
+  }
+
+  const bySpec = new Map<string, YarnEntry>();
+  packages.forEach(entry => entry.specs.forEach(spec => bySpec.set(spec, entry)));
+
+  const used = reachable(roots, spec => {
+    const entry = bySpec.get(spec);
+    if (!entry) return [];
+    return entry.dependencies
+      .filter(dep => !dropLines.has(dep.line))
+      .map(dep => `${dep.name}@${dep.range}`);
+  });
+
+  const output: string[] = [];
+  let next = 0;
+  for (const entry of packages) {
+    const kept = entry.specs.filter(spec => used.has(spec));
+    output.push(...lines.slice(next, entry.start));
+    next = entry.end;
+    if (kept.length === 0) continue;
+
+    const body = lines.slice(entry.start + 1, entry.end).filter((_, index) => !dropLines.has(entry.start + 1 + index));
+    let header = lines[entry.start];
+    if (kept.length < entry.specs.length) {
+      // Keep each remaining specifier written the way yarn wrote it
+      header = berry
+        ? `"${kept.join(', ')}":`
+        : `${entry.header.split(/,\s*/).filter(token => used.has(unquote(token))).join(', ')}:`;
+    }
+    output.push(header, ...body);
+  }
+  output.push(...lines.slice(next));
+
+  return output.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// pnpm
+
+/**
+ * Delete a map entry; the entry after it takes over its spacing so blank
+ * lines between entries stay as pnpm writes them
+ */
+function deleteYamlPair(doc: yaml.Document, keyPath: string[]): void {
+  const parent = doc.getIn(keyPath.slice(0, -1), true);
+  if (yaml.isMap(parent)) {
+    const index = parent.items.findIndex(pair => yaml.isScalar(pair.key) && pair.key.value === keyPath[keyPath.length - 1]);
+    const [pair, next] = [parent.items[index], parent.items[index + 1]];
+    if (pair && yaml.isNode(pair.key) && next && yaml.isNode(next.key)) {
+      next.key.spaceBefore = pair.key.spaceBefore;
+    }
+  }
+  doc.deleteIn(keyPath);
+}
+
+/**
+ * Prune pnpm-lock.yaml (lockfile versions 5, 6 and 9) to match the manifest
+ */
+export function prunePnpmLock(text: string, _manifest: PackageJson, removed: string[]): string {
+  const doc = yaml.parseDocument(text);
+  const lock = doc.toJS() || {};
+  const version = parseFloat(lock.lockfileVersion);
+  if (!(version >= 5 && version < 10)) {
+    throw new Error(`Unsupported pnpm lockfileVersion ${lock.lockfileVersion}`);
+  }
+
+  // Importers: workspace projects (v6+), or the root sections of older single-project lock files
+  const importers: Array<{ path: string[]; entry: any }> = lock.importers
+    ? Object.entries<any>(lock.importers).map(([dir, entry]) => ({ path: ['importers', dir], entry }))
+    : [{ path: [], entry: lock }];
+
+  const root = importers.find(importer => importer.path.length === 0 || importer.path[1] === '.');
+  if (root) {
+    for (const section of [...ROOT_SECTIONS, 'specifiers']) {
+      for (const name of removed) {
+        if (root.entry[section] && name in root.entry[section]) {
+          delete root.entry[section][name];
+          deleteYamlPair(doc, [...root.path, section, name]);
+        }
+      }
+      if (root.entry[section] && Object.keys(root.entry[section]).length === 0) {
+        deleteYamlPair(doc, [...root.path, section]);
+      }
+    }
+  }
+
+  // v9 resolves dependencies through snapshots; older versions through packages
+  const graphKey = lock.snapshots ? 'snapshots' : 'packages';
+  const nodes: Record<string, any> = lock[graphKey] || {};
+
+  const keyFor = (name: string, ref: any): string | null => {
+    const reference = typeof ref === 'object' && ref !== null ? ref.version : ref;
+    if (typeof reference !== 'string' || reference.startsWith('link:')) return null;
+    // Aliases and non-registry packages reference the full key
+    if (reference in nodes) return reference;
+    const key = version >= 9 ? `${name}@${reference}` : version >= 6 ? `/${name}@${reference}` : `/${name}/${reference}`;
+    return key in nodes ? key : null;
+  };
+
+  const edges = (entry: any, sections: readonly string[] = ['dependencies', 'optionalDependencies']): string[] =>
+    sections.flatMap(section =>
+      Object.entries(entry?.[section] || {})
+        .map(([name, ref]) => keyFor(name, ref))
+        .filter((key): key is string => key !== null)
+    );
+
+  const keep = reachable(importers.flatMap(importer => edges(importer.entry, ROOT_SECTIONS)), key => edges(nodes[key]));
+
+  for (const key of Object.keys(nodes)) {
+    if (!keep.has(key)) deleteYamlPair(doc, [graphKey, key]);
+  }
+  if (graphKey === 'snapshots') {
+    // A package stays while any of its peer-dependency variants does
+    const kept = new Set([...keep].map(key => (key.includes('(') ? key.slice(0, key.indexOf('(')) : key)));
+    for (const key of Object.keys(lock.packages || {})) {
+      if (!kept.has(key)) deleteYamlPair(doc, ['packages', key]);
+    }
+  }
+
+  return doc.toString({ lineWidth: 0, flowCollectionPadding: false });
+}
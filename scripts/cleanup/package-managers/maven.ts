@@ -0,0 +1,55 @@
+import { BasePackageManager, RemovedDependency } from './base';
+import { CleanupRule } from '../../types/cleanup';
+
+/**
+ * Maven handler (pom.xml in every module)
+ *
+ * Dependencies are named groupId:artifactId, or just artifactId.
+ */
+export class MavenManager extends BasePackageManager {
+  getPackageFile(): string {
+    return 'pom.xml';
+  }
+
+  getLockFile(): string | null {
+    return null; // Maven has no lock file
+  }
+
+  async getPackageFiles(): Promise<string[]> {
+    return this.findFiles(['**/pom.xml']);
+  }
+
+  parsePackageFile(text: string): string {
+    return text;
+  }
+
+  serializePackageFile(content: string): string {
+    return content;
+  }
+
+  async removeDependencies(
+    content: string,
+    rule: CleanupRule,
+    file: string
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[]; content: string }> {
+    const names = this.getDependencyNames(rule);
+    const removedDeps: RemovedDependency[] = [];
+
+    // Whole <dependency> elements, with their indentation and line break
+    const updated = content.replace(/^[ \t]*<dependency>([\s\S]*?)<\/dependency>[ \t]*\r?\n?/gm, (element, body: string) => {
+      // Exclusions have groupIds and artifactIds of their own
+      const own = body.replace(/<exclusions>[\s\S]*?<\/exclusions>/g, '');
+      const groupId = /<groupId>\s*([^<]*?)\s*<\/groupId>/.exec(own)?.[1];
+      const artifactId = /<artifactId>\s*([^<]*?)\s*<\/artifactId>/.exec(own)?.[1];
+
+      const name = names.find(dep => dep === `${groupId}:${artifactId}` || (!dep.includes(':') && dep === artifactId));
+      if (!name) {
+        return element;
+      }
+      removedDeps.push({ name, section: file });
+      return '';
+    });
+
+    return { modified: removedDeps.length > 0, removedDeps, content: updated };
+  }
+}
@@ -0,0 +1,85 @@
+import * as path from 'path';
+import { BasePackageManager, RemovedDependency } from './base';
+import { CleanupRule, FileChange } from '../../types/cleanup';
+
+/**
+ * NuGet handler (project files and central package management props)
+ *
+ * Removes PackageReference, PackageVersion and GlobalPackageReference items.
+ * Package IDs are matched case-insensitively, as NuGet does.
+ */
+export class NugetManager extends BasePackageManager {
+  getPackageFile(): string {
+    return '*.csproj';
+  }
+
+  getLockFile(): string {
+    return 'packages.lock.json';
+  }
+
+  async getPackageFiles(): Promise<string[]> {
+    return this.findFiles([
+      '**/*.csproj',
+      '**/*.fsproj',
+      '**/*.vbproj',
+      '**/Directory.Packages.props',
+      '**/Directory.Build.props',
+    ]);
+  }
+
+  parsePackageFile(text: string): string {
+    return text;
+  }
+
+  serializePackageFile(content: string): string {
+    return content;
+  }
+
+  async removeDependencies(
+    content: string,
+    rule: CleanupRule,
+    file: string
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[]; content: string }> {
+    const names = this.getDependencyNames(rule);
+    const removedDeps: RemovedDependency[] = [];
+
+    // Self-closing or with child elements, with indentation and line break
+    const item = /^[ \t]*<(PackageReference|PackageVersion|GlobalPackageReference)\b([^>]*?)(?:\/>|>[\s\S]*?<\/\1\s*>)[ \t]*\r?\n?/gm;
+    const updated = content.replace(item, (element, _tag: string, attributes: string) => {
+      const id = /\b(?:Include|Update)\s*=\s*"([^"]*)"/.exec(attributes)?.[1];
+      const name = id && names.find(dep => dep.toLowerCase() === id.toLowerCase());
+      if (!name) {
+        return element;
+      }
+      removedDeps.push({ name, section: file });
+      return '';
+    });
+
+    return { modified: removedDeps.length > 0, removedDeps, content: updated };
+  }
+
+  /**
+   * packages.lock.json sits next to each project; a props file covers every
+   * project below it
+   */
+  async getLockFileChanges(packageChanges: FileChange[]): Promise<FileChange[]> {
+    const lockFiles = new Set<string>();
+
+    for (const { path: file } of packageChanges) {
+      const dir = path.posix.dirname(file);
+      if (file.endsWith('.props')) {
+        const pattern = dir === '.' ? '**/packages.lock.json' : `${dir}/**/packages.lock.json`;
+        (await this.findFiles([pattern])).forEach(lockFile => lockFiles.add(lockFile));
+      } else {
+        lockFiles.add(path.posix.join(dir, 'packages.lock.json'));
+      }
+    }
+
+    const changes: FileChange[] = [];
+    for (const lockFile of [...lockFiles].sort()) {
+      const change = await this.getFileDeletion(lockFile);
+      if (change) changes.push(change);
+    }
+    return changes;
+  }
+}
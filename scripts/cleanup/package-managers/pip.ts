@@ -1,9 +1,13 @@
-import * as fs from 'fs/promises';
-import { BasePackageManager } from './base';
+import * as path from 'path';
+import { BasePackageManager, RemovedDependency } from './base';
 import { CleanupRule } from '../../types/cleanup';
+import { parseRequirementIncludes, removePyprojectDependencies, removeRequirementLines } from './python';
 
 /**
- * Pip package manager handler (requirements.txt)
+ * Pip package manager handler (requirements files and PEP 621 pyproject.toml)
+ *
+ * Starts from requirements.txt, requirements-*.txt and requirements/*.txt and
+ * follows their -r and -c includes.
  */
 export class PipManager extends BasePackageManager {
   getPackageFile(): string {
@@ -14,58 +18,62 @@ export class PipManager extends BasePackageManager {
     return null; // Pip doesn't have a standard lock file
   }
 
-  async readPackageFile(filePath: string): Promise<string[]> {
-    const content = await fs.readFile(filePath, 'utf8');
-    return content.split('\n');
-  }
+  async getPackageFiles(): Promise<string[]> {
+    const files = new Set<string>();
+    const queue = await this.findFiles(['requirements.txt', 'requirements-*.txt', 'requirements/*.txt', 'pyproject.toml']);
 
-  async writePackageFile(filePath: string, content: string[]): Promise<void> {
-    await fs.writeFile(filePath, content.join('\n'));
-  }
+    while (queue.length > 0) {
+      const file = queue.shift()!;
+      if (files.has(file)) continue;
 
-  async removeDependencies(
-    lines: string[],
-    rule: CleanupRule
-  ): Promise<{ modified: boolean; removedDeps: Array<{ name: string; section?: string }> }> {
-    let modified = false;
-    const removedDeps: Array<{ name: string; section?: string }> = [];
+      let text: string;
+      try {
+        text = await this.readFile(file);
+      } catch {
+        continue; // A missing include is pip's error to report, not ours
+      }
+      files.add(file);
 
-    if (rule.remove_deps) {
-      const filteredLines = lines.filter((line) => {
-        const trimmed = line.trim();
+      if (file.endsWith('.txt')) {
+        for (const include of parseRequirementIncludes(text)) {
+          const target = path.posix.normalize(path.posix.join(path.posix.dirname(file), include));
+          // Only files inside the project are edited
+          if (!target.startsWith('../') && !path.posix.isAbsolute(target)) queue.push(target);
+        }
+      }
+    }
 
-        // Keep empty lines and comments
-        if (!trimmed || trimmed.startsWith('#')) return true;
+    return [...files].sort();
+  }
 
-        // Check if this line contains any of the packages to remove
-        const shouldRemove = rule.remove_deps!.some((dep) => {
-          // Handle various pip formats (with version, extras, etc.)
-          return (
-            trimmed.startsWith(dep) ||
-            trimmed.startsWith(dep.replace('-', '_')) ||
-            trimmed.includes(dep + '==') ||
-            trimmed.includes(dep + '>=') ||
-            trimmed.includes(dep + '[')
-          );
-        });
+  parsePackageFile(text: string): string[] {
+    return text.split('\n');
+  }
 
-        if (shouldRemove) {
-          modified = true;
-          removedDeps.push({ name: trimmed, section: 'requirements.txt' });
-          return false;
-        }
+  serializePackageFile(content: string[]): string {
+    return content.join('\n');
+  }
 
-        return true;
-      });
+  async removeDependencies(
+    lines: string[],
+    rule: CleanupRule,
+    file: string
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[] }> {
+    const names = this.getDependencyNames(rule);
+    let result: { lines: string[]; removedDeps: RemovedDependency[] };
+    if (path.posix.basename(file) === 'pyproject.toml') {
+      const { content, removedDeps } = removePyprojectDependencies(lines.join('\n'), names);
+      result = { lines: content.split('\n'), removedDeps };
+    } else {
+      result = removeRequirementLines(lines, names, file);
+    }
 
-      if (modified) {
-        // Update the lines array in place
-        lines.length = 0;
-        lines.push(...filteredLines);
-      }
+    if (result.removedDeps.length > 0) {
+      // Update the lines array in place
+      lines.length = 0;
+      lines.push(...result.lines);
     }
 
-    return { modified, removedDeps };
+    return { modified: result.removedDeps.length > 0, removedDeps: result.removedDeps };
   }
 }
-
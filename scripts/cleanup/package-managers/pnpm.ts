@@ -1,5 +1,5 @@
-import * as fs from 'fs/promises';
-import { BasePackageManager } from './base';
+import { BasePackageManager, RemovedDependency } from './base';
+import { prunePnpmLock } from './lockfiles';
 import { CleanupRule } from '../../types/cleanup';
 
 interface PackageJson {
@@ -20,13 +20,12 @@ export class PnpmManager extends BasePackageManager {
     return 'pnpm-lock.yaml';
   }
 
-  async readPackageFile(filePath: string): Promise<PackageJson> {
-    const content = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(content);
+  parsePackageFile(text: string): PackageJson {
+    return JSON.parse(text);
   }
 
-  async writePackageFile(filePath: string, content: PackageJson): Promise<void> {
-    await fs.writeFile(filePath, JSON.stringify(content, null, 2));
+  serializePackageFile(content: PackageJson): string {
+    return JSON.stringify(content, null, 2);
   }
 
   async removeDependencies(
@@ -60,5 +59,11 @@ export class PnpmManager extends BasePackageManager {
 
     return { modified, removedDeps };
   }
-}
 
+  /**
+   * pnpm-lock.yaml keeps every other pinned version
+   */
+  pruneLockFileContent(lock: string, manifest: string, removedDeps: RemovedDependency[]): string {
+    return prunePnpmLock(lock, JSON.parse(manifest), removedDeps.map(dep => dep.name));
+  }
+}
@@ -1,9 +1,12 @@
-import * as fs from 'fs/promises';
-import { BasePackageManager } from './base';
+import { BasePackageManager, RemovedDependency } from './base';
 import { CleanupRule } from '../../types/cleanup';
+import { removePyprojectDependencies } from './python';
 
 /**
  * Poetry package manager handler (pyproject.toml)
+ *
+ * Edits Poetry's dependency tables, including dependency groups, and the
+ * PEP 621 `[project]` dependency arrays.
  */
 export class PoetryManager extends BasePackageManager {
   getPackageFile(): string {
@@ -14,41 +17,21 @@ export class PoetryManager extends BasePackageManager {
     return 'poetry.lock';
   }
 
-  async readPackageFile(filePath: string): Promise<string> {
-    const content = await fs.readFile(filePath, 'utf8');
-    return content;
+  parsePackageFile(text: string): string {
+    return text;
   }
 
-  async writePackageFile(filePath: string, content: string): Promise<void> {
-    await fs.writeFile(filePath, content);
+  serializePackageFile(content: string): string {
+    return content;
   }
 
   async removeDependencies(
     content: string,
     rule: CleanupRule
-  ): Promise<{ modified: boolean; removedDeps: Array<{ name: string; section?: string }> }> {
-    let modified = false;
-    const removedDeps: Array<{ name: string; section?: string }> = [];
-    let updatedContent = content;
-
-    if (rule.remove_deps) {
-      rule.remove_deps.forEach((dep) => {
-        // Match dependency line in TOML format
-        const regex = new RegExp(`^${dep}\\s*=.*$`, 'gm');
-        if (regex.test(updatedContent)) {
-          updatedContent = updatedContent.replace(regex, '');
-          modified = true;
-          removedDeps.push({ name: dep, section: 'pyproject.toml' });
-        }
-      });
-    }
+  ): Promise<{ modified: boolean; removedDeps: RemovedDependency[]; content: string }> {
+    const result = removePyprojectDependencies(content, this.getDependencyNames(rule));
 
-    // Update by reference if modified
-    if (modified) {
-      (content as any) = updatedContent;
-    }
-
-    return { modified, removedDeps };
+    // Strings are immutable, so the updated TOML is returned
+    return { modified: result.removedDeps.length > 0, removedDeps: result.removedDeps, content: result.content };
   }
 }
-
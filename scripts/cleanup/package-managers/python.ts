@@ -0,0 +1,209 @@
+/**
+ * Python requirement parsing shared by the pip and poetry managers
+ *
+ * Names follow PEP 508 and compare after PEP 503 normalization, so
+ * `Template_Only`, `template.only` and `template-only` are one package while
+ * `pytest` and `pytest-cov` stay distinct.
+ */
+
+import { RemovedDependency } from './base';
+
+/**
+ * PEP 503 normalized form of a distribution name
+ */
+export function normalizePythonName(name: string): string {
+  return name.replace(/[-_.]+/g, '-').toLowerCase();
+}
+
+/**
+ * Distribution name of a PEP 508 requirement (`name[extras] op version ; marker`
+ * or `name @ url`), or null if the text doesn't start with one
+ */
+export function parseRequirementName(requirement: string): string | null {
+  return /^\s*([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)(?=\s*(?:[[(<>=!~;@]|$))/.exec(requirement)?.[1] ?? null;
+}
+
+/**
+ * Name of the package a requirements file line installs, or null for
+ * options, includes and lines pip can't name (e.g. a bare local path)
+ */
+export function parseRequirementLine(line: string): string | null {
+  const text = line.replace(/(^|\s)#.*$/, '').trim();
+  if (!text) return null;
+
+  // Editable installs and direct URLs name the package with #egg=
+  const editable = /^(?:-e|--editable)(?:\s+|=)(\S+)/.exec(text);
+  const target = editable ? editable[1] : text;
+  if (editable || /^[a-z][a-z0-9+.-]*:\/\//i.test(target) || /^[./]/.test(target)) {
+    return /[#&]egg=([A-Za-z0-9._-]+)/.exec(line)?.[1] ?? null;
+  }
+  if (text.startsWith('-')) return null;
+
+  return parseRequirementName(text);
+}
+
+/**
+ * Files a requirements file includes with -r/--requirement or -c/--constraint,
+ * relative to the working directory (posix paths)
+ */
+export function parseRequirementIncludes(text: string): string[] {
+  const includes: string[] = [];
+  for (const line of text.split('\n')) {
+    const match = /^\s*(?:-r|--requirement|-c|--constraint)(?:\s+|=)(\S+)/.exec(line);
+    if (match) includes.push(match[1]);
+  }
+  return includes;
+}
+
+/**
+ * Finds the rule's name for a package, comparing normalized names
+ */
+export function matchPythonName(name: string | null, names: string[]): string | undefined {
+  if (!name) return undefined;
+  const normalized = normalizePythonName(name);
+  return names.find(dep => normalizePythonName(dep) === normalized);
+}
+
+/**
+ * Remove requirement lines, with their backslash continuation lines
+ * (e.g. `--hash` options), from a requirements file
+ */
+export function removeRequirementLines(
+  lines: string[],
+  names: string[],
+  file: string
+): { lines: string[]; removedDeps: RemovedDependency[] } {
+  const kept: string[] = [];
+  const removedDeps: RemovedDependency[] = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    let end = i;
+    while (/\\\r?$/.test(lines[end]) && end + 1 < lines.length) end++;
+
+    const logical = lines.slice(i, end + 1).map(line => line.replace(/\\\r?$/, ' ')).join('');
+    const name = matchPythonName(parseRequirementLine(logical), names);
+    if (name) {
+      removedDeps.push({ name, section: file });
+    } else {
+      kept.push(...lines.slice(i, end + 1));
+    }
+    i = end;
+  }
+
+  return { lines: kept, removedDeps };
+}
+
+// ---------------------------------------------------------------------------
+// pyproject.toml
+
+const POETRY_TABLE = /^tool\.poetry\.(?:dependencies|dev-dependencies|group\.[^.]+\.dependencies)$/;
+const POETRY_SUBTABLE = /^(tool\.poetry\.(?:dependencies|dev-dependencies|group\.[^.]+\.dependencies))\.(.+)$/;
+
+const unquoteKey = (key: string) => key.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+/**
+ * Open minus closed brackets and braces outside strings and comments
+ */
+function nesting(line: string): number {
+  const code = line.replace(/"(?:\\.|[^"\\])*"|'[^']*'/g, '""').replace(/#.*$/, '');
+  return (code.match(/[[{]/g) || []).length - (code.match(/[\]}]/g) || []).length;
+}
+
+/**
+ * Remove dependencies from a pyproject.toml without reformatting it:
+ * - PEP 621 `[project] dependencies` and `[project.optional-dependencies]`
+ * - PEP 735 `[dependency-groups]`
+ * - Poetry `[tool.poetry.dependencies]`, `dev-dependencies` and
+ *   `[tool.poetry.group.<name>.dependencies]`, including `[...dependencies.<name>]` tables
+ */
+export function removePyprojectDependencies(
+  content: string,
+  names: string[]
+): { content: string; removedDeps: RemovedDependency[] } {
+  const lines = content.split('\n');
+  const kept: string[] = [];
+  const removedDeps: RemovedDependency[] = [];
+  let table = '';
+  let droppingTable = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const header = /^\s*\[([^[\]]+)\]\s*(?:#.*)?\r?$/.exec(line);
+    if (header || /^\s*\[\[/.test(line)) {
+      table = header ? header[1].split('.').map(unquoteKey).join('.') : '';
+      droppingTable = false;
+
+      const subtable = POETRY_SUBTABLE.exec(table);
+      const name = subtable && matchPythonName(subtable[2], names);
+      if (name) {
+        removedDeps.push({ name, section: subtable![1] });
+        droppingTable = true;
+        continue;
+      }
+    } else if (droppingTable) {
+      // Its trailing blank lines go too; the ones before it already separate the tables
+      continue;
+    }
+
+    const assignment = /^\s*("[^"]*"|'[^']*'|[A-Za-z0-9_.-]+)\s*=/.exec(line);
+    if (header || !assignment) {
+      kept.push(line);
+      continue;
+    }
+
+    // The value may span lines (arrays, inline tables)
+    let end = i;
+    let depth = nesting(line);
+    while (depth > 0 && end + 1 < lines.length) depth += nesting(lines[++end]);
+    const value = lines.slice(i, end + 1);
+    const key = unquoteKey(assignment[1]);
+
+    if (POETRY_TABLE.test(table)) {
+      const name = key !== 'python' ? matchPythonName(key, names) : undefined;
+      if (name) {
+        removedDeps.push({ name, section: table });
+      } else {
+        kept.push(...value);
+      }
+    } else if ((table === 'project' && key === 'dependencies') || table === 'project.optional-dependencies' || table === 'dependency-groups') {
+      const section = table === 'project' ? 'project.dependencies' : `${table}.${key}`;
+      kept.push(...removeArrayRequirements(value, names, section, removedDeps));
+    } else {
+      kept.push(...value);
+    }
+    i = end;
+  }
+
+  return { content: kept.join('\n'), removedDeps };
+}
+
+/**
+ * Remove requirement strings from a TOML array: whole lines in a multi-line
+ * array, the element and its separator in an inline one
+ */
+function removeArrayRequirements(value: string[], names: string[], section: string, removedDeps: RemovedDependency[]): string[] {
+  const element = /(["'])((?:\\.|(?!\1).)*)\1/g;
+  const matches = (requirement: string) => {
+    const name = matchPythonName(parseRequirementName(requirement), names);
+    if (name) removedDeps.push({ name, section });
+    return name;
+  };
+
+  if (value.length > 1) {
+    return value.filter((line, index) => {
+      if (index === 0 || index === value.length - 1) return true;
+      const only = /^\s*(["'])((?:\\.|(?!\1).)*)\1\s*,?\s*(?:#.*)?\r?$/.exec(line);
+      return !(only && matches(only[2]));
+    });
+  }
+
+  const line = value[0];
+  const open = line.indexOf('[', line.indexOf('='));
+  const close = line.lastIndexOf(']');
+  const items = [...line.slice(open + 1, close).matchAll(element)];
+  const keptItems = items.filter(item => !matches(item[2]));
+  if (keptItems.length === items.length) return value;
+
+  const padding = keptItems.length > 0 && /^\[\s/.test(line.slice(open)) ? ' ' : '';
+  return [`${line.slice(0, open)}[${padding}${keptItems.map(item => item[0]).join(', ')}${padding}]${line.slice(close + 1)}`];
+}
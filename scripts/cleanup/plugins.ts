@@ -0,0 +1,94 @@
+/**
+ * Cleanup rule type registry
+ *
+ * Plugins add rule types next to the built-in ones. A plugin module either
+ * exports `ruleTypes` (name -> RuleTypePlugin) or a `register(api)` function
+ * that calls `api.registerRuleType(name, plugin)`. Config files list plugin
+ * modules under `plugins:`.
+ */
+
+import path from 'path';
+import { RuleTypePlugin } from '../types/cleanup';
+
+/** Rule types the engine handles itself; plugins can't replace them */
+export const BUILT_IN_RULE_TYPES = [
+  'file_glob_delete',
+  'block_markers',
+  'line_tag',
+  'conditional_block',
+  'prune_empty',
+  'package_prune',
+  'custom',
+];
+
+const registry = new Map<string, RuleTypePlugin<any, any>>();
+
+/**
+ * Register a rule type. Registering the same plugin object again is a no-op,
+ * so a plugin listed by several configs loads once.
+ */
+export function registerRuleType<Plan, Options>(name: string, plugin: RuleTypePlugin<Plan, Options>): void {
+  if (!/^[a-z][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid rule type name '${name}': use lowercase letters, digits, '-' and '_'`);
+  }
+  if (BUILT_IN_RULE_TYPES.includes(name)) {
+    throw new Error(`Rule type '${name}' is built in and can't be replaced`);
+  }
+  if (!plugin || typeof plugin.plan !== 'function' || typeof plugin.apply !== 'function') {
+    throw new Error(`Rule type '${name}' must have plan() and apply() functions`);
+  }
+  const existing = registry.get(name);
+  if (existing && existing !== plugin) {
+    throw new Error(`Rule type '${name}' is already registered`);
+  }
+  registry.set(name, plugin);
+}
+
+/**
+ * Remove a registered rule type (mainly for tests)
+ */
+export function unregisterRuleType(name: string): boolean {
+  return registry.delete(name);
+}
+
+/**
+ * The plugin registered for a rule type, if any
+ */
+export function getRuleType(name: string): RuleTypePlugin<any> | undefined {
+  return registry.get(name);
+}
+
+/**
+ * Names of the registered plugin rule types
+ */
+export function getRegisteredRuleTypes(): string[] {
+  return [...registry.keys()].sort();
+}
+
+/**
+ * Load plugin modules. Paths (starting with . or /) are relative to baseDir;
+ * anything else is a package, resolved from baseDir and then workingDir.
+ */
+export function loadPlugins(specifiers: string[], baseDir: string, workingDir: string): void {
+  for (const specifier of specifiers) {
+    try {
+      const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+      const resolved = isPath
+        ? require.resolve(path.resolve(baseDir, specifier))
+        : require.resolve(specifier, { paths: [baseDir, workingDir] });
+      const plugin = require(resolved);
+
+      if (typeof plugin.register === 'function') {
+        plugin.register({ registerRuleType });
+      } else if (plugin.ruleTypes && typeof plugin.ruleTypes === 'object') {
+        for (const [name, ruleType] of Object.entries(plugin.ruleTypes)) {
+          registerRuleType(name, ruleType as RuleTypePlugin);
+        }
+      } else {
+        throw new Error("it must export 'ruleTypes' or a 'register' function");
+      }
+    } catch (error: any) {
+      throw new Error(`Failed to load plugin '${specifier}': ${error.message}`);
+    }
+  }
+}
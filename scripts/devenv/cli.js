@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+/**
+ * JavaScript wrapper for the TypeScript devenv CLI
+ */
+
+require('../../dist/scripts/devenv/cli').main();
@@ -0,0 +1,374 @@
+/**
+ * devenv - unified DevEnvTemplate CLI
+ *
+ * One entry point for every tool:
+ *   devenv init | doctor | gaps | plan | cleanup | budgets | config | completion
+ *
+ * Global flags work before or after the subcommand:
+ *   --cwd <dir>          Run as if started in <dir>
+ *   --json               Machine-readable output
+ *   --quiet              Only errors and machine-readable output
+ *   --log-level <level>  DEBUG, INFO, WARN, ERROR or SILENT
+ *
+ * Command modules are loaded lazily so --log-level applies to loggers they
+ * create on load.
+ */
+
+import { existsSync, statSync } from 'fs';
+import path from 'path';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import { COMPLETION_SHELLS, CompletionShell, generateCompletion } from './completion';
+import { LOG_LEVELS, LogLevel, output } from '../utils/logger';
+import { getToolVersion } from '../tools/sarif';
+import type { MetricSources } from '../types/budgets';
+
+export interface GlobalOptions {
+  cwd?: string;
+  json?: boolean;
+  quiet?: boolean;
+  logLevel?: LogLevel;
+}
+
+const PRESETS = ['nextjs', 'vite', 'express', 'vanilla'];
+
+const BUDGET_SOURCES: Array<[string, keyof MetricSources, string]> = [
+  ['--coverage <file>', 'coverageSummary', 'istanbul/c8 coverage-summary.json'],
+  ['--eslint-report <file>', 'eslintReport', 'eslint --format json output'],
+  ['--audit-report <file>', 'auditReport', 'npm audit --json output'],
+  ['--build-dir <dir>', 'buildDir', 'build output measured for bundle and CSS size'],
+  ['--metrics <file>', 'metricsFile', 'other measured values keyed like the budgets']
+];
+
+/**
+ * Comma-separated list; repeated flags are concatenated
+ */
+function parseList(value: string, previous: string[] = []): string[] {
+  return [...previous, ...value.split(',').map(item => item.trim()).filter(Boolean)];
+}
+
+function parseVariable(value: string, previous: Record<string, string> = {}): Record<string, string> {
+  const match = /^([A-Za-z_][A-Za-z0-9_-]*)=(.*)$/.exec(value);
+  if (!match) {
+    throw new InvalidArgumentError('Expected name=value.');
+  }
+  return { ...previous, [match[1]]: match[2] };
+}
+
+function parsePositiveInt(value: string): number {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return number;
+}
+
+function parseLogLevel(value: string): LogLevel {
+  const level = value.toUpperCase();
+  if (!(level in LOG_LEVELS)) {
+    throw new InvalidArgumentError(`Use one of ${Object.keys(LOG_LEVELS).join(', ')}.`);
+  }
+  return level as LogLevel;
+}
+
+/**
+ * Apply global flags before any command runs
+ */
+function applyGlobalOptions(options: GlobalOptions): void {
+  if (options.cwd) {
+    const dir = path.resolve(options.cwd);
+    if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+      throw new InvalidArgumentError(`--cwd: ${options.cwd} is not a directory`);
+    }
+    process.chdir(dir);
+  }
+
+  if (options.logLevel) {
+    process.env.LOG_LEVEL = options.logLevel;
+  }
+
+  // --quiet raises the command output level; errors (stderr), machine-readable
+  // output and exit codes are unaffected
+  if (options.quiet) {
+    output.setLevel('WARN');
+  }
+}
+
+/**
+ * Build the commander program
+ */
+export function createProgram(): Command {
+  const program = new Command();
+
+  program
+    .name('devenv')
+    .description('DevEnvTemplate - diagnose, prescribe and cure development environment issues')
+    .version(getToolVersion() || '0.0.0')
+    .option('-C, --cwd <dir>', 'run as if started in <dir>')
+    .option('--json', 'machine-readable JSON output')
+    .option('-q, --quiet', 'only print errors and machine-readable output')
+    .addOption(new Option('--log-level <level>', 'log level (DEBUG, INFO, WARN, ERROR, SILENT)').argParser(parseLogLevel))
+    .showHelpAfterError()
+    .hook('preAction', (_program, actionCommand) => {
+      applyGlobalOptions(actionCommand.optsWithGlobals<GlobalOptions>());
+    });
+
+  program
+    .command('init')
+    .description('Set up DevEnvTemplate in the current project (interactive)')
+    .option('--advanced', 'run the full project questionnaire')
+    .action(async options => {
+      const { runInit } = await import('./commands');
+      await runInit(options);
+    });
+
+  const doctor = program
+    .command('doctor')
+    .description('Check project health and optionally fix issues')
+    .option('--fix', 'apply automatic fixes to detected issues')
+    .option('--no-install', 'skip installing missing dependencies (with --fix)')
+    .addOption(new Option('--preset <type>', 'override framework detection').choices(PRESETS))
+    .option('--dry-run', 'show what would be fixed without applying changes')
+    .option('--strict', 'exit 1 on any warnings; with a baseline, only on new or worsened issues')
+    .option('--update-baseline', 'accept all current issues into .devenv/baseline.json')
+    .addOption(new Option('--format <format>', 'output format').choices(['text', 'json', 'sarif']))
+    .action(async (_options, command: Command) => {
+      const options = command.optsWithGlobals();
+      const { runDoctor } = await import('../doctor/cli');
+      await runDoctor({
+        fix: options.fix,
+        noInstall: !options.install,
+        preset: options.preset,
+        dryRun: options.dryRun,
+        strict: options.strict,
+        updateBaseline: options.updateBaseline,
+        format: options.format || (options.json ? 'json' : 'text'),
+        logLevel: options.logLevel
+      });
+    })
+    .addHelpText('after', `
+Examples:
+  devenv doctor                        Check project health
+  devenv doctor --fix                  Fix issues automatically
+  devenv doctor --fix --no-install     Fix but skip package installation
+  devenv doctor --strict               Fail CI on any warnings
+  devenv doctor --update-baseline      Accept current issues on a legacy project
+  devenv doctor --format sarif         SARIF 2.1.0 for code-scanning dashboards
+  devenv doctor trend --since tag      Changes since the latest release tag
+  devenv doctor rules                  List rule IDs for .devenv/config.json and devenv-disable`);
+
+  doctor
+    .command('trend')
+    .description('Show health-score changes per category since an earlier run')
+    .option('--since <when>', 'last (default), tag, YYYY-MM-DD or a git ref', 'last')
+    .action(async (_options, command: Command) => {
+      const options = command.optsWithGlobals();
+      const { runTrend } = await import('../doctor/cli');
+      await runTrend({ since: options.since, format: options.format || (options.json ? 'json' : 'text') });
+    });
+
+  doctor
+    .command('rules')
+    .description('List the gap analysis rules with their IDs and configured severities')
+    .action(async (_options, command: Command) => {
+      const options = command.optsWithGlobals();
+      const { runRules } = await import('../doctor/cli');
+      await runRules({ format: options.format || (options.json ? 'json' : 'text') });
+    });
+
+  program
+    .command('gaps')
+    .description('Analyze the project against DevEnvTemplate standards')
+    .addOption(new Option('--format <format>', 'output format').choices(['markdown', 'json', 'sarif']))
+    .action(async (_options, command: Command) => {
+      const options = command.optsWithGlobals();
+      const { runGaps } = await import('./commands');
+      await runGaps({ format: options.format || (options.json ? 'json' : 'markdown'), logLevel: options.logLevel });
+    });
+
+  program
+    .command('plan')
+    .description('Generate a prioritized hardening plan from the gap analysis')
+    .addOption(new Option('--format <format>', 'output format').choices(['markdown', 'json']))
+    .action(async (_options, command: Command) => {
+      const options = command.optsWithGlobals();
+      const { runPlan } = await import('./commands');
+      await runPlan({ format: options.format || (options.json ? 'json' : 'markdown'), logLevel: options.logLevel });
+    });
+
+  const cleanup = program
+    .command('cleanup')
+    .description('Remove template-only code (dry run unless --apply)')
+    .option('--apply', 'apply changes')
+    .option('--dry-run', 'only report what would change (default)')
+    .option('--config <file>', 'cleanup config (default: cleanup.config.yaml, config/ first)')
+    .option('--profile <name>', 'cleanup profile from the config (default: common)')
+    .option('--features <list>', 'features to keep, comma-separated', parseList)
+    .option('--var <name=value>', 'variable for TEMPLATE-IF conditions, repeatable', parseVariable)
+    .option('--only-rules <ids>', 'run only these rules, comma-separated', parseList)
+    .option('--exclude-rules <ids>', 'skip these rules, comma-separated', parseList)
+    .option('--exclude-globs <globs>', 'never touch matching files, comma-separated', parseList)
+    .option('--keep-files <files>', 'never delete these files, comma-separated', parseList)
+    .option('--report <file>', 'write the JSON report to a file')
+    .option('--diff [file]', 'unified diff of the changes, printed or written to a .patch file')
+    .option('--fail-on-actions', 'exit 2 when any action is found (CI check that cleanup already ran)')
+    .option('--no-transaction', 'write changes as rules run, without rollback or undo journal')
+    .option('--parallel', 'process files in parallel')
+    .option('--concurrency <n>', 'parallel workers (default: CPU count)', parsePositiveInt)
+    .option('--no-cache', 'disable config and file caching')
+    .option('--progress', 'show progress bars')
+    .addOption(new Option('--progress-verbosity <level>', 'progress detail (implies --progress)').choices(['silent', 'simple', 'detailed']))
+    .option('--performance', 'print a performance report')
+    .action(async (_options, command: Command) => {
+      const options = command.optsWithGlobals();
+      if (options.apply && options.dryRun) {
+        throw new InvalidArgumentError('--apply and --dry-run cannot be combined');
+      }
+      const { runCleanup } = await import('../cleanup/cli');
+      await runCleanup(options);
+    })
+    .addHelpText('after', `
+Exit codes: 0 success, 1 config or rule errors, 2 actions found with --fail-on-actions
+
+Examples:
+  devenv cleanup                                  Preview changes
+  devenv cleanup --diff cleanup.patch             Write the exact changes for review
+  devenv cleanup --apply --report cleanup-report.json
+  devenv cleanup --features auth,api --exclude-rules remove-docs
+  devenv cleanup --features docker --var database=postgres
+  devenv cleanup --fail-on-actions                Fail CI if template code remains
+  devenv cleanup undo                             Restore the last applied cleanup
+  devenv cleanup lint                             Check for unbalanced or overlapping markers`);
+
+  cleanup
+    .command('undo')
+    .description('Restore the files changed by the last applied cleanup')
+    .option('--force', 'restore even if files changed since the cleanup')
+    .action(async (_options, command: Command) => {
+      const { runCleanupUndo } = await import('../cleanup/cli');
+      await runCleanupUndo(command.optsWithGlobals());
+    });
+
+  cleanup
+    .command('lint')
+    .description('Check template markers and TEMPLATE-IF conditions without changing files (exit 1 on problems)')
+    .option('--config <file>', 'cleanup config (default: cleanup.config.yaml, config/ first)')
+    .option('--exclude-globs <globs>', 'skip matching files, comma-separated', parseList)
+    .action(async (_options, command: Command) => {
+      const { runCleanupLint } = await import('../cleanup/cli');
+      await runCleanupLint(command.optsWithGlobals());
+    });
+
+  const budgets = program
+    .command('budgets')
+    .description('Check metrics against config/quality-budgets.json')
+    .option('--config <file>', 'budget file (default: config/quality-budgets.json, then quality-budgets.json)')
+    .option('--profile <name>', 'apply an "overrides" profile')
+    .addOption(new Option('--format <format>', 'output format (default: reporting.format)').choices(['table', 'json']))
+    .option('--output <file>', 'write the report to a file instead of the console')
+    .option('--fail', 'fail when a budget is exceeded, regardless of reporting.failOnBudgetExceeded')
+    .option('--no-fail', 'never fail because of exceeded budgets');
+
+  for (const [flags, , description] of BUDGET_SOURCES) {
+    budgets.option(flags, description);
+  }
+
+  budgets.action(async (_options, command: Command) => {
+    const options = command.optsWithGlobals();
+    const sources: MetricSources = {};
+    for (const [flags, key] of BUDGET_SOURCES) {
+      const attribute = new Option(flags).attributeName();
+      if (options[attribute]) {
+        sources[key] = options[attribute];
+      }
+    }
+
+    const { runBudgets } = await import('../budgets/cli');
+    await runBudgets({
+      config: options.config,
+      profile: options.profile,
+      format: options.format || (options.json ? 'json' : undefined),
+      output: options.output,
+      fail: options.fail,
+      sources
+    });
+  });
+
+  const config = program
+    .command('config')
+    .description('Show or change project settings in .devenv/config.json')
+    .action(async () => {
+      const { runConfigShow } = await import('./commands');
+      await runConfigShow();
+    });
+
+  config
+    .command('show')
+    .description('Print the effective config, with defaults filled in')
+    .action(async () => {
+      const { runConfigShow } = await import('./commands');
+      await runConfigShow();
+    });
+
+  config
+    .command('get <key>')
+    .description('Print one value, e.g. healthScore.weights.testing')
+    .action(async (key: string) => {
+      const { runConfigGet } = await import('./commands');
+      await runConfigGet(key);
+    });
+
+  config
+    .command('set <key> <value>')
+    .description('Set a value (parsed as JSON when possible)')
+    .action(async (key: string, value: string) => {
+      const { runConfigSet } = await import('./commands');
+      await runConfigSet(key, value);
+    });
+
+  config
+    .command('unset <key>')
+    .description('Remove a value')
+    .action(async (key: string) => {
+      const { runConfigUnset } = await import('./commands');
+      await runConfigUnset(key);
+    });
+
+  config
+    .command('path')
+    .description('Print the config file path')
+    .action(async () => {
+      const { runConfigPath } = await import('./commands');
+      await runConfigPath();
+    });
+
+  program
+    .command('completion')
+    .description('Print a shell completion script')
+    .addArgument(program.createArgument('[shell]', 'shell').choices(COMPLETION_SHELLS).default('bash'))
+    .action((shell: CompletionShell) => {
+      process.stdout.write(generateCompletion(program, shell));
+    });
+
+  return program;
+}
+
+/**
+ * Run the CLI with user arguments (without the node and script paths)
+ */
+export async function main(argv: string[] = process.argv.slice(2)): Promise<void> {
+  try {
+    await createProgram().parseAsync(argv, { from: 'user' });
+  } catch (error: any) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Entry for the per-tool scripts devenv replaced: warn on stderr, then run the
+ * subcommand they stand for
+ */
+export async function runDeprecated(script: string, argv: string[]): Promise<void> {
+  console.error(`⚠️  ${script} is deprecated; use \`devenv ${argv[0]}\` instead`);
+  await main(argv);
+}
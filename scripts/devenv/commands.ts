@@ -0,0 +1,197 @@
+/**
+ * devenv command runners
+ *
+ * Runners for subcommands that don't have their own module (doctor, budgets
+ * and cleanup live with their features). Each works on process.cwd(), which
+ * the CLI sets from --cwd.
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { createLogger, LogLevel, output } from '../utils/logger';
+import { diagnose, saveDiagnosis } from '../doctor/diagnose';
+import { resolveScoringConfig } from '../doctor/scoring';
+import { PlanGenerator } from '../tools/plan-generator';
+import { resolveRules } from '../tools/gap-rules';
+import { diagnosisFindings, getToolVersion, toSarif } from '../tools/sarif';
+import {
+  getConfigValue,
+  getProjectConfigPath,
+  loadProjectConfig,
+  ProjectConfig,
+  saveProjectConfig,
+  setConfigValue,
+  unsetConfigValue
+} from '../utils/project-config';
+
+/** Package root from dist/scripts/devenv */
+const PACKAGE_ROOT = path.resolve(__dirname, '..', '..', '..');
+
+export interface AnalysisOptions {
+  format?: string;
+  logLevel?: LogLevel;
+}
+
+const INIT_WELCOME = `
+╔═══════════════════════════════════════════════════════════════╗
+║                                                               ║
+║  🚀 DevEnvTemplate - Ship Quality Code Faster                ║
+║                                                               ║
+║  For indie developers & solo founders                         ║
+║  Setup in < 5 minutes                                         ║
+║                                                               ║
+╚═══════════════════════════════════════════════════════════════╝
+
+Let's set up your project with testing, CI/CD, and best practices!
+
+Answer 5 quick questions and we'll configure everything automatically.
+`;
+
+const INIT_DONE = `
+╔═══════════════════════════════════════════════════════════════╗
+║                                                               ║
+║  ✅ Setup Complete!                                           ║
+║                                                               ║
+║  Next steps:                                                  ║
+║  1. git add .                                                 ║
+║  2. git commit -m "Add DevEnvTemplate"                        ║
+║  3. git push                                                  ║
+║                                                               ║
+║  Your CI/CD will run automatically on push!                   ║
+║                                                               ║
+║  Check .devenv/stack-report.json after pushing for your       ║
+║  quality audit.                                               ║
+║                                                               ║
+║  Need help? See USAGE.md or open an issue on GitHub          ║
+║                                                               ║
+╚═══════════════════════════════════════════════════════════════╝
+`;
+
+/**
+ * Run the interactive setup (simple by default, the full agent questionnaire with advanced)
+ */
+export async function runInit(options: { advanced?: boolean }): Promise<void> {
+  const script = path.join(PACKAGE_ROOT, 'scripts', 'agent', options.advanced ? 'cli.js' : 'cli-simple.js');
+  if (!options.advanced) {
+    output.info(INIT_WELCOME);
+  }
+
+  const code = await new Promise<number>((resolve, reject) => {
+    const child = spawn(process.execPath, [script], { stdio: 'inherit', cwd: process.cwd() });
+    child.on('exit', exitCode => resolve(exitCode ?? 1));
+    child.on('error', reject);
+  });
+
+  if (code !== 0) {
+    console.error(`\n❌ Setup failed with code ${code}`);
+    console.error('See error messages above for details.');
+    process.exit(code);
+  }
+  if (!options.advanced) {
+    output.info(INIT_DONE);
+  }
+}
+
+/**
+ * Detect the stack, analyze gaps and print them as markdown, JSON or SARIF
+ */
+export async function runGaps(options: AnalysisOptions): Promise<void> {
+  const rootDir = process.cwd();
+  const diagnosis = await diagnose({ rootDir, logLevel: options.logLevel });
+  await saveDiagnosis(diagnosis);
+
+  if (options.format === 'json') {
+    const packages = diagnosis.packages.map(pkg => ({ name: pkg.name, path: pkg.path, gaps: pkg.gapReport.gaps }));
+    console.log(JSON.stringify(packages.length > 0 ? { ...diagnosis.gapReport, packages } : diagnosis.gapReport, null, 2));
+  } else if (options.format === 'sarif') {
+    console.log(JSON.stringify(toSarif(diagnosisFindings(diagnosis), { rootDir, toolVersion: getToolVersion() }), null, 2));
+  } else {
+    output.info(diagnosis.gapsMarkdown);
+  }
+}
+
+/**
+ * Generate the hardening plan from a fresh gap analysis
+ */
+export async function runPlan(options: AnalysisOptions): Promise<void> {
+  const rootDir = process.cwd();
+  const diagnosis = await diagnose({ rootDir, logLevel: options.logLevel });
+  await saveDiagnosis(diagnosis);
+
+  if (options.format === 'json') {
+    const { plan } = diagnosis;
+    console.log(JSON.stringify({ ...plan, dependencyGraph: Object.fromEntries(plan.dependencyGraph) }, null, 2));
+    return;
+  }
+
+  const generator = new PlanGenerator({
+    rootDir,
+    gaps: diagnosis.gaps,
+    logger: createLogger({ context: 'plan-generator', level: options.logLevel || 'SILENT' })
+  });
+  const markdown = await generator.generate();
+  await generator.saveReport(markdown);
+  output.info(markdown);
+}
+
+/**
+ * Project config with defaults filled in for sections that have them
+ */
+function effectiveConfig(config: ProjectConfig): ProjectConfig {
+  resolveRules(config.rules); // only validated; the full catalogue is listed by `devenv doctor rules`
+  return { ...config, healthScore: resolveScoringConfig(config.healthScore) };
+}
+
+function printValue(value: unknown): void {
+  console.log(typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value));
+}
+
+export async function runConfigShow(): Promise<void> {
+  printValue(effectiveConfig(await loadProjectConfig(process.cwd())));
+}
+
+export async function runConfigPath(): Promise<void> {
+  console.log(getProjectConfigPath(process.cwd()));
+}
+
+export async function runConfigGet(key: string): Promise<void> {
+  const value = getConfigValue(effectiveConfig(await loadProjectConfig(process.cwd())), key);
+  if (value === undefined) {
+    console.error(`❌ ${key} is not set`);
+    process.exit(1);
+  }
+  printValue(value);
+}
+
+/**
+ * Set a value; JSON values (numbers, booleans, null, objects) are parsed,
+ * anything else is stored as a string
+ */
+export async function runConfigSet(key: string, rawValue: string): Promise<void> {
+  const rootDir = process.cwd();
+  const config = await loadProjectConfig(rootDir);
+
+  let value: unknown = rawValue;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    // Plain string
+  }
+
+  setConfigValue(config, key, value);
+  effectiveConfig(config); // throws on invalid values before anything is written
+  await saveProjectConfig(rootDir, config);
+  output.info(`✓ ${key} = ${JSON.stringify(value)}`);
+}
+
+export async function runConfigUnset(key: string): Promise<void> {
+  const rootDir = process.cwd();
+  const config = await loadProjectConfig(rootDir);
+
+  if (!unsetConfigValue(config, key)) {
+    console.error(`❌ ${key} is not set`);
+    process.exit(1);
+  }
+  await saveProjectConfig(rootDir, config);
+  output.info(`✓ Removed ${key}`);
+}
@@ -0,0 +1,143 @@
+/**
+ * Shell completion scripts
+ *
+ * Generated from the commander program, so new commands and options are
+ * completed without touching this file.
+ */
+
+import type { Command, Option } from 'commander';
+
+export type CompletionShell = 'bash' | 'zsh' | 'fish';
+
+export const COMPLETION_SHELLS: CompletionShell[] = ['bash', 'zsh', 'fish'];
+
+interface CommandNode {
+  /** Subcommand path, e.g. "doctor trend" ("" for the program itself) */
+  path: string;
+  command: Command;
+  /** Options of this command and every parent */
+  options: Option[];
+}
+
+function collectCommands(command: Command, parentPath = '', parentOptions: Option[] = []): CommandNode[] {
+  const options = [...parentOptions, ...command.options.filter(option => !option.hidden)];
+  const nodes: CommandNode[] = [{ path: parentPath, command, options }];
+
+  for (const sub of command.commands) {
+    const subPath = parentPath ? `${parentPath} ${sub.name()}` : sub.name();
+    nodes.push(...collectCommands(sub, subPath, options));
+  }
+  return nodes;
+}
+
+function optionFlags(option: Option): string[] {
+  return [option.short, option.long].filter((flag): flag is string => !!flag);
+}
+
+/**
+ * Completion script for a shell
+ */
+export function generateCompletion(program: Command, shell: CompletionShell): string {
+  const nodes = collectCommands(program);
+  switch (shell) {
+    case 'bash':
+      return bashCompletion(program.name(), nodes);
+    case 'zsh':
+      // zsh runs the bash completion through bashcompinit
+      return [
+        `#compdef ${program.name()}`,
+        'autoload -U +X bashcompinit && bashcompinit',
+        bashCompletion(program.name(), nodes)
+      ].join('\n');
+    case 'fish':
+      return fishCompletion(program.name(), nodes);
+  }
+}
+
+function bashCompletion(name: string, nodes: CommandNode[]): string {
+  const fn = `_${name.replace(/[^A-Za-z0-9_]/g, '_')}_completions`;
+  const valueOptions = new Set(nodes.flatMap(node => node.options.filter(o => o.required || o.optional).flatMap(optionFlags)));
+
+  const cases = nodes.map(node => {
+    const words = [
+      ...node.command.commands.map(sub => sub.name()),
+      ...node.options.flatMap(optionFlags),
+      '--help'
+    ];
+    const subcommands = node.command.commands.map(sub => sub.name()).join('|');
+    return [
+      `    "${node.path}")`,
+      `      subcommands="${subcommands}"`,
+      `      words="${Array.from(new Set(words)).join(' ')}"`,
+      '      ;;'
+    ].join('\n');
+  });
+
+  const choiceCases = nodes
+    .flatMap(node => node.options)
+    .filter(option => option.argChoices)
+    .flatMap(option => optionFlags(option).map(flag => `    ${flag}) COMPREPLY=( $(compgen -W "${option.argChoices!.join(' ')}" -- "$cur") ); return ;;`));
+
+  return `# ${name} bash completion
+# Install: ${name} completion bash > /etc/bash_completion.d/${name}
+#      or: source <(${name} completion bash)
+${fn}() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  local path="" subcommands="" words="" skip=0 i word
+
+  case "$prev" in
+${choiceCases.join('\n')}
+    ${Array.from(valueOptions).join('|') || '--'}) COMPREPLY=( $(compgen -f -- "$cur") ); return ;;
+  esac
+
+  for (( i = 1; i < COMP_CWORD; i++ )); do
+    word="\${COMP_WORDS[i]}"
+    if (( skip )); then skip=0; continue; fi
+    case "$word" in
+      ${Array.from(valueOptions).join('|') || '--'}) skip=1 ;;
+      -*) ;;
+      *) path="\${path:+$path }$word" ;;
+    esac
+  done
+
+  case "$path" in
+${cases.join('\n')}
+    *) words="" ;;
+  esac
+
+  COMPREPLY=( $(compgen -W "$words" -- "$cur") )
+}
+complete -o default -F ${fn} ${name}
+`;
+}
+
+function fishCompletion(name: string, nodes: CommandNode[]): string {
+  const escape = (text: string) => text.replace(/'/g, "\\'");
+  const lines = [`# ${name} fish completion`, `# Install: ${name} completion fish > ~/.config/fish/completions/${name}.fish`];
+
+  for (const node of nodes) {
+    const names = node.command.commands.map(sub => sub.name());
+    const parents = node.path ? node.path.split(' ') : [];
+    // The node applies when all of its parents were typed and none of its subcommands
+    const condition = [
+      ...parents.map(parent => `__fish_seen_subcommand_from ${parent}`),
+      ...(names.length > 0 ? [`not __fish_seen_subcommand_from ${names.join(' ')}`] : [])
+    ].join('; and ') || '__fish_use_subcommand';
+
+    for (const sub of node.command.commands) {
+      lines.push(`complete -c ${name} -f -n '${condition}' -a ${sub.name()} -d '${escape(sub.description())}'`);
+    }
+    for (const option of node.command.options.filter(o => !o.hidden)) {
+      const flags = [
+        option.short ? `-s ${option.short.replace(/^-/, '')}` : '',
+        option.long ? `-l ${option.long.replace(/^--/, '')}` : ''
+      ].filter(Boolean).join(' ');
+      const value = option.argChoices ? ` -x -a '${option.argChoices.join(' ')}'` : option.required ? ' -r' : '';
+      const scope = node.path ? ` -n '${parents.map(parent => `__fish_seen_subcommand_from ${parent}`).join('; and ')}'` : '';
+      lines.push(`complete -c ${name}${scope} ${flags}${value} -d '${escape(option.description)}'`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
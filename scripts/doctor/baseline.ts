@@ -0,0 +1,160 @@
+/**
+ * Accepted-issue baseline
+ *
+ * .devenv/baseline.json records gap fingerprints (category + title + files)
+ * that the team has accepted, optionally with a reason and an expiry date.
+ * The doctor then only fails on regressions: gaps that are new, more severe
+ * than when accepted, or whose acceptance has expired.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { Gap, GapSeverity } from '../types/gaps';
+import type {
+  Baseline,
+  BaselineComparison,
+  BaselineEntry,
+  BaselineRegression,
+  BaselineSummary
+} from '../types/doctor';
+
+const BASELINE_FILE = path.join('.devenv', 'baseline.json');
+const SEVERITY_RANK: Record<GapSeverity, number> = { low: 1, medium: 2, high: 3 };
+
+export function getBaselinePath(rootDir: string): string {
+  return path.join(rootDir, BASELINE_FILE);
+}
+
+/**
+ * Stable identifier for a gap; severity is deliberately excluded so a gap
+ * that gets worse keeps its fingerprint
+ */
+export function fingerprintGap(gap: Pick<Gap, 'category' | 'title' | 'files'>): string {
+  const files = [...(gap.files || [])].sort().join('\n');
+  return createHash('sha256')
+    .update(`${gap.category}\n${gap.title}\n${files}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Load the baseline, or null when none exists
+ */
+export async function loadBaseline(rootDir: string): Promise<Baseline | null> {
+  const baselinePath = getBaselinePath(rootDir);
+  let content: string;
+  try {
+    content = await fs.readFile(baselinePath, 'utf8');
+  } catch {
+    return null;
+  }
+
+  try {
+    const baseline = JSON.parse(content) as Baseline;
+    if (!Array.isArray(baseline.entries)) {
+      throw new Error('missing "entries" array');
+    }
+    return baseline;
+  } catch (error: any) {
+    throw new Error(`Invalid baseline ${BASELINE_FILE}: ${error.message}`);
+  }
+}
+
+export async function saveBaseline(rootDir: string, baseline: Baseline): Promise<void> {
+  const baselinePath = getBaselinePath(rootDir);
+  await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+  await fs.writeFile(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+function isExpired(entry: BaselineEntry, now: Date): boolean {
+  if (!entry.expires) {
+    return false;
+  }
+  // An expiry date is valid through the end of that day
+  return new Date(`${entry.expires}T23:59:59.999`) < now;
+}
+
+/**
+ * Split current gaps into accepted ones and regressions
+ */
+export function compareWithBaseline(gaps: Gap[], baseline: Baseline, now: Date = new Date()): BaselineComparison {
+  const entries = new Map(baseline.entries.map(entry => [entry.fingerprint, entry]));
+  const seen = new Set<string>();
+  const accepted: Gap[] = [];
+  const regressions: BaselineRegression[] = [];
+
+  for (const gap of gaps) {
+    const fingerprint = fingerprintGap(gap);
+    const entry = entries.get(fingerprint);
+    seen.add(fingerprint);
+
+    if (!entry) {
+      regressions.push({ fingerprint, status: 'new', gap });
+    } else if (isExpired(entry, now)) {
+      regressions.push({ fingerprint, status: 'expired', gap, baselineSeverity: entry.severity });
+    } else if (SEVERITY_RANK[gap.severity] > SEVERITY_RANK[entry.severity]) {
+      regressions.push({ fingerprint, status: 'worsened', gap, baselineSeverity: entry.severity });
+    } else {
+      accepted.push(gap);
+    }
+  }
+
+  const resolved = baseline.entries.filter(entry => !seen.has(entry.fingerprint));
+
+  return { accepted, regressions, resolved };
+}
+
+/**
+ * Build a baseline accepting every current gap. Reasons, expiry dates and
+ * acceptance dates of gaps already in the previous baseline are kept, except
+ * that an expired entry is accepted afresh: its expiry date is dropped and its
+ * acceptance date reset. Resolved gaps are dropped.
+ */
+export function buildBaseline(gaps: Gap[], previous: Baseline | null, now: Date = new Date()): Baseline {
+  const previousEntries = new Map((previous?.entries || []).map(entry => [entry.fingerprint, entry]));
+  const entries = new Map<string, BaselineEntry>();
+
+  for (const gap of gaps) {
+    const fingerprint = fingerprintGap(gap);
+    const existing = previousEntries.get(fingerprint);
+    const renewed = !!existing && isExpired(existing, now);
+
+    const entry: BaselineEntry = {
+      ...existing,
+      fingerprint,
+      category: gap.category,
+      title: gap.title,
+      files: [...(gap.files || [])].sort(),
+      severity: gap.severity,
+      acceptedAt: (!renewed && existing?.acceptedAt) || now.toISOString()
+    };
+    if (renewed) {
+      delete entry.expires;
+    }
+    entries.set(fingerprint, entry);
+  }
+
+  return {
+    version: 1,
+    updatedAt: now.toISOString(),
+    entries: Array.from(entries.values()).sort((a, b) => a.fingerprint.localeCompare(b.fingerprint))
+  };
+}
+
+/**
+ * Compact form of a comparison for the health report
+ */
+export function summarizeComparison(comparison: BaselineComparison): BaselineSummary {
+  return {
+    accepted: comparison.accepted.length,
+    resolved: comparison.resolved.length,
+    regressions: comparison.regressions.map(({ fingerprint, status, gap }) => ({
+      fingerprint,
+      status,
+      severity: gap.severity,
+      category: gap.category,
+      title: gap.title
+    }))
+  };
+}
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+
+/**
+ * Deprecated wrapper for the doctor command
+ * Equivalent to `devenv doctor <args>`; kept so existing scripts keep working
+ */
+
+require('../../dist/scripts/devenv/cli').runDeprecated('scripts/doctor/cli.js', ['doctor', ...process.argv.slice(2)]);
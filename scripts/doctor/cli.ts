@@ -1,5 +1,3 @@
-#!/usr/bin/env node
-
 /**
  * DevEnvTemplate Doctor Mode
  * 
@@ -8,280 +6,271 @@
  * - Prescribes solutions (gap-analyzer)
  * - Generates treatment plan (plan-generator)
  * - Shows health score
+ *
+ * Runs as `devenv doctor` (see scripts/devenv/cli.ts for argument parsing).
  */
 
-import { promises as fs } from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
-
-interface HealthScore {
-  overall: number;
-  security: number;
-  quality: number;
-  testing: number;
-  ci: number;
-  documentation: number;
-}
-
-interface Issue {
-  severity: 'critical' | 'warning' | 'info';
-  category: string;
-  message: string;
-  estimatedFix: string;
-}
-
-interface DoctorReport {
-  timestamp: string;
-  healthScore: HealthScore;
-  critical: Issue[];
-  warnings: Issue[];
-  info: Issue[];
-  quickWins: Issue[];
-}
-
-interface CliOptions {
+import { applyQuickWins, createQuickWinContext } from './quick-wins';
+import { diagnose, saveDiagnosis } from './diagnose';
+import { countIssues } from './health';
+import { computeTrend, createSnapshot, readHistory, recordSnapshot } from './history';
+import { buildBaseline, compareWithBaseline, loadBaseline, saveBaseline, summarizeComparison } from './baseline';
+import { diagnosisFindings, getToolVersion, toSarif } from '../tools/sarif';
+import { loadRulesConfig, resolveRules, RULES_DOCS } from '../tools/gap-rules';
+import { PROJECT_CONFIG_FILE } from '../utils/project-config';
+import type {
+  BaselineComparison,
+  Diagnosis,
+  DoctorPreset,
+  DoctorReport,
+  HealthScoreKey,
+  HealthTrend,
+  Issue
+} from '../types/doctor';
+import { LogLevel, output } from '../utils/logger';
+
+export interface DoctorCliOptions {
+  since?: string;
   fix?: boolean;
   noInstall?: boolean;
-  preset?: 'nextjs' | 'vite' | 'express' | 'vanilla';
+  preset?: DoctorPreset;
   dryRun?: boolean;
   strict?: boolean;
-  json?: boolean;
+  updateBaseline?: boolean;
+  format?: DoctorOutputFormat;
+  logLevel?: LogLevel;
 }
 
+export type DoctorOutputFormat = 'text' | 'json' | 'sarif';
+
 /**
  * Main doctor command
  */
-async function runDoctor(options: CliOptions = {}) {
-  if (!options.json) {
-    console.log('🏥 DevEnvTemplate Health Check\n');
+export async function runDoctor(options: DoctorCliOptions = {}) {
+  const text = (options.format || 'text') === 'text';
+  // Machine-readable output owns stdout; status messages go to stderr
+  const status = text ? (message: string) => output.info(message) : console.error;
+
+  if (text) {
+    output.info('🏥 DevEnvTemplate Health Check\n');
   }
 
   const workingDir = process.cwd();
-  const reportDir = path.join(workingDir, '.devenv');
-  
-  // Ensure .devenv directory exists
-  await fs.mkdir(reportDir, { recursive: true });
 
   // Apply preset override if specified
-  if (options.preset && !options.json) {
-    console.log(`🎯 Using preset: ${options.preset}\n`);
+  if (options.preset && text) {
+    output.info(`🎯 Using preset: ${options.preset}\n`);
   }
 
-  // Step 1: Run stack detector
-  console.log('🔍 Analyzing project stack...');
-  const stackDetectorPath = path.join(__dirname, '../tools/stack-detector.js');
-  let stackData: any;
-  
-  try {
-    const stackOutput = execSync(`node "${stackDetectorPath}"`, {
-      cwd: workingDir,
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    stackData = JSON.parse(stackOutput);
-  } catch (error: any) {
-    console.error('❌ Failed to detect stack:', error.message);
-    process.exit(1);
+  if (text) {
+    output.info('🔍 Analyzing project stack and identifying gaps...');
   }
 
-  // Step 2: Run gap analyzer
-  console.log('🔬 Identifying gaps and issues...');
-  const gapAnalyzerPath = path.join(__dirname, '../tools/gap-analyzer.js');
-  let gapsReport: string;
-  
+  let diagnosis: Diagnosis;
   try {
-    execSync(`node "${gapAnalyzerPath}"`, {
-      cwd: workingDir,
-      encoding: 'utf8',
-      stdio: 'inherit'
-    });
-    
-    // Read the generated report
-    const gapsReportPath = path.join(reportDir, 'gaps-report.md');
-    gapsReport = await fs.readFile(gapsReportPath, 'utf8');
+    diagnosis = await diagnose({ rootDir: workingDir, preset: options.preset, logLevel: options.logLevel });
   } catch (error: any) {
-    console.error('❌ Failed to analyze gaps:', error.message);
+    console.error('❌ Diagnosis failed:', error.message);
     process.exit(1);
   }
 
-  // Step 3: Parse gaps and calculate health score
-  console.log('📊 Calculating health score...\n');
-  const report = parseGapsReport(gapsReport);
+  const { report } = diagnosis;
+
+  // Accept all current gaps if asked, then compare against the baseline
+  if (options.updateBaseline) {
+    const baseline = buildBaseline(diagnosis.gaps, await loadBaseline(workingDir));
+    await saveBaseline(workingDir, baseline);
+    if (text) {
+      output.info(`📌 Baseline updated: ${baseline.entries.length} accepted gaps in .devenv/baseline.json\n`);
+    }
+  }
 
-  // Step 4: Display report
-  if (options.json) {
+  const baseline = await loadBaseline(workingDir);
+  let comparison: BaselineComparison | null = null;
+  if (baseline) {
+    comparison = compareWithBaseline(diagnosis.gaps, baseline);
+    report.baseline = summarizeComparison(comparison);
+  }
+
+  // Display report
+  if (options.format === 'json') {
     console.log(JSON.stringify(report, null, 2));
+  } else if (options.format === 'sarif') {
+    console.log(JSON.stringify(toSarif(diagnosisFindings(diagnosis), { rootDir: workingDir, toolVersion: getToolVersion() }), null, 2));
   } else {
+    output.info('📊 Calculating health score...\n');
     displayReport(report);
   }
 
-  // Step 5: Save full report
-  const reportPath = path.join(reportDir, 'health-report.json');
-  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-  
-  console.log(`\n💾 Full report saved: ${path.relative(workingDir, reportPath)}`);
+  // Save stack, gap and health reports, and record the score in history
+  const reportDir = path.join(workingDir, '.devenv');
+  await saveDiagnosis(diagnosis, reportDir);
+  await recordSnapshot(workingDir, createSnapshot(workingDir, report));
+
+  if (text) {
+    output.info(`\n💾 Full report saved: ${path.relative(workingDir, path.join(reportDir, 'health-report.json'))}`);
+  }
 
-  // Step 6: Auto-fix if requested
+  // Auto-fix if requested
   if (options.fix) {
     if (options.dryRun) {
-      console.log('\n🔍 DRY RUN - No changes will be applied\n');
+      status('\n🔍 DRY RUN - No changes will be applied\n');
+    }
+    status('\n🔧 Applying automatic fixes...');
+    const context = await createQuickWinContext(workingDir, diagnosis.stack, {
+      noInstall: options.noInstall,
+      log: status,
+      rules: diagnosis.rules
+    });
+    await applyQuickWins(context, { dryRun: options.dryRun });
+
+    // Each workspace package gets fixes for its own framework
+    for (const pkg of diagnosis.packages) {
+      status(`\n📦 ${pkg.name} (${pkg.path})`);
+      const packageContext = await createQuickWinContext(path.join(workingDir, pkg.path), pkg.stack, {
+        noInstall: options.noInstall,
+        workspacePackage: true,
+        log: status,
+        rules: diagnosis.rules
+      });
+      await applyQuickWins(packageContext, { dryRun: options.dryRun });
     }
-    console.log('\n🔧 Applying automatic fixes...');
-    await applyQuickFixes(report.quickWins, options);
   }
 
+  // With a baseline only regressions count: high severity always fails,
+  // medium severity fails in strict mode
+  if (comparison) {
+    const failing = comparison.regressions.filter(r =>
+      r.gap.severity === 'high' || (options.strict && r.gap.severity === 'medium')
+    );
+    if (failing.length > 0) {
+      status(`\n❌ ${failing.length} regression(s) against .devenv/baseline.json`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const criticalCount = countIssues(report, 'critical');
+  const warningCount = countIssues(report, 'warnings');
+
   // Exit with error code if issues found (in strict mode)
-  if (options.strict && (report.critical.length > 0 || report.warnings.length > 0)) {
-    console.log('\n❌ Exiting with error code due to --strict flag');
+  if (options.strict && (criticalCount > 0 || warningCount > 0)) {
+    status('\n❌ Exiting with error code due to --strict flag');
     process.exit(1);
-  } else if (report.critical.length > 0) {
+  } else if (criticalCount > 0) {
     process.exit(1);
   }
 }
 
 /**
- * Parse gaps report markdown and extract issues
+ * Show how the health score changed since an earlier run
  */
-function parseGapsReport(markdown: string): DoctorReport {
-  const critical: Issue[] = [];
-  const warnings: Issue[] = [];
-  const info: Issue[] = [];
-  const quickWins: Issue[] = [];
-
-  // Parse markdown sections
-  const lines = markdown.split('\n');
-  let currentSeverity: 'critical' | 'warning' | 'info' | null = null;
-  let currentCategory = '';
-
-  for (const line of lines) {
-    // Detect severity sections
-    if (line.includes('🔴 Critical') || line.includes('Critical Gaps')) {
-      currentSeverity = 'critical';
-    } else if (line.includes('🟡 Warning') || line.includes('Recommended Improvements')) {
-      currentSeverity = 'warning';
-    } else if (line.includes('🟢 Info') || line.includes('Optional Enhancements')) {
-      currentSeverity = 'info';
-    }
-
-    // Detect category
-    if (line.startsWith('### ')) {
-      currentCategory = line.replace('###', '').trim();
-    }
+export async function runTrend(options: DoctorCliOptions): Promise<void> {
+  if (options.format === 'sarif') {
+    throw new Error('SARIF output is only available for health checks, not trends');
+  }
 
-    // Detect issues (lines starting with - or *)
-    if ((line.trim().startsWith('-') || line.trim().startsWith('*')) && currentSeverity) {
-      const message = line.trim().replace(/^[-*]\s*/, '');
-      if (message && !message.startsWith('[')) { // Skip links
-        const issue: Issue = {
-          severity: currentSeverity,
-          category: currentCategory,
-          message,
-          estimatedFix: estimateFixTime(message)
-        };
-
-        if (currentSeverity === 'critical') {
-          critical.push(issue);
-        } else if (currentSeverity === 'warning') {
-          warnings.push(issue);
-        } else {
-          info.push(issue);
-        }
-
-        // Identify quick wins (< 10 min)
-        if (isQuickWin(message)) {
-          quickWins.push(issue);
-        }
-      }
+  const workingDir = process.cwd();
+  const history = await readHistory(workingDir);
+  const trend = computeTrend(workingDir, history, options.since || 'last');
+
+  if (!trend) {
+    const message = 'Not enough history yet - run the doctor at least twice to see a trend';
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ error: message, snapshots: history.length }, null, 2));
+    } else {
+      output.info(`📈 ${message}`);
     }
+    return;
   }
 
-  // Calculate health scores
-  const healthScore = calculateHealthScore(critical, warnings, info);
+  if (options.format === 'json') {
+    console.log(JSON.stringify(trend, null, 2));
+  } else {
+    displayTrend(trend);
+  }
+}
 
-  return {
-    timestamp: new Date().toISOString(),
-    healthScore,
-    critical,
-    warnings,
-    info,
-    quickWins
+/**
+ * Display per-category deltas in terminal
+ */
+function displayTrend(trend: HealthTrend) {
+  const describe = (snapshot: HealthTrend['baseline']) => {
+    const commit = snapshot.commit ? snapshot.commit.slice(0, 7) : 'no commit';
+    return `${snapshot.timestamp.slice(0, 16).replace('T', ' ')} (${commit}${snapshot.dirty ? ', uncommitted changes' : ''})`;
   };
+
+  output.info(`📈 Health Trend since ${trend.baselineLabel}\n`);
+  output.info(`   From: ${describe(trend.baseline)}`);
+  output.info(`   To:   ${describe(trend.current)}\n`);
+
+  const rows: Array<[string, HealthScoreKey]> = [
+    ['Overall', 'overall'],
+    ['Security', 'security'],
+    ['Code Quality', 'quality'],
+    ['Testing', 'testing'],
+    ['CI/CD', 'ci'],
+    ['Documentation', 'documentation']
+  ];
+
+  rows.forEach(([label, key]) => {
+    const before = trend.baseline.healthScore[key];
+    const after = trend.current.healthScore[key];
+    output.info(`   ${(label + ':').padEnd(15)} ${String(before).padStart(3)} → ${String(after).padStart(3)}  ${formatDelta(trend.deltas[key])}`);
+  });
+
+  const issueDelta = trend.current.issues.critical - trend.baseline.issues.critical;
+  output.info('');
+  output.info(`   Critical issues: ${trend.baseline.issues.critical} → ${trend.current.issues.critical} (${issueDelta > 0 ? '+' : ''}${issueDelta})`);
+}
+
+function formatDelta(delta: number): string {
+  if (delta > 0) return `🟢 +${delta}`;
+  if (delta < 0) return `🔴 ${delta}`;
+  return '⚪ ±0';
 }
 
 /**
- * Calculate health scores with indie-focused priorities
- * Testing: 25%, CI/CD: 20%, Type Safety: 20%, Env Hygiene: 15%, Lint/Format: 20%
+ * List the gap analysis rule catalogue with this project's settings
  */
-function calculateHealthScore(
-  critical: Issue[],
-  warnings: Issue[],
-  info: Issue[]
-): HealthScore {
-  // Categorize issues by type
-  const categorize = (issues: Issue[], keywords: string[]) =>
-    issues.filter(i => 
-      keywords.some(kw => 
-        i.category.toLowerCase().includes(kw) ||
-        i.message.toLowerCase().includes(kw)
-      )
-    ).length;
-
-  // Count issues by category
-  const testingIssues = categorize([...critical, ...warnings], ['test', 'testing', 'jest', 'vitest', 'playwright']);
-  const ciIssues = categorize([...critical, ...warnings], ['ci', 'pipeline', 'workflow', 'github actions']);
-  const typeSafetyIssues = categorize([...critical, ...warnings], ['typescript', 'strict', 'type', '@types']);
-  const envIssues = categorize([...critical, ...warnings], ['env', 'environment', 'secret', 'gitignore']);
-  const lintFormatIssues = categorize([...critical, ...warnings], ['eslint', 'prettier', 'lint', 'format']);
-
-  // Calculate category scores (start at 100, deduct for issues)
-  // Critical issues: -20 points, Warning issues: -10 points
-  const calcCategoryScore = (criticalCount: number, warningCount: number) => {
-    return Math.max(0, 100 - (criticalCount * 20) - (warningCount * 10));
-  };
+export async function runRules(options: DoctorCliOptions): Promise<void> {
+  if (options.format === 'sarif') {
+    throw new Error('SARIF output is only available for health checks, not the rule catalogue');
+  }
 
-  const testing = calcCategoryScore(
-    categorize(critical, ['test', 'testing', 'jest', 'vitest', 'playwright']),
-    categorize(warnings, ['test', 'testing', 'jest', 'vitest', 'playwright'])
-  );
-
-  const ci = calcCategoryScore(
-    categorize(critical, ['ci', 'pipeline', 'workflow', 'github actions']),
-    categorize(warnings, ['ci', 'pipeline', 'workflow', 'github actions'])
-  );
-
-  const typeSafety = calcCategoryScore(
-    categorize(critical, ['typescript', 'strict', 'type', '@types']),
-    categorize(warnings, ['typescript', 'strict', 'type', '@types'])
-  );
-
-  const envHygiene = calcCategoryScore(
-    categorize(critical, ['env', 'environment', 'secret', 'gitignore']),
-    categorize(warnings, ['env', 'environment', 'secret', 'gitignore'])
-  );
-
-  const lintFormat = calcCategoryScore(
-    categorize(critical, ['eslint', 'prettier', 'lint', 'format']),
-    categorize(warnings, ['eslint', 'prettier', 'lint', 'format'])
-  );
-
-  // Calculate weighted overall score
-  // Testing: 25%, CI: 20%, Type Safety: 20%, Env: 15%, Lint/Format: 20%
-  const overall = Math.round(
-    testing * 0.25 +
-    ci * 0.20 +
-    typeSafety * 0.20 +
-    envHygiene * 0.15 +
-    lintFormat * 0.20
-  );
-
-  return {
-    overall,
-    security: envHygiene, // Map to legacy 'security' field
-    quality: lintFormat,
-    testing,
-    ci,
-    documentation: Math.max(0, 100 - categorize([...critical, ...warnings], ['readme', 'documentation', 'docs']) * 15)
-  };
+  const rules = [...resolveRules(await loadRulesConfig(process.cwd())).values()];
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(rules, null, 2));
+    return;
+  }
+
+  output.info(`📋 Gap Analysis Rules (${rules.length})\n`);
+  for (const rule of rules) {
+    const severity = rule.enabled ? rule.severity : 'off';
+    const marker = rule.configured ? '*' : ' ';
+    output.info(`   ${rule.id.padEnd(15)} ${(severity + marker).padEnd(8)} ${rule.title}`);
+  }
+  output.info('');
+  output.info(`   * configured in ${PROJECT_CONFIG_FILE}`);
+  output.info(`   Details and options: ${RULES_DOCS}`);
+}
+
+const CATEGORY_LABELS: Record<string, string> = {
+  security: 'Security',
+  quality: 'Code Quality',
+  testing: 'Testing',
+  ci: 'CI/CD',
+  typeSafety: 'Type Safety',
+  documentation: 'Documentation'
+};
+
+/**
+ * Label for a scoring category, e.g. "accessibility" → "Accessibility"
+ */
+function categoryLabel(name: string): string {
+  return CATEGORY_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1).replace(/([A-Z])/g, ' $1');
 }
 
 /**
@@ -292,72 +281,96 @@ function displayReport(report: DoctorReport) {
   const healthColor = report.healthScore.overall >= 80 ? '🟢' : 
                       report.healthScore.overall >= 60 ? '🟡' : '🔴';
   
-  console.log(`${healthColor} Project Health: ${report.healthScore.overall}/100`);
-  console.log('');
+  output.info(`${healthColor} Project Health: ${report.healthScore.overall}/100`);
+  output.info('');
 
   // Breakdown
-  console.log('📊 Health Breakdown:');
-  console.log(`   Security:      ${formatScore(report.healthScore.security)}`);
-  console.log(`   Code Quality:  ${formatScore(report.healthScore.quality)}`);
-  console.log(`   Testing:       ${formatScore(report.healthScore.testing)}`);
-  console.log(`   CI/CD:         ${formatScore(report.healthScore.ci)}`);
-  console.log(`   Documentation: ${formatScore(report.healthScore.documentation)}`);
-  console.log('');
+  output.info('📊 Health Breakdown:');
+  Object.entries(report.healthScore.categories || {}).forEach(([name, score]) => {
+    output.info(`   ${(categoryLabel(name) + ':').padEnd(15)} ${formatScore(score)}`);
+  });
+  output.info('');
+
+  // Workspace packages
+  if (report.packages && report.packages.length > 0) {
+    output.info(`📦 Workspace Packages (${report.packages.length}):`);
+    output.info(`   ${'(repository root)'.padEnd(28)} ${formatScore(report.repository!.overall)}`);
+    report.packages.forEach(pkg => {
+      const label = `${pkg.path} [${pkg.framework}]`;
+      const issues = pkg.critical.length > 0 ? ` - ${pkg.critical.length} critical` : '';
+      output.info(`   ${label.padEnd(28)} ${formatScore(pkg.healthScore.overall)}${issues}`);
+    });
+    output.info('');
+  }
+
+  // Baseline comparison
+  if (report.baseline) {
+    const { accepted, resolved, regressions } = report.baseline;
+    output.info(`📌 Baseline: ${accepted} accepted, ${resolved} resolved, ${regressions.length} regressions`);
+    const icons = { new: '🆕', worsened: '📉', expired: '⏰' };
+    regressions.slice(0, 5).forEach(r => {
+      output.info(`   ${icons[r.status]} [${r.status}] ${r.title} (${r.severity})`);
+    });
+    if (regressions.length > 5) {
+      output.info(`   ... and ${regressions.length - 5} more`);
+    }
+    output.info('');
+  }
 
   // Critical issues
   if (report.critical.length > 0) {
-    console.log(`🔴 Critical Issues (${report.critical.length}):`);
+    output.info(`🔴 Critical Issues (${report.critical.length}):`);
     report.critical.slice(0, 5).forEach(issue => {
-      console.log(`   - ${issue.message}`);
+      output.info(`   - ${formatIssue(issue)}`);
     });
     if (report.critical.length > 5) {
-      console.log(`   ... and ${report.critical.length - 5} more`);
+      output.info(`   ... and ${report.critical.length - 5} more`);
     }
-    console.log('');
+    output.info('');
   }
 
   // Warnings
   if (report.warnings.length > 0) {
-    console.log(`🟡 Warnings (${report.warnings.length}):`);
+    output.info(`🟡 Warnings (${report.warnings.length}):`);
     report.warnings.slice(0, 3).forEach(issue => {
-      console.log(`   - ${issue.message}`);
+      output.info(`   - ${formatIssue(issue)}`);
     });
     if (report.warnings.length > 3) {
-      console.log(`   ... and ${report.warnings.length - 3} more`);
+      output.info(`   ... and ${report.warnings.length - 3} more`);
     }
-    console.log('');
+    output.info('');
   }
 
   // Good practices
   const goodCount = Math.max(0, 15 - report.critical.length - report.warnings.length);
   if (goodCount > 0) {
-    console.log(`🟢 Good Practices (${goodCount}):`);
-    console.log('   - Basic project structure present');
-    if (report.healthScore.security > 80) console.log('   - Security measures in place');
-    if (report.healthScore.testing > 80) console.log('   - Testing infrastructure present');
-    if (report.healthScore.ci > 80) console.log('   - CI/CD pipeline configured');
-    console.log('');
+    output.info(`🟢 Good Practices (${goodCount}):`);
+    output.info('   - Basic project structure present');
+    if (report.healthScore.security > 80) output.info('   - Security measures in place');
+    if (report.healthScore.testing > 80) output.info('   - Testing infrastructure present');
+    if (report.healthScore.ci > 80) output.info('   - CI/CD pipeline configured');
+    output.info('');
   }
 
   // Quick wins
   if (report.quickWins.length > 0) {
-    console.log(`💡 Quick Wins (can fix in < 10 min):`);
+    output.info(`💡 Quick Wins (can fix in < 10 min):`);
     report.quickWins.slice(0, 5).forEach((issue, i) => {
-      console.log(`   ${i + 1}. ${issue.message} → ${issue.estimatedFix}`);
+      output.info(`   ${i + 1}. ${issue.message} → ${issue.estimatedFix}`);
     });
-    console.log('');
+    output.info('');
   }
 
   // Next steps
-  console.log('📋 Next Steps:');
+  output.info('📋 Next Steps:');
   if (report.critical.length > 0) {
-    console.log('   1. Address critical issues first');
+    output.info('   1. Address critical issues first');
   }
   if (report.quickWins.length > 0) {
-    console.log('   2. Apply quick wins with: npm run doctor --fix');
+    output.info('   2. Apply quick wins with: npm run doctor --fix');
   }
-  console.log('   3. View full report: .devenv/health-report.json');
-  console.log('   4. Generate action plan: node scripts/tools/plan-generator.js');
+  output.info('   3. View full report: .devenv/health-report.json');
+  output.info('   4. Generate action plan: node scripts/tools/plan-generator.js');
 }
 
 /**
@@ -370,227 +383,8 @@ function formatScore(score: number): string {
 }
 
 /**
- * Estimate fix time based on issue message
+ * Issue message with its rule ID, e.g. "[DET-TS-003] TypeScript Strict Mode Disabled"
  */
-function estimateFixTime(message: string): string {
-  const lower = message.toLowerCase();
-  
-  if (lower.includes('.env.example') || lower.includes('add file')) {
-    return '2 min';
-  }
-  if (lower.includes('strict mode') || lower.includes('enable')) {
-    return '1 min';
-  }
-  if (lower.includes('eslint') || lower.includes('prettier')) {
-    return '5 min';
-  }
-  if (lower.includes('testing') || lower.includes('framework')) {
-    return '15 min';
-  }
-  if (lower.includes('ci') || lower.includes('pipeline')) {
-    return '20 min';
-  }
-  
-  return '10 min';
-}
-
-/**
- * Check if issue is a quick win (< 10 min to fix)
- */
-function isQuickWin(message: string): boolean {
-  const quickWinKeywords = [
-    '.env.example',
-    'strict mode',
-    'eslint',
-    'prettier',
-    '.gitignore',
-    'readme',
-    'license'
-  ];
-  
-  const lower = message.toLowerCase();
-  return quickWinKeywords.some(keyword => lower.includes(keyword));
+function formatIssue(issue: Issue): string {
+  return issue.ruleId ? `[${issue.ruleId}] ${issue.message}` : issue.message;
 }
-
-/**
- * Apply automatic fixes for quick wins
- */
-async function applyQuickFixes(quickWins: Issue[], options: CliOptions): Promise<void> {
-  let fixedCount = 0;
-
-  for (const issue of quickWins) {
-    const lower = issue.message.toLowerCase();
-
-    if (options.dryRun) {
-      console.log(`   [DRY RUN] Would fix: ${issue.message}`);
-      continue;
-    }
-
-    try {
-      // Add .env.example
-      if (lower.includes('.env.example')) {
-        await fs.writeFile('.env.example', `# Environment Variables
-# Copy this file to .env and fill in your values
-
-# Application
-NODE_ENV=development
-PORT=3000
-
-# Database
-# DATABASE_URL=
-
-# API Keys
-# API_KEY=
-`);
-        console.log('   ✓ Created .env.example');
-        fixedCount++;
-      }
-
-      // Add .gitignore entry for .env
-      if (lower.includes('.env') && lower.includes('gitignore')) {
-        const gitignorePath = '.gitignore';
-        let gitignoreContent = '';
-        
-        try {
-          gitignoreContent = await fs.readFile(gitignorePath, 'utf8');
-        } catch {
-          // File doesn't exist, will create
-        }
-
-        if (!gitignoreContent.includes('.env')) {
-          gitignoreContent += '\n# Environment variables\n.env\n.env.local\n';
-          await fs.writeFile(gitignorePath, gitignoreContent);
-          console.log('   ✓ Added .env to .gitignore');
-          fixedCount++;
-        }
-      }
-
-      // Enable TypeScript strict mode
-      if (lower.includes('strict mode') && lower.includes('typescript')) {
-        const tsconfigPath = 'tsconfig.json';
-        
-        try {
-          const tsconfigContent = await fs.readFile(tsconfigPath, 'utf8');
-          const tsconfig = JSON.parse(tsconfigContent);
-          
-          if (!tsconfig.compilerOptions) {
-            tsconfig.compilerOptions = {};
-          }
-          
-          tsconfig.compilerOptions.strict = true;
-          
-          await fs.writeFile(tsconfigPath, JSON.stringify(tsconfig, null, 2));
-          console.log('   ✓ Enabled TypeScript strict mode');
-          fixedCount++;
-        } catch {
-          // tsconfig doesn't exist or is invalid
-        }
-      }
-    } catch (error: any) {
-      console.error(`   ✗ Failed to fix: ${issue.message} - ${error.message}`);
-    }
-  }
-
-  if (options.dryRun) {
-    console.log(`\n📋 Would apply ${quickWins.length} fixes (dry run mode)`);
-  } else {
-    console.log(`\n✅ Applied ${fixedCount} automatic fixes`);
-  }
-}
-
-// Parse CLI arguments
-function parseArgs(): CliOptions {
-  const args = process.argv.slice(2);
-  const options: CliOptions = {
-    fix: false,
-    noInstall: false,
-    dryRun: false,
-    strict: false,
-    json: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--fix':
-        options.fix = true;
-        break;
-      case '--no-install':
-        options.noInstall = true;
-        break;
-      case '--preset':
-        const nextArg = args[i + 1];
-        if (nextArg && ['nextjs', 'vite', 'express', 'vanilla'].includes(nextArg)) {
-          options.preset = nextArg as any;
-          i++; // Skip next arg
-        } else {
-          console.error('❌ Invalid preset. Use: nextjs, vite, express, or vanilla');
-          process.exit(1);
-        }
-        break;
-      case '--dry-run':
-        options.dryRun = true;
-        break;
-      case '--strict':
-        options.strict = true;
-        break;
-      case '--json':
-        options.json = true;
-        break;
-      case '--help':
-      case '-h':
-        printHelp();
-        process.exit(0);
-        break;
-      default:
-        console.error(`❌ Unknown option: ${arg}`);
-        printHelp();
-        process.exit(1);
-    }
-  }
-
-  return options;
-}
-
-function printHelp() {
-  console.log(`
-DevEnvTemplate Doctor - Health check and auto-fix tool
-
-USAGE:
-  npm run doctor [options]
-
-OPTIONS:
-  --fix              Apply automatic fixes to detected issues
-  --no-install       Skip installing missing dependencies (use with --fix)
-  --preset <type>    Override framework detection (nextjs|vite|express|vanilla)
-  --dry-run          Show what would be fixed without applying changes
-  --strict           Exit with code 1 on any warnings (useful for CI)
-  --json             Output results in JSON format
-  -h, --help         Show this help message
-
-EXAMPLES:
-  npm run doctor                          # Check project health
-  npm run doctor --fix                    # Fix issues automatically
-  npm run doctor --fix --no-install       # Fix but skip package installation
-  npm run doctor --preset nextjs          # Override framework detection
-  npm run doctor --dry-run                # Preview fixes
-  npm run doctor --json                   # Machine-readable output
-  npm run doctor --strict                 # Fail CI on any warnings
-
-WORKFLOW:
-  1. Run 'npm run doctor' to see health score and issues
-  2. Run 'npm run doctor --fix' to auto-fix simple issues
-  3. Review changes and test
-  4. Add --no-install if you want to install dependencies manually
-`);
-}
-
-const options = parseArgs();
-
-// Run doctor
-runDoctor(options).catch(error => {
-  console.error('❌ Doctor check failed:', error.message);
-  process.exit(1);
-});
-
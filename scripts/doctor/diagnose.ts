@@ -0,0 +1,180 @@
+/**
+ * Doctor programmatic API
+ *
+ * Runs the full doctor pipeline in-process:
+ * stack detection → gap analysis → health scoring → hardening plan.
+ * Workspace packages in a monorepo are detected and scored separately.
+ *
+ * Never reads process.cwd() or calls process.exit(); callers pass rootDir
+ * and decide what to do with the result.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createLogger, Logger } from '../utils/logger';
+import { StackDetector } from '../tools/stack-detector';
+import { GapAnalyzer } from '../tools/gap-analyzer';
+import { loadRulesConfig, resolveRules } from '../tools/gap-rules';
+import { PlanGenerator } from '../tools/plan-generator';
+import { attachPackageReports, buildDoctorReport } from './health';
+import { loadScoringConfig, resolveScoringConfig } from './scoring';
+import type { Gap, RulesConfig, StackReport } from '../types/gaps';
+import type { Diagnosis, DiagnoseOptions, PackageDiagnosis, ScoringConfig } from '../types/doctor';
+
+export type {
+  Diagnosis,
+  DiagnoseOptions,
+  DoctorReport,
+  HealthScore,
+  Issue,
+  DoctorPreset,
+  PackageDiagnosis,
+  PackageReport,
+  ScoringConfig
+} from '../types/doctor';
+export type { HardeningPlan } from '../types/plan';
+
+/**
+ * Diagnose a project and return typed report and plan objects
+ */
+export async function diagnose(options: DiagnoseOptions): Promise<Diagnosis> {
+  if (!options || !options.rootDir) {
+    throw new Error('diagnose() requires a rootDir');
+  }
+
+  const { rootDir, preset } = options;
+  const logger = createLogger({ context: 'doctor', level: options.logLevel || 'SILENT' });
+  const scoring = options.scoring ? resolveScoringConfig(options.scoring) : await loadScoringConfig(rootDir);
+  const rules = options.rules || (await loadRulesConfig(rootDir));
+
+  const detector = new StackDetector({ rootDir, logger: logger.child('stack-detector') });
+  const stack = await detector.detect();
+
+  if (preset) {
+    stack.frameworks = { ...stack.frameworks, type: preset };
+  }
+
+  const analyzer = new GapAnalyzer({ rootDir, stack, rules, logger: logger.child('gap-analyzer') });
+  const gapsMarkdown = await analyzer.analyze();
+  const gapReport = analyzer.getGapReport();
+
+  const packages = await diagnosePackages(rootDir, stack, scoring, rules, logger);
+
+  const report = attachPackageReports(
+    buildDoctorReport(gapReport, scoring),
+    packages.map(pkg => ({
+      name: pkg.name,
+      path: pkg.path,
+      framework: pkg.stack.frameworks?.type || 'vanilla',
+      healthScore: pkg.report.healthScore,
+      critical: pkg.report.critical,
+      warnings: pkg.report.warnings,
+      info: pkg.report.info,
+      quickWins: pkg.report.quickWins
+    }))
+  );
+
+  const gaps = [...gapReport.gaps, ...packages.flatMap(pkg => pkg.gapReport.gaps.map(gap => scopeGap(gap, pkg.path)))];
+
+  const generator = new PlanGenerator({
+    rootDir,
+    gaps,
+    logger: logger.child('plan-generator')
+  });
+  const plan = await generator.generatePlan();
+
+  return { rootDir, stack, gapReport, gapsMarkdown, report, plan, packages, gaps, rules: resolveRules(rules) };
+}
+
+/** Tools usually configured once at the workspace root and shared by every package */
+const SHARED_TECHNOLOGIES = ['TypeScript', 'ESLint', 'Prettier', 'Jest', 'Vitest', 'Playwright'];
+const SHARED_CONFIGURATIONS = ['eslint', 'prettier'];
+
+/**
+ * Detect and analyze each workspace package on its own
+ */
+async function diagnosePackages(
+  rootDir: string,
+  rootStack: StackReport,
+  scoring: ScoringConfig,
+  rules: RulesConfig,
+  logger: Logger
+): Promise<PackageDiagnosis[]> {
+  const packages: PackageDiagnosis[] = [];
+
+  for (const pkg of rootStack.workspaces?.packages || []) {
+    const packageDir = path.join(rootDir, pkg.path);
+    const packageLogger = logger.child(pkg.path);
+
+    const stack = await new StackDetector({ rootDir: packageDir, logger: packageLogger }).detect();
+    inheritRepositoryTooling(stack, rootStack);
+
+    // Rule settings come from the workspace root
+    const analyzer = new GapAnalyzer({ rootDir: packageDir, stack, scope: 'package', rules, logger: packageLogger });
+    await analyzer.analyze();
+    const gapReport = analyzer.getGapReport();
+
+    packages.push({ ...pkg, stack, gapReport, report: buildDoctorReport(gapReport, scoring) });
+  }
+
+  return packages;
+}
+
+/**
+ * Give a package credit for CI and tooling that live at the workspace root
+ */
+function inheritRepositoryTooling(stack: StackReport, rootStack: StackReport): void {
+  stack.ci = { ...rootStack.ci };
+
+  for (const tech of rootStack.technologies) {
+    if (SHARED_TECHNOLOGIES.includes(tech.name) && !stack.technologies.some(t => t.name === tech.name)) {
+      stack.technologies.push({ ...tech, source: 'workspace root' });
+    }
+  }
+
+  for (const config of rootStack.configurations) {
+    if (SHARED_CONFIGURATIONS.includes(config.type) && !stack.configurations.some(c => c.type === config.type)) {
+      stack.configurations.push({ ...config, inherited: true });
+    }
+  }
+
+  for (const flag of ['linting', 'formatting', 'security'] as const) {
+    stack.quality[flag] = stack.quality[flag] || rootStack.quality[flag];
+  }
+}
+
+/**
+ * Point a package gap at its package so plan tasks stay distinct
+ */
+function scopeGap(gap: Gap, packagePath: string): Gap {
+  return {
+    ...gap,
+    title: `${gap.title} (${packagePath})`,
+    files: gap.files.map(file => path.posix.join(packagePath, file))
+  };
+}
+
+/**
+ * Write diagnosis artifacts to the report directory (default: <rootDir>/.devenv)
+ * Returns the paths that were written.
+ */
+export async function saveDiagnosis(diagnosis: Diagnosis, reportDir?: string): Promise<string[]> {
+  const outputDir = reportDir || path.join(diagnosis.rootDir, '.devenv');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const files: Array<[string, string]> = [
+    ['stack-report.json', JSON.stringify(diagnosis.stack, null, 2)],
+    ['gaps-report.md', diagnosis.gapsMarkdown],
+    ['gaps-report.json', JSON.stringify(diagnosis.gapReport, null, 2)],
+    ['health-report.json', JSON.stringify(diagnosis.report, null, 2)]
+  ];
+
+  const written: string[] = [];
+  for (const [name, content] of files) {
+    const filePath = path.join(outputDir, name);
+    await fs.writeFile(filePath, content);
+    written.push(filePath);
+  }
+
+  return written;
+}
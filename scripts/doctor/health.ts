@@ -0,0 +1,200 @@
+/**
+ * Doctor health scoring
+ *
+ * Turns a structured gap report into a DoctorReport with issues grouped by
+ * severity, quick wins and a weighted health score.
+ */
+
+import { DEFAULT_SCORING_CONFIG } from './scoring';
+import type { Gap, GapCategory, GapReport } from '../types/gaps';
+import type { DoctorReport, HealthScore, HealthScoreKey, Issue, PackageReport, ScoringConfig } from '../types/doctor';
+
+/**
+ * Build doctor report from the structured gap report
+ */
+export function buildDoctorReport(
+  gapReport: GapReport,
+  scoring: ScoringConfig = DEFAULT_SCORING_CONFIG
+): DoctorReport {
+  const critical: Issue[] = [];
+  const warnings: Issue[] = [];
+  const info: Issue[] = [];
+  const quickWins: Issue[] = [];
+
+  const severityMap: Record<Gap['severity'], Issue['severity']> = {
+    high: 'critical',
+    medium: 'warning',
+    low: 'info'
+  };
+
+  for (const gap of gapReport.gaps) {
+    const issue: Issue = {
+      ...(gap.ruleId && { ruleId: gap.ruleId }),
+      severity: severityMap[gap.severity],
+      category: gap.category,
+      message: gap.title,
+      estimatedFix: estimateFixTime(gap.title)
+    };
+
+    if (issue.severity === 'critical') {
+      critical.push(issue);
+    } else if (issue.severity === 'warning') {
+      warnings.push(issue);
+    } else {
+      info.push(issue);
+    }
+
+    // Identify quick wins (< 10 min)
+    if (isQuickWin(gap.title)) {
+      quickWins.push(issue);
+    }
+  }
+
+  // Calculate health scores
+  const healthScore = calculateHealthScore(critical, warnings, info, scoring);
+
+  return {
+    timestamp: new Date().toISOString(),
+    healthScore,
+    critical,
+    warnings,
+    info,
+    quickWins
+  };
+}
+
+/**
+ * Calculate health scores from typed issue categories. Each scoring category
+ * starts at 100 and loses the configured penalty per issue; the overall score
+ * is the weighted average of the categories.
+ */
+export function calculateHealthScore(
+  critical: Issue[],
+  warnings: Issue[],
+  info: Issue[],
+  config: ScoringConfig = DEFAULT_SCORING_CONFIG
+): HealthScore {
+  const categories: Record<string, number> = {};
+  for (const name of Object.keys(config.weights)) {
+    categories[name] = 100;
+  }
+
+  for (const issue of [...critical, ...warnings, ...info]) {
+    const category = config.categoryMap[issue.category as GapCategory];
+    if (category && category in categories) {
+      categories[category] = Math.max(0, categories[category] - config.penalties[issue.severity]);
+    }
+  }
+
+  let weightedTotal = 0;
+  let totalWeight = 0;
+  for (const [name, weight] of Object.entries(config.weights)) {
+    weightedTotal += categories[name] * weight;
+    totalWeight += weight;
+  }
+
+  return {
+    overall: totalWeight > 0 ? Math.round(weightedTotal / totalWeight) : 100,
+    security: categories.security ?? 100,
+    quality: categories.quality ?? 100,
+    testing: categories.testing ?? 100,
+    ci: categories.ci ?? 100,
+    documentation: categories.documentation ?? 100,
+    categories
+  };
+}
+
+/**
+ * Estimate fix time based on issue message
+ */
+export function estimateFixTime(message: string): string {
+  const lower = message.toLowerCase();
+  
+  if (lower.includes('.env.example') || lower.includes('add file')) {
+    return '2 min';
+  }
+  if (lower.includes('strict mode') || lower.includes('enable')) {
+    return '1 min';
+  }
+  if (lower.includes('eslint') || lower.includes('prettier')) {
+    return '5 min';
+  }
+  if (lower.includes('testing') || lower.includes('framework')) {
+    return '15 min';
+  }
+  if (lower.includes('ci') || lower.includes('pipeline')) {
+    return '20 min';
+  }
+  
+  return '10 min';
+}
+
+/**
+ * Check if issue is a quick win (< 10 min to fix)
+ */
+export function isQuickWin(message: string): boolean {
+  const quickWinKeywords = [
+    '.env.example',
+    'strict mode',
+    'eslint',
+    'prettier',
+    '.gitignore',
+    'readme',
+    'license'
+  ];
+  
+  const lower = message.toLowerCase();
+  return quickWinKeywords.some(keyword => lower.includes(keyword));
+}
+
+/**
+ * Average health scores category by category
+ */
+export function aggregateHealthScores(scores: HealthScore[]): HealthScore {
+  const keys: HealthScoreKey[] = ['overall', 'security', 'quality', 'testing', 'ci', 'documentation'];
+  const average = (values: number[]) =>
+    values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 100;
+  const aggregate = {} as HealthScore;
+
+  for (const key of keys) {
+    aggregate[key] = average(scores.map(score => score[key]));
+  }
+
+  const names = new Set(scores.flatMap(score => Object.keys(score.categories || {})));
+  if (names.size > 0) {
+    aggregate.categories = {};
+    for (const name of names) {
+      aggregate.categories[name] = average(
+        scores.filter(score => score.categories && name in score.categories).map(score => score.categories![name])
+      );
+    }
+  }
+
+  return aggregate;
+}
+
+/**
+ * Attach workspace package reports to the repository report. The top-level
+ * healthScore becomes the average of the repository and every package; the
+ * repository's own score is kept under `repository`.
+ */
+export function attachPackageReports(report: DoctorReport, packages: PackageReport[]): DoctorReport {
+  if (packages.length === 0) {
+    return report;
+  }
+
+  return {
+    ...report,
+    healthScore: aggregateHealthScores([report.healthScore, ...packages.map(p => p.healthScore)]),
+    repository: report.healthScore,
+    packages
+  };
+}
+
+/**
+ * Count issues of a severity across the repository and its packages
+ */
+export function countIssues(report: DoctorReport, severity: 'critical' | 'warnings'): number {
+  return report[severity].length +
+    (report.packages || []).reduce((sum, pkg) => sum + pkg[severity].length, 0);
+}
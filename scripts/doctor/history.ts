@@ -0,0 +1,162 @@
+/**
+ * Health-score history
+ *
+ * Every doctor run appends a snapshot to .devenv/history/health.jsonl keyed by
+ * git commit. Trends compare the latest snapshot with an earlier one: the
+ * previous run, the latest tag, a date or a git ref.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  getCommitDate,
+  getCurrentBranch,
+  getHeadCommit,
+  getLatestTag,
+  isWorkingTreeDirty,
+  resolveCommit
+} from '../utils/git';
+import type { DoctorReport, HealthScore, HealthScoreKey, HealthSnapshot, HealthTrend, TrendSince } from '../types/doctor';
+
+const HISTORY_FILE = path.join('.devenv', 'history', 'health.jsonl');
+const SCORE_KEYS: HealthScoreKey[] = ['overall', 'security', 'quality', 'testing', 'ci', 'documentation'];
+
+export function getHistoryPath(rootDir: string): string {
+  return path.join(rootDir, HISTORY_FILE);
+}
+
+/**
+ * Build a snapshot of a report for the current git state
+ */
+export function createSnapshot(rootDir: string, report: DoctorReport): HealthSnapshot {
+  const snapshot: HealthSnapshot = {
+    timestamp: report.timestamp,
+    commit: getHeadCommit(rootDir),
+    branch: getCurrentBranch(rootDir),
+    dirty: isWorkingTreeDirty(rootDir, ['.devenv']),
+    healthScore: report.healthScore,
+    issues: {
+      critical: report.critical.length,
+      warnings: report.warnings.length,
+      info: report.info.length
+    }
+  };
+
+  if (report.packages && report.packages.length > 0) {
+    snapshot.packages = report.packages.map(pkg => ({ path: pkg.path, overall: pkg.healthScore.overall }));
+  }
+
+  return snapshot;
+}
+
+/**
+ * Append a snapshot to the history file
+ */
+export async function recordSnapshot(rootDir: string, snapshot: HealthSnapshot): Promise<void> {
+  const historyPath = getHistoryPath(rootDir);
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+  await fs.appendFile(historyPath, JSON.stringify(snapshot) + '\n');
+}
+
+/**
+ * Read all snapshots, oldest first. Unparseable lines are skipped.
+ */
+export async function readHistory(rootDir: string): Promise<HealthSnapshot[]> {
+  let content: string;
+  try {
+    content = await fs.readFile(getHistoryPath(rootDir), 'utf8');
+  } catch {
+    return [];
+  }
+
+  const snapshots: HealthSnapshot[] = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      snapshots.push(JSON.parse(line));
+    } catch {
+      // Ignore truncated or hand-edited lines
+    }
+  }
+
+  return snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Compare the latest snapshot with a baseline. Returns null when history has
+ * fewer than two snapshots; throws when the requested baseline can't be found.
+ */
+export function computeTrend(
+  rootDir: string,
+  history: HealthSnapshot[],
+  since: TrendSince = 'last'
+): HealthTrend | null {
+  if (history.length < 2) {
+    return null;
+  }
+
+  const current = history[history.length - 1];
+  const earlier = history.slice(0, -1);
+  const { baseline, label } = findBaseline(rootDir, earlier, since);
+
+  const deltas = {} as HealthScore;
+  for (const key of SCORE_KEYS) {
+    deltas[key] = current.healthScore[key] - baseline.healthScore[key];
+  }
+
+  return { since, baselineLabel: label, baseline, current, deltas };
+}
+
+function findBaseline(
+  rootDir: string,
+  earlier: HealthSnapshot[],
+  since: TrendSince
+): { baseline: HealthSnapshot; label: string } {
+  if (since === 'last') {
+    return { baseline: earlier[earlier.length - 1], label: 'previous run' };
+  }
+
+  if (since === 'tag') {
+    const tag = getLatestTag(rootDir);
+    if (!tag) {
+      throw new Error('No git tag found to compare against');
+    }
+    return { baseline: findByRef(rootDir, earlier, tag), label: `tag ${tag}` };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+    return { baseline: findByDate(earlier, new Date(`${since}T00:00:00`).toISOString(), since), label: since };
+  }
+
+  return { baseline: findByRef(rootDir, earlier, since), label: since };
+}
+
+/**
+ * Latest snapshot taken at the ref's commit, or else the latest taken before
+ * the commit was made
+ */
+function findByRef(rootDir: string, earlier: HealthSnapshot[], ref: string): HealthSnapshot {
+  const commit = resolveCommit(rootDir, ref);
+  if (!commit) {
+    throw new Error(`Unknown git ref or date: ${ref}`);
+  }
+
+  const atCommit = earlier.filter(s => s.commit === commit);
+  if (atCommit.length > 0) {
+    return atCommit[atCommit.length - 1];
+  }
+
+  const commitDate = getCommitDate(rootDir, commit);
+  return findByDate(earlier, commitDate ? new Date(commitDate).toISOString() : '', ref);
+}
+
+/**
+ * Latest snapshot taken before the date
+ */
+function findByDate(earlier: HealthSnapshot[], isoDate: string, label: string): HealthSnapshot {
+  const before = earlier.filter(s => s.timestamp < isoDate);
+  if (before.length === 0) {
+    throw new Error(`No health snapshot recorded before ${label}`);
+  }
+  return before[before.length - 1];
+}
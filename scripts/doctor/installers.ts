@@ -14,6 +14,8 @@ export interface InstallerOptions {
   noInstall?: boolean;
   dryRun?: boolean;
   verbose?: boolean;
+  /** Progress output, console.log by default */
+  log?: (message: string) => void;
 }
 
 export interface PackageManagerInfo {
@@ -139,6 +141,7 @@ export async function installDevDependencies(
     errors: [],
     packageManager: 'npm'
   };
+  const log = options.log || console.log;
 
   if (packages.length === 0) {
     return result;
@@ -148,10 +151,10 @@ export async function installDevDependencies(
   if (options.noInstall) {
     result.skipped = packages;
     if (options.verbose) {
-      console.log('⏭️  Skipping installation (--no-install flag set)');
-      console.log('   To install manually, run:');
+      log('⏭️  Skipping installation (--no-install flag set)');
+      log('   To install manually, run:');
       const pm = await detectPackageManager(options.rootDir);
-      console.log(`   ${pm.addDevCommand(packages)}`);
+      log(`   ${pm.addDevCommand(packages)}`);
     }
     return result;
   }
@@ -167,14 +170,14 @@ export async function installDevDependencies(
   if (toInstall.length === 0) {
     result.skipped = packages;
     if (options.verbose) {
-      console.log('✅ All packages already installed');
+      log('✅ All packages already installed');
     }
     return result;
   }
 
   if (options.dryRun) {
-    console.log(`[DRY RUN] Would install: ${toInstall.join(', ')}`);
-    console.log(`[DRY RUN] Command: ${pm.addDevCommand(toInstall)}`);
+    log(`[DRY RUN] Would install: ${toInstall.join(', ')}`);
+    log(`[DRY RUN] Command: ${pm.addDevCommand(toInstall)}`);
     result.skipped = toInstall;
     return result;
   }
@@ -182,21 +185,22 @@ export async function installDevDependencies(
   // Install packages
   try {
     if (options.verbose) {
-      console.log(`📦 Installing dev dependencies with ${pm.name}...`);
-      console.log(`   ${toInstall.join(', ')}`);
+      log(`📦 Installing dev dependencies with ${pm.name}...`);
+      log(`   ${toInstall.join(', ')}`);
     }
 
     const command = pm.addDevCommand(toInstall);
     execSync(command, {
       cwd: options.rootDir,
-      stdio: options.verbose ? 'inherit' : 'pipe',
+      // The package manager's output is progress too, so it goes to stderr
+      stdio: options.verbose ? ['inherit', process.stderr, process.stderr] : 'pipe',
       encoding: 'utf8'
     });
 
     result.installed = toInstall;
     
     if (options.verbose) {
-      console.log(`✅ Installed ${toInstall.length} package(s)`);
+      log(`✅ Installed ${toInstall.length} package(s)`);
     }
   } catch (error: any) {
     const errorMsg = error.message || 'Unknown error';
@@ -5,6 +5,13 @@
  * Used by doctor mode to suggest and auto-apply improvements.
  */
 
+import { promises as fs } from 'fs';
+import path from 'path';
+import { installDevDependencies } from './installers';
+import { ENV_EXAMPLE_FILE, planEnvExample } from '../tools/env-usage';
+import { loadRulesConfig, resolveRules } from '../tools/gap-rules';
+import type { ResolvedRule } from '../types/gaps';
+
 export interface QuickWin {
   id: string;
   title: string;
@@ -13,6 +20,7 @@ export interface QuickWin {
   autoFixable: boolean;
   category: 'testing' | 'ci' | 'type-safety' | 'env-hygiene' | 'lint-format';
   frameworks?: ('nextjs' | 'vite' | 'express' | 'vanilla')[];
+  repositoryOnly?: boolean; // Applies at the repository root, never inside workspace packages
   detectCondition: (context: QuickWinContext) => boolean | Promise<boolean>;
   fixAction?: (context: QuickWinContext) => Promise<QuickWinResult>;
 }
@@ -25,11 +33,19 @@ export interface QuickWinContext {
   readFile: (path: string) => Promise<string>;
   writeFile: (path: string, content: string) => Promise<void>;
   updateJson: (path: string, updater: (obj: any) => any) => Promise<void>;
+  noInstall?: boolean;
+  workspacePackage?: boolean;
+  /** Progress output; stderr when the report itself goes to stdout */
+  log: (message: string) => void;
+  /** Rule settings, from the workspace root for workspace packages */
+  rules: Map<string, ResolvedRule>;
 }
 
 export interface QuickWinResult {
   success: boolean;
   message: string;
+  /** Nothing was changed, e.g. under --no-install; message says why */
+  skipped?: boolean;
   filesCreated?: string[];
   filesModified?: string[];
   error?: string;
@@ -44,22 +60,24 @@ export const QUICK_WINS: QuickWin[] = [
   // ========================================
   {
     id: 'add-env-example',
-    title: 'Add .env.example file',
-    description: 'Create .env.example to document required environment variables',
+    title: 'Sync .env.example with environment usage',
+    description: 'Regenerate .env.example from the environment variables the source reads',
     estimatedTime: '2 min',
     autoFixable: true,
     category: 'env-hygiene',
     detectCondition: async (ctx) => {
-      return !(await ctx.hasFile('.env.example')) && (await ctx.hasFile('.env') || await ctx.hasFile('.env.local'));
+      const { current, updated } = await planEnvExample(ctx.rootDir, ctx.rules);
+      return updated !== null && updated !== current;
     },
     fixAction: async (ctx) => {
-      const content = getEnvExampleTemplate(ctx.stack.frameworks?.type);
-      await ctx.writeFile('.env.example', content);
-      return {
-        success: true,
-        message: 'Created .env.example',
-        filesCreated: ['.env.example']
-      };
+      const { current, updated } = await planEnvExample(ctx.rootDir, ctx.rules);
+      if (updated === null || updated === current) {
+        return { success: true, message: '.env.example is up to date' };
+      }
+      await ctx.writeFile(ENV_EXAMPLE_FILE, updated);
+      return current === null
+        ? { success: true, message: 'Created .env.example from environment usage', filesCreated: [ENV_EXAMPLE_FILE] }
+        : { success: true, message: 'Updated .env.example from environment usage', filesModified: [ENV_EXAMPLE_FILE] };
     }
   },
   {
@@ -126,6 +144,32 @@ export const QUICK_WINS: QuickWin[] = [
              ctx.packageJson.devDependencies?.typescript &&
              !ctx.packageJson.devDependencies?.['@types/node'] &&
              !ctx.packageJson.dependencies?.['@types/node'];
+    },
+    fixAction: async (ctx) => {
+      const result = await installDevDependencies(['@types/node'], {
+        rootDir: ctx.rootDir,
+        noInstall: ctx.noInstall,
+        log: ctx.log
+      });
+      if (result.errors.length > 0) {
+        return {
+          success: false,
+          message: 'Failed to install @types/node',
+          error: result.errors.join('; ')
+        };
+      }
+      if (result.installed.length === 0) {
+        return {
+          success: true,
+          skipped: true,
+          message: `Skipped installing @types/node (${result.packageManager} install not run)`
+        };
+      }
+      return {
+        success: true,
+        message: 'Installed @types/node',
+        filesModified: ['package.json']
+      };
     }
   },
 
@@ -151,6 +195,15 @@ export const QUICK_WINS: QuickWin[] = [
         if (await ctx.hasFile(config)) return false;
       }
       return ctx.packageJson?.devDependencies?.eslint || false;
+    },
+    fixAction: async (ctx) => {
+      const framework = ctx.stack.frameworks?.type || 'vanilla';
+      await ctx.writeFile('.eslintrc.json', await readTemplate(`eslint-${framework}.json`));
+      return {
+        success: true,
+        message: `Created .eslintrc.json (${framework} preset)`,
+        filesCreated: ['.eslintrc.json']
+      };
     }
   },
   {
@@ -160,6 +213,7 @@ export const QUICK_WINS: QuickWin[] = [
     estimatedTime: '2 min',
     autoFixable: true,
     category: 'lint-format',
+    repositoryOnly: true,
     detectCondition: async (ctx) => {
       const prettierConfigs = [
         '.prettierrc',
@@ -171,6 +225,14 @@ export const QUICK_WINS: QuickWin[] = [
         if (await ctx.hasFile(config)) return false;
       }
       return ctx.packageJson?.devDependencies?.prettier || false;
+    },
+    fixAction: async (ctx) => {
+      await ctx.writeFile('.prettierrc.json', await readTemplate('prettierrc.json'));
+      return {
+        success: true,
+        message: 'Created .prettierrc.json',
+        filesCreated: ['.prettierrc.json']
+      };
     }
   },
   {
@@ -294,66 +356,43 @@ export const QUICK_WINS: QuickWin[] = [
     estimatedTime: '8 min',
     autoFixable: true,
     category: 'ci',
+    repositoryOnly: true,
     detectCondition: async (ctx) => {
       return !(await ctx.hasFile('.github/workflows/ci.yml')) &&
              !(await ctx.hasFile('.github/workflows/indie-ci.yml'));
+    },
+    fixAction: async (ctx) => {
+      await ctx.writeFile('.github/workflows/ci.yml', await readTemplate('ci-workflow.yml'));
+      return {
+        success: true,
+        message: 'Created GitHub Actions CI workflow',
+        filesCreated: ['.github/workflows/ci.yml']
+      };
     }
   },
 ];
 
 /**
- * Get .env.example template based on framework
+ * Read a config template shipped with doctor mode
+ *
+ * Templates live next to the TypeScript sources and are not copied by tsc,
+ * so fall back to the source tree when running from dist/.
  */
-function getEnvExampleTemplate(framework?: string): string {
-  const base = `# Environment Variables
-# Copy this file to .env and fill in your values
-
-# Application
-NODE_ENV=development
-PORT=3000
-`;
-
-  const templates: Record<string, string> = {
-    nextjs: base + `
-# Next.js
-# NEXT_PUBLIC_API_URL=
-
-# Database (if using)
-# DATABASE_URL=
-
-# Authentication (if using)
-# NEXTAUTH_URL=http://localhost:3000
-# NEXTAUTH_SECRET=
-
-# API Keys
-# API_KEY=
-`,
-    express: base + `
-# Database
-# DATABASE_URL=
-
-# JWT/Authentication
-# JWT_SECRET=
-
-# API Keys
-# API_KEY=
-
-# Redis (if using)
-# REDIS_URL=
-`,
-    vite: base + `
-# API URL
-# VITE_API_URL=http://localhost:3000
-
-# Feature flags
-# VITE_ENABLE_ANALYTICS=false
-
-# API Keys (prefix with VITE_ to expose to client)
-# VITE_PUBLIC_KEY=
-`,
-  };
+async function readTemplate(name: string): Promise<string> {
+  const candidates = [
+    path.join(__dirname, 'templates', name),
+    path.join(__dirname, '..', '..', '..', 'scripts', 'doctor', 'templates', name)
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      return await fs.readFile(candidate, 'utf8');
+    } catch {
+      continue;
+    }
+  }
 
-  return templates[framework || 'vanilla'] || base;
+  throw new Error(`Template not found: ${name}`);
 }
 
 /**
@@ -365,6 +404,10 @@ export async function getApplicableQuickWins(
   const applicable: QuickWin[] = [];
 
   for (const quickWin of QUICK_WINS) {
+    if (quickWin.repositoryOnly && context.workspacePackage) {
+      continue;
+    }
+
     // Check if framework matches (if specified)
     if (quickWin.frameworks && quickWin.frameworks.length > 0) {
       const currentFramework = context.stack.frameworks?.type || 'vanilla';
@@ -387,3 +430,139 @@ export async function getApplicableQuickWins(
   return applicable;
 }
 
+/**
+ * Quick wins fixed, skipped and left for manual work by applyQuickWins
+ */
+export interface QuickWinSummary {
+  fixed: number;
+  skipped: number;
+  manual: number;
+}
+
+/**
+ * Apply automatic fixes from the quick wins registry, reporting through the
+ * context's log so machine-readable output keeps stdout to itself
+ */
+export async function applyQuickWins(
+  context: QuickWinContext,
+  options: { dryRun?: boolean } = {}
+): Promise<QuickWinSummary> {
+  const applicable = await getApplicableQuickWins(context);
+  const filesCreated = new Set<string>();
+  const filesModified = new Set<string>();
+  const summary: QuickWinSummary = { fixed: 0, skipped: 0, manual: 0 };
+  const { log } = context;
+
+  if (applicable.length === 0) {
+    log('   Nothing to fix - no quick wins apply to this project');
+    return summary;
+  }
+
+  for (const quickWin of applicable) {
+    if (!quickWin.autoFixable || !quickWin.fixAction) {
+      log(`   • ${quickWin.title} (manual, ~${quickWin.estimatedTime})`);
+      summary.manual++;
+      continue;
+    }
+
+    if (options.dryRun) {
+      log(`   [DRY RUN] Would fix: ${quickWin.title}`);
+      continue;
+    }
+
+    try {
+      const result = await quickWin.fixAction(context);
+
+      if (!result.success) {
+        console.error(`   ✗ Failed to fix: ${quickWin.title} - ${result.error || result.message}`);
+        continue;
+      }
+      if (result.skipped) {
+        log(`   - ${result.message}`);
+        summary.skipped++;
+        continue;
+      }
+
+      log(`   ✓ ${result.message}`);
+      result.filesCreated?.forEach(file => filesCreated.add(file));
+      result.filesModified?.forEach(file => filesModified.add(file));
+      summary.fixed++;
+    } catch (error: any) {
+      console.error(`   ✗ Failed to fix: ${quickWin.title} - ${error.message}`);
+    }
+  }
+
+  if (options.dryRun) {
+    log(`\n📋 Would apply ${applicable.length - summary.manual} fixes (dry run mode)`);
+    return summary;
+  }
+
+  log(`\n✅ Applied ${summary.fixed} automatic fixes${summary.skipped > 0 ? `, skipped ${summary.skipped}` : ''}`);
+  if (filesCreated.size > 0) {
+    log(`   Created:  ${Array.from(filesCreated).join(', ')}`);
+  }
+  if (filesModified.size > 0) {
+    log(`   Modified: ${Array.from(filesModified).join(', ')}`);
+  }
+  return summary;
+}
+
+
+/**
+ * Build a quick win context backed by the file system
+ */
+export async function createQuickWinContext(
+  rootDir: string,
+  stack: any,
+  options: {
+    noInstall?: boolean;
+    workspacePackage?: boolean;
+    log?: (message: string) => void;
+    rules?: Map<string, ResolvedRule>;
+  } = {}
+): Promise<QuickWinContext> {
+  const resolve = (file: string) => path.join(rootDir, file);
+
+  const readPackageJson = async () => {
+    try {
+      return JSON.parse(await fs.readFile(resolve('package.json'), 'utf8'));
+    } catch {
+      return undefined;
+    }
+  };
+
+  const context: QuickWinContext = {
+    rootDir,
+    stack: stack || {},
+    packageJson: await readPackageJson(),
+    noInstall: options.noInstall,
+    workspacePackage: options.workspacePackage,
+    log: options.log || console.log,
+    rules: options.rules || resolveRules(await loadRulesConfig(rootDir)),
+    hasFile: async (file) => {
+      try {
+        await fs.access(resolve(file));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    readFile: (file) => fs.readFile(resolve(file), 'utf8'),
+    writeFile: async (file, content) => {
+      await fs.mkdir(path.dirname(resolve(file)), { recursive: true });
+      await fs.writeFile(resolve(file), content);
+    },
+    updateJson: async (file, updater) => {
+      const current = JSON.parse(await fs.readFile(resolve(file), 'utf8'));
+      const updated = updater(current) ?? current;
+      await fs.writeFile(resolve(file), JSON.stringify(updated, null, 2) + '\n');
+
+      // Keep package.json in sync so later detect conditions see earlier fixes
+      if (file === 'package.json') {
+        context.packageJson = updated;
+      }
+    }
+  };
+
+  return context;
+}
@@ -0,0 +1,96 @@
+/**
+ * Health-score configuration
+ *
+ * Scoring categories, their weights, the points deducted per issue and the
+ * mapping from gap categories can be overridden in the `healthScore` section
+ * of .devenv/config.json. Each section is merged over the defaults, so a
+ * project only lists what it changes.
+ */
+
+import { loadProjectConfig, PROJECT_CONFIG_FILE } from '../utils/project-config';
+import type { ScoringConfig } from '../types/doctor';
+
+/**
+ * Indie-focused defaults
+ * Testing: 25%, CI/CD: 20%, Type Safety: 20%, Security/Env: 15%, Lint/Format: 20%
+ */
+export const DEFAULT_SCORING_CONFIG: ScoringConfig = {
+  weights: {
+    testing: 25,
+    ci: 20,
+    typeSafety: 20,
+    security: 15,
+    quality: 20,
+    documentation: 0
+  },
+  penalties: {
+    critical: 20,
+    warning: 10,
+    info: 0
+  },
+  categoryMap: {
+    testing: 'testing',
+    ci: 'ci',
+    'git-hooks': 'ci',
+    docker: 'ci',
+    observability: 'ci',
+    typescript: 'typeSafety',
+    security: 'security',
+    environment: 'security',
+    dependencies: 'security',
+    git: 'security',
+    linting: 'quality',
+    quality: 'quality',
+    architecture: 'quality',
+    accessibility: 'quality',
+    performance: 'quality',
+    documentation: 'documentation'
+  }
+};
+
+/**
+ * Merge overrides over the defaults and validate the result
+ */
+export function resolveScoringConfig(overrides: Partial<ScoringConfig> = {}): ScoringConfig {
+  const config: ScoringConfig = {
+    weights: { ...DEFAULT_SCORING_CONFIG.weights, ...overrides.weights },
+    penalties: { ...DEFAULT_SCORING_CONFIG.penalties, ...overrides.penalties },
+    categoryMap: { ...DEFAULT_SCORING_CONFIG.categoryMap, ...overrides.categoryMap }
+  };
+
+  for (const [name, weight] of Object.entries(config.weights)) {
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`healthScore.weights.${name} must be a non-negative number`);
+    }
+  }
+  if (!Object.values(config.weights).some(weight => weight > 0)) {
+    throw new Error('healthScore.weights needs at least one category with a positive weight');
+  }
+
+  for (const [severity, penalty] of Object.entries(config.penalties)) {
+    if (typeof penalty !== 'number' || penalty < 0) {
+      throw new Error(`healthScore.penalties.${severity} must be a non-negative number`);
+    }
+  }
+
+  for (const [gapCategory, category] of Object.entries(config.categoryMap)) {
+    if (category !== null && !(category in config.weights)) {
+      throw new Error(`healthScore.categoryMap.${gapCategory} refers to unknown category "${category}"`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Load the scoring configuration for a project. Missing config files or
+ * sections fall back to the defaults.
+ */
+export async function loadScoringConfig(rootDir: string): Promise<ScoringConfig> {
+  const config = await loadProjectConfig(rootDir);
+  try {
+    return resolveScoringConfig(config.healthScore);
+  } catch (error: any) {
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Offline dependency analysis
+ *
+ * Reads what package-lock.json, pnpm-lock.yaml or yarn.lock installs and
+ * checks it against package.json and a locally cached advisory database.
+ * Nothing is fetched: refreshing the database is up to the project (see
+ * docs/RULES.md#det-dep-003).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import semver from 'semver';
+import yaml from 'yaml';
+import type { Advisory, AdvisoryDatabase, LockedPackage, LockFileContents } from '../types/gaps';
+
+/** Lock files in the order they're looked for */
+export const ANALYZED_LOCK_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock'];
+
+export const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'] as const;
+
+const locked = (name: string, version: string, deprecated?: unknown): LockedPackage =>
+  typeof deprecated === 'string' && deprecated ? { name, version, deprecated } : { name, version };
+
+/**
+ * Packages in a package-lock.json (lockfileVersion 1 to 3)
+ */
+export function parseNpmLock(text: string): LockedPackage[] {
+  const lock = JSON.parse(text);
+  const packages: LockedPackage[] = [];
+
+  if (lock.packages) {
+    for (const [key, entry] of Object.entries<any>(lock.packages)) {
+      // '' is the project and paths without node_modules/ are workspaces
+      const index = key.lastIndexOf('node_modules/');
+      if (index === -1 || entry.link || !entry.version) continue;
+      packages.push(locked(entry.name || key.slice(index + 'node_modules/'.length), entry.version, entry.deprecated));
+    }
+    return packages;
+  }
+
+  // lockfileVersion 1 nests dependencies instead
+  const walk = (dependencies: Record<string, any> = {}) => {
+    for (const [name, entry] of Object.entries<any>(dependencies)) {
+      if (entry.version) packages.push(locked(name, entry.version, entry.deprecated));
+      walk(entry.dependencies);
+    }
+  };
+  walk(lock.dependencies);
+  return packages;
+}
+
+/**
+ * Name and version from a pnpm packages key: "name@1.0.0" (v9),
+ * "/name@1.0.0(peer@2.0.0)" (v6) or "/name/1.0.0_peer@2.0.0" (v5)
+ */
+function parsePnpmKey(key: string): [string, string] | null {
+  const id = key.replace(/^\//, '').replace(/\(.*$/, '');
+  const match = /^((?:@[^/]+\/)?[^/@]+)@(.+)$/.exec(id) || /^((?:@[^/]+\/)?[^/@]+)\/([^/]+)$/.exec(id);
+  return match ? [match[1], match[2].replace(/_.*$/, '')] : null;
+}
+
+/**
+ * Packages in a pnpm-lock.yaml (lockfile versions 5, 6 and 9)
+ */
+export function parsePnpmLock(text: string): LockedPackage[] {
+  const lock = yaml.parse(text) || {};
+  const packages: LockedPackage[] = [];
+
+  for (const [key, entry] of Object.entries<any>(lock.packages || {})) {
+    // Non-registry packages record their name and version on the entry
+    const parsed = parsePnpmKey(key);
+    const name = entry?.name || parsed?.[0];
+    const version = entry?.version || parsed?.[1];
+    if (name && version) packages.push(locked(name, version, entry?.deprecated));
+  }
+  return packages;
+}
+
+/**
+ * Packages in a yarn.lock (classic v1 or berry); yarn records no deprecations
+ */
+export function parseYarnLock(text: string): LockedPackage[] {
+  const packages: LockedPackage[] = [];
+  let name: string | null = null;
+
+  for (const line of text.split('\n')) {
+    if (/^[^\s#]/.test(line)) {
+      // `"@scope/name@^1.0.0", "@scope/name@^1.1.0":` names the package once per specifier
+      const spec = line.replace(/:\s*$/, '').split(/,\s*/)[0].replace(/^"|"$/g, '');
+      const at = spec.indexOf('@', 1);
+      name = at > 0 && spec !== '__metadata' && !spec.includes('@workspace:') ? spec.slice(0, at) : null;
+    } else if (name) {
+      const version = /^ {2}version:?\s+"?([^"\s]+)"?\s*$/.exec(line);
+      if (version) {
+        packages.push(locked(name, version[1]));
+        name = null;
+      }
+    }
+  }
+  return packages;
+}
+
+/**
+ * Read and parse the project's lock file, or null if it has none
+ */
+export async function readLockFile(rootDir: string): Promise<LockFileContents | null> {
+  for (const file of ANALYZED_LOCK_FILES) {
+    let text: string;
+    try {
+      text = await fs.readFile(path.join(rootDir, file), 'utf8');
+    } catch {
+      continue;
+    }
+
+    try {
+      const packages = file === 'pnpm-lock.yaml' ? parsePnpmLock(text) : file === 'yarn.lock' ? parseYarnLock(text) : parseNpmLock(text);
+      return { file, packages };
+    } catch (error: any) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the advisory database; null if the file doesn't exist
+ */
+export async function loadAdvisoryDatabase(file: string): Promise<AdvisoryDatabase | null> {
+  let text: string;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+
+  try {
+    const database = JSON.parse(text);
+    if (!database || typeof database.advisories !== 'object' || Array.isArray(database.advisories)) {
+      throw new Error('expected an "advisories" object keyed by package name');
+    }
+    for (const [name, advisories] of Object.entries<any>(database.advisories)) {
+      if (!Array.isArray(advisories) || advisories.some(advisory => typeof advisory?.vulnerable_versions !== 'string')) {
+        throw new Error(`advisories.${name} must be a list of advisories with vulnerable_versions`);
+      }
+    }
+    return database;
+  } catch (error: any) {
+    throw new Error(`Invalid advisory database ${file}: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Versions and ranges
+
+/**
+ * Order versions the way satisfies() reads them; strings semver can't parse,
+ * such as "1.2.3.4", are coerced to their leading version
+ */
+function byVersion(a: string, b: string): number {
+  const parse = (version: string) => semver.parse(version, { loose: true }) || semver.coerce(version) || '0.0.0';
+  return semver.compare(parse(a), parse(b), { loose: true }) || a.localeCompare(b);
+}
+
+/**
+ * Whether a version is in a range such as "<4.17.21", ">=2.0.0 <2.3.1 || 3.0.0",
+ * "^1.2.0", "~1.2.0" or "1.x", by npm's rules: prereleases only match
+ * comparators on their own major.minor.patch
+ */
+export function satisfies(version: string, range: string): boolean {
+  return semver.satisfies(version, range, { loose: true });
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+
+/**
+ * Packages installed at more than one version, with their versions
+ */
+export function findDuplicates(packages: LockedPackage[], ignore: string[] = []): Map<string, string[]> {
+  const versions = new Map<string, Set<string>>();
+  for (const pkg of packages) {
+    if (matchesName(pkg.name, ignore)) continue;
+    versions.set(pkg.name, (versions.get(pkg.name) || new Set()).add(pkg.version));
+  }
+
+  const duplicates = new Map<string, string[]>();
+  for (const [name, set] of [...versions].sort(([a], [b]) => a.localeCompare(b))) {
+    if (set.size > 1) duplicates.set(name, [...set].sort(byVersion));
+  }
+  return duplicates;
+}
+
+/**
+ * Advisories that match an installed version, with the versions they match
+ */
+export function findVulnerable(
+  packages: LockedPackage[],
+  database: AdvisoryDatabase
+): Array<{ name: string; advisory: Advisory; versions: string[] }> {
+  const findings: Array<{ name: string; advisory: Advisory; versions: string[] }> = [];
+  const byName = new Map<string, Set<string>>();
+  packages.forEach(pkg => byName.set(pkg.name, (byName.get(pkg.name) || new Set()).add(pkg.version)));
+
+  for (const [name, versions] of byName) {
+    for (const advisory of database.advisories[name] || []) {
+      const affected = [...versions].filter(version => satisfies(version, advisory.vulnerable_versions)).sort(byVersion);
+      if (affected.length > 0) findings.push({ name, advisory, versions: affected });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Whether a name matches one of the patterns, e.g. "@types/*" or "eslint-plugin-*"
+ */
+export function matchesName(name: string, patterns: string[]): boolean {
+  return patterns.some(pattern =>
+    pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+  );
+}
+
+/**
+ * Whether a specifier installs from git or a URL instead of the registry
+ */
+export function isRemoteSpecifier(spec: string): boolean {
+  return /^(?:git\+|git:|github:|gitlab:|bitbucket:|gist:|https?:)/.test(spec) || /^\w[\w.-]*\/[\w.-]+(?:#.*)?$/.test(spec);
+}
+
+/**
+ * Whether a registry specifier has no upper bound: "*", "", "latest",
+ * a dist-tag, or only ">" / ">=" comparators
+ */
+export function isUnpinnedSpecifier(spec: string): boolean {
+  let range = spec.trim();
+  if (range.startsWith('npm:')) {
+    // Aliases: npm:name@range, or npm:name for the latest version
+    const at = range.indexOf('@', 5);
+    range = at === -1 ? '' : range.slice(at + 1);
+  }
+  if (/^(?:workspace|file|link|portal|patch):/.test(range) || isRemoteSpecifier(range)) return false;
+  if (range === '' || range === '*' || /^x$/i.test(range)) return true;
+  if (/^[a-z][a-z0-9-]*$/i.test(range)) return true; // dist-tag such as latest or next
+  return range.split('||').some(set => {
+    const comparators = set.trim().split(/\s+/);
+    return comparators.length > 0 && comparators.every(comparator => /^>=?/.test(comparator));
+  });
+}
@@ -0,0 +1,305 @@
+/**
+ * Environment variable usage
+ *
+ * Finds the environment variables source code reads (`process.env.X`,
+ * `import.meta.env.X`, Python's `os.environ` and `os.getenv`, Prisma's
+ * `env("X")`) so .env.example can be checked against them and regenerated
+ * from them. Comments and string literals don't count as reads.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import { matchesName } from './dependency-analysis';
+import type { ResolvedRule } from '../types/gaps';
+
+export const ENV_EXAMPLE_FILE = '.env.example';
+
+const SOURCE_PATTERNS = ['**/*.{js,jsx,ts,tsx,mjs,cjs,mts,cts,vue,svelte,astro}', '**/*.py', '**/*.prisma'];
+const IGNORED_GLOBS = [
+  '**/node_modules/**',
+  '**/.git/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/.next/**',
+  '**/coverage/**',
+  '**/.venv/**',
+  '**/venv/**',
+  '**/__pycache__/**',
+  '**/*.d.ts',
+  '**/*.min.js'
+];
+
+const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+const BARE_NAME = new RegExp(`^${NAME}$`);
+const JS_USAGE = [
+  new RegExp(`\\b(?:process\\.env|import\\.meta\\.env)\\.(${NAME})`, 'g'),
+  new RegExp(`\\b(?:process\\.env|import\\.meta\\.env)\\[\\s*['"\`](${NAME})['"\`]\\s*\\]`, 'g')
+];
+// const { API_URL, PORT = 3000 } = process.env
+const JS_DESTRUCTURING = /\b(?:const|let|var)\s*\{([^}]*)\}\s*=\s*(?:process\.env|import\.meta\.env)\b/g;
+const PYTHON_USAGE = [
+  new RegExp(`\\bos\\.environ\\[\\s*['"](${NAME})['"]\\s*\\]`, 'g'),
+  new RegExp(`\\bos\\.(?:environ\\.get|getenv)\\(\\s*['"](${NAME})['"]`, 'g')
+];
+const PRISMA_USAGE = new RegExp(`\\benv\\(\\s*"(${NAME})"\\s*\\)`, 'g');
+
+// Set by Vite itself, not by .env files
+const VITE_BUILTINS = new Set(['MODE', 'BASE_URL', 'PROD', 'DEV', 'SSR']);
+
+// Prefixes frameworks inline into client bundles
+const PUBLIC_PREFIX = /^(?:NEXT_PUBLIC_|NUXT_PUBLIC_|EXPO_PUBLIC_|VITE_|REACT_APP_|GATSBY_|PUBLIC_)/;
+const SECRET_NAME = /SECRET|PRIVATE|PASSW(?:OR)?D|TOKEN|API_?KEY|ACCESS_?KEY|CREDENTIAL|SERVICE_ROLE/;
+
+const ASSIGNMENT = new RegExp(`^\\s*(?:export\\s+)?(${NAME})\\s*=`);
+
+// Characters after which a `/` starts a regular expression rather than a division
+const BEFORE_REGEX = '(,=:[!&|?{};+-*%<>~^';
+const KEYWORD_BEFORE_REGEX = /(?:^|[^\w$.])(?:return|typeof|case|in|of|void|delete|throw|new|yield|await|else|do)$/;
+
+/**
+ * Blank out comments, and string literals other than a bare name, so that only
+ * code is matched: `process.env['X']` keeps its 'X', while a comment or message
+ * mentioning process.env.X doesn't count. Template literals keep their `${}`
+ * expressions and every newline stays, so line structure is unchanged.
+ */
+function stripNonCode(text: string, file: string): string {
+  const python = file.endsWith('.py');
+  const js = !python && !file.endsWith('.prisma');
+  const lineComment = python ? '#' : '//';
+  const quotes = python ? ['"""', "'''", '"', "'"] : js ? ['"', "'"] : ['"'];
+  const chars = text.split('');
+  // Brace depth at each open ${ of a template literal
+  const templates: number[] = [];
+  let depth = 0;
+  let previous = '';
+  let i = 0;
+
+  const blank = (from: number, to: number) => {
+    for (let k = from; k < to; k++) {
+      if (chars[k] !== '\n') chars[k] = ' ';
+    }
+  };
+  // Index of the first of stops after from, skipping escapes; the end of the line
+  // ends a single-line literal early
+  const scan = (from: number, stops: string[], multiline: boolean): [number, string] => {
+    for (let k = from; k < text.length; k++) {
+      if (text[k] === '\\') {
+        k++;
+        continue;
+      }
+      if (!multiline && text[k] === '\n') return [k, ''];
+      const stop = stops.find(candidate => text.startsWith(candidate, k));
+      if (stop) return [k, stop];
+    }
+    return [text.length, ''];
+  };
+  // Template text from from to the closing backtick or the next ${
+  const template = (from: number, opened: boolean): number => {
+    const [end, stop] = scan(from, ['`', '${'], true);
+    if (!(opened && stop === '`' && BARE_NAME.test(text.slice(from, end)))) blank(from, end);
+    if (stop === '${') templates.push(depth);
+    return end + stop.length;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const quote = quotes.find(candidate => text.startsWith(candidate, i));
+
+    if (text.startsWith(lineComment, i)) {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+    if (quote) {
+      const [end, stop] = scan(i + quote.length, [quote], quote.length === 3);
+      if (!BARE_NAME.test(text.slice(i + quote.length, end))) blank(i + quote.length, end);
+      i = end + stop.length;
+      previous = quote;
+      continue;
+    }
+    if (js) {
+      if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        const stop = end === -1 ? text.length : end + 2;
+        blank(i, stop);
+        i = stop;
+        continue;
+      }
+      if (char === '`') {
+        i = template(i + 1, true);
+        previous = '`';
+        continue;
+      }
+      if (char === '/' && (BEFORE_REGEX.includes(previous) || KEYWORD_BEFORE_REGEX.test(text.slice(Math.max(0, i - 12), i).trimEnd()))) {
+        let k = i + 1;
+        let inClass = false;
+        for (; k < text.length && text[k] !== '\n'; k++) {
+          if (text[k] === '\\') k++;
+          else if (text[k] === '[') inClass = true;
+          else if (text[k] === ']') inClass = false;
+          else if (text[k] === '/' && !inClass) break;
+        }
+        blank(i + 1, k);
+        i = k + 1;
+        previous = '/';
+        continue;
+      }
+      if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        if (templates.length > 0 && templates[templates.length - 1] === depth) {
+          templates.pop();
+          i = template(i + 1, false);
+          previous = '`';
+          continue;
+        }
+        depth--;
+      }
+    }
+    if (!/\s/.test(char)) previous = /[\w$]/.test(char) ? 'a' : char;
+    i++;
+  }
+  return chars.join('');
+}
+
+/**
+ * Variables a file's text reads
+ */
+export function findEnvReferences(text: string, file: string): string[] {
+  const code = stripNonCode(text, file);
+  const names = new Set<string>();
+  const collect = (pattern: RegExp) => {
+    for (const match of code.matchAll(pattern)) names.add(match[1]);
+  };
+
+  if (file.endsWith('.py')) {
+    PYTHON_USAGE.forEach(collect);
+  } else if (file.endsWith('.prisma')) {
+    collect(PRISMA_USAGE);
+  } else {
+    JS_USAGE.forEach(collect);
+    for (const match of code.matchAll(JS_DESTRUCTURING)) {
+      match[1].split(',')
+        .map(part => part.split(/[:=]/)[0].trim())
+        .filter(name => BARE_NAME.test(name))
+        .forEach(name => names.add(name));
+    }
+    for (const name of VITE_BUILTINS) {
+      if (code.includes(`import.meta.env.${name}`)) names.delete(name);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Variables the project's source reads, sorted, with the files that read them.
+ * Files matching exclude (tests and fixtures, by default) are not scanned.
+ */
+export async function findEnvUsage(rootDir: string, exclude: string[] = []): Promise<Map<string, string[]>> {
+  const files = await glob(SOURCE_PATTERNS, { cwd: rootDir, ignore: [...IGNORED_GLOBS, ...exclude], nodir: true, posix: true });
+  const usage = new Map<string, string[]>();
+
+  for (const file of files.sort()) {
+    let text: string;
+    try {
+      text = await fs.readFile(path.join(rootDir, file), 'utf8');
+    } catch {
+      continue;
+    }
+    for (const name of findEnvReferences(text, file)) {
+      usage.set(name, [...(usage.get(name) || []), file]);
+    }
+  }
+  return new Map([...usage].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Variables a .env file assigns; commented-out assignments don't count
+ */
+export function parseEnvNames(text: string): string[] {
+  return text.split('\n').flatMap(line => {
+    const match = ASSIGNMENT.exec(line);
+    return match ? [match[1]] : [];
+  });
+}
+
+/**
+ * Whether a variable is exposed to the browser but named like a secret,
+ * e.g. NEXT_PUBLIC_STRIPE_SECRET_KEY
+ */
+export function isPublicSecretName(name: string): boolean {
+  return PUBLIC_PREFIX.test(name) && SECRET_NAME.test(name.replace(PUBLIC_PREFIX, ''));
+}
+
+/**
+ * Regenerate .env.example from usage. Existing entries that are still used
+ * (or listed in keep) stay as they are, with their comments; entries for unused
+ * variables go, along with the comment lines directly above them; new variables
+ * are appended with the files that read them.
+ */
+export function renderEnvExample(existing: string | null, usage: Map<string, string[]>, keep: string[] = []): string {
+  const lines: string[] = [];
+  const documented = new Set<string>();
+  let pending: string[] = [];
+
+  for (const line of existing === null ? [] : existing.replace(/\n$/, '').split('\n')) {
+    const name = ASSIGNMENT.exec(line)?.[1];
+    if (!name) {
+      pending.push(line);
+      continue;
+    }
+    if (usage.has(name) || matchesName(name, keep)) {
+      lines.push(...pending, line);
+      documented.add(name);
+    } else {
+      // Drop the comment block attached to the entry, keep anything before a blank line
+      const blank = pending.map(text => text.trim()).lastIndexOf('');
+      lines.push(...pending.slice(0, blank + 1));
+    }
+    pending = [];
+  }
+  lines.push(...pending);
+
+  if (existing === null) {
+    lines.push('# Environment variables read by this project', '# Copy this file to .env and fill in your values');
+  }
+  for (const [name, files] of usage) {
+    if (documented.has(name)) continue;
+    const shown = files.length > 3 ? `${files.slice(0, 3).join(', ')} and ${files.length - 3} more` : files.join(', ');
+    lines.push('', `# Used in ${shown}`, `${name}=`);
+  }
+
+  // Removed entries can leave blank lines behind
+  const text = lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+/, '').trimEnd();
+  return text ? `${text}\n` : '';
+}
+
+/**
+ * Current and regenerated .env.example for a project, honouring the `ignore`
+ * options of DET-ENV-004 (never added) and DET-ENV-005 (never removed) and
+ * DET-ENV-004's `exclude`. `updated` is null when the source reads no variables.
+ */
+export async function planEnvExample(
+  rootDir: string,
+  rules: Map<string, ResolvedRule>
+): Promise<{ current: string | null; updated: string | null }> {
+  const { ignore: notAdded, exclude } = rules.get('DET-ENV-004')!.options as { ignore: string[]; exclude: string[] };
+  const { ignore: notRemoved } = rules.get('DET-ENV-005')!.options as { ignore: string[] };
+
+  let current: string | null = null;
+  try {
+    current = await fs.readFile(path.join(rootDir, ENV_EXAMPLE_FILE), 'utf8');
+  } catch {
+    // Not created yet
+  }
+
+  const usage = await findEnvUsage(rootDir, exclude);
+  const documented = new Set(current === null ? [] : parseEnvNames(current));
+  for (const name of [...usage.keys()]) {
+    if (!documented.has(name) && matchesName(name, notAdded)) usage.delete(name);
+  }
+  return { current, updated: usage.size > 0 ? renderEnvExample(current, usage, notRemoved) : null };
+}
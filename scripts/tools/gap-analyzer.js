@@ -6,14 +6,23 @@
  * This wrapper provides backward compatibility by importing the compiled TypeScript version.
  */
 
-const GapAnalyzer = require('../../dist/.github/tools/gap-analyzer').default;
+const GapAnalyzer = require('../../dist/scripts/tools/gap-analyzer').default;
+const { createLogger } = require('../../dist/scripts/utils/logger');
+const { getToolVersion, toSarif } = require('../../dist/scripts/tools/sarif');
 
 // Run the analyzer if called directly
 if (require.main === module) {
-  const analyzer = new GapAnalyzer();
+  // SARIF output owns stdout, so progress logging is silenced
+  const sarif = process.argv.includes('--format') && process.argv[process.argv.indexOf('--format') + 1] === 'sarif';
+  const analyzer = new GapAnalyzer(sarif ? { logger: createLogger({ context: 'gap-analyzer', level: 'SILENT' }) } : {});
   analyzer.analyze()
     .then(async report => {
-      console.log(report);
+      if (sarif) {
+        const log = toSarif(analyzer.getGapReport().gaps, { rootDir: process.cwd(), toolVersion: getToolVersion() });
+        console.log(JSON.stringify(log, null, 2));
+      } else {
+        console.log(report);
+      }
       await analyzer.saveReport(report);
     })
     .catch(error => {
@@ -12,65 +12,369 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { createLogger } from '../../scripts/utils/logger';
-import type { Gap, StackReport, GapReport, GapAnalysisOptions } from '../types/gaps';
+import { glob } from 'glob';
+import { createLogger, Logger } from '../utils/logger';
+import { BUDGET_CONFIG_FILES } from '../budgets/checker';
+import { getToolVersion, toSarif } from './sarif';
+import { findSuppressions, loadRulesConfig, resolveRules } from './gap-rules';
+import { ENV_EXAMPLE_FILE, findEnvUsage, isPublicSecretName, parseEnvNames } from './env-usage';
+import {
+  findTrackedEnvFiles,
+  isAllowed,
+  listTrackedFiles,
+  loadAllowlist,
+  redact,
+  scanFiles,
+  scanHistory,
+  SECRETS_ALLOWLIST_FILE
+} from './secret-scanner';
+import {
+  DEPENDENCY_SECTIONS,
+  findDuplicates,
+  findVulnerable,
+  isRemoteSpecifier,
+  isUnpinnedSpecifier,
+  loadAdvisoryDatabase,
+  matchesName,
+  readLockFile
+} from './dependency-analysis';
+import type {
+  Advisory,
+  AdvisoryDatabase,
+  Gap,
+  GapCategory,
+  GapSeverity,
+  LockFileContents,
+  SecretAllowlist,
+  SecretFinding,
+  StackReport,
+  GapReport,
+  GapAnalysisOptions,
+  LanguageInfo,
+  LanguageName,
+  ResolvedRule,
+  RulesConfig,
+  SuppressedGap
+} from '../types/gaps';
+
+const LANGUAGE_LABELS: Record<LanguageName, string> = {
+  python: 'Python',
+  go: 'Go',
+  java: 'Java',
+  dotnet: '.NET'
+};
+
+const LANGUAGE_TEST_COMMANDS: Record<LanguageName, string> = {
+  python: '`pytest`',
+  go: '`go test ./...`',
+  java: '`mvn verify` or `gradle test`',
+  dotnet: '`dotnet test`'
+};
+
+// Evidence that clears a gap: files (relative to the project) or npm packages
+
+const BUDGET_FILES = [
+  ...BUDGET_CONFIG_FILES,
+  '.size-limit.json',
+  '.size-limit.js',
+  '.size-limit.cjs',
+  'lighthouserc.json',
+  '.lighthouserc.json',
+  'lighthouserc.js',
+  '.lighthouserc.js'
+];
+const BUDGET_PACKAGES = ['size-limit', 'bundlesize', '@lhci/cli'];
+const PROVENANCE_FILES = ['provenance', '.devenv/provenance', 'scripts/agent/metrics-log.js'];
+const ESLINT_CONFIG_FILES = [
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  '.eslintrc',
+  '.eslintrc.json',
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.yml',
+  '.eslintrc.yaml'
+];
+const BOUNDARY_PACKAGES = ['eslint-plugin-boundaries', 'dependency-cruiser'];
+const BOUNDARY_RULES = /boundaries\/|import\/no-restricted-paths/;
+const SOURCE_DIRS = ['src', 'app', 'lib', 'packages', 'apps', 'cmd', 'internal', 'pkg'];
+const TEST_DIRS = ['tests', 'test', '__tests__', 'spec', 'e2e'];
+const TEST_FILE_PATTERNS = ['**/*.{test,spec}.{js,jsx,ts,tsx,mjs,cjs}', '**/test_*.py', '**/*_test.py', '**/*_test.go', '**/*Test.java', '**/*Tests.cs'];
+const CI_WORKFLOW_PATTERNS = ['.github/workflows/*.yml', '.github/workflows/*.yaml'];
+const CI_GATES: Array<{ name: string; pattern: RegExp }> = [
+  { name: 'lint', pattern: /\b(lint|eslint|ruff|flake8|pylint|golangci-lint|checkstyle|spotless|dotnet format)\b/i },
+  { name: 'test', pattern: /\b(test|tests|pytest|jest|vitest|mocha)\b/i },
+  { name: 'security', pattern: /\b(audit|codeql|snyk|trivy|semgrep|gitleaks|dependency-review|osv-scanner|bandit|gosec)\b/i }
+];
+const CSP_FILES = ['next.config.js', 'next.config.mjs', 'next.config.ts', 'middleware.ts', 'middleware.js', 'src/middleware.ts', 'src/middleware.js'];
+const DEPENDENCY_UPDATE_FILES = [
+  '.github/dependabot.yml',
+  '.github/dependabot.yaml',
+  'renovate.json',
+  'renovate.json5',
+  '.renovaterc',
+  '.renovaterc.json',
+  '.github/renovate.json',
+  '.github/renovate.json5'
+];
+const LOCK_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'bun.lock'];
+const BUNDLE_ANALYZER_PACKAGES = [
+  '@next/bundle-analyzer',
+  'webpack-bundle-analyzer',
+  'rollup-plugin-visualizer',
+  'vite-bundle-visualizer',
+  'source-map-explorer',
+  'size-limit',
+  'bundlesize'
+];
+const IMAGE_OPTIMIZATION_PACKAGES = ['sharp', 'next-optimized-images', 'image-webpack-loader', 'vite-plugin-imagemin', 'vite-imagetools', '@unpic/react'];
+const A11Y_LINT_PACKAGES = ['eslint-plugin-jsx-a11y', 'eslint-plugin-vuejs-accessibility'];
+const A11Y_TEST_PACKAGES = [
+  'axe-core',
+  'jest-axe',
+  'vitest-axe',
+  '@axe-core/react',
+  '@axe-core/playwright',
+  '@axe-core/puppeteer',
+  'cypress-axe',
+  'pa11y',
+  'pa11y-ci',
+  '@storybook/addon-a11y'
+];
+const ADVISORY_SEVERITIES: Record<Advisory['severity'], GapSeverity> = {
+  critical: 'high',
+  high: 'high',
+  moderate: 'medium',
+  low: 'low',
+  info: 'low'
+};
+const IGNORED_GLOBS = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/.next/**'];
 
 const logger = createLogger({ context: 'gap-analyzer' });
 
-class GapAnalyzer {
+/**
+ * Dependencies package.json declares, with their section and specifier
+ */
+function directDependencies(pkg: Record<string, any>): Array<{ name: string; spec: string; section: string }> {
+  return DEPENDENCY_SECTIONS.flatMap(section =>
+    Object.entries<string>(pkg[section] || {}).map(([name, spec]) => ({ name, spec: String(spec), section }))
+  );
+}
+
+export class GapAnalyzer {
   private rootDir: string;
+  private stackReportPath: string;
   private stack: StackReport | null = null;
   private gaps: Gap[] = [];
+  private logger: Logger;
+  private scope: 'repository' | 'package';
+  private packageJson: Promise<Record<string, any> | null> | null = null;
+  private rulesConfig: RulesConfig | null;
+  private rules = new Map<string, ResolvedRule>();
+  private suppressed: SuppressedGap[] = [];
 
   constructor(options: GapAnalysisOptions = {}) {
     this.rootDir = options.rootDir || process.cwd();
+    this.stackReportPath = options.stackReportPath || path.join(this.rootDir, '.devenv', 'stack-report.json');
+    this.stack = options.stack || null;
+    this.logger = options.logger || logger;
+    this.scope = options.scope || 'repository';
+    this.rulesConfig = options.rules || null;
   }
 
   async analyze(): Promise<string> {
-    logger.info('Starting gap analysis against DevEnvTemplate standards');
+    this.logger.info('Starting gap analysis against DevEnvTemplate standards');
+    this.gaps = [];
+    this.suppressed = [];
+    this.packageJson = null;
+    this.rules = resolveRules(this.rulesConfig || (await loadRulesConfig(this.rootDir)));
 
-    // Load stack report
-    try {
-      const stackReportPath = path.join(this.rootDir, '.devenv', 'stack-report.json');
-      const content = await fs.readFile(stackReportPath, 'utf8');
-      this.stack = JSON.parse(content) as StackReport;
-      logger.info('Stack report loaded successfully');
-    } catch (error) {
-      logger.error('Stack report not found. Run stack-detector first.');
-      throw new Error('Stack report not found. Run stack-detector first.');
+    // Load stack report unless one was passed in
+    if (!this.stack) {
+      try {
+        const content = await fs.readFile(this.stackReportPath, 'utf8');
+        this.stack = JSON.parse(content) as StackReport;
+        this.logger.info('Stack report loaded successfully');
+      } catch (error) {
+        this.logger.error('Stack report not found. Run stack-detector first.');
+        throw new Error('Stack report not found. Run stack-detector first.');
+      }
     }
 
+    const isRepository = this.scope === 'repository';
+
     // Run all analysis methods
     this.analyzeTypeScript();
-    this.analyzeLinting();
+    await this.analyzeLinting();
     this.analyzeTesting();
-    this.analyzeSecurity();
-    this.analyzeCI();
-    this.analyzeBoundaries();
-    this.analyzeQualityGates();
+    this.analyzeLanguages();
+    await this.analyzeSecurity();
+    if (isRepository) {
+      await this.analyzeCI();
+      await this.analyzeBoundaries();
+      await this.analyzeQualityGates();
+    }
     
     // Enhanced analysis methods (async)
     await this.analyzeDocumentation();
-    this.analyzeDependencies();
-    this.analyzePerformance();
-    this.analyzeAccessibility();
+    await this.analyzeDependencies();
+    await this.analyzePerformance();
+    await this.analyzeAccessibility();
     await this.analyzeDocker();
     await this.analyzeEnvironment();
-    await this.analyzeGitHooks();
+    if (isRepository) {
+      await this.analyzeSecrets();
+      await this.analyzeGitHooks();
+    }
     this.analyzeFrameworks();
+    await this.applySuppressions();
+
+    // Sort gaps by severity
+    const severityOrder = { high: 3, medium: 2, low: 1 };
+    this.gaps.sort((a, b) => severityOrder[b.severity] - severityOrder[a.severity]);
 
-    logger.info(`Gap analysis complete. Found ${this.gaps.length} gaps`);
+    this.logger.info(`Gap analysis complete. Found ${this.gaps.length} gaps`);
     return this.generateReport();
   }
 
+  /**
+   * Build the structured report for the last analysis run
+   */
+  getGapReport(): GapReport {
+    const categories = {} as Record<GapCategory, Gap[]>;
+    this.gaps.forEach(gap => {
+      if (!categories[gap.category]) {
+        categories[gap.category] = [];
+      }
+      categories[gap.category].push(gap);
+    });
+
+    return {
+      timestamp: new Date().toISOString(),
+      totalGaps: this.gaps.length,
+      highPriority: this.gaps.filter(g => g.severity === 'high').length,
+      mediumPriority: this.gaps.filter(g => g.severity === 'medium').length,
+      lowPriority: this.gaps.filter(g => g.severity === 'low').length,
+      gaps: [...this.gaps],
+      categories,
+      suppressed: [...this.suppressed]
+    };
+  }
+
+  /**
+   * Record a gap for a catalogue rule. A configured severity wins over the
+   * finding's own (e.g. an advisory's); rules turned off record nothing.
+   */
+  private report(ruleId: string, gap: Omit<Gap, 'ruleId' | 'category' | 'severity'>, severity?: GapSeverity): void {
+    const rule = this.rules.get(ruleId)!;
+    if (rule.enabled) {
+      this.gaps.push({ ruleId, category: rule.category, severity: rule.severityConfigured ? rule.severity : severity || rule.severity, ...gap });
+    }
+  }
+
+  /**
+   * A rule's options, configured values merged over the defaults
+   */
+  private ruleOptions<T>(ruleId: string): T {
+    return this.rules.get(ruleId)!.options as T;
+  }
+
+  /**
+   * Drop gaps whose files carry a `devenv-disable <rule ID>` comment
+   */
+  private async applySuppressions(): Promise<void> {
+    // Dependency gaps list packages rather than files; package.json holds their comments
+    const sources = (gap: Gap) => (gap.category === 'dependencies' ? [...gap.files, 'package.json'] : gap.files);
+    const files = [...new Set(this.gaps.flatMap(sources))].filter(file => !/^\[.*\]$/.test(file) && !file.includes('*'));
+    const suppressions = new Map<string, Set<string>>();
+    for (const [file, text] of await this.readFiles(files)) {
+      suppressions.set(file, findSuppressions(text));
+    }
+
+    this.gaps = this.gaps.filter(gap => {
+      const file = sources(gap).find(candidate => suppressions.get(candidate)?.has(gap.ruleId!));
+      if (file) {
+        this.suppressed.push({ ruleId: gap.ruleId!, title: gap.title, file });
+        this.logger.debug(`${gap.ruleId} suppressed in ${file}`);
+      }
+      return !file;
+    });
+  }
+
+  /**
+   * package.json in the project root, or null (read once per analysis)
+   */
+  private readPackageJson(): Promise<Record<string, any> | null> {
+    if (!this.packageJson) {
+      this.packageJson = fs
+        .readFile(path.join(this.rootDir, 'package.json'), 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(() => null);
+    }
+    return this.packageJson;
+  }
+
+  /**
+   * The packages from the list that package.json depends on (any section)
+   */
+  private async findPackages(names: string[]): Promise<string[]> {
+    const pkg = await this.readPackageJson();
+    const declared = new Set(
+      ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'].flatMap(section => Object.keys(pkg?.[section] || {}))
+    );
+    return names.filter(name => declared.has(name));
+  }
+
+  /**
+   * The first of the files or directories that exists, relative to the project
+   */
+  private async findFile(candidates: string[]): Promise<string | null> {
+    for (const candidate of candidates) {
+      try {
+        await fs.access(path.join(this.rootDir, candidate));
+        return candidate;
+      } catch {
+        // Try the next one
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Contents of the files that exist, keyed by relative path
+   */
+  private async readFiles(candidates: string[]): Promise<Map<string, string>> {
+    const contents = new Map<string, string>();
+    for (const candidate of candidates) {
+      try {
+        contents.set(candidate, await fs.readFile(path.join(this.rootDir, candidate), 'utf8'));
+      } catch {
+        // Not there
+      }
+    }
+    return contents;
+  }
+
+  /**
+   * True unless the stack only contains non-JavaScript languages
+   */
+  private isJavaScriptProject(): boolean {
+    const languages = this.stack!.languages || [];
+    return languages.length === 0 || this.stack!.technologies.some(t => t.name === 'Node.js');
+  }
+
   private analyzeTypeScript(): void {
+    if (!this.isJavaScriptProject()) {
+      return;
+    }
+
     const hasTypeScript = this.stack!.technologies.some(t => t.name === 'TypeScript');
     const hasTSConfig = this.stack!.configurations.some(c => c.type === 'typescript');
 
     if (!hasTypeScript) {
-      this.gaps.push({
-        category: 'typescript',
-        severity: 'high',
+      this.report('DET-TS-001', {
         title: 'TypeScript Not Configured',
         description: 'TypeScript provides compile-time type checking and better IDE support.',
         impact: 'Reduces code quality and developer experience',
@@ -80,9 +384,7 @@ class GapAnalyzer {
         resources: ['https://www.typescriptlang.org/docs/handbook/tsconfig-json.html']
       });
     } else if (!hasTSConfig) {
-      this.gaps.push({
-        category: 'typescript',
-        severity: 'high',
+      this.report('DET-TS-002', {
         title: 'Missing TypeScript Configuration',
         description: 'TypeScript is installed but not properly configured.',
         impact: 'Type checking may not work correctly',
@@ -103,9 +405,7 @@ class GapAnalyzer {
     } else {
       const tsConfig = this.stack!.configurations.find(c => c.type === 'typescript');
       if (!tsConfig?.strict) {
-        this.gaps.push({
-          category: 'typescript',
-          severity: 'medium',
+        this.report('DET-TS-003', {
           title: 'TypeScript Strict Mode Disabled',
           description: 'Strict mode provides better type safety but may require more explicit typing.',
           impact: 'Potential runtime errors from type issues',
@@ -117,14 +417,16 @@ class GapAnalyzer {
     }
   }
 
-  private analyzeLinting(): void {
+  private async analyzeLinting(): Promise<void> {
+    if (!this.isJavaScriptProject()) {
+      return;
+    }
+
     const hasESLint = this.stack!.technologies.some(t => t.name === 'ESLint');
     const hasESLintConfig = this.stack!.configurations.some(c => c.type === 'eslint');
 
     if (!hasESLint) {
-      this.gaps.push({
-        category: 'linting',
-        severity: 'high',
+      this.report('DET-LINT-001', {
         title: 'ESLint Not Configured',
         description: 'ESLint enforces consistent code style and catches potential issues.',
         impact: 'Inconsistent code quality and potential bugs',
@@ -133,9 +435,7 @@ class GapAnalyzer {
         files: ['package.json', '.eslintrc.json']
       });
     } else if (!hasESLintConfig) {
-      this.gaps.push({
-        category: 'linting',
-        severity: 'high',
+      this.report('DET-LINT-002', {
         title: 'Missing ESLint Configuration',
         description: 'ESLint is installed but not configured.',
         impact: 'Linting rules not enforced',
@@ -145,25 +445,46 @@ class GapAnalyzer {
       });
     }
 
-    if (hasESLint && !this.stack!.configurations.some(c => c.configFile?.includes('boundaries'))) {
-      this.gaps.push({
-        category: 'linting',
-        severity: 'medium',
+    if (hasESLint && !(await this.hasBoundaryRules())) {
+      const eslintConfig = (await this.findFile(ESLINT_CONFIG_FILES)) || '.eslintrc.json';
+      this.report('DET-LINT-003', {
         title: 'Missing Architectural Boundaries',
         description: 'eslint-plugin-boundaries enforces clean architecture layer separation.',
         impact: 'Code organization may become unstructured',
         recommendation: 'Add eslint-plugin-boundaries and configure layer rules',
         effort: 'medium',
-        files: ['package.json', '.eslintrc.json']
+        files: ['package.json', eslintConfig],
+        evidence: [
+          `No ${BOUNDARY_PACKAGES.join(' or ')} dependency`,
+          'No boundaries/* or import/no-restricted-paths rules in the ESLint config'
+        ]
       });
     }
   }
 
+  /**
+   * Whether layer boundaries are enforced: a boundaries plugin or dependency
+   * cruiser, or boundary rules in the ESLint config
+   */
+  private async hasBoundaryRules(): Promise<boolean> {
+    if (this.stack!.configurations.some(c => c.configFile?.includes('boundaries'))) {
+      return true;
+    }
+    if ((await this.findPackages(BOUNDARY_PACKAGES)).length > 0) {
+      return true;
+    }
+    const configs = [...(await this.readFiles(ESLINT_CONFIG_FILES)).values()];
+    const pkg = await this.readPackageJson();
+    if (pkg?.eslintConfig) {
+      configs.push(JSON.stringify(pkg.eslintConfig));
+    }
+    return configs.some(config => BOUNDARY_RULES.test(config));
+  }
+
   private analyzeTesting(): void {
-    if (!this.stack!.quality.testing) {
-      this.gaps.push({
-        category: 'testing',
-        severity: 'high',
+    // Non-JavaScript projects get language-specific testing gaps instead
+    if (!this.stack!.quality.testing && this.isJavaScriptProject()) {
+      this.report('DET-TEST-001', {
         title: 'No Testing Framework Detected',
         description: 'Automated tests are essential for code reliability and refactoring safety.',
         impact: 'Cannot safely refactor code or catch regressions',
@@ -177,9 +498,7 @@ class GapAnalyzer {
     const isUIProject = this.stack!.technologies.some(t => t.name === 'React' || t.name === 'Next.js' || t.name === 'Vue');
     
     if (!hasPlaywright && isUIProject) {
-      this.gaps.push({
-        category: 'testing',
-        severity: 'medium',
+      this.report('DET-TEST-002', {
         title: 'Missing End-to-End Testing',
         description: 'E2E tests validate complete user workflows and integration.',
         impact: 'Cannot verify complete application functionality',
@@ -190,15 +509,217 @@ class GapAnalyzer {
     }
   }
 
-  private analyzeSecurity(): void {
+  private analyzeLanguages(): void {
+    for (const language of this.stack!.languages || []) {
+      switch (language.name) {
+        case 'python':
+          this.analyzePython(language);
+          break;
+        case 'go':
+          this.analyzeGo(language);
+          break;
+        case 'java':
+          this.analyzeJava(language);
+          break;
+        case 'dotnet':
+          this.analyzeDotNet(language);
+          break;
+      }
+
+      if (this.stack!.ci.present && !language.testedInCI && language.tooling.testing.length > 0) {
+        const label = LANGUAGE_LABELS[language.name];
+        this.report('DET-CI-003', {
+          title: `CI Does Not Run ${label} Tests`,
+          description: `A CI pipeline exists, but no step runs the ${label} test suite.`,
+          impact: `${label} regressions can be merged without failing the build`,
+          recommendation: `Add a CI step that runs ${LANGUAGE_TEST_COMMANDS[language.name]}`,
+          effort: 'low',
+          files: ['.github/workflows/ci.yml']
+        });
+      }
+    }
+  }
+
+  private analyzePython(language: LanguageInfo): void {
+    const files = [language.manifest];
+
+    if (language.tooling.testing.length === 0) {
+      this.report('DET-PY-001', {
+        title: 'Python Tests Not Configured (pytest)',
+        description: 'No pytest dependency, pytest.ini or conftest.py was found.',
+        impact: 'Cannot safely refactor Python code or catch regressions',
+        recommendation: 'Add pytest as a dev dependency and configure it in pyproject.toml',
+        effort: 'low',
+        files: [...files, 'tests/'],
+        codeSnippet: `[tool.pytest.ini_options]
+testpaths = ["tests"]
+addopts = "-ra --strict-markers"`,
+        resources: ['https://docs.pytest.org/en/stable/reference/customize.html']
+      });
+    }
+
+    if (language.tooling.linting.length === 0) {
+      this.report('DET-PY-002', {
+        title: 'Python Linter Not Configured (ruff)',
+        description: 'No ruff, flake8 or pylint configuration was found.',
+        impact: 'Style issues and common bugs go unnoticed in Python code',
+        recommendation: 'Add ruff as a dev dependency and configure it in pyproject.toml',
+        effort: 'low',
+        files,
+        codeSnippet: `[tool.ruff]
+line-length = 100
+
+[tool.ruff.lint]
+select = ["E", "F", "I", "B", "UP"]`,
+        resources: ['https://docs.astral.sh/ruff/configuration/']
+      });
+    }
+
+    if (language.tooling.formatting.length === 0) {
+      this.report('DET-PY-003', {
+        title: 'Python Formatter Not Configured',
+        description: 'Neither ruff format nor black is configured.',
+        impact: 'Inconsistent formatting creates noisy diffs',
+        recommendation: 'Use `ruff format` (or black) and check formatting in CI',
+        effort: 'low',
+        files
+      });
+    }
+
+    if (language.tooling.typeChecking.length === 0) {
+      this.report('DET-PY-004', {
+        title: 'Python Type Checking Not Configured',
+        description: 'No mypy or pyright configuration was found.',
+        impact: 'Type errors are only found at runtime',
+        recommendation: 'Add mypy (or pyright) and run it in CI',
+        effort: 'medium',
+        files
+      });
+    }
+  }
+
+  private analyzeGo(language: LanguageInfo): void {
+    if (language.tooling.testing.length === 0) {
+      this.report('DET-GO-001', {
+        title: 'No Go Tests Found',
+        description: 'No *_test.go files were found in the module.',
+        impact: 'Cannot safely refactor Go code or catch regressions',
+        recommendation: 'Add table-driven tests next to your packages and run `go test ./...`',
+        effort: 'medium',
+        files: ['*_test.go'],
+        resources: ['https://go.dev/doc/tutorial/add-a-test']
+      });
+    }
+
+    if (language.tooling.linting.length === 0) {
+      this.report('DET-GO-002', {
+        title: 'Go Static Analysis Not Enforced',
+        description: 'Neither `go vet` nor golangci-lint runs in CI or the Makefile.',
+        impact: 'Suspicious constructs and common Go mistakes are not caught',
+        recommendation: 'Run golangci-lint (includes govet) in CI',
+        effort: 'low',
+        files: ['.golangci.yml', '.github/workflows/ci.yml'],
+        codeSnippet: `- uses: golangci/golangci-lint-action@v6
+  with:
+    version: latest`,
+        resources: ['https://golangci-lint.run/usage/configuration/']
+      });
+    } else if (!language.tooling.linting.includes('golangci-lint')) {
+      this.report('DET-GO-003', {
+        title: 'golangci-lint Not Configured',
+        description: '`go vet` runs, but no broader linter set is configured.',
+        impact: 'Misses checks such as errcheck, staticcheck and ineffassign',
+        recommendation: 'Add a .golangci.yml and run golangci-lint in CI',
+        effort: 'low',
+        files: ['.golangci.yml']
+      });
+    }
+  }
+
+  private analyzeJava(language: LanguageInfo): void {
+    const files = [language.manifest];
+
+    if (!language.tooling.testing.some(tool => tool === 'junit' || tool === 'testng')) {
+      this.report('DET-JAVA-001', {
+        title: 'No Java Test Framework Detected',
+        description: `No JUnit or TestNG dependency was found in ${language.manifest}.`,
+        impact: 'Cannot safely refactor Java code or catch regressions',
+        recommendation: 'Add JUnit 5 (junit-jupiter) as a test dependency',
+        effort: 'medium',
+        files: [...files, 'src/test/java/']
+      });
+    }
+
+    if (language.buildTool === 'maven' && !language.tooling.testing.includes('maven-surefire-plugin')) {
+      this.report('DET-JAVA-002', {
+        title: 'Maven Surefire Plugin Not Configured',
+        description: 'Without an explicit surefire version Maven may use an old plugin that skips JUnit 5 tests.',
+        impact: 'Tests may silently not run during `mvn verify`',
+        recommendation: 'Declare maven-surefire-plugin 3.x in the build plugins',
+        effort: 'low',
+        files,
+        codeSnippet: `<plugin>
+  <groupId>org.apache.maven.plugins</groupId>
+  <artifactId>maven-surefire-plugin</artifactId>
+  <version>3.2.5</version>
+</plugin>`
+      });
+    }
+
+    if (language.tooling.linting.length === 0) {
+      this.report('DET-JAVA-003', {
+        title: 'Java Static Analysis Not Configured',
+        description: 'No Checkstyle, SpotBugs, PMD or Error Prone configuration was found.',
+        impact: 'Code style drift and common bugs go unnoticed',
+        recommendation: `Add Checkstyle or SpotBugs to the ${language.buildTool} build`,
+        effort: 'medium',
+        files
+      });
+    }
+  }
+
+  private analyzeDotNet(language: LanguageInfo): void {
+    if (language.tooling.testing.length === 0) {
+      this.report('DET-NET-001', {
+        title: 'No .NET Test Project Detected',
+        description: 'No project references xUnit, NUnit or MSTest.',
+        impact: 'Cannot safely refactor .NET code or catch regressions',
+        recommendation: 'Add a test project (`dotnet new xunit`) and run `dotnet test` in CI',
+        effort: 'medium',
+        files: ['tests/']
+      });
+    }
+
+    if (language.tooling.linting.length === 0) {
+      this.report('DET-NET-002', {
+        title: '.NET Analyzers Not Enabled',
+        description: 'No analyzer packages or <EnableNETAnalyzers> setting was found.',
+        impact: 'Code quality warnings are not reported during build',
+        recommendation: 'Set <EnableNETAnalyzers>true</EnableNETAnalyzers> and <AnalysisLevel>latest</AnalysisLevel> in Directory.Build.props',
+        effort: 'low',
+        files: ['Directory.Build.props']
+      });
+    }
+
+    if (language.tooling.typeChecking.length === 0) {
+      this.report('DET-NET-003', {
+        title: 'Nullable Reference Types Disabled',
+        description: 'Projects do not set <Nullable>enable</Nullable>.',
+        impact: 'Null reference exceptions are not caught at compile time',
+        recommendation: 'Enable nullable reference types in Directory.Build.props',
+        effort: 'medium',
+        files: [language.manifest, 'Directory.Build.props']
+      });
+    }
+  }
+
+  private async analyzeSecurity(): Promise<void> {
     if (!this.stack!.quality.security) {
-      this.gaps.push({
-        category: 'security',
-        severity: 'high',
+      this.report('DET-SEC-001', {
         title: 'Security Measures Not Detected',
-        description: 'Basic security practices like environment variable management and CSP are missing.',
+        description: 'No secret scanning, vulnerability scanning or CSP headers were found.',
         impact: 'Potential security vulnerabilities and data exposure',
-        recommendation: 'Add .env files, implement CSP headers, and security scanning',
+        recommendation: 'Run a secret scanner such as gitleaks and a dependency audit in CI, and implement CSP headers',
         effort: 'medium',
         files: ['.env.example', 'next.config.js', '.github/workflows/security.yml']
       });
@@ -206,24 +727,30 @@ class GapAnalyzer {
 
     const hasNextJS = this.stack!.configurations.some(c => c.type === 'nextjs');
     if (hasNextJS) {
-      this.gaps.push({
-        category: 'security',
-        severity: 'medium',
-        title: 'CSP Headers Not Verified',
-        description: 'Content Security Policy protects against XSS and other attacks.',
-        impact: 'Application vulnerable to injection attacks',
-        recommendation: 'Implement CSP headers in next.config.js',
-        effort: 'low',
-        files: ['next.config.js']
-      });
+      const configs = await this.readFiles(CSP_FILES);
+      const hasCSP = [...configs.values()].some(text => /content-security-policy/i.test(text));
+      if (!hasCSP && (await this.findPackages(['helmet', 'next-secure-headers'])).length === 0) {
+        this.report('DET-SEC-002', {
+          title: 'CSP Headers Not Configured',
+          description: 'Content Security Policy protects against XSS and other attacks.',
+          impact: 'Application vulnerable to injection attacks',
+          recommendation: 'Implement CSP headers in next.config.js',
+          effort: 'low',
+          files: ['next.config.js'],
+          evidence: [
+            configs.size > 0
+              ? `No Content-Security-Policy header in ${[...configs.keys()].join(', ')}`
+              : `None of ${CSP_FILES.join(', ')} found`,
+            'No helmet or next-secure-headers dependency'
+          ]
+        });
+      }
     }
   }
 
-  private analyzeCI(): void {
+  private async analyzeCI(): Promise<void> {
     if (!this.stack!.ci.present) {
-      this.gaps.push({
-        category: 'ci',
-        severity: 'high',
+      this.report('DET-CI-001', {
         title: 'No CI/CD Pipeline Detected',
         description: 'Automated testing, linting, and deployment are essential for quality.',
         impact: 'Cannot ensure code quality or automate deployment',
@@ -232,55 +759,81 @@ class GapAnalyzer {
         files: ['.github/workflows/ci.yml']
       });
     } else if (this.stack!.ci.type === 'github-actions') {
-      this.gaps.push({
-        category: 'ci',
-        severity: 'medium',
-        title: 'Quality Gates Not Verified',
-        description: 'CI should enforce linting, testing, and security checks.',
-        impact: 'Poor code quality may be merged',
-        recommendation: 'Add quality gate jobs to CI workflow',
-        effort: 'low',
-        files: ['.github/workflows/ci.yml']
-      });
+      const workflowFiles = await glob(CI_WORKFLOW_PATTERNS, { cwd: this.rootDir, posix: true, dot: true });
+      const workflows = [...(await this.readFiles(workflowFiles.sort())).values()].join('\n');
+      const missing = CI_GATES.filter(gate => !gate.pattern.test(workflows)).map(gate => gate.name);
+
+      if (missing.length > 0) {
+        this.report('DET-CI-002', {
+          title: 'CI Quality Gates Missing',
+          description: `CI should enforce linting, testing, and security checks; no ${missing.join(', ')} step was found.`,
+          impact: 'Poor code quality may be merged',
+          recommendation: `Add ${missing.join(', ')} jobs to the CI workflow`,
+          effort: 'low',
+          files: workflowFiles.length > 0 ? workflowFiles : ['.github/workflows/ci.yml'],
+          evidence: workflowFiles.length > 0
+            ? missing.map(gate => `No ${gate} step in ${workflowFiles.join(', ')}`)
+            : ['No workflow files in .github/workflows']
+        });
+      }
     }
   }
 
-  private analyzeBoundaries(): void {
-    // Check for proper folder structure
-    this.gaps.push({
-      category: 'architecture',
-      severity: 'low',
-      title: 'Folder Structure Not Verified',
-      description: 'Clean architecture benefits from proper folder organization.',
-      impact: 'Code may be harder to navigate and maintain',
-      recommendation: 'Organize code into src/, tests/, docs/, scripts/, .github/',
-      effort: 'low',
-      files: ['[restructure directories]']
-    });
+  private async analyzeBoundaries(): Promise<void> {
+    const sourceDir = await this.findFile(SOURCE_DIRS);
+    const testDir = await this.findFile(TEST_DIRS);
+    const colocatedTests = testDir
+      ? []
+      : await glob(TEST_FILE_PATTERNS, { cwd: this.rootDir, ignore: IGNORED_GLOBS, posix: true, maxDepth: 6 });
+
+    const evidence: string[] = [];
+    if (!sourceDir) {
+      evidence.push(`No source directory (${SOURCE_DIRS.map(dir => `${dir}/`).join(', ')})`);
+    }
+    if (!testDir && colocatedTests.length === 0) {
+      evidence.push(`No test directory (${TEST_DIRS.map(dir => `${dir}/`).join(', ')}) or test files`);
+    }
+
+    if (evidence.length > 0) {
+      this.report('DET-ARCH-001', {
+        title: 'Source and Test Folders Not Separated',
+        description: 'Clean architecture benefits from proper folder organization.',
+        impact: 'Code may be harder to navigate and maintain',
+        recommendation: 'Organize code into src/, tests/, docs/, scripts/, .github/',
+        effort: 'low',
+        files: ['[restructure directories]'],
+        evidence
+      });
+    }
   }
 
-  private analyzeQualityGates(): void {
-    this.gaps.push({
-      category: 'quality',
-      severity: 'low',
-      title: 'Quality Budgets Not Configured',
-      description: 'Performance and quality budgets prevent regressions.',
-      impact: 'Cannot track or prevent quality degradation',
-      recommendation: 'Add quality-budgets.json with bundle size and performance limits',
-      effort: 'low',
-      files: ['quality-budgets.json']
-    });
+  private async analyzeQualityGates(): Promise<void> {
+    const pkg = await this.readPackageJson();
+    const budgetFile = await this.findFile(BUDGET_FILES);
+    const budgetPackages = await this.findPackages(BUDGET_PACKAGES);
+    if (!budgetFile && budgetPackages.length === 0 && !pkg?.['size-limit'] && !pkg?.bundlesize) {
+      this.report('DET-QUAL-001', {
+        title: 'Quality Budgets Not Configured',
+        description: 'Performance and quality budgets prevent regressions.',
+        impact: 'Cannot track or prevent quality degradation',
+        recommendation: 'Add config/quality-budgets.json with bundle size and performance limits (`devenv budgets`)',
+        effort: 'low',
+        files: ['config/quality-budgets.json'],
+        evidence: [`None of ${BUDGET_FILES.join(', ')} found`, `No ${BUDGET_PACKAGES.join(', ')} dependency`]
+      });
+    }
 
-    this.gaps.push({
-      category: 'observability',
-      severity: 'low',
-      title: 'Provenance Tracking Not Implemented',
-      description: 'Tracking prompt metrics and outcomes enables continuous improvement.',
-      impact: 'Cannot measure and improve development processes',
-      recommendation: 'Add JSONL logging for prompt lifecycle metrics',
-      effort: 'medium',
-      files: ['provenance/', 'scripts/agent/metrics-log.js']
-    });
+    if (!(await this.findFile(PROVENANCE_FILES))) {
+      this.report('DET-OBS-001', {
+        title: 'Provenance Tracking Not Implemented',
+        description: 'Tracking prompt metrics and outcomes enables continuous improvement.',
+        impact: 'Cannot measure and improve development processes',
+        recommendation: 'Add JSONL logging for prompt lifecycle metrics',
+        effort: 'medium',
+        files: ['provenance/', 'scripts/agent/metrics-log.js'],
+        evidence: [`None of ${PROVENANCE_FILES.join(', ')} found`]
+      });
+    }
   }
 
   // Enhanced analysis methods
@@ -290,15 +843,13 @@ class GapAnalyzer {
       const readmePath = path.join(this.rootDir, 'README.md');
       const readme = await fs.readFile(readmePath, 'utf8');
       
-      const requiredSections = ['Installation', 'Usage', 'Contributing', 'License'];
+      const { sections: requiredSections } = this.ruleOptions<{ sections: string[] }>('DET-DOC-001');
       const missingSections = requiredSections.filter(section => 
         !readme.toLowerCase().includes(section.toLowerCase())
       );
 
       if (missingSections.length > 0) {
-        this.gaps.push({
-          category: 'documentation',
-          severity: 'medium',
+        this.report('DET-DOC-001', {
           title: 'Incomplete README Documentation',
           description: `README is missing key sections: ${missingSections.join(', ')}`,
           impact: 'New contributors may struggle to understand and use the project',
@@ -310,10 +861,9 @@ class GapAnalyzer {
 
       // Check for API documentation
       const hasAPIReference = readme.includes('API') || readme.includes('Reference');
-      if (!hasAPIReference && (readme.length > 1000)) {
-        this.gaps.push({
-          category: 'documentation',
-          severity: 'low',
+      const { minReadmeLength } = this.ruleOptions<{ minReadmeLength: number }>('DET-DOC-002');
+      if (!hasAPIReference && readme.length > minReadmeLength) {
+        this.report('DET-DOC-002', {
           title: 'Missing API Documentation',
           description: 'No API reference or documentation detected',
           impact: 'Developers need to read source code to understand APIs',
@@ -323,9 +873,7 @@ class GapAnalyzer {
         });
       }
     } catch (error) {
-      this.gaps.push({
-        category: 'documentation',
-        severity: 'high',
+      this.report('DET-DOC-003', {
         title: 'README.md Not Found',
         description: 'Project lacks a README file',
         impact: 'Project is not documented for users or contributors',
@@ -336,42 +884,176 @@ class GapAnalyzer {
     }
   }
 
-  private analyzeDependencies(): void {
-    // Check for outdated dependencies
-    this.gaps.push({
-      category: 'dependencies',
-      severity: 'medium',
-      title: 'Dependency Health Check Needed',
-      description: 'Regular dependency updates prevent security vulnerabilities',
-      impact: 'Outdated dependencies may have known security issues',
-      recommendation: 'Run npm audit and npm outdated regularly; use Dependabot',
-      effort: 'low',
-      files: ['package.json', '.github/dependabot.yml']
-    });
+  private async analyzeDependencies(): Promise<void> {
+    // Update automation and lock files live at the repository root
+    if (this.scope !== 'repository') {
+      return;
+    }
+
+    const pkg = await this.readPackageJson();
+    if (!(await this.findFile(DEPENDENCY_UPDATE_FILES)) && !pkg?.renovate) {
+      this.report('DET-DEP-001', {
+        title: 'Automated Dependency Updates Not Configured',
+        description: 'Regular dependency updates prevent security vulnerabilities',
+        impact: 'Outdated dependencies may have known security issues',
+        recommendation: 'Add .github/dependabot.yml or a Renovate config; run npm audit regularly',
+        effort: 'low',
+        files: ['.github/dependabot.yml'],
+        evidence: [`None of ${DEPENDENCY_UPDATE_FILES.join(', ')} found`, 'No "renovate" key in package.json']
+      });
+    }
 
-    // Check for lock file
     const hasPackageJson = this.stack!.technologies.some(t => t.name === 'Node.js');
-    if (hasPackageJson) {
-      this.gaps.push({
-        category: 'dependencies',
-        severity: 'medium',
-        title: 'Lock File Best Practices',
+    if (hasPackageJson && !(await this.findFile(LOCK_FILES))) {
+      this.report('DET-DEP-002', {
+        title: 'Lock File Missing',
         description: 'Lock files ensure consistent dependency versions',
         impact: 'Different environments may have different dependency versions',
         recommendation: 'Commit package-lock.json or yarn.lock to version control',
         effort: 'low',
-        files: ['package-lock.json', 'yarn.lock']
+        files: ['package-lock.json', 'yarn.lock'],
+        evidence: [`None of ${LOCK_FILES.join(', ')} found`]
+      });
+    }
+
+    if (pkg) {
+      await this.analyzeInstalledPackages(pkg);
+      this.analyzeDependencySpecifiers(pkg);
+    }
+  }
+
+  /**
+   * Offline checks of what the lock file installs: known advisories,
+   * duplicate versions and deprecated or unmaintained packages
+   */
+  private async analyzeInstalledPackages(pkg: Record<string, any>): Promise<void> {
+    let lock: LockFileContents | null = null;
+    let database: AdvisoryDatabase | null = null;
+    const { database: databaseFile } = this.ruleOptions<{ database: string }>('DET-DEP-003');
+    try {
+      lock = await readLockFile(this.rootDir);
+      database = await loadAdvisoryDatabase(path.resolve(this.rootDir, databaseFile));
+    } catch (error: any) {
+      this.logger.warn(`Skipping part of the dependency analysis: ${error.message}`);
+    }
+
+    const packages = lock?.packages || [];
+    const lockFile = lock?.file || 'package.json';
+
+    if (database) {
+      const updated = database.updated ? ` (updated ${database.updated.slice(0, 10)})` : '';
+      for (const { name, advisory, versions } of findVulnerable(packages, database)) {
+        this.report('DET-DEP-003', {
+          title: `Known Vulnerability in ${name}: ${advisory.title}`,
+          description: `${name} ${advisory.vulnerable_versions} is affected by advisory ${advisory.id}: ${advisory.title}`,
+          impact: 'Attackers can exploit a publicly documented vulnerability',
+          recommendation: `Upgrade ${name} to a version outside ${advisory.vulnerable_versions}, or override the transitive version`,
+          effort: 'low',
+          files: versions.map(version => `${name}@${version}`),
+          resources: advisory.url ? [advisory.url] : undefined,
+          evidence: [
+            ...versions.map(version => `${name}@${version} in ${lockFile} matches ${advisory.vulnerable_versions}`),
+            `Advisory ${advisory.id} in ${databaseFile}${updated}`
+          ]
+        }, ADVISORY_SEVERITIES[advisory.severity]);
+      }
+    }
+
+    const { ignore } = this.ruleOptions<{ ignore: string[] }>('DET-DEP-004');
+    const duplicates = findDuplicates(packages, ignore);
+    if (duplicates.size > 0) {
+      const manager = lockFile === 'pnpm-lock.yaml' ? 'pnpm' : lockFile === 'yarn.lock' ? 'yarn' : 'npm';
+      this.report('DET-DEP-004', {
+        title: 'Duplicate Package Versions',
+        description: `${duplicates.size} packages are installed at more than one version.`,
+        impact: 'Larger installs and bundles, and state split between copies of the same library',
+        recommendation: `Run \`${manager} dedupe\` and align the version ranges that keep the copies apart`,
+        effort: 'low',
+        files: [...duplicates].flatMap(([name, versions]) => versions.map(version => `${name}@${version}`)),
+        evidence: [...duplicates].map(([name, versions]) => `${name}: ${versions.join(', ')} in ${lockFile}`)
+      });
+    }
+
+    const { unmaintained } = this.ruleOptions<{ unmaintained: Record<string, string> }>('DET-DEP-005');
+    const notes = { ...unmaintained, ...database?.unmaintained };
+    const installed = lock ? packages : directDependencies(pkg).map(dep => ({ name: dep.name, version: dep.spec, deprecated: undefined }));
+    const stale = new Map<string, string>();
+    for (const { name, version, deprecated } of installed) {
+      const note = deprecated || notes[name];
+      if (note) stale.set(`${name}@${version}`, note);
+    }
+    if (stale.size > 0) {
+      this.report('DET-DEP-005', {
+        title: 'Deprecated or Unmaintained Dependencies',
+        description: `${stale.size} installed packages are deprecated or no longer maintained.`,
+        impact: 'Unmaintained packages stop receiving security fixes',
+        recommendation: 'Replace them, or upgrade the dependencies that pull them in',
+        effort: 'medium',
+        files: [...stale.keys()],
+        evidence: [...stale].map(([label, note]) => `${label}: ${note}`)
+      });
+    }
+  }
+
+  /**
+   * Checks of the ranges package.json declares: unpinned, git/URL and
+   * development tools listed as runtime dependencies
+   */
+  private analyzeDependencySpecifiers(pkg: Record<string, any>): void {
+    const declared = directDependencies(pkg);
+    const describe = (deps: typeof declared) => deps.map(dep => `"${dep.name}": "${dep.spec}" in ${dep.section}`);
+
+    const unpinned = declared.filter(dep => isUnpinnedSpecifier(dep.spec));
+    if (unpinned.length > 0) {
+      this.report('DET-DEP-006', {
+        title: 'Unpinned Dependency Versions',
+        description: `${unpinned.map(dep => dep.name).join(', ')} can install any future version, including breaking ones.`,
+        impact: 'Installs without the lock file may pick up breaking or malicious releases',
+        recommendation: 'Use caret or tilde ranges (e.g. "^1.2.0") instead of "*", dist-tags or open-ended ranges',
+        effort: 'low',
+        files: unpinned.map(dep => `${dep.name}@${dep.spec}`),
+        evidence: describe(unpinned)
+      });
+    }
+
+    const remote = declared.filter(dep => isRemoteSpecifier(dep.spec));
+    if (remote.length > 0) {
+      this.report('DET-DEP-007', {
+        title: 'Git or URL Dependencies',
+        description: `${remote.map(dep => dep.name).join(', ')} install from git or a URL instead of the registry.`,
+        impact: 'Their contents can change without a version bump and skip registry integrity checks',
+        recommendation: 'Depend on published registry versions, or pin git dependencies to a commit',
+        effort: 'medium',
+        files: remote.map(dep => `${dep.name}@${dep.spec}`),
+        evidence: describe(remote)
+      });
+    }
+
+    const { devOnly } = this.ruleOptions<{ devOnly: string[] }>('DET-DEP-008');
+    const misplaced = declared.filter(dep => dep.section === 'dependencies' && matchesName(dep.name, devOnly));
+    if (misplaced.length > 0) {
+      this.report('DET-DEP-008', {
+        title: 'Development Tools in dependencies',
+        description: `${misplaced.map(dep => dep.name).join(', ')} are only needed to build, lint or test the project.`,
+        impact: 'Production installs and Docker images carry tools they never run',
+        recommendation: `Move ${misplaced.map(dep => dep.name).join(', ')} to devDependencies`,
+        effort: 'low',
+        files: misplaced.map(dep => `${dep.name}@${dep.spec}`),
+        evidence: describe(misplaced)
       });
     }
   }
 
-  private analyzePerformance(): void {
+  private async analyzePerformance(): Promise<void> {
     const hasReact = this.stack!.technologies.some(t => t.name === 'React' || t.name === 'Next.js');
-    
-    if (hasReact) {
-      this.gaps.push({
-        category: 'performance',
-        severity: 'medium',
+    if (!hasReact) {
+      return;
+    }
+
+    const pkg = await this.readPackageJson();
+    const analyzers = await this.findPackages(BUNDLE_ANALYZER_PACKAGES);
+    if (analyzers.length === 0 && !pkg?.['size-limit'] && !pkg?.bundlesize) {
+      this.report('DET-PERF-001', {
         title: 'Bundle Size Monitoring Not Configured',
         description: 'Track bundle size to prevent performance regressions',
         impact: 'Application may become slow without monitoring',
@@ -383,48 +1065,76 @@ module.exports = {
   experimental: {
     optimizePackageImports: ['@mui/icons-material']
   }
-}`
+}`,
+        evidence: [`No ${BUNDLE_ANALYZER_PACKAGES.join(', ')} dependency`]
       });
+    }
 
-      this.gaps.push({
-        category: 'performance',
-        severity: 'low',
-        title: 'Image Optimization Not Verified',
+    // next/image optimizes on its own; other stacks need a plugin or sharp
+    const hasNext = this.stack!.technologies.some(t => t.name === 'Next.js');
+    const usesNextImage = hasNext && (await this.importsNextImage());
+    if (!usesNextImage && (await this.findPackages(IMAGE_OPTIMIZATION_PACKAGES)).length === 0) {
+      this.report('DET-PERF-002', {
+        title: 'Image Optimization Not Configured',
         description: 'Optimize images for faster load times',
         impact: 'Large images slow down page load',
         recommendation: 'Use Next.js Image component or image optimization tools',
         effort: 'low',
-        files: ['next.config.js']
+        files: ['next.config.js'],
+        evidence: [
+          ...(hasNext ? ['No next/image imports'] : []),
+          `No ${IMAGE_OPTIMIZATION_PACKAGES.join(', ')} dependency`
+        ]
       });
     }
   }
 
-  private analyzeAccessibility(): void {
+  /**
+   * Whether any source file imports next/image
+   */
+  private async importsNextImage(): Promise<boolean> {
+    const files = await glob('**/*.{js,jsx,ts,tsx}', { cwd: this.rootDir, ignore: IGNORED_GLOBS, posix: true, maxDepth: 6 });
+    for (const file of files) {
+      const text = await fs.readFile(path.join(this.rootDir, file), 'utf8').catch(() => '');
+      if (/from\s+['"]next\/(?:legacy\/)?image['"]/.test(text)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  private async analyzeAccessibility(): Promise<void> {
     const isUIProject = this.stack!.technologies.some(t => 
       t.name === 'React' || t.name === 'Next.js' || t.name === 'Vue'
     );
+    if (!isUIProject) {
+      return;
+    }
 
-    if (isUIProject) {
-      this.gaps.push({
-        category: 'accessibility',
-        severity: 'medium',
+    const linters = await this.findPackages(A11Y_LINT_PACKAGES);
+    const testers = await this.findPackages(A11Y_TEST_PACKAGES);
+    const eslintConfig = (await this.findFile(ESLINT_CONFIG_FILES)) || '.eslintrc.json';
+
+    if (linters.length === 0 && testers.length === 0) {
+      this.report('DET-A11Y-001', {
         title: 'Accessibility Tooling Not Detected',
         description: 'Accessibility testing ensures app is usable for everyone',
         impact: 'Application may not be accessible to users with disabilities',
         recommendation: 'Add eslint-plugin-jsx-a11y and axe-core for a11y testing',
         effort: 'low',
-        files: ['package.json', '.eslintrc.json']
+        files: ['package.json', eslintConfig],
+        evidence: [`No ${[...A11Y_LINT_PACKAGES, ...A11Y_TEST_PACKAGES].join(', ')} dependency`]
       });
-
-      this.gaps.push({
-        category: 'accessibility',
-        severity: 'low',
-        title: 'ARIA Labels Review Needed',
-        description: 'Proper ARIA labels improve screen reader experience',
+    } else if (linters.length === 0) {
+      // Runtime checks only see rendered pages; a linter checks every component
+      this.report('DET-A11Y-002', {
+        title: 'Accessibility Linting Not Configured',
+        description: 'An accessibility lint plugin checks ARIA attributes, labels and roles in every component',
         impact: 'Screen reader users may have difficulty navigating',
-        recommendation: 'Review all interactive elements for proper ARIA attributes',
-        effort: 'medium',
-        files: ['src/components/**/*.tsx']
+        recommendation: 'Add eslint-plugin-jsx-a11y (React) or eslint-plugin-vuejs-accessibility (Vue)',
+        effort: 'low',
+        files: ['package.json', eslintConfig],
+        evidence: [`Found ${testers.join(', ')}, but no ${A11Y_LINT_PACKAGES.join(' or ')} dependency`]
       });
     }
   }
@@ -437,9 +1147,7 @@ module.exports = {
       try {
         await fs.access(path.join(this.rootDir, '.dockerignore'));
       } catch {
-        this.gaps.push({
-          category: 'docker',
-          severity: 'medium',
+        this.report('DET-DOCKER-001', {
           title: 'Missing .dockerignore File',
           description: '.dockerignore reduces image size by excluding unnecessary files',
           impact: 'Docker images may be unnecessarily large',
@@ -458,9 +1166,7 @@ dist`
       // Check for multi-stage build
       const dockerfile = await fs.readFile(path.join(this.rootDir, 'Dockerfile'), 'utf8');
       if (!dockerfile.includes('AS builder') && !dockerfile.includes('AS build')) {
-        this.gaps.push({
-          category: 'docker',
-          severity: 'low',
+        this.report('DET-DOCKER-002', {
           title: 'Multi-Stage Build Not Detected',
           description: 'Multi-stage builds optimize Docker image size',
           impact: 'Docker images may be larger than necessary',
@@ -481,9 +1187,7 @@ dist`
       // Check if project uses environment variables
       const hasPackageJson = this.stack!.technologies.some(t => t.name === 'Node.js');
       if (hasPackageJson) {
-        this.gaps.push({
-          category: 'environment',
-          severity: 'medium',
+        this.report('DET-ENV-001', {
           title: 'Missing .env.example File',
           description: '.env.example documents required environment variables',
           impact: 'Developers may not know which environment variables are needed',
@@ -498,9 +1202,7 @@ dist`
     try {
       const gitignore = await fs.readFile(path.join(this.rootDir, '.gitignore'), 'utf8');
       if (!gitignore.includes('.env')) {
-        this.gaps.push({
-          category: 'environment',
-          severity: 'high',
+        this.report('DET-ENV-002', {
           title: '.env Not in .gitignore',
           description: 'Environment files should never be committed',
           impact: 'Secrets may be accidentally committed to version control',
@@ -512,15 +1214,155 @@ dist`
     } catch {
       // .gitignore not found
     }
+
+    await this.analyzeEnvUsage();
+  }
+
+  /**
+   * Compare the environment variables the source reads with .env.example
+   */
+  private async analyzeEnvUsage(): Promise<void> {
+    if (!['DET-ENV-004', 'DET-ENV-005', 'DET-ENV-006'].some(id => this.rules.get(id)!.enabled)) {
+      return;
+    }
+
+    const { exclude } = this.ruleOptions<{ exclude: string[] }>('DET-ENV-004');
+    const usage = await findEnvUsage(this.rootDir, exclude);
+    const example = (await this.readFiles([ENV_EXAMPLE_FILE])).get(ENV_EXAMPLE_FILE);
+    const documented = example === undefined ? [] : parseEnvNames(example);
+    const readers = (names: string[]) => [...new Set(names.flatMap(name => usage.get(name) || []))];
+    const usedIn = (name: string) => `${name}: read in ${usage.get(name)!.join(', ')}`;
+
+    // Without .env.example, DET-ENV-001 already asks for one
+    if (example !== undefined) {
+      const { ignore: undocumentedIgnored } = this.ruleOptions<{ ignore: string[] }>('DET-ENV-004');
+      const undocumented = [...usage.keys()].filter(name => !documented.includes(name) && !matchesName(name, undocumentedIgnored));
+      if (undocumented.length > 0) {
+        this.report('DET-ENV-004', {
+          title: 'Variables Missing from .env.example',
+          description: `The source reads ${undocumented.join(', ')}, which .env.example does not list`,
+          impact: 'Developers find out about missing configuration at runtime',
+          recommendation: 'Add the variables to .env.example, or run `devenv doctor --fix` to regenerate it from usage',
+          effort: 'low',
+          files: [ENV_EXAMPLE_FILE, ...readers(undocumented)],
+          evidence: undocumented.map(usedIn)
+        });
+      }
+
+      const { ignore: unusedIgnored } = this.ruleOptions<{ ignore: string[] }>('DET-ENV-005');
+      const unused = documented.filter(name => !usage.has(name) && !matchesName(name, unusedIgnored));
+      if (unused.length > 0) {
+        this.report('DET-ENV-005', {
+          title: 'Unused Variables in .env.example',
+          description: `.env.example lists ${unused.join(', ')}, which no source file reads`,
+          impact: 'Developers configure values nothing uses, and stale entries hide the ones that matter',
+          recommendation: 'Remove the entries, or list variables read by libraries in the rule\'s ignore option',
+          effort: 'low',
+          files: [ENV_EXAMPLE_FILE],
+          evidence: unused.map(name => `${name}: not read by any source file`)
+        });
+      }
+    }
+
+    const exposed = [...new Set([...usage.keys(), ...documented])].filter(isPublicSecretName).sort();
+    if (exposed.length > 0) {
+      this.report('DET-ENV-006', {
+        title: 'Secret in Public Environment Variable',
+        description: `${exposed.join(', ')} ${exposed.length === 1 ? 'is' : 'are'} inlined into the client bundle but named like a secret`,
+        impact: 'Anyone who loads the app can read the value from its JavaScript',
+        recommendation: 'Read secrets only on the server under a name without the public prefix; keep the prefix for values that are safe to publish',
+        effort: 'medium',
+        files: [...(example !== undefined && exposed.some(name => documented.includes(name)) ? [ENV_EXAMPLE_FILE] : []), ...readers(exposed)],
+        evidence: exposed.map(name => (usage.has(name) ? usedIn(name) : `${name}: listed in .env.example`))
+      });
+    }
+  }
+
+  /**
+   * Secrets in tracked files and git history, and tracked .env files. Skipped
+   * outside a git repository.
+   */
+  private async analyzeSecrets(): Promise<void> {
+    const tracked = listTrackedFiles(this.rootDir);
+    if (!tracked) {
+      return;
+    }
+
+    let allowlist: SecretAllowlist = { paths: [], secrets: [] };
+    try {
+      allowlist = await loadAllowlist(this.rootDir);
+    } catch (error: any) {
+      this.logger.warn(`Scanning for secrets without an allowlist: ${error.message}`);
+    }
+    const { minEntropy } = this.ruleOptions<{ minEntropy: number }>('DET-SEC-003');
+    const allowlistHint = `If it is not a secret, add the file or a /pattern/ for the value to ${SECRETS_ALLOWLIST_FILE}`;
+
+    const current = (await scanFiles(this.rootDir, tracked, minEntropy)).filter(finding => !isAllowed(finding, allowlist));
+    for (const finding of current) {
+      this.report('DET-SEC-003', {
+        title: `${finding.kind} in ${finding.file}:${finding.line}`,
+        description: `Line ${finding.line} of ${finding.file} contains ${redact(finding.secret)}, which looks like a secret (${finding.kind})`,
+        impact: 'Anyone who can read the repository can use the credential',
+        recommendation: `Revoke and rotate the credential, then load it from the environment or a secret manager. ${allowlistHint}`,
+        effort: 'medium',
+        files: [finding.file],
+        line: finding.line,
+        evidence: [`${finding.kind}: ${redact(finding.secret)}`]
+      });
+    }
+
+    if (this.rules.get('DET-SEC-004')!.enabled) {
+      const { maxCommits } = this.ruleOptions<{ maxCommits: number }>('DET-SEC-004');
+      const history = scanHistory(this.rootDir, maxCommits, minEntropy);
+      if (!history) {
+        this.logger.warn('Could not scan git history for secrets; try a lower DET-SEC-004 maxCommits');
+      }
+
+      // Secrets still in the tree are reported above; of the rest, report the
+      // oldest commit (git log lists newest first) that added each one to a file
+      const present = new Set(current.map(finding => finding.secret));
+      const removed = new Map<string, SecretFinding>();
+      for (const finding of history || []) {
+        if (!present.has(finding.secret) && !isAllowed(finding, allowlist)) {
+          removed.set(`${finding.file}\0${finding.secret}`, finding);
+        }
+      }
+      for (const finding of removed.values()) {
+        this.report('DET-SEC-004', {
+          title: `${finding.kind} in Git History: ${finding.file}:${finding.line}`,
+          description: `Commit ${finding.commit} added ${redact(finding.secret)} (${finding.kind}) to line ${finding.line} of ${finding.file}. It is no longer in the working tree but every clone still has it.`,
+          impact: 'Anyone with a copy of the repository history can use the credential',
+          recommendation: `Revoke and rotate the credential; deleting it from the tree does not remove it from history. ${allowlistHint}`,
+          effort: 'medium',
+          files: [finding.file],
+          line: finding.line,
+          evidence: [`${finding.kind} added in ${finding.commit}: ${redact(finding.secret)}`]
+        });
+      }
+    }
+
+    const envFiles = findTrackedEnvFiles(tracked);
+    if (envFiles.length > 0) {
+      this.report('DET-ENV-003', {
+        title: '.env File Tracked by Git',
+        description: `git tracks ${envFiles.join(', ')}; adding a file to .gitignore does not untrack it`,
+        impact: 'Every clone receives the environment values, secrets included',
+        recommendation: 'Stop tracking the files, keep them in .gitignore and rotate any secrets they contained',
+        effort: 'low',
+        files: envFiles,
+        evidence: envFiles.map(file => `git ls-files lists ${file}`),
+        codeSnippet: `git rm --cached ${envFiles.join(' ')}
+echo ".env*" >> .gitignore
+echo "!.env.example" >> .gitignore`
+      });
+    }
   }
 
   private async analyzeGitHooks(): Promise<void> {
     try {
       await fs.access(path.join(this.rootDir, '.husky'));
     } catch {
-      this.gaps.push({
-        category: 'git-hooks',
-        severity: 'low',
+      this.report('DET-HOOK-001', {
         title: 'Git Hooks Not Configured',
         description: 'Pre-commit hooks prevent bad code from being committed',
         impact: 'Linting and formatting issues may be committed',
@@ -535,19 +1377,12 @@ echo "npm run lint && npm run format:check" > .husky/pre-commit`
   }
 
   private analyzeFrameworks(): void {
-    const frameworks = {
-      'React': ['prop-types', 'eslint-plugin-react-hooks'],
-      'Next.js': ['next-seo', 'sharp'],
-      'Vue': ['vue-router', 'pinia'],
-      'Angular': ['@angular/cli', '@angular/forms']
-    };
+    const { packages: frameworks } = this.ruleOptions<{ packages: Record<string, string[]> }>('DET-FW-001');
 
     Object.entries(frameworks).forEach(([framework, essentialPackages]) => {
       const hasFramework = this.stack!.technologies.some(t => t.name === framework);
       if (hasFramework) {
-        this.gaps.push({
-          category: 'quality',
-          severity: 'low',
+        this.report('DET-FW-001', {
           title: `${framework} Best Practices Check`,
           description: `Ensure ${framework} best practices are followed`,
           impact: 'May miss framework-specific optimizations',
@@ -561,10 +1396,6 @@ echo "npm run lint && npm run format:check" > .husky/pre-commit`
   }
 
   private generateReport(): string {
-    // Sort gaps by severity
-    const severityOrder = { high: 3, medium: 2, low: 1 };
-    this.gaps.sort((a, b) => severityOrder[b.severity] - severityOrder[a.severity]);
-
     let report = '# DevEnvTemplate Gap Analysis Report\n\n';
     report += `Generated: ${new Date().toISOString()}\n\n`;
     report += `Total gaps found: ${this.gaps.length}\n\n`;
@@ -585,12 +1416,21 @@ echo "npm run lint && npm run format:check" > .husky/pre-commit`
       gaps.forEach(gap => {
         const severityIcon = gap.severity === 'high' ? '🔴' : gap.severity === 'medium' ? '🟡' : '🟢';
         report += `### ${severityIcon} ${gap.title}\n\n`;
+        const rule = gap.ruleId ? this.rules.get(gap.ruleId) : undefined;
+        if (rule) {
+          report += `**Rule:** [${rule.id}](${rule.docs})\n\n`;
+        }
         report += `**Category:** ${gap.category}\n\n`;
         report += `${gap.description}\n\n`;
         report += `**Impact:** ${gap.impact}\n\n`;
         report += `**Recommendation:** ${gap.recommendation}\n\n`;
         report += `**Effort:** ${gap.effort}\n\n`;
-        report += `**Files:** ${gap.files.join(', ')}\n\n`;
+        const files = gap.line ? [`${gap.files[0]}:${gap.line}`, ...gap.files.slice(1)] : gap.files;
+        report += `**Files:** ${files.join(', ')}\n\n`;
+
+        if (gap.evidence && gap.evidence.length > 0) {
+          report += `**Evidence:** ${gap.evidence.join('; ')}\n\n`;
+        }
         
         if (gap.codeSnippet) {
           report += `**Code Example:**\n\`\`\`\n${gap.codeSnippet}\n\`\`\`\n\n`;
@@ -629,21 +1469,32 @@ echo "npm run lint && npm run format:check" > .husky/pre-commit`
     return report;
   }
 
-  // Method to save report to file
+  // Save the markdown rendering and the structured JSON report
   async saveReport(report: string): Promise<void> {
     const outputPath = path.join(this.rootDir, '.devenv', 'gaps-report.md');
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
     await fs.writeFile(outputPath, report);
-    logger.info(`Gap report saved to ${outputPath}`);
+    this.logger.info(`Gap report saved to ${outputPath}`);
+
+    const jsonPath = path.join(this.rootDir, '.devenv', 'gaps-report.json');
+    await fs.writeFile(jsonPath, JSON.stringify(this.getGapReport(), null, 2));
+    this.logger.info(`Gap report JSON saved to ${jsonPath}`);
   }
 }
 
 // Run the analyzer
 if (require.main === module) {
-  const analyzer = new GapAnalyzer();
+  // SARIF output owns stdout, so progress logging is silenced
+  const sarif = process.argv.includes('--format') && process.argv[process.argv.indexOf('--format') + 1] === 'sarif';
+  const analyzer = new GapAnalyzer(sarif ? { logger: createLogger({ context: 'gap-analyzer', level: 'SILENT' }) } : {});
   analyzer.analyze()
     .then(async report => {
-      console.log(report);
+      if (sarif) {
+        const log = toSarif(analyzer.getGapReport().gaps, { rootDir: process.cwd(), toolVersion: getToolVersion() });
+        console.log(JSON.stringify(log, null, 2));
+      } else {
+        console.log(report);
+      }
       await analyzer.saveReport(report);
     })
     .catch(error => {
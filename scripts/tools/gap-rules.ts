@@ -0,0 +1,236 @@
+/**
+ * Gap analysis rule catalogue
+ *
+ * Every check in GapAnalyzer is a rule with a stable ID. Projects change a
+ * rule's severity, turn it off or set its options in the `rules` section of
+ * .devenv/config.json:
+ *
+ *   { "rules": { "DET-FW-001": "off", "DET-DOC-001": { "severity": "low", "options": { "sections": ["Usage"] } } } }
+ *
+ * A single gap is silenced with a `devenv-disable <ID>` comment in one of the
+ * files it names (see findSuppressions).
+ */
+
+import { loadProjectConfig, PROJECT_CONFIG_FILE } from '../utils/project-config';
+import type { GapCategory, GapRule, GapSeverity, ResolvedRule, RuleSeverity, RulesConfig } from '../types/gaps';
+
+export const RULES_DOCS = 'docs/RULES.md';
+
+const SEVERITIES: RuleSeverity[] = ['off', 'low', 'medium', 'high'];
+
+function rule(
+  id: string,
+  category: GapCategory,
+  severity: GapSeverity,
+  title: string,
+  summary: string,
+  options?: Record<string, unknown>
+): GapRule {
+  return { id, category, severity, title, summary, docs: `${RULES_DOCS}#${id.toLowerCase()}`, ...(options && { options }) };
+}
+
+export const GAP_RULES: GapRule[] = [
+  rule('DET-TS-001', 'typescript', 'high', 'TypeScript Not Configured', 'JavaScript project without a TypeScript dependency'),
+  rule('DET-TS-002', 'typescript', 'high', 'Missing TypeScript Configuration', 'TypeScript is installed but there is no tsconfig.json'),
+  rule('DET-TS-003', 'typescript', 'medium', 'TypeScript Strict Mode Disabled', 'tsconfig.json does not set "strict": true'),
+  rule('DET-LINT-001', 'linting', 'high', 'ESLint Not Configured', 'JavaScript project without an ESLint dependency'),
+  rule('DET-LINT-002', 'linting', 'high', 'Missing ESLint Configuration', 'ESLint is installed but has no config file'),
+  rule('DET-LINT-003', 'linting', 'medium', 'Missing Architectural Boundaries', 'No boundaries plugin, dependency-cruiser or boundary lint rules'),
+  rule('DET-TEST-001', 'testing', 'high', 'No Testing Framework Detected', 'JavaScript project without a test framework'),
+  rule('DET-TEST-002', 'testing', 'medium', 'Missing End-to-End Testing', 'UI project without Playwright'),
+  rule('DET-CI-001', 'ci', 'high', 'No CI/CD Pipeline Detected', 'No CI configuration found'),
+  rule('DET-CI-002', 'ci', 'medium', 'CI Quality Gates Missing', 'GitHub Actions workflows lack a lint, test or security step'),
+  rule('DET-CI-003', 'ci', 'medium', 'CI Does Not Run {Language} Tests', 'A language has tests, but no CI step runs them'),
+  rule('DET-PY-001', 'testing', 'high', 'Python Tests Not Configured (pytest)', 'Python project without pytest'),
+  rule('DET-PY-002', 'linting', 'high', 'Python Linter Not Configured (ruff)', 'Python project without ruff, flake8 or pylint'),
+  rule('DET-PY-003', 'quality', 'medium', 'Python Formatter Not Configured', 'Python project without ruff format or black'),
+  rule('DET-PY-004', 'quality', 'low', 'Python Type Checking Not Configured', 'Python project without mypy or pyright'),
+  rule('DET-GO-001', 'testing', 'high', 'No Go Tests Found', 'Go module without _test.go files'),
+  rule('DET-GO-002', 'linting', 'high', 'Go Static Analysis Not Enforced', 'Neither go vet nor golangci-lint runs in CI or the Makefile'),
+  rule('DET-GO-003', 'linting', 'low', 'golangci-lint Not Configured', 'go vet runs, but golangci-lint is not configured'),
+  rule('DET-JAVA-001', 'testing', 'high', 'No Java Test Framework Detected', 'Java project without JUnit or TestNG'),
+  rule('DET-JAVA-002', 'testing', 'medium', 'Maven Surefire Plugin Not Configured', 'Maven build without an explicit Surefire plugin'),
+  rule('DET-JAVA-003', 'linting', 'medium', 'Java Static Analysis Not Configured', 'Java project without Checkstyle, PMD, SpotBugs or Error Prone'),
+  rule('DET-NET-001', 'testing', 'high', 'No .NET Test Project Detected', 'No project references xUnit, NUnit or MSTest'),
+  rule('DET-NET-002', 'linting', 'medium', '.NET Analyzers Not Enabled', 'No analyzer packages or <EnableNETAnalyzers> setting'),
+  rule('DET-NET-003', 'quality', 'low', 'Nullable Reference Types Disabled', '.NET project without <Nullable>enable</Nullable>'),
+  rule('DET-SEC-001', 'security', 'high', 'Security Measures Not Detected', 'No secret or vulnerability scanning and no CSP found'),
+  rule('DET-SEC-002', 'security', 'medium', 'CSP Headers Not Configured', 'Next.js app without a Content-Security-Policy header'),
+  rule('DET-SEC-003', 'security', 'high', '{Secret} in {File}', 'A tracked file contains a provider credential or a high-entropy secret', {
+    minEntropy: 3.5
+  }),
+  rule('DET-SEC-004', 'security', 'high', '{Secret} in Git History', 'A commit added a secret that is no longer in the working tree', {
+    maxCommits: 1000
+  }),
+  rule('DET-ARCH-001', 'architecture', 'low', 'Source and Test Folders Not Separated', 'No source directory, or no test directory or test files'),
+  rule('DET-QUAL-001', 'quality', 'low', 'Quality Budgets Not Configured', 'No quality budget file or size-limit tool'),
+  rule('DET-OBS-001', 'observability', 'low', 'Provenance Tracking Not Implemented', 'No provenance or prompt metrics log'),
+  rule('DET-DOC-001', 'documentation', 'medium', 'Incomplete README Documentation', 'README.md lacks one of the required sections', {
+    sections: ['Installation', 'Usage', 'Contributing', 'License']
+  }),
+  rule('DET-DOC-002', 'documentation', 'low', 'Missing API Documentation', 'A long README.md without an API reference', {
+    minReadmeLength: 1000
+  }),
+  rule('DET-DOC-003', 'documentation', 'high', 'README.md Not Found', 'No README.md in the project root'),
+  rule('DET-DEP-001', 'dependencies', 'medium', 'Automated Dependency Updates Not Configured', 'No Dependabot or Renovate config'),
+  rule('DET-DEP-002', 'dependencies', 'medium', 'Lock File Missing', 'Node.js project without a lock file'),
+  rule('DET-DEP-003', 'dependencies', 'high', 'Known Vulnerability in {Package}', 'An installed version matches an advisory in the local advisory database', {
+    database: '.devenv/advisories.json'
+  }),
+  rule('DET-DEP-004', 'dependencies', 'low', 'Duplicate Package Versions', 'The lock file installs a package at more than one version', {
+    ignore: []
+  }),
+  rule('DET-DEP-005', 'dependencies', 'medium', 'Deprecated or Unmaintained Dependencies', 'Installed packages marked deprecated in the lock file, or known to be unmaintained', {
+    unmaintained: {
+      'request': 'deprecated since 2020; use fetch or undici',
+      'request-promise': 'deprecated along with request',
+      'node-sass': 'deprecated; use sass',
+      'tslint': 'deprecated; use ESLint with typescript-eslint',
+      'babel-eslint': 'renamed to @babel/eslint-parser',
+      'moment': 'in maintenance mode; use date-fns, Luxon or Day.js'
+    }
+  }),
+  rule('DET-DEP-006', 'dependencies', 'low', 'Unpinned Dependency Versions', 'package.json ranges without an upper bound, such as "*", "latest" or ">=1.0.0"'),
+  rule('DET-DEP-007', 'dependencies', 'medium', 'Git or URL Dependencies', 'package.json installs packages from git or a URL instead of the registry'),
+  rule('DET-DEP-008', 'dependencies', 'low', 'Development Tools in dependencies', 'Build, lint and test tools declared as runtime dependencies', {
+    devOnly: [
+      'typescript',
+      '@types/*',
+      'eslint',
+      'eslint-plugin-*',
+      'eslint-config-*',
+      '@typescript-eslint/*',
+      'prettier',
+      'jest',
+      'vitest',
+      'mocha',
+      '@playwright/test',
+      'husky',
+      'lint-staged',
+      'nodemon',
+      '@commitlint/*'
+    ]
+  }),
+  rule('DET-PERF-001', 'performance', 'medium', 'Bundle Size Monitoring Not Configured', 'React or Next.js app without a bundle analyzer or size limit'),
+  rule('DET-PERF-002', 'performance', 'low', 'Image Optimization Not Configured', 'React or Next.js app without next/image or an image optimizer'),
+  rule('DET-A11Y-001', 'accessibility', 'medium', 'Accessibility Tooling Not Detected', 'UI project without accessibility linting or testing'),
+  rule('DET-A11Y-002', 'accessibility', 'low', 'Accessibility Linting Not Configured', 'UI project with accessibility tests but no lint plugin'),
+  rule('DET-DOCKER-001', 'docker', 'medium', 'Missing .dockerignore File', 'Dockerfile without a .dockerignore'),
+  rule('DET-DOCKER-002', 'docker', 'low', 'Multi-Stage Build Not Detected', 'Dockerfile without a build stage'),
+  rule('DET-ENV-001', 'environment', 'medium', 'Missing .env.example File', 'Node.js project without .env.example'),
+  rule('DET-ENV-002', 'environment', 'high', '.env Not in .gitignore', '.gitignore does not ignore .env files'),
+  rule('DET-ENV-003', 'environment', 'high', '.env File Tracked by Git', 'git tracks a .env file, whatever .gitignore says'),
+  rule('DET-ENV-004', 'environment', 'medium', 'Variables Missing from .env.example', 'The source reads environment variables .env.example does not list', {
+    ignore: ['NODE_ENV', 'CI'],
+    exclude: [
+      '**/test/**',
+      '**/tests/**',
+      '**/__tests__/**',
+      '**/__mocks__/**',
+      '**/fixtures/**',
+      '**/*.{test,spec}.*',
+      '**/test_*.py',
+      '**/*_test.py',
+      '**/conftest.py'
+    ]
+  }),
+  rule('DET-ENV-005', 'environment', 'low', 'Unused Variables in .env.example', '.env.example lists variables the source never reads', {
+    ignore: ['NODE_ENV', 'PORT', 'NEXTAUTH_URL', 'NEXTAUTH_SECRET', 'AUTH_SECRET']
+  }),
+  rule('DET-ENV-006', 'environment', 'high', 'Secret in Public Environment Variable', 'A variable exposed to the browser (NEXT_PUBLIC_, VITE_, ...) is named like a secret'),
+  rule('DET-HOOK-001', 'git-hooks', 'low', 'Git Hooks Not Configured', 'No Husky pre-commit hooks'),
+  rule('DET-FW-001', 'quality', 'low', '{Framework} Best Practices Check', 'Suggests packages for each detected framework', {
+    packages: {
+      'React': ['prop-types', 'eslint-plugin-react-hooks'],
+      'Next.js': ['next-seo', 'sharp'],
+      'Vue': ['vue-router', 'pinia'],
+      'Angular': ['@angular/cli', '@angular/forms']
+    }
+  })
+];
+
+const RULES_BY_ID = new Map(GAP_RULES.map(entry => [entry.id, entry]));
+
+export function getGapRule(id: string): GapRule | undefined {
+  return RULES_BY_ID.get(id);
+}
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const optionType = (value: unknown) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+/**
+ * Merge rule settings over the catalogue defaults and validate them
+ */
+export function resolveRules(config: RulesConfig = {}): Map<string, ResolvedRule> {
+  if (!isObject(config)) {
+    throw new Error('rules must be an object mapping rule IDs to settings');
+  }
+
+  for (const id of Object.keys(config)) {
+    if (!RULES_BY_ID.has(id)) {
+      throw new Error(`rules.${id} is not a known rule (see \`devenv doctor rules\`)`);
+    }
+  }
+
+  const resolved = new Map<string, ResolvedRule>();
+  for (const entry of GAP_RULES) {
+    const setting = config[entry.id];
+    const { severity, options = {} } = isObject(setting) ? setting : { severity: setting };
+
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+      throw new Error(`rules.${entry.id} severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!isObject(options)) {
+      throw new Error(`rules.${entry.id}.options must be an object`);
+    }
+    for (const [name, value] of Object.entries(options)) {
+      if (!entry.options || !(name in entry.options)) {
+        throw new Error(`rules.${entry.id}.options.${name} is not an option of ${entry.id}`);
+      }
+      if (optionType(value) !== optionType(entry.options[name])) {
+        throw new Error(`rules.${entry.id}.options.${name} must be ${optionType(entry.options[name]) === 'array' ? 'an array' : `a ${optionType(entry.options[name])}`}`);
+      }
+    }
+
+    resolved.set(entry.id, {
+      ...entry,
+      defaultSeverity: entry.severity,
+      severity: severity && severity !== 'off' ? severity : entry.severity,
+      enabled: severity !== 'off',
+      configured: setting !== undefined,
+      severityConfigured: severity !== undefined && severity !== 'off',
+      options: { ...entry.options, ...options }
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Read and validate the `rules` section of a project's config; a missing
+ * config file or section leaves every rule at its defaults
+ */
+export async function loadRulesConfig(rootDir: string): Promise<RulesConfig> {
+  const { rules = {} } = await loadProjectConfig(rootDir);
+  try {
+    resolveRules(rules);
+  } catch (error: any) {
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+  return rules;
+}
+
+/**
+ * Rule IDs disabled by `devenv-disable` comments in a file's text, e.g.
+ * `# devenv-disable DET-PY-003, DET-PY-004` or, in JSON files without
+ * comments, `"//": "devenv-disable DET-FW-001"`
+ */
+export function findSuppressions(text: string): Set<string> {
+  const ids = new Set<string>();
+  for (const match of text.matchAll(/devenv-disable\s+([A-Z][A-Z0-9]*-[A-Z0-9]+-\d+(?:\s*,\s*[A-Z][A-Z0-9]*-[A-Z0-9]+-\d+)*)/g)) {
+    match[1].split(',').forEach(id => ids.add(id.trim()));
+  }
+  return ids;
+}
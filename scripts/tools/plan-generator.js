@@ -5,7 +5,7 @@
  * Maintains backward compatibility
  */
 
-const { PlanGenerator } = require('../../dist/.github/tools/plan-generator');
+const { PlanGenerator } = require('../../dist/scripts/tools/plan-generator');
 
 // Re-export the compiled TypeScript class
 module.exports = PlanGenerator;
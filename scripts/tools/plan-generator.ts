@@ -9,13 +9,14 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { createLogger, Logger } from '../../scripts/utils/logger';
-import { Gap, GapCategory } from '../types/gaps';
+import { createLogger, Logger } from '../utils/logger';
+import { Gap, GapReport } from '../types/gaps';
 import { Task, TaskGroup, HardeningPlan, CodeSnippet, PlanGeneratorOptions, PlanMetadata } from '../types/plan';
 
 export class PlanGenerator {
   private rootDir: string;
   private gaps: Gap[];
+  private providedGaps: Gap[] | null;
   private tasks: Task[];
   private logger: Logger;
   private includeCodeSnippets: boolean;
@@ -25,25 +26,38 @@ export class PlanGenerator {
   constructor(options: PlanGeneratorOptions = {}) {
     this.rootDir = options.rootDir || process.cwd();
     this.gaps = [];
+    this.providedGaps = options.gaps || null;
     this.tasks = [];
-    this.logger = createLogger({ context: 'PlanGenerator' });
+    this.logger = options.logger || createLogger({ context: 'PlanGenerator' });
     this.includeCodeSnippets = options.includeCodeSnippets !== false;
     this.includeDependencies = options.includeDependencies !== false;
     this.sortByPriority = options.sortByPriority !== false;
   }
 
   public async generate(): Promise<string> {
+    await this.generatePlan();
+    return this.generatePlanMarkdown();
+  }
+
+  /**
+   * Build the structured plan without rendering markdown
+   */
+  public async generatePlan(): Promise<HardeningPlan> {
     this.logger.info('📋 Generating hardening plan from gap analysis...');
 
-    // Load gaps report
-    try {
-      const gapsReportPath = path.join(this.rootDir, '.devenv', 'gaps-report.md');
-      const gapsReport = await fs.readFile(gapsReportPath, 'utf8');
-      this.parseGaps(gapsReport);
-      this.logger.debug(`Parsed ${this.gaps.length} gaps from report`);
-    } catch (error: any) {
-      this.logger.error('Failed to load gaps report. Run gap-analyzer first.', { error: error.message });
-      throw new Error('Gaps report not found. Run gap-analyzer first.');
+    if (this.providedGaps) {
+      this.gaps = this.providedGaps;
+    } else {
+      // Load structured gaps report
+      try {
+        const gapsReportPath = path.join(this.rootDir, '.devenv', 'gaps-report.json');
+        const gapsReport = JSON.parse(await fs.readFile(gapsReportPath, 'utf8')) as GapReport;
+        this.gaps = gapsReport.gaps || [];
+        this.logger.debug(`Loaded ${this.gaps.length} gaps from report`);
+      } catch (error: any) {
+        this.logger.error('Failed to load gaps report. Run gap-analyzer first.', { error: error.message });
+        throw new Error('Gaps report not found. Run gap-analyzer first.');
+      }
     }
 
     // Convert gaps to tasks
@@ -72,80 +86,25 @@ export class PlanGenerator {
     }
 
     this.logger.info(`Generated plan with ${this.tasks.length} tasks`);
-    return this.generatePlanMarkdown();
+    return this.buildPlan();
   }
 
-  private parseGaps(report: string): void {
-    const lines = report.split('\n');
-    let currentGap: Partial<Gap> | null = null;
-    let inSection: 'description' | 'impact' | 'recommendation' | 'files' | 'resources' | null = null;
-
-    for (const line of lines) {
-      if (line.startsWith('### ')) {
-        if (currentGap && currentGap.title) {
-          this.gaps.push(currentGap as Gap);
-        }
-
-        // Match pattern: "### 🔴 Title" or "### 🟡 Title" or "### 🟢 Title"
-        // Emojis are multi-byte, so use a flexible pattern
-        const titleMatch = line.match(/^### .+ (.+)$/);
-        if (titleMatch) {
-          const severity = line.includes('🔴') ? 'high' : line.includes('🟡') ? 'medium' : 'low';
-          // Extract title by removing "### " and the emoji
-          const title = line.replace(/^### [🔴🟡🟢] /, '');
-          currentGap = {
-            title: title,
-            severity: severity as 'high' | 'medium' | 'low',
-            category: 'typescript' as GapCategory, // Will be overwritten when parsed
-            description: '',
-            impact: '',
-            recommendation: '',
-            effort: 'medium' as 'low' | 'medium' | 'high',
-            files: [],
-            resources: []
-          };
-          inSection = null;
-        }
-      } else if (currentGap) {
-        if (line.startsWith('**Category:**')) {
-          const categoryStr = line.replace('**Category:**', '').trim();
-          currentGap.category = categoryStr as GapCategory;
-        } else if (line.trim() && !line.startsWith('**') && !line.startsWith('---') && !currentGap.description) {
-          currentGap.description = line.trim();
-        } else if (line.startsWith('**Impact:**')) {
-          currentGap.impact = line.replace('**Impact:**', '').trim();
-          inSection = 'impact';
-        } else if (line.startsWith('**Recommendation:**')) {
-          currentGap.recommendation = line.replace('**Recommendation:**', '').trim();
-          inSection = 'recommendation';
-        } else if (line.startsWith('**Effort:**')) {
-          const effortStr = line.replace('**Effort:**', '').trim().toLowerCase();
-          currentGap.effort = (effortStr === 'low' || effortStr === 'medium' || effortStr === 'high') ? effortStr : 'medium';
-          inSection = null;
-        } else if (line.startsWith('**Files:**')) {
-          const filesStr = line.replace('**Files:**', '').trim();
-          currentGap.files = filesStr ? filesStr.split(',').map(f => f.trim()) : [];
-          inSection = 'files';
-        } else if (line.startsWith('**Resources:**')) {
-          inSection = 'resources';
-        } else if (line.startsWith('- ') && inSection === 'resources') {
-          const url = line.replace(/^- /, '').trim();
-          currentGap.resources = currentGap.resources || [];
-          currentGap.resources.push(url);
-        } else if (inSection && line.trim() && !line.startsWith('**') && !line.startsWith('---')) {
-          // Continuation of previous section
-          if (inSection === 'impact' && currentGap.impact) {
-            currentGap.impact += ' ' + line.trim();
-          } else if (inSection === 'recommendation' && currentGap.recommendation) {
-            currentGap.recommendation += ' ' + line.trim();
-          }
-        }
-      }
-    }
+  private buildPlan(): HardeningPlan {
+    const dependencyGraph = new Map<string, string[]>();
+    this.tasks.forEach(task => {
+      dependencyGraph.set(task.id, (task.dependencies || []).map(dep => dep.taskId));
+    });
 
-    if (currentGap && currentGap.title) {
-      this.gaps.push(currentGap as Gap);
-    }
+    return {
+      metadata: this.generateMetadata(),
+      summary: {
+        high: this.tasks.filter(t => t.priority === 'high').length,
+        medium: this.tasks.filter(t => t.priority === 'medium').length,
+        low: this.tasks.filter(t => t.priority === 'low').length
+      },
+      taskGroups: this.groupTasksByPriority(),
+      dependencyGraph
+    };
   }
 
   private gapToTask(gap: Gap, number: number): Task {
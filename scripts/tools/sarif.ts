@@ -0,0 +1,153 @@
+/**
+ * SARIF 2.1.0 output
+ *
+ * Converts gaps into a SARIF log so code-scanning dashboards can show them
+ * next to other static-analysis results. Each distinct category/title pair
+ * becomes a rule; each gap becomes a result located at its files (and line).
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import type { Gap, GapSeverity } from '../types/gaps';
+import type { Diagnosis } from '../types/doctor';
+
+export type SarifLevel = 'error' | 'warning' | 'note';
+
+export interface SarifOptions {
+  /** Absolute project root, recorded as the %SRCROOT% base URI */
+  rootDir?: string;
+  toolVersion?: string;
+}
+
+/** A gap, optionally from a workspace package (its files are relative to the root) */
+export type SarifFinding = Gap & { package?: string };
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = '%SRCROOT%';
+
+const LEVELS: Record<GapSeverity, SarifLevel> = {
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+/**
+ * Rule ID for a gap: its catalogue rule ID (e.g. "DET-TEST-001"), or for gaps
+ * without one a slug like "testing/no-testing-framework-detected"
+ */
+export function sarifRuleId(gap: Pick<Gap, 'ruleId' | 'category' | 'title'>): string {
+  if (gap.ruleId) {
+    return gap.ruleId;
+  }
+  const slug = gap.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${gap.category}/${slug}`;
+}
+
+/**
+ * Files usable as SARIF locations; placeholders like "[restructure directories]",
+ * glob patterns and packages ("lodash@4.17.20") are left out
+ */
+function locationFiles(gap: Gap): string[] {
+  return gap.files.filter(file => file && !/^\[.*\]$/.test(file) && !file.includes('*') && !/^(?:@[^/@]+\/)?[^/@]+@./.test(file));
+}
+
+/**
+ * Build a SARIF log for a list of gaps
+ */
+export function toSarif(gaps: SarifFinding[], options: SarifOptions = {}): Record<string, any> {
+  const rules: Record<string, any>[] = [];
+  const ruleIndex = new Map<string, number>();
+
+  const results = gaps.map(gap => {
+    const ruleId = sarifRuleId(gap);
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        name: gap.title.replace(/[^A-Za-z0-9]+(.)?/g, (_, c: string | undefined) => (c ? c.toUpperCase() : '')),
+        shortDescription: { text: gap.title },
+        fullDescription: { text: gap.description },
+        help: { text: gap.recommendation },
+        defaultConfiguration: { level: LEVELS[gap.severity] },
+        properties: { category: gap.category, tags: [gap.category] }
+      });
+    }
+
+    const packagePath = gap.package;
+    const result: Record<string, any> = {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: LEVELS[gap.severity],
+      message: {
+        text: `${gap.title}${packagePath ? ` (${packagePath})` : ''}: ${gap.description} ${gap.recommendation}`.trim()
+      },
+      properties: {
+        severity: gap.severity,
+        effort: gap.effort,
+        impact: gap.impact,
+        ...(packagePath ? { package: packagePath } : {})
+      }
+    };
+
+    const files = locationFiles(gap);
+    if (files.length > 0) {
+      result.locations = files.map(file => ({
+        physicalLocation: {
+          artifactLocation: { uri: file.split(path.sep).join('/'), uriBaseId: SRCROOT },
+          ...(gap.line && file === gap.files[0] ? { region: { startLine: gap.line } } : {})
+        }
+      }));
+    }
+
+    return result;
+  });
+
+  const run: Record<string, any> = {
+    tool: {
+      driver: {
+        name: 'DevEnvTemplate',
+        ...(options.toolVersion ? { version: options.toolVersion } : {}),
+        rules
+      }
+    },
+    results
+  };
+
+  if (options.rootDir) {
+    const uri = `file://${path.resolve(options.rootDir).split(path.sep).join('/').replace(/^\/?/, '/')}/`;
+    run.originalUriBaseIds = { [SRCROOT]: { uri } };
+  }
+
+  return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
+
+/**
+ * Repository and workspace package gaps of a diagnosis. Package gaps keep
+ * their own title (so rule IDs are shared) and get root-relative file paths.
+ */
+export function diagnosisFindings(diagnosis: Pick<Diagnosis, 'gapReport' | 'packages'>): SarifFinding[] {
+  return [
+    ...diagnosis.gapReport.gaps,
+    ...diagnosis.packages.flatMap(pkg => pkg.gapReport.gaps.map(gap => ({
+      ...gap,
+      files: gap.files.map(file => path.posix.join(pkg.path, file)),
+      package: pkg.path
+    })))
+  ];
+}
+
+/**
+ * Version of the installed DevEnvTemplate package, if it can be read
+ */
+export function getToolVersion(): string | undefined {
+  try {
+    // dist/scripts/tools → package root
+    const pkg = JSON.parse(readFileSync(path.join(__dirname, '..', '..', '..', 'package.json'), 'utf8'));
+    return pkg.version;
+  } catch {
+    return undefined;
+  }
+}
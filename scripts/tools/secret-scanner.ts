@@ -0,0 +1,231 @@
+/**
+ * Secret scanning
+ *
+ * Looks for credentials in the files git tracks and in the lines commits
+ * added: provider formats (AWS, GitHub, Stripe, private keys) plus
+ * high-entropy values assigned to names like "token" or "api_key". Known
+ * false positives go in the allowlist file (see docs/RULES.md#det-sec-003).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runGit } from '../utils/git';
+import type { SecretAllowlist, SecretFinding } from '../types/gaps';
+
+export const SECRETS_ALLOWLIST_FILE = '.devenv/secrets-allowlist';
+
+const PROVIDER_PATTERNS: Array<{ kind: string; pattern: RegExp }> = [
+  { kind: 'AWS Access Key ID', pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g },
+  { kind: 'AWS Secret Access Key', pattern: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi },
+  { kind: 'GitHub Token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_\w{80,})\b/g },
+  { kind: 'Stripe Secret Key', pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{20,})\b/g },
+  { kind: 'Private Key', pattern: /(-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----)/g }
+];
+
+// A value of 16+ characters assigned to a secret-sounding name: `API_KEY=...`, `"token": "..."`
+const ASSIGNED_SECRET = /(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[\w.-]*["']?\s*(?::|=>?)\s*["'`]?([A-Za-z0-9+/_.=~-]{16,})/gi;
+const PLACEHOLDER = /example|placeholder|changeme|dummy|sample|redacted|your[_-]|xxxx/i;
+
+// Lock files are full of integrity hashes; minified files and source maps are generated
+const SKIPPED_FILES = /(?:^|\/)(?:package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|go\.sum|poetry\.lock|Cargo\.lock|composer\.lock)$|\.(?:min\.js|map)$/;
+const MAX_FILE_SIZE = 1024 * 1024;
+const HISTORY_MAX_BUFFER = 64 * 1024 * 1024;
+
+// .env.example and friends document variables; anything else named .env* holds values
+const ENV_FILE = /(?:^|\/)\.env(?:\.[\w.-]+)?$/;
+const ENV_TEMPLATE = /\.(?:example|sample|template|dist)$/;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+export function shannonEntropy(value: string): number {
+  const counts = new Map<string, number>();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Secrets on one line of a file
+ */
+export function scanLine(text: string, file: string, line: number, minEntropy: number): SecretFinding[] {
+  const findings: SecretFinding[] = [];
+  const seen = new Set<string>();
+
+  for (const { kind, pattern } of PROVIDER_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      seen.add(match[1]);
+      findings.push({ kind, file, line, secret: match[1] });
+    }
+  }
+  for (const match of text.matchAll(ASSIGNED_SECRET)) {
+    const value = match[1];
+    // Real secrets mix digits in; "process.env.API_TOKEN" and "config.apiKey" don't
+    const looksRandom = /\d/.test(value) && /[A-Za-z]/.test(value) && shannonEntropy(value) >= minEntropy;
+    if (looksRandom && !PLACEHOLDER.test(value) && ![...seen].some(secret => secret.includes(value) || value.includes(secret))) {
+      findings.push({ kind: 'High-Entropy Secret', file, line, secret: value });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Secrets in a file's text, with 1-based line numbers
+ */
+export function scanText(text: string, file: string, minEntropy: number): SecretFinding[] {
+  return text.split('\n').flatMap((line, index) => scanLine(line, file, index + 1, minEntropy));
+}
+
+/**
+ * Files git tracks under rootDir, relative to it; null outside a repository
+ */
+export function listTrackedFiles(rootDir: string): string[] | null {
+  const output = runGit(rootDir, ['ls-files', '-z'], HISTORY_MAX_BUFFER);
+  return output === null ? null : output.split('\0').filter(Boolean);
+}
+
+/**
+ * Tracked files that hold environment values (.env, .env.production, ...)
+ */
+export function findTrackedEnvFiles(files: string[]): string[] {
+  return files.filter(file => ENV_FILE.test(file) && !ENV_TEMPLATE.test(file));
+}
+
+/**
+ * Secrets in the working tree copies of the files; binary, generated and
+ * very large files are skipped
+ */
+export async function scanFiles(rootDir: string, files: string[], minEntropy: number): Promise<SecretFinding[]> {
+  const findings: SecretFinding[] = [];
+  for (const file of files) {
+    if (SKIPPED_FILES.test(file)) continue;
+    const fullPath = path.join(rootDir, file);
+    try {
+      if ((await fs.stat(fullPath)).size > MAX_FILE_SIZE) continue;
+      const text = await fs.readFile(fullPath, 'utf8');
+      if (!text.includes('\0')) findings.push(...scanText(text, file, minEntropy));
+    } catch {
+      // Deleted in the working tree or not a regular file
+    }
+  }
+  return findings;
+}
+
+/**
+ * Secrets in lines added by the last maxCommits commits of the current branch,
+ * at their line in the commit that added them. Null if git log failed or its
+ * output was too large.
+ */
+export function scanHistory(rootDir: string, maxCommits: number, minEntropy: number): SecretFinding[] | null {
+  const log = runGit(rootDir, [
+    'log', `--max-count=${maxCommits}`, '-p', '-U0', '--no-color', '--no-ext-diff', '--relative',
+    '--diff-filter=AM', '--format=commit %h'
+  ], HISTORY_MAX_BUFFER);
+  if (log === null) return null;
+
+  const findings: SecretFinding[] = [];
+  let commit = '';
+  let file: string | null = null;
+  let line = 0;
+  let inHunk = false;
+
+  for (const text of log.split('\n')) {
+    if (inHunk && text.startsWith('+')) {
+      if (file) {
+        findings.push(...scanLine(text.slice(1), file, line, minEntropy).map(finding => ({ ...finding, commit })));
+      }
+      line++;
+    } else if (text.startsWith('@@')) {
+      line = Number(/^@@ -\d+(?:,\d+)? \+(\d+)/.exec(text)?.[1] || 0);
+      inHunk = true;
+    } else if (text.startsWith('diff --git ')) {
+      inHunk = false;
+      file = null;
+    } else if (text.startsWith('commit ')) {
+      // Hunk lines start with +, - or a space, so this is the next commit
+      commit = text.slice('commit '.length);
+      inHunk = false;
+    } else if (!inHunk && text.startsWith('+++ ')) {
+      const target = text.slice(4).replace(/^"|"$/g, '');
+      file = target.startsWith('b/') && !SKIPPED_FILES.test(target) ? target.slice(2) : null;
+    }
+  }
+  return findings;
+}
+
+/**
+ * Convert a path glob to a RegExp: `**` crosses directories, `*` and `?`
+ * don't, and a pattern without a slash matches the file name anywhere
+ */
+function globToRegExp(glob: string): RegExp {
+  const source = glob
+    .replace(/^\//, '')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+/**
+ * Parse an allowlist: one path glob per line, or a /regular expression/
+ * matched against found values; `#` starts a comment
+ */
+export function parseAllowlist(text: string): SecretAllowlist {
+  const allowlist: SecretAllowlist = { paths: [], secrets: [] };
+  text.split('\n').forEach((raw, index) => {
+    const entry = raw.replace(/(?:^|\s)#.*$/, '').trim();
+    if (!entry) return;
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(entry);
+    if (!regex) {
+      allowlist.paths.push(globToRegExp(entry));
+      return;
+    }
+    try {
+      allowlist.secrets.push(new RegExp(regex[1], regex[2]));
+    } catch (error: any) {
+      throw new Error(`line ${index + 1}: ${error.message}`);
+    }
+  });
+  return allowlist;
+}
+
+/**
+ * Load the project's allowlist; empty if it has none
+ */
+export async function loadAllowlist(rootDir: string): Promise<SecretAllowlist> {
+  let text: string;
+  try {
+    text = await fs.readFile(path.join(rootDir, SECRETS_ALLOWLIST_FILE), 'utf8');
+  } catch {
+    return { paths: [], secrets: [] };
+  }
+  try {
+    return parseAllowlist(text);
+  } catch (error: any) {
+    throw new Error(`Invalid ${SECRETS_ALLOWLIST_FILE}: ${error.message}`);
+  }
+}
+
+export function isAllowed(finding: SecretFinding, allowlist: SecretAllowlist): boolean {
+  return allowlist.paths.some(pattern => pattern.test(finding.file)) || allowlist.secrets.some(pattern => pattern.test(finding.secret));
+}
+
+/**
+ * A found value safe to print: its first and last four characters
+ */
+export function redact(secret: string): string {
+  if (secret.startsWith('-----BEGIN')) return secret;
+  return secret.length <= 12 ? '*'.repeat(secret.length) : `${secret.slice(0, 4)}${'*'.repeat(secret.length - 8)}${secret.slice(-4)}`;
+}
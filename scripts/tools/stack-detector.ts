@@ -0,0 +1,1356 @@
+#!/usr/bin/env node
+
+/**
+ * Stack Detector - CI-only utility
+ *
+ * Analyzes a repository to detect technology stack and configuration.
+ * Used by DevEnvTemplate drop-in to understand the current project setup.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import yaml from 'yaml';
+import { createLogger, Logger } from '../utils/logger';
+import type { LanguageInfo, StackReport, WorkspaceInfo, WorkspacePackage } from '../types/gaps';
+
+const logger = createLogger({ context: 'stack-detector' });
+
+/** Directories never worth descending into when looking for source files */
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'vendor', 'dist', 'build', 'target', 'bin', 'obj', '.venv', 'venv', '__pycache__']);
+
+/** Config files of secret and vulnerability scanners */
+const SECURITY_TOOL_FILES = ['.gitleaks.toml', '.secrets.baseline', '.snyk', '.github/codeql', 'trivy.yaml', '.trivyignore'];
+const SECURITY_SCANNERS = /\b(gitleaks|trufflehog|detect-secrets|codeql|snyk|trivy|semgrep|osv-scanner|npm audit|pip-audit|govulncheck)\b/i;
+
+export interface StackDetectorOptions {
+  rootDir?: string;
+  logger?: Logger;
+}
+
+export class StackDetector {
+  public rootDir: string;
+  public stack: StackReport;
+  private logger: Logger;
+
+  constructor(options: StackDetectorOptions = {}) {
+    this.rootDir = options.rootDir || process.cwd();
+    this.logger = options.logger || logger;
+    this.stack = {
+      technologies: [],
+      configurations: [],
+      languages: [],
+      workspaces: null,
+      frameworks: {
+        type: 'vanilla',
+        version: null,
+        dirs: []
+      },
+      tooling: {
+        testing: { present: false, frameworks: [] },
+        linting: { present: false, configs: [] },
+        formatting: { present: false, configs: [] }
+      },
+      scripts: {
+        detected: [],
+        missing: []
+      },
+      files: {
+        configs: [],
+        key_patterns: []
+      },
+      quality: {
+        linting: false,
+        testing: false,
+        typescript: false,
+        security: false,
+        formatting: false
+      },
+      ci: {
+        present: false,
+        type: null
+      }
+    };
+  }
+
+  async detect(): Promise<StackReport> {
+    this.logger.info('🔍 Analyzing repository stack...');
+
+    // Detect package managers and frameworks
+    await this.detectPackageJson();
+    await this.detectWorkspaces();
+    await this.detectScripts();
+    await this.detectTypeScript();
+    await this.detectFrameworks();
+    await this.detectExpress();
+    await this.detectPrisma();
+    await this.detectTailwind();
+    await this.detectTesting();
+    await this.detectLinting();
+    await this.detectFormatting();
+    await this.detectCI();
+    await this.detectSecurity();
+
+    // Detect other languages after JS tooling so their test/lint tools
+    // add to (rather than get overwritten by) the quality flags
+    await this.detectPython();
+    await this.detectGo();
+    await this.detectJava();
+    await this.detectDotNet();
+
+    return this.stack;
+  }
+
+  async detectPackageJson(): Promise<void> {
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(this.rootDir, 'package.json'), 'utf8'));
+
+      // Node.js version
+      if (packageJson.engines?.node) {
+        this.stack.technologies.push({
+          name: 'Node.js',
+          version: packageJson.engines.node,
+          confidence: 'high',
+          source: 'engines'
+        });
+      } else {
+        this.stack.technologies.push({
+          name: 'Node.js',
+          version: 'detected',
+          confidence: 'medium',
+          source: 'presence'
+        });
+      }
+
+      // Dependencies
+      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+      // React
+      if (deps.react) {
+        this.stack.technologies.push({
+          name: 'React',
+          version: deps.react,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Next.js
+      if (deps.next) {
+        this.stack.technologies.push({
+          name: 'Next.js',
+          version: deps.next,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Vite
+      if (deps.vite) {
+        this.stack.technologies.push({
+          name: 'Vite',
+          version: deps.vite,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Express
+      if (deps.express) {
+        this.stack.technologies.push({
+          name: 'Express',
+          version: deps.express,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Prisma
+      if (deps.prisma || deps['@prisma/client']) {
+        this.stack.technologies.push({
+          name: 'Prisma',
+          version: deps.prisma || deps['@prisma/client'],
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Tailwind CSS
+      if (deps.tailwindcss) {
+        this.stack.technologies.push({
+          name: 'Tailwind CSS',
+          version: deps.tailwindcss,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Vitest
+      if (deps.vitest) {
+        this.stack.technologies.push({
+          name: 'Vitest',
+          version: deps.vitest,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Prettier
+      if (deps.prettier) {
+        this.stack.technologies.push({
+          name: 'Prettier',
+          version: deps.prettier,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Playwright
+      if (deps['@playwright/test']) {
+        this.stack.technologies.push({
+          name: 'Playwright',
+          version: deps['@playwright/test'],
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Jest
+      if (deps.jest) {
+        this.stack.technologies.push({
+          name: 'Jest',
+          version: deps.jest,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // ESLint
+      if (deps.eslint) {
+        this.stack.technologies.push({
+          name: 'ESLint',
+          version: deps.eslint,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // TypeScript
+      if (deps.typescript) {
+        this.stack.technologies.push({
+          name: 'TypeScript',
+          version: deps.typescript,
+          confidence: 'high',
+          source: 'dependency'
+        });
+      }
+
+      // Python-related packages (if in a Node project with Python tooling)
+      if (deps['@types/python-shell'] || deps['python-shell']) {
+        this.stack.technologies.push({
+          name: 'Python Integration',
+          version: deps['@types/python-shell'] || deps['python-shell'],
+          confidence: 'medium',
+          source: 'dependency'
+        });
+      }
+
+    } catch (error) {
+      // No package.json found
+    }
+  }
+
+  /**
+   * Discover monorepo packages from npm/yarn workspaces, pnpm-workspace.yaml,
+   * lerna.json and Nx. Turborepo has no package list of its own and only adds
+   * itself to the tool list.
+   */
+  async detectWorkspaces(): Promise<void> {
+    const tools: string[] = [];
+    const patterns: string[] = [];
+
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(this.rootDir, 'package.json'), 'utf8'));
+      const workspaces = Array.isArray(packageJson.workspaces)
+        ? packageJson.workspaces
+        : packageJson.workspaces?.packages;
+      if (Array.isArray(workspaces) && workspaces.length > 0) {
+        tools.push(await this.exists('yarn.lock') ? 'yarn' : 'npm');
+        patterns.push(...workspaces);
+      }
+    } catch (error) {
+      // No package.json or invalid JSON
+    }
+
+    try {
+      const pnpmWorkspace = yaml.parse(await fs.readFile(path.join(this.rootDir, 'pnpm-workspace.yaml'), 'utf8'));
+      tools.push('pnpm');
+      patterns.push(...(pnpmWorkspace?.packages || []));
+    } catch (error) {
+      // No pnpm workspace
+    }
+
+    try {
+      const lerna = JSON.parse(await fs.readFile(path.join(this.rootDir, 'lerna.json'), 'utf8'));
+      tools.push('lerna');
+      if (patterns.length === 0) {
+        patterns.push(...(lerna.packages || ['packages/*']));
+      }
+    } catch (error) {
+      // No lerna.json
+    }
+
+    if (await this.exists('turbo.json')) {
+      tools.push('turbo');
+    }
+
+    const isNx = await this.exists('nx.json');
+    if (isNx) {
+      tools.push('nx');
+    }
+
+    if (tools.length === 0) {
+      return;
+    }
+
+    const include = patterns.filter(p => !p.startsWith('!'));
+    const ignore = ['**/node_modules/**', ...patterns
+      .filter(p => p.startsWith('!'))
+      .map(p => path.posix.join(p.slice(1).replace(/\/+$/, ''), '**'))];
+    const markers = include.map(p => path.posix.join(p.replace(/\/+$/, ''), 'package.json'));
+    if (isNx) {
+      // Nx projects may only have project.json
+      markers.push(...(include.length > 0 ? include : ['**']).map(p => path.posix.join(p.replace(/\/+$/, ''), 'project.json')));
+    }
+
+    const matches = markers.length > 0
+      ? await glob(markers, { cwd: this.rootDir, ignore, posix: true })
+      : [];
+    const dirs = Array.from(new Set(matches.map(match => path.posix.dirname(match))))
+      .filter(dir => dir !== '.')
+      .sort();
+
+    const packages: WorkspacePackage[] = [];
+    for (const dir of dirs) {
+      packages.push({ name: await this.readPackageName(dir), path: dir });
+    }
+
+    const workspaces: WorkspaceInfo = { tools, packages };
+    this.stack.workspaces = workspaces;
+    this.logger.debug(`Found ${packages.length} workspace packages (${tools.join(', ')})`);
+  }
+
+  private async readPackageName(dir: string): Promise<string> {
+    for (const file of ['package.json', 'project.json']) {
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(this.rootDir, dir, file), 'utf8'));
+        if (manifest.name) {
+          return manifest.name;
+        }
+      } catch (error) {
+        // Try next manifest
+      }
+    }
+    return path.posix.basename(dir);
+  }
+
+  async detectTypeScript(): Promise<void> {
+    try {
+      const tsconfig = await fs.readFile(path.join(this.rootDir, 'tsconfig.json'), 'utf8');
+      const config = JSON.parse(tsconfig);
+
+      this.stack.quality.typescript = true;
+      this.stack.configurations.push({
+        type: 'typescript',
+        strict: config.compilerOptions?.strict || false,
+        target: config.compilerOptions?.target || 'unknown'
+      });
+    } catch (error) {
+      // No tsconfig.json
+    }
+  }
+
+  async detectPython(): Promise<void> {
+    try {
+      // Check for pyproject.toml (modern Python packaging)
+      const pyprojectToml = await fs.readFile(path.join(this.rootDir, 'pyproject.toml'), 'utf8');
+      const tomlData = this.parseTOML(pyprojectToml);
+
+      this.stack.technologies.push({
+        name: 'Python',
+        version: tomlData.tool?.poetry?.version || 'detected',
+        confidence: 'high',
+        source: 'pyproject.toml'
+      });
+
+      // Check for Python version in pyproject.toml
+      if (tomlData.tool?.poetry?.python) {
+        this.stack.technologies.push({
+          name: 'Python Runtime',
+          version: tomlData.tool.poetry.python,
+          confidence: 'high',
+          source: 'pyproject.toml'
+        });
+      }
+
+      // Detect Python framework
+      if (tomlData.tool?.poetry?.dependencies) {
+        const deps = tomlData.tool.poetry.dependencies;
+
+        if (deps.fastapi) {
+          this.stack.technologies.push({
+            name: 'FastAPI',
+            version: deps.fastapi,
+            confidence: 'high',
+            source: 'pyproject.toml'
+          });
+        }
+
+        if (deps.django) {
+          this.stack.technologies.push({
+            name: 'Django',
+            version: deps.django,
+            confidence: 'high',
+            source: 'pyproject.toml'
+          });
+        }
+
+        if (deps.flask) {
+          this.stack.technologies.push({
+            name: 'Flask',
+            version: deps.flask,
+            confidence: 'high',
+            source: 'pyproject.toml'
+          });
+        }
+      }
+
+    } catch (error) {
+      // Try requirements.txt as fallback
+      try {
+        const requirements = await fs.readFile(path.join(this.rootDir, 'requirements.txt'), 'utf8');
+        this.stack.technologies.push({
+          name: 'Python',
+          version: 'detected',
+          confidence: 'medium',
+          source: 'requirements.txt'
+        });
+
+        // Check for common frameworks in requirements
+        if (requirements.includes('fastapi')) {
+          this.stack.technologies.push({
+            name: 'FastAPI',
+            version: 'detected',
+            confidence: 'medium',
+            source: 'requirements.txt'
+          });
+        }
+
+        if (requirements.includes('django')) {
+          this.stack.technologies.push({
+            name: 'Django',
+            version: 'detected',
+            confidence: 'medium',
+            source: 'requirements.txt'
+          });
+        }
+
+        if (requirements.includes('flask')) {
+          this.stack.technologies.push({
+            name: 'Flask',
+            version: 'detected',
+            confidence: 'medium',
+            source: 'requirements.txt'
+          });
+        }
+
+      } catch (error2) {
+        // No Python project detected
+      }
+    }
+
+    const python = this.stack.technologies.find(t => t.name === 'Python');
+    if (python) {
+      await this.detectPythonTooling(python.source);
+    }
+  }
+
+  async detectPythonTooling(manifest: string): Promise<void> {
+    const pythonText = await this.readFiles([
+      'pyproject.toml', 'requirements.txt', 'requirements-dev.txt', 'dev-requirements.txt',
+      'requirements/dev.txt', 'setup.cfg', 'tox.ini', 'Pipfile'
+    ]);
+    const mentions = (pkg: string) => new RegExp(`(^|[^\\w-])${pkg}([^\\w-]|$)`, 'im').test(pythonText);
+    const tooling: LanguageInfo['tooling'] = { testing: [], linting: [], formatting: [], typeChecking: [] };
+
+    if (mentions('pytest') || await this.exists('pytest.ini') || await this.exists('conftest.py')) {
+      tooling.testing.push('pytest');
+    }
+    if (mentions('ruff') || await this.exists('ruff.toml') || await this.exists('.ruff.toml')) {
+      tooling.linting.push('ruff');
+      tooling.formatting.push('ruff');
+    }
+    if (mentions('flake8') || await this.exists('.flake8')) {
+      tooling.linting.push('flake8');
+    }
+    if (mentions('pylint') || await this.exists('.pylintrc')) {
+      tooling.linting.push('pylint');
+    }
+    if (mentions('black')) {
+      tooling.formatting.push('black');
+    }
+    if (mentions('mypy') || await this.exists('mypy.ini')) {
+      tooling.typeChecking.push('mypy');
+    }
+    if (mentions('pyright') || await this.exists('pyrightconfig.json')) {
+      tooling.typeChecking.push('pyright');
+    }
+
+    await this.addLanguage({
+      name: 'python',
+      manifest,
+      buildTool: /\[tool\.poetry\]/.test(pythonText) ? 'poetry' : 'pip',
+      tooling,
+      testedInCI: /\bpytest\b|python -m unittest|\btox\b/.test(await this.readCIFiles())
+    });
+  }
+
+  async detectGo(): Promise<void> {
+    try {
+      const goMod = await fs.readFile(path.join(this.rootDir, 'go.mod'), 'utf8');
+      const lines = goMod.split('\n');
+
+      // Extract module name and Go version
+      const moduleLine = lines.find(line => line.startsWith('module '));
+      const goLine = lines.find(line => line.startsWith('go '));
+
+      if (moduleLine) {
+        this.stack.technologies.push({
+          name: 'Go',
+          version: goLine ? goLine.replace('go ', '').trim() : 'detected',
+          confidence: 'high',
+          source: 'go.mod'
+        });
+      }
+
+      // Check for common Go frameworks
+      const requireLines = lines.filter(line => line.includes('require') || line.trim().startsWith('\t'));
+      const deps = requireLines.join('\n');
+
+      if (deps.includes('gin-gonic/gin')) {
+        this.stack.technologies.push({
+          name: 'Gin',
+          version: 'detected',
+          confidence: 'high',
+          source: 'go.mod'
+        });
+      }
+
+      if (deps.includes('gorilla/mux')) {
+        this.stack.technologies.push({
+          name: 'Gorilla Mux',
+          version: 'detected',
+          confidence: 'high',
+          source: 'go.mod'
+        });
+      }
+
+      if (deps.includes('echo')) {
+        this.stack.technologies.push({
+          name: 'Echo',
+          version: 'detected',
+          confidence: 'high',
+          source: 'go.mod'
+        });
+      }
+
+      if (moduleLine) {
+        await this.detectGoTooling();
+      }
+    } catch (error) {
+      // No Go project detected
+    }
+  }
+
+  async detectGoTooling(): Promise<void> {
+    const automation = await this.readCIFiles();
+    const tooling: LanguageInfo['tooling'] = { testing: [], linting: [], formatting: [], typeChecking: [] };
+
+    const testFiles = await this.findFiles('_test.go');
+    if (testFiles.length > 0) {
+      tooling.testing.push('go test');
+    }
+    if (/go vet/.test(automation)) {
+      tooling.linting.push('go vet');
+    }
+    const golangciConfigs = ['.golangci.yml', '.golangci.yaml', '.golangci.toml', '.golangci.json'];
+    if (/golangci-lint/.test(automation) || (await Promise.all(golangciConfigs.map(f => this.exists(f)))).some(Boolean)) {
+      tooling.linting.push('golangci-lint');
+    }
+    if (/gofmt|goimports|gofumpt/.test(automation)) {
+      tooling.formatting.push('gofmt');
+    }
+    // The Go compiler type-checks every build
+    tooling.typeChecking.push('go build');
+
+    await this.addLanguage({
+      name: 'go',
+      manifest: 'go.mod',
+      buildTool: 'go',
+      tooling,
+      testedInCI: /go test/.test(automation)
+    });
+  }
+
+  async detectJava(): Promise<void> {
+    try {
+      // Check for pom.xml (Maven)
+      const pomXml = await fs.readFile(path.join(this.rootDir, 'pom.xml'), 'utf8');
+
+      this.stack.technologies.push({
+        name: 'Java',
+        version: 'detected',
+        confidence: 'high',
+        source: 'pom.xml'
+      });
+
+      // Extract Maven version and dependencies
+      const mavenVersion = pomXml.match(/<maven\.compiler\.source>([^<]+)</)?.[1];
+      if (mavenVersion) {
+        this.stack.technologies.push({
+          name: 'Java Compiler',
+          version: mavenVersion,
+          confidence: 'high',
+          source: 'pom.xml'
+        });
+      }
+
+      // Check for common Java frameworks
+      if (pomXml.includes('spring-boot')) {
+        this.stack.technologies.push({
+          name: 'Spring Boot',
+          version: 'detected',
+          confidence: 'high',
+          source: 'pom.xml'
+        });
+      }
+
+      if (pomXml.includes('quarkus')) {
+        this.stack.technologies.push({
+          name: 'Quarkus',
+          version: 'detected',
+          confidence: 'high',
+          source: 'pom.xml'
+        });
+      }
+
+      if (pomXml.includes('micronaut')) {
+        this.stack.technologies.push({
+          name: 'Micronaut',
+          version: 'detected',
+          confidence: 'high',
+          source: 'pom.xml'
+        });
+      }
+
+    } catch (error) {
+      // Try Gradle as fallback
+      try {
+        const gradleFile = await this.exists('build.gradle') ? 'build.gradle' : 'build.gradle.kts';
+        const buildGradle = await fs.readFile(path.join(this.rootDir, gradleFile), 'utf8');
+
+        this.stack.technologies.push({
+          name: 'Java',
+          version: 'detected',
+          confidence: 'high',
+          source: gradleFile
+        });
+
+        // Check for Gradle plugins/frameworks
+        if (buildGradle.includes('org.springframework.boot')) {
+          this.stack.technologies.push({
+            name: 'Spring Boot',
+            version: 'detected',
+            confidence: 'high',
+            source: gradleFile
+          });
+        }
+
+        if (buildGradle.includes('quarkus')) {
+          this.stack.technologies.push({
+            name: 'Quarkus',
+            version: 'detected',
+            confidence: 'high',
+            source: gradleFile
+          });
+        }
+
+      } catch (error2) {
+        // No Java project detected
+      }
+    }
+
+    const java = this.stack.technologies.find(t => t.name === 'Java');
+    if (java) {
+      await this.detectJavaTooling(java.source);
+    }
+  }
+
+  async detectJavaTooling(manifest: string): Promise<void> {
+    const buildText = await this.readFiles([manifest]);
+    const tooling: LanguageInfo['tooling'] = { testing: [], linting: [], formatting: [], typeChecking: [] };
+    const isMaven = manifest === 'pom.xml';
+
+    if (/junit/i.test(buildText)) {
+      tooling.testing.push('junit');
+    }
+    if (/testng/i.test(buildText)) {
+      tooling.testing.push('testng');
+    }
+    if (isMaven && buildText.includes('maven-surefire-plugin')) {
+      tooling.testing.push('maven-surefire-plugin');
+    }
+    for (const tool of ['checkstyle', 'spotbugs', 'pmd', 'errorprone', 'error_prone']) {
+      if (buildText.toLowerCase().includes(tool)) {
+        tooling.linting.push(tool.replace('_', ''));
+      }
+    }
+    if (/spotless|google-java-format/.test(buildText)) {
+      tooling.formatting.push('spotless');
+    }
+    tooling.typeChecking.push('javac');
+
+    await this.addLanguage({
+      name: 'java',
+      manifest,
+      buildTool: isMaven ? 'maven' : 'gradle',
+      tooling,
+      testedInCI: /mvn|mvnw|gradle|gradlew/.test(await this.readCIFiles())
+    });
+  }
+
+  async detectDotNet(): Promise<void> {
+    try {
+      // Check for .csproj files
+      const csprojFiles = await this.findFiles('*.csproj');
+
+      if (csprojFiles.length > 0) {
+        // Read first .csproj file
+        const csprojContent = await fs.readFile(path.join(this.rootDir, csprojFiles[0]), 'utf8');
+
+        this.stack.technologies.push({
+          name: '.NET',
+          version: 'detected',
+          confidence: 'high',
+          source: '.csproj'
+        });
+
+        // Extract .NET version
+        const targetFramework = csprojContent.match(/<TargetFramework>([^<]+)</)?.[1];
+        if (targetFramework) {
+          this.stack.technologies.push({
+            name: '.NET Runtime',
+            version: targetFramework,
+            confidence: 'high',
+            source: '.csproj'
+          });
+        }
+
+        // Check for ASP.NET Core
+        if (csprojContent.includes('Microsoft.AspNetCore') || csprojContent.includes('AspNetCore')) {
+          this.stack.technologies.push({
+            name: 'ASP.NET Core',
+            version: 'detected',
+            confidence: 'high',
+            source: '.csproj'
+          });
+        }
+
+        // Check for Entity Framework
+        if (csprojContent.includes('EntityFramework') || csprojContent.includes('Microsoft.EntityFrameworkCore')) {
+          this.stack.technologies.push({
+            name: 'Entity Framework',
+            version: 'detected',
+            confidence: 'high',
+            source: '.csproj'
+          });
+        }
+
+        await this.detectDotNetTooling(csprojFiles);
+      }
+
+    } catch (error) {
+      // No .NET project detected
+    }
+  }
+
+  async detectDotNetTooling(csprojFiles: string[]): Promise<void> {
+    const projectText = await this.readFiles(csprojFiles);
+    const propsText = await this.readFiles(['Directory.Build.props']);
+    const allText = projectText + propsText;
+    const tooling: LanguageInfo['tooling'] = { testing: [], linting: [], formatting: [], typeChecking: [] };
+
+    for (const [pattern, name] of [[/xunit/i, 'xunit'], [/nunit/i, 'nunit'], [/MSTest/, 'mstest']] as const) {
+      if (pattern.test(projectText)) {
+        tooling.testing.push(name);
+      }
+    }
+    if (/<EnableNETAnalyzers>\s*true/i.test(allText) || /Microsoft\.CodeAnalysis|StyleCop/.test(allText)) {
+      tooling.linting.push('analyzers');
+    }
+    if (await this.exists('.editorconfig')) {
+      tooling.formatting.push('.editorconfig');
+    }
+    if (/<Nullable>\s*enable/i.test(allText)) {
+      tooling.typeChecking.push('nullable');
+    }
+
+    await this.addLanguage({
+      name: 'dotnet',
+      manifest: csprojFiles[0],
+      buildTool: 'dotnet',
+      tooling,
+      testedInCI: /dotnet test/.test(await this.readCIFiles())
+    });
+  }
+
+  /**
+   * Record a detected language and fold its tooling into the quality flags
+   */
+  async addLanguage(language: LanguageInfo): Promise<void> {
+    this.stack.languages!.push(language);
+
+    if (language.tooling.testing.length > 0) {
+      this.stack.quality.testing = true;
+      this.stack.tooling.testing.present = true;
+    }
+    if (language.tooling.linting.length > 0) {
+      this.stack.quality.linting = true;
+      this.stack.tooling.linting.present = true;
+    }
+    if (language.tooling.formatting.length > 0) {
+      this.stack.quality.formatting = true;
+      this.stack.tooling.formatting.present = true;
+    }
+  }
+
+  /**
+   * Find files whose name ends with the pattern (leading * ignored),
+   * up to three directories deep. Returns paths relative to rootDir.
+   */
+  async findFiles(pattern: string, maxDepth: number = 3): Promise<string[]> {
+    const suffix = pattern.replace('*', '');
+    const results: string[] = [];
+
+    const walk = async (dir: string, depth: number): Promise<void> => {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(this.rootDir, dir), { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const relPath = dir ? path.join(dir, entry.name) : entry.name;
+        if (entry.isDirectory()) {
+          if (depth < maxDepth && !IGNORED_DIRS.has(entry.name)) {
+            await walk(relPath, depth + 1);
+          }
+        } else if (entry.name.endsWith(suffix)) {
+          results.push(relPath);
+        }
+      }
+    };
+
+    await walk('', 0);
+    return results.sort();
+  }
+
+  private async exists(file: string): Promise<boolean> {
+    try {
+      await fs.access(path.join(this.rootDir, file));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Concatenate the contents of whichever files exist
+   */
+  private async readFiles(files: string[]): Promise<string> {
+    const contents = await Promise.all(files.map(file =>
+      fs.readFile(path.join(this.rootDir, file), 'utf8').catch(() => '')
+    ));
+    return contents.join('\n');
+  }
+
+  /**
+   * Text of CI workflows and build automation (Makefile, Taskfile)
+   */
+  private async readCIFiles(): Promise<string> {
+    let workflows: string[] = [];
+    try {
+      const dir = path.join('.github', 'workflows');
+      workflows = (await fs.readdir(path.join(this.rootDir, dir)))
+        .filter(file => /\.ya?ml$/.test(file))
+        .map(file => path.join(dir, file));
+    } catch {
+      // No GitHub Actions workflows
+    }
+    return this.readFiles([
+      ...workflows, '.gitlab-ci.yml', 'azure-pipelines.yml', 'Jenkinsfile', '.travis.yml',
+      'Makefile', 'Taskfile.yml'
+    ]);
+  }
+
+  parseTOML(content: string): any {
+    // Simple TOML parser for basic pyproject.toml structure
+    // In a real implementation, you'd use a proper TOML parser
+    const result: any = {};
+
+    try {
+      // Very basic parsing - just extract tool.poetry section
+      const toolSection = content.match(/\[tool\.poetry\]([\s\S]*?)(?=\[|$)/);
+      if (toolSection) {
+        const lines = toolSection[1].split('\n');
+        const poetry: Record<string, string> = {};
+
+        lines.forEach(line => {
+          const match = line.match(/(\w+)\s*=\s*"([^"]+)"/);
+          if (match) {
+            poetry[match[1]] = match[2];
+          }
+        });
+
+        result.tool = { poetry };
+      }
+    } catch (error) {
+      // Parsing failed
+    }
+
+    return result;
+  }
+
+  async detectFrameworks(): Promise<void> {
+    // Check for Next.js - config files and directories
+    const nextConfigFiles = ['next.config.js', 'next.config.mjs', 'next.config.ts'];
+    for (const configFile of nextConfigFiles) {
+      try {
+        await fs.access(path.join(this.rootDir, configFile));
+        this.stack.configurations.push({
+          type: 'nextjs',
+          configFile
+        });
+        this.stack.files.configs.push(configFile);
+        
+        // Detect Next.js type (app dir vs pages dir)
+        const dirs: string[] = [];
+        try {
+          await fs.access(path.join(this.rootDir, 'app'));
+          dirs.push('app');
+          this.stack.files.key_patterns.push('app/ (Next.js app directory)');
+        } catch {}
+        try {
+          await fs.access(path.join(this.rootDir, 'pages'));
+          dirs.push('pages');
+          this.stack.files.key_patterns.push('pages/ (Next.js pages directory)');
+        } catch {}
+        
+        const nextVersion = this.stack.technologies.find(t => t.name === 'Next.js')?.version;
+        this.stack.frameworks = {
+          type: 'nextjs',
+          version: nextVersion || 'detected',
+          dirs
+        };
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+
+    // Check for Vite config
+    const viteConfigFiles = ['vite.config.ts', 'vite.config.js', 'vite.config.mjs'];
+    for (const configFile of viteConfigFiles) {
+      try {
+        await fs.access(path.join(this.rootDir, configFile));
+        this.stack.configurations.push({
+          type: 'vite',
+          configFile
+        });
+        this.stack.files.configs.push(configFile);
+        
+        const viteVersion = this.stack.technologies.find(t => t.name === 'Vite')?.version;
+        this.stack.frameworks = {
+          type: 'vite',
+          version: viteVersion || 'detected',
+          dirs: ['src']
+        };
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+  }
+
+  async detectScripts(): Promise<void> {
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(this.rootDir, 'package.json'), 'utf8'));
+      const scripts = packageJson.scripts || {};
+      
+      // Essential scripts we look for
+      const essentialScripts = ['dev', 'build', 'test', 'lint', 'format', 'typecheck'];
+      const detected: Array<{ name: string; command: string }> = [];
+      const missing: string[] = [];
+      
+      for (const scriptName of essentialScripts) {
+        if (scripts[scriptName]) {
+          detected.push({ name: scriptName, command: scripts[scriptName] });
+        } else {
+          missing.push(scriptName);
+        }
+      }
+      
+      this.stack.scripts = { detected, missing };
+    } catch (error) {
+      // No package.json
+    }
+  }
+
+  async detectExpress(): Promise<void> {
+    // Check for Express patterns
+    const expressFiles = ['server.js', 'server.ts', 'app.js', 'app.ts', 'index.js', 'index.ts'];
+    
+    for (const file of expressFiles) {
+      try {
+        const filePath = path.join(this.rootDir, file);
+        const content = await fs.readFile(filePath, 'utf8');
+        
+        // Look for express patterns
+        if (content.includes('express()') || content.includes('require(\'express\')') || content.includes('from \'express\'')) {
+          this.stack.files.key_patterns.push(`${file} (Express server)`);
+          
+          // Only set framework if not already set to Next.js or Vite
+          if (this.stack.frameworks.type === 'vanilla') {
+            const expressVersion = this.stack.technologies.find(t => t.name === 'Express')?.version;
+            this.stack.frameworks = {
+              type: 'express',
+              version: expressVersion || 'detected',
+              dirs: [path.dirname(file) || '.']
+            };
+          }
+          break;
+        }
+      } catch (error) {
+        // File doesn't exist or can't be read
+      }
+    }
+  }
+
+  async detectPrisma(): Promise<void> {
+    try {
+      await fs.access(path.join(this.rootDir, 'prisma', 'schema.prisma'));
+      this.stack.files.configs.push('prisma/schema.prisma');
+      this.stack.files.key_patterns.push('prisma/schema.prisma (Prisma ORM)');
+      this.stack.configurations.push({
+        type: 'prisma',
+        configFile: 'prisma/schema.prisma'
+      });
+    } catch (error) {
+      // Also check root level
+      try {
+        await fs.access(path.join(this.rootDir, 'schema.prisma'));
+        this.stack.files.configs.push('schema.prisma');
+        this.stack.files.key_patterns.push('schema.prisma (Prisma ORM)');
+        this.stack.configurations.push({
+          type: 'prisma',
+          configFile: 'schema.prisma'
+        });
+      } catch (error2) {
+        // No Prisma schema
+      }
+    }
+  }
+
+  async detectTailwind(): Promise<void> {
+    const tailwindConfigs = ['tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.cjs', 'tailwind.config.mjs'];
+    
+    for (const configFile of tailwindConfigs) {
+      try {
+        await fs.access(path.join(this.rootDir, configFile));
+        this.stack.files.configs.push(configFile);
+        this.stack.files.key_patterns.push(`${configFile} (Tailwind CSS)`);
+        this.stack.configurations.push({
+          type: 'tailwind',
+          configFile
+        });
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+  }
+
+  async detectTesting(): Promise<void> {
+    const testingFrameworks: Array<{ name: string; config: string }> = [];
+    
+    // Check for test directories
+    try {
+      await fs.access(path.join(this.rootDir, 'tests'));
+      this.stack.quality.testing = true;
+      this.stack.files.key_patterns.push('tests/ (test directory)');
+    } catch (error) {
+      try {
+        await fs.access(path.join(this.rootDir, '__tests__'));
+        this.stack.quality.testing = true;
+        this.stack.files.key_patterns.push('__tests__/ (test directory)');
+      } catch (error) {
+        // Check for test files in src
+        try {
+          const files = await fs.readdir(path.join(this.rootDir, 'src'));
+          if (files.some(f => f.includes('.test.') || f.includes('.spec.'))) {
+            this.stack.quality.testing = true;
+            this.stack.files.key_patterns.push('src/**/*.test.* (test files)');
+          }
+        } catch (error) {
+          // No tests detected
+        }
+      }
+    }
+
+    // Check for Jest config
+    const jestConfigs = ['jest.config.js', 'jest.config.ts', 'jest.config.json'];
+    for (const configFile of jestConfigs) {
+      try {
+        await fs.access(path.join(this.rootDir, configFile));
+        this.stack.configurations.push({
+          type: 'jest',
+          configFile
+        });
+        this.stack.files.configs.push(configFile);
+        testingFrameworks.push({ name: 'Jest', config: configFile });
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+
+    // Check for Vitest config
+    const vitestConfigs = ['vitest.config.ts', 'vitest.config.js'];
+    for (const configFile of vitestConfigs) {
+      try {
+        await fs.access(path.join(this.rootDir, configFile));
+        this.stack.configurations.push({
+          type: 'vitest',
+          configFile
+        });
+        this.stack.files.configs.push(configFile);
+        testingFrameworks.push({ name: 'Vitest', config: configFile });
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+
+    // Check for Playwright config
+    const playwrightConfigs = ['playwright.config.ts', 'playwright.config.js'];
+    for (const configFile of playwrightConfigs) {
+      try {
+        await fs.access(path.join(this.rootDir, configFile));
+        this.stack.configurations.push({
+          type: 'playwright',
+          configFile
+        });
+        this.stack.files.configs.push(configFile);
+        testingFrameworks.push({ name: 'Playwright', config: configFile });
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+
+    this.stack.tooling.testing = {
+      present: this.stack.quality.testing || testingFrameworks.length > 0,
+      frameworks: testingFrameworks
+    };
+  }
+
+  async detectLinting(): Promise<void> {
+    const lintConfigs: string[] = [];
+    
+    // Check for ESLint config (various formats)
+    const eslintFiles = [
+      'eslint.config.js',
+      'eslint.config.mjs',
+      '.eslintrc.js',
+      '.eslintrc.cjs', 
+      '.eslintrc.json',
+      '.eslintrc.ts',
+      '.eslintrc.yml',
+      '.eslintrc.yaml'
+    ];
+
+    for (const file of eslintFiles) {
+      try {
+        await fs.access(path.join(this.rootDir, file));
+        this.stack.quality.linting = true;
+        this.stack.configurations.push({
+          type: 'eslint',
+          configFile: file
+        });
+        this.stack.files.configs.push(file);
+        lintConfigs.push(file);
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+
+    // Check for package.json eslintConfig
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(this.rootDir, 'package.json'), 'utf8'));
+      if (packageJson.eslintConfig) {
+        this.stack.quality.linting = true;
+        this.stack.configurations.push({
+          type: 'eslint',
+          configFile: 'package.json'
+        });
+        lintConfigs.push('package.json (eslintConfig)');
+      }
+    } catch (error) {
+      // No package.json or no eslintConfig
+    }
+
+    this.stack.tooling.linting = {
+      present: this.stack.quality.linting,
+      configs: lintConfigs
+    };
+  }
+
+  async detectFormatting(): Promise<void> {
+    const formatConfigs: string[] = [];
+    
+    // Check for Prettier config
+    const prettierFiles = [
+      '.prettierrc',
+      '.prettierrc.json',
+      '.prettierrc.js',
+      '.prettierrc.cjs',
+      '.prettierrc.mjs',
+      '.prettierrc.yml',
+      '.prettierrc.yaml',
+      'prettier.config.js',
+      'prettier.config.cjs',
+      'prettier.config.mjs'
+    ];
+
+    for (const file of prettierFiles) {
+      try {
+        await fs.access(path.join(this.rootDir, file));
+        this.stack.quality.formatting = true;
+        this.stack.configurations.push({
+          type: 'prettier',
+          configFile: file
+        });
+        this.stack.files.configs.push(file);
+        formatConfigs.push(file);
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+
+    // Check for package.json prettier config
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(this.rootDir, 'package.json'), 'utf8'));
+      if (packageJson.prettier) {
+        this.stack.quality.formatting = true;
+        this.stack.configurations.push({
+          type: 'prettier',
+          configFile: 'package.json'
+        });
+        formatConfigs.push('package.json (prettier)');
+      }
+    } catch (error) {
+      // No package.json or no prettier config
+    }
+
+    this.stack.tooling.formatting = {
+      present: this.stack.quality.formatting,
+      configs: formatConfigs
+    };
+  }
+
+  async detectCI(): Promise<void> {
+    // Check for GitHub Actions
+    try {
+      await fs.access(path.join(this.rootDir, '.github', 'workflows'));
+      this.stack.ci.present = true;
+      this.stack.ci.type = 'github-actions';
+    } catch (error) {
+      // No GitHub Actions
+    }
+
+    // Check for other CI systems
+    const ciFiles = ['.travis.yml', '.gitlab-ci.yml', 'azure-pipelines.yml', 'Jenkinsfile'];
+
+    for (const file of ciFiles) {
+      try {
+        await fs.access(path.join(this.rootDir, file));
+        this.stack.ci.present = true;
+        this.stack.ci.type = file.replace('.', '').replace('-', '');
+        break;
+      } catch (error) {
+        // Continue checking
+      }
+    }
+  }
+
+  async detectSecurity(): Promise<void> {
+    // Secret or vulnerability scanning, configured locally or run in CI (having a
+    // .env file is not a security measure)
+    for (const file of SECURITY_TOOL_FILES) {
+      if (await this.exists(file)) {
+        this.stack.quality.security = true;
+        return;
+      }
+    }
+    if (SECURITY_SCANNERS.test(await this.readCIFiles())) {
+      this.stack.quality.security = true;
+      return;
+    }
+
+    // Check for CSP or security headers
+    if (this.stack.configurations.some(c => c.type === 'nextjs')) {
+      try {
+        const nextConfig = await fs.readFile(path.join(this.rootDir, 'next.config.js'), 'utf8');
+        if (nextConfig.includes('Content-Security-Policy') || nextConfig.includes('headers')) {
+          this.stack.quality.security = true;
+        }
+      } catch (error) {
+        // Cannot read Next.js config
+      }
+    }
+  }
+
+  async saveReport(report: StackReport): Promise<void> {
+    const devenvDir = path.join(this.rootDir, '.devenv');
+    await fs.mkdir(devenvDir, { recursive: true });
+    const reportPath = path.join(devenvDir, 'stack-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+    this.logger.info(`Stack report saved to ${reportPath}`);
+  }
+}
+
+// Run the detector
+if (require.main === module) {
+  const detector = new StackDetector();
+  detector.detect().then(async (result) => {
+    logger.info(JSON.stringify(result, null, 2));
+    await detector.saveReport(result);
+  }).catch(error => {
+    logger.error('Stack detection failed:', { error: error.message, stack: error.stack });
+    process.exit(1);
+  });
+}
+
+export default StackDetector;
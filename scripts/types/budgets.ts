@@ -0,0 +1,66 @@
+/**
+ * Type definitions for quality budgets (config/quality-budgets.json)
+ */
+
+/** Budget group → budget name → limit, e.g. performance.bundleSizeKb */
+export type BudgetValues = Record<string, Record<string, number>>;
+
+export interface BudgetReporting {
+  format: 'table' | 'json';
+  /** "console" or a file path relative to the project root */
+  output: string;
+  failOnBudgetExceeded: boolean;
+  showRecommendations: boolean;
+}
+
+export interface BudgetConfig {
+  budgets: BudgetValues;
+  overrides?: Record<string, BudgetValues>;
+  reporting?: Partial<BudgetReporting>;
+}
+
+/** Metric ids match budget ids, e.g. "quality.testCoveragePercent" */
+export interface Metric {
+  value: number;
+  source: string;
+}
+
+export type MetricSet = Record<string, Metric>;
+
+export interface MetricSources {
+  /** istanbul/c8 coverage-summary.json */
+  coverageSummary?: string;
+  /** ESLint `--format json` output */
+  eslintReport?: string;
+  /** `npm audit --json` output */
+  auditReport?: string;
+  /** Build output directory measured for bundle and CSS size */
+  buildDir?: string;
+  /** JSON file with measured values keyed like the budgets (e.g. build and test time) */
+  metricsFile?: string;
+}
+
+export type BudgetStatus = 'pass' | 'fail' | 'skipped';
+
+export interface BudgetResult {
+  id: string;
+  group: string;
+  name: string;
+  direction: 'max' | 'min';
+  limit: number;
+  actual: number | null;
+  status: BudgetStatus;
+  source?: string;
+  recommendation?: string;
+}
+
+export interface BudgetReport {
+  timestamp: string;
+  profile: string | null;
+  results: BudgetResult[];
+  summary: {
+    passed: number;
+    exceeded: number;
+    skipped: number;
+  };
+}
@@ -2,6 +2,12 @@
  * Type definitions for cleanup engine
  */
 
+/**
+ * prune: edit the lock file in place where the manager supports it;
+ * delete: remove it so the next install regenerates it
+ */
+export type LockFileMode = 'prune' | 'delete';
+
 export interface CleanupRule {
   id: string;
   type: string;
@@ -23,14 +29,23 @@ export interface CleanupRule {
     manager: string;
     remove_deps?: string[];
     remove_dev_deps?: string[];
+    lock_file?: LockFileMode;
   };
   remove_deps?: string[];
   remove_dev_deps?: string[];
+  /** What package_prune does with the lock file (default: prune) */
+  lock_file?: LockFileMode;
   remove_empty_files?: boolean;
   remove_empty_dirs?: boolean;
   module?: string;
 }
 
+/**
+ * A rule of a plugin type: the built-in fields plus the plugin's own
+ * options, which sit next to them in the config
+ */
+export type PluginRule<Options = Record<string, unknown>> = CleanupRule & Options;
+
 export interface Profile {
   extends?: string;
   rules: CleanupRule[];
@@ -41,11 +56,57 @@ export interface CleanupConfig {
   profile?: string;
   features?: string[];
   comment_syntax: Record<string, string | [string, string]>;
-  markers: Record<string, { start: string; end: string } | string>;
+  markers: Record<string, { start: string; end: string; else?: string } | string>;
+  /** Modules that register rule types: paths relative to the config file, or package names */
+  plugins?: string[];
+  /** Values for TEMPLATE-IF comparisons such as `database == "postgres"` */
+  variables?: Record<string, string | number | boolean>;
   profiles: Record<string, Profile>;
   conditional_rules?: Record<string, CleanupRule[]>;
 }
 
+/**
+ * What a plugin rule hands the engine for each change it makes
+ */
+export type RuleActionReport = Omit<CleanupAction, 'rule' | 'dryRun'>;
+
+/**
+ * The engine as a plugin rule type sees it. Paths are relative to workingDir.
+ * Writes and deletes are recorded, not performed, in dry runs and
+ * transactions, and they show up in --diff and the undo journal.
+ */
+export interface RuleContext {
+  workingDir: string;
+  dryRun: boolean;
+  profile: string;
+  features: string[];
+  variables: Record<string, string>;
+  /** Files matching the patterns, minus --exclude-globs, --keep and files already deleted */
+  glob(patterns: string | string[], options?: { ignore?: string[] }): Promise<string[]>;
+  /** File content including earlier rules' changes */
+  readFile(file: string): Promise<string>;
+  writeFile(file: string, content: string): Promise<void>;
+  deleteFile(file: string): Promise<void>;
+  /** Run the worker for every item, concurrently with --parallel; a failed item is reported as an error */
+  forEach<T>(items: T[], worker: (item: T) => Promise<void>): Promise<void>;
+  /** Add an action to the report */
+  report(action: RuleActionReport): void;
+  /** Add an error to the report without failing the rule */
+  error(message: string, file?: string): void;
+}
+
+/**
+ * A rule type registered with registerRuleType(). plan() works out what to do
+ * without changing anything and returns null when there is nothing to do;
+ * apply() carries the plan out through the context.
+ */
+export interface RuleTypePlugin<Plan = unknown, Options = Record<string, unknown>> {
+  /** Problems with the rule's options; any problem fails the rule before plan() */
+  validate?(rule: PluginRule<Options>): string[] | void;
+  plan(rule: PluginRule<Options>, context: RuleContext): Promise<Plan | null | undefined> | Plan | null | undefined;
+  apply(plan: Plan, rule: PluginRule<Options>, context: RuleContext): Promise<void> | void;
+}
+
 export interface CleanupAction {
   type: string;
   rule: string;
@@ -63,6 +124,18 @@ export interface CleanupAction {
   [key: string]: any;
 }
 
+/**
+ * Content of a file before and after cleanup (null: file absent)
+ */
+export interface FileChange {
+  path: string;
+  before: string | null;
+  after: string | null;
+  binary?: boolean;
+  /** git blob id of the original content, for binary files */
+  blobId?: string;
+}
+
 export interface ErrorRecord {
   rule: string;
   file?: string;
@@ -71,6 +144,21 @@ export interface ErrorRecord {
   details?: any;
 }
 
+/**
+ * Unbalanced, orphaned or overlapping template marker (1-based line)
+ */
+export interface MarkerProblem {
+  line: number;
+  column?: number;
+  message: string;
+  file?: string;
+}
+
+export interface MarkerLintResult {
+  filesChecked: number;
+  problems: MarkerProblem[];
+}
+
 export interface Summary {
   totalActions: number;
   filesDeleted: number;
@@ -87,15 +175,57 @@ export interface CleanupReport {
   actions: CleanupAction[];
   errors: ErrorRecord[];
   summary: Summary;
+  transaction?: TransactionResult;
+}
+
+export type JournalStatus = 'pending' | 'applied' | 'rolled-back' | 'undone';
+
+/**
+ * One file in a cleanup journal
+ */
+export interface JournalEntry {
+  path: string;
+  /** Whether the file existed before the cleanup */
+  existed: boolean;
+  /** Copy of the original content, relative to the journal directory */
+  original?: string;
+  /** sha256 of the original content */
+  originalHash?: string;
+  /** sha256 of the content the cleanup wrote; null when it deleted the file */
+  afterHash: string | null;
+}
+
+/**
+ * Record of an applied cleanup, stored in .devenv/cleanup-journal/<id>/journal.json
+ */
+export interface CleanupJournal {
+  id: string;
+  timestamp: string;
+  profile: string;
+  status: JournalStatus;
+  entries: JournalEntry[];
+  /** Directories the cleanup removed */
+  directories: string[];
+}
+
+export interface TransactionResult {
+  status: JournalStatus;
+  id?: string;
+  /** Journal directory, relative to the working directory */
+  journal?: string;
+  error?: string;
 }
 
 export interface CleanupOptions {
   configPath?: string;
   profile?: string;
   features?: string[];
+  variables?: Record<string, string>;
   workingDir?: string;
   dryRun?: boolean;
   failOnActions?: boolean;
+  diff?: boolean;
+  transaction?: boolean;
   onlyRules?: string[];
   excludeRules?: string[];
   excludeGlobs?: string[];
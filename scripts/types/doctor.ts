@@ -0,0 +1,184 @@
+/**
+ * Type definitions for doctor mode
+ */
+
+import type { Gap, GapCategory, GapReport, GapSeverity, ResolvedRule, RulesConfig, StackReport, WorkspacePackage } from './gaps';
+import type { HardeningPlan } from './plan';
+import type { LogLevel } from '../utils/logger';
+
+export type DoctorPreset = 'nextjs' | 'vite' | 'express' | 'vanilla';
+
+export interface HealthScore {
+  overall: number;
+  security: number;
+  quality: number;
+  testing: number;
+  ci: number;
+  documentation: number;
+  /** Score of every configured scoring category */
+  categories?: Record<string, number>;
+}
+
+export type HealthScoreKey = Exclude<keyof HealthScore, 'categories'>;
+
+/**
+ * Health-score configuration (`healthScore` in .devenv/config.json).
+ * Weights define the scoring categories; categoryMap assigns each gap
+ * category to one of them. Gap categories that are unmapped (or
+ * mapped to null) don't affect the score.
+ */
+export interface ScoringConfig {
+  weights: Record<string, number>;
+  penalties: Record<Issue['severity'], number>;
+  categoryMap: Partial<Record<GapCategory, string | null>>;
+}
+
+export interface Issue {
+  /** Catalogue rule of the gap behind the issue */
+  ruleId?: string;
+  severity: 'critical' | 'warning' | 'info';
+  category: string;
+  message: string;
+  estimatedFix: string;
+}
+
+export interface DoctorReport {
+  timestamp: string;
+  /** Aggregate across the repository and its workspace packages, if any */
+  healthScore: HealthScore;
+  critical: Issue[];
+  warnings: Issue[];
+  info: Issue[];
+  quickWins: Issue[];
+  /** Repository-level score before aggregation (monorepos only) */
+  repository?: HealthScore;
+  packages?: PackageReport[];
+  baseline?: BaselineSummary;
+}
+
+/**
+ * Health of a single workspace package
+ */
+export interface PackageReport {
+  name: string;
+  path: string;
+  framework: string;
+  healthScore: HealthScore;
+  critical: Issue[];
+  warnings: Issue[];
+  info: Issue[];
+  quickWins: Issue[];
+}
+
+export interface PackageDiagnosis extends WorkspacePackage {
+  stack: StackReport;
+  gapReport: GapReport;
+  report: DoctorReport;
+}
+
+export interface DiagnoseOptions {
+  rootDir: string;
+  preset?: DoctorPreset;
+  logLevel?: LogLevel;
+  /** Overrides the healthScore section of .devenv/config.json */
+  scoring?: Partial<ScoringConfig>;
+  /** Overrides the rules section of .devenv/config.json */
+  rules?: RulesConfig;
+}
+
+export interface Diagnosis {
+  rootDir: string;
+  stack: StackReport;
+  gapReport: GapReport;
+  gapsMarkdown: string;
+  report: DoctorReport;
+  plan: HardeningPlan;
+  packages: PackageDiagnosis[];
+  /** Repository gaps plus package gaps, titled and pathed by package */
+  gaps: Gap[];
+  /** Rule settings the analysis ran with, by rule ID */
+  rules: Map<string, ResolvedRule>;
+}
+
+/**
+ * One doctor run recorded in .devenv/history/health.jsonl
+ */
+export interface HealthSnapshot {
+  timestamp: string;
+  commit: string | null;
+  branch: string | null;
+  dirty: boolean;
+  healthScore: HealthScore;
+  issues: {
+    critical: number;
+    warnings: number;
+    info: number;
+  };
+  packages?: Array<{ path: string; overall: number }>;
+}
+
+/**
+ * What a trend is measured against: the previous run, the latest tag,
+ * an ISO date (YYYY-MM-DD) or any git ref
+ */
+export type TrendSince = 'last' | 'tag' | string;
+
+export interface HealthTrend {
+  since: TrendSince;
+  /** Human-readable description of the baseline, e.g. "tag v1.2.0" */
+  baselineLabel: string;
+  baseline: HealthSnapshot;
+  current: HealthSnapshot;
+  deltas: HealthScore;
+}
+
+/**
+ * An accepted gap in .devenv/baseline.json
+ */
+export interface BaselineEntry {
+  fingerprint: string;
+  category: GapCategory;
+  title: string;
+  files: string[];
+  severity: GapSeverity;
+  acceptedAt: string;
+  reason?: string;
+  /** ISO date (YYYY-MM-DD); the gap counts as a regression again afterwards */
+  expires?: string;
+}
+
+export interface Baseline {
+  version: 1;
+  updatedAt: string;
+  entries: BaselineEntry[];
+}
+
+export interface BaselineRegression {
+  fingerprint: string;
+  status: 'new' | 'worsened' | 'expired';
+  gap: Gap;
+  /** Severity recorded in the baseline (worsened and expired only) */
+  baselineSeverity?: GapSeverity;
+}
+
+export interface BaselineComparison {
+  accepted: Gap[];
+  regressions: BaselineRegression[];
+  /** Baseline entries whose gap no longer exists */
+  resolved: BaselineEntry[];
+}
+
+/**
+ * Baseline comparison as stored in the health report
+ */
+export interface BaselineSummary {
+  accepted: number;
+  resolved: number;
+  regressions: Array<{
+    fingerprint: string;
+    status: BaselineRegression['status'];
+    severity: GapSeverity;
+    category: GapCategory;
+    title: string;
+  }>;
+}
@@ -2,6 +2,8 @@
  * Type definitions for gap analysis
  */
 
+import type { Logger } from '../utils/logger';
+
 export interface Technology {
   name: string;
   version?: string;
@@ -15,9 +17,44 @@ export interface Configuration {
   [key: string]: any;
 }
 
+export type LanguageName = 'python' | 'go' | 'java' | 'dotnet';
+
+/**
+ * Non-JavaScript language detected in the repository, with the tooling
+ * found for it (tool names, empty when missing)
+ */
+export interface LanguageInfo {
+  name: LanguageName;
+  manifest: string;
+  buildTool: string;
+  tooling: {
+    testing: string[];
+    linting: string[];
+    formatting: string[];
+    typeChecking: string[];
+  };
+  testedInCI: boolean;
+}
+
+export interface WorkspacePackage {
+  name: string;
+  /** Directory relative to the repository root, with forward slashes */
+  path: string;
+}
+
+/**
+ * Monorepo layout: which workspace tools were found and the packages they declare
+ */
+export interface WorkspaceInfo {
+  tools: string[];
+  packages: WorkspacePackage[];
+}
+
 export interface StackReport {
   technologies: Technology[];
   configurations: Configuration[];
+  languages?: LanguageInfo[];
+  workspaces?: WorkspaceInfo | null;
   quality: {
     testing: boolean;
     security: boolean;
@@ -25,7 +62,7 @@ export interface StackReport {
   };
   ci: {
     present: boolean;
-    type?: string;
+    type?: string | null;
     [key: string]: any;
   };
   [key: string]: any;
@@ -51,6 +88,8 @@ export type GapCategory =
   | 'git';
 
 export interface Gap {
+  /** Catalogue rule that raised the gap, e.g. "DET-TS-003" */
+  ruleId?: string;
   category: GapCategory;
   severity: GapSeverity;
   title: string;
@@ -59,8 +98,12 @@ export interface Gap {
   recommendation: string;
   effort: 'low' | 'medium' | 'high';
   files: string[];
+  /** Line in the first of files the gap points at, e.g. where a secret was found */
+  line?: number;
   codeSnippet?: string;
   resources?: string[];
+  /** What the check looked for and didn't find; the gap clears once it exists */
+  evidence?: string[];
 }
 
 export interface GapReport {
@@ -71,11 +114,129 @@ export interface GapReport {
   lowPriority: number;
   gaps: Gap[];
   categories: Record<GapCategory, Gap[]>;
+  /** Gaps silenced by a devenv-disable comment */
+  suppressed?: SuppressedGap[];
+}
+
+export interface SuppressedGap {
+  ruleId: string;
+  title: string;
+  /** File holding the devenv-disable comment */
+  file: string;
+}
+
+/**
+ * A gap analysis check in the rule catalogue
+ */
+export interface GapRule {
+  /** Stable ID, e.g. "DET-TS-001" */
+  id: string;
+  category: GapCategory;
+  severity: GapSeverity;
+  title: string;
+  summary: string;
+  /** Link to the rule's documentation */
+  docs: string;
+  /** Defaults for the rule's options */
+  options?: Record<string, unknown>;
+}
+
+export type RuleSeverity = GapSeverity | 'off';
+
+/**
+ * A rule's entry in the `rules` section of .devenv/config.json: a severity,
+ * or an object with a severity and/or options
+ */
+export type RuleSetting = RuleSeverity | { severity?: RuleSeverity; options?: Record<string, unknown> };
+
+export type RulesConfig = Record<string, RuleSetting>;
+
+/**
+ * A rule with its configured severity and options merged over the defaults
+ */
+export interface ResolvedRule extends GapRule {
+  defaultSeverity: GapSeverity;
+  severity: GapSeverity;
+  enabled: boolean;
+  configured: boolean;
+  /** Whether the config sets the severity (not just options) */
+  severityConfigured: boolean;
+  options: Record<string, unknown>;
+}
+
+/**
+ * A package version installed by the lock file
+ */
+export interface LockedPackage {
+  name: string;
+  version: string;
+  /** Deprecation message recorded in the lock file (npm, pnpm) */
+  deprecated?: string;
+}
+
+export interface LockFileContents {
+  /** Lock file path relative to the project */
+  file: string;
+  packages: LockedPackage[];
+}
+
+/**
+ * An advisory in the shape of npm's bulk advisory endpoint
+ */
+export interface Advisory {
+  id: string | number;
+  title: string;
+  severity: 'info' | 'low' | 'moderate' | 'high' | 'critical';
+  /** Affected versions as a semver range, e.g. "<4.17.21" or ">=2.0.0 <2.3.1" */
+  vulnerable_versions: string;
+  url?: string;
+}
+
+/**
+ * Locally cached advisory database (.devenv/advisories.json by default)
+ */
+export interface AdvisoryDatabase {
+  /** When the cache was refreshed (ISO date) */
+  updated?: string;
+  /** Advisories keyed by package name */
+  advisories: Record<string, Advisory[]>;
+  /** Unmaintained packages, with a note on what to use instead */
+  unmaintained?: Record<string, string>;
+}
+
+/**
+ * A secret found by the secret scanner; the matched value is only kept so it
+ * can be allowlisted and is redacted before it's shown
+ */
+export interface SecretFinding {
+  /** What was found, e.g. "AWS Access Key ID" or "High-Entropy Secret" */
+  kind: string;
+  file: string;
+  line: number;
+  secret: string;
+  /** Commit that added it, for findings from git history */
+  commit?: string;
+}
+
+/**
+ * Parsed secrets allowlist (.devenv/secrets-allowlist)
+ */
+export interface SecretAllowlist {
+  /** Files whose findings are ignored */
+  paths: RegExp[];
+  /** Values that aren't secrets */
+  secrets: RegExp[];
 }
 
 export interface GapAnalysisOptions {
   rootDir?: string;
   stackReportPath?: string;
   includeCodeSnippets?: boolean;
+  stack?: StackReport;
+  logger?: Logger;
+  /** 'package' skips repository-level checks (CI, git hooks, budgets) for workspace packages */
+  scope?: 'repository' | 'package';
+  /** Rule settings; read from .devenv/config.json in rootDir when omitted */
+  rules?: RulesConfig;
 }
 
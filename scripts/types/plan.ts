@@ -1,6 +1,7 @@
 // scripts/types/plan.ts
 
 import { Gap } from './gaps';
+import type { Logger } from '../utils/logger';
 
 export interface TaskDependency {
   taskId: string;
@@ -67,5 +68,7 @@ export interface PlanGeneratorOptions {
   includeCodeSnippets?: boolean;
   includeDependencies?: boolean;
   sortByPriority?: boolean;
+  gaps?: Gap[];
+  logger?: Logger;
 }
 
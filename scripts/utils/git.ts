@@ -0,0 +1,70 @@
+/**
+ * Git helpers
+ *
+ * Thin wrappers around the git CLI. Every helper returns null (or an empty
+ * result) instead of throwing when git is missing or rootDir is not a repository.
+ */
+
+import { execFileSync } from 'child_process';
+
+/**
+ * Run a git command in rootDir and return trimmed stdout, or null on failure
+ * (including output larger than maxBuffer bytes)
+ */
+export function runGit(rootDir: string, args: string[], maxBuffer = 1024 * 1024): string | null {
+  try {
+    return execFileSync('git', args, {
+      cwd: rootDir,
+      encoding: 'utf8',
+      maxBuffer,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Full SHA of HEAD
+ */
+export function getHeadCommit(rootDir: string): string | null {
+  return runGit(rootDir, ['rev-parse', 'HEAD']);
+}
+
+/**
+ * Current branch name (null when detached or outside a repository)
+ */
+export function getCurrentBranch(rootDir: string): string | null {
+  const branch = runGit(rootDir, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  return branch && branch !== 'HEAD' ? branch : null;
+}
+
+/**
+ * True when the working tree has uncommitted changes outside excludePaths
+ */
+export function isWorkingTreeDirty(rootDir: string, excludePaths: string[] = []): boolean {
+  const pathspec = excludePaths.length > 0 ? ['--', '.', ...excludePaths.map(p => `:(exclude)${p}`)] : [];
+  const status = runGit(rootDir, ['status', '--porcelain', ...pathspec]);
+  return !!status;
+}
+
+/**
+ * Most recent tag reachable from HEAD
+ */
+export function getLatestTag(rootDir: string): string | null {
+  return runGit(rootDir, ['describe', '--tags', '--abbrev=0']);
+}
+
+/**
+ * Resolve a ref (tag, branch, SHA) to its commit SHA
+ */
+export function resolveCommit(rootDir: string, ref: string): string | null {
+  return runGit(rootDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+}
+
+/**
+ * Committer date of a ref as an ISO string
+ */
+export function getCommitDate(rootDir: string, ref: string): string | null {
+  return runGit(rootDir, ['log', '-1', '--format=%cI', ref]);
+}
@@ -6,6 +6,7 @@
  * - Contextual logging with hierarchical context
  * - JSON output mode for CI/log aggregation
  * - Environment variable configuration
+ * - A plain `output` logger for command output, which --quiet raises to WARN
  */
 
 export const LOG_LEVELS = {
@@ -22,6 +23,8 @@ export interface LoggerOptions {
   level?: string;
   context?: string;
   json?: boolean;
+  /** Print messages as they are, without timestamp, level or context */
+  plain?: boolean;
 }
 
 export interface LogMeta {
@@ -32,6 +35,7 @@ export class Logger {
   private level: number;
   private context: string;
   private jsonOutput: boolean;
+  private plain: boolean;
 
   constructor(options: LoggerOptions = {}) {
     // Get log level from options or environment variable
@@ -45,6 +49,15 @@ export class Logger {
     // JSON output mode (useful for CI/log aggregation)
     const envJson = process.env.LOG_JSON;
     this.jsonOutput = options.json || (envJson && envJson.toLowerCase() === 'true') || false;
+
+    this.plain = options.plain || false;
+  }
+
+  /**
+   * Change the minimum level this logger prints
+   */
+  setLevel(level: LogLevel): void {
+    this.level = LOG_LEVELS[level];
   }
 
   /**
@@ -57,6 +70,11 @@ export class Logger {
       return;
     }
 
+    if (this.plain) {
+      console.log(message);
+      return;
+    }
+
     const timestamp = new Date().toISOString();
     
     if (this.jsonOutput) {
@@ -111,7 +129,8 @@ export class Logger {
     return new Logger({
       level: Object.keys(LOG_LEVELS).find(k => LOG_LEVELS[k as LogLevel] === this.level),
       context: `${this.context}:${childContext}`,
-      json: this.jsonOutput
+      json: this.jsonOutput,
+      plain: this.plain
     });
   }
 }
@@ -123,3 +142,10 @@ export function createLogger(options: LoggerOptions = {}): Logger {
   return new Logger(options);
 }
 
+
+/**
+ * Human-readable command output (reports, progress). It ignores LOG_LEVEL so
+ * debugging a command doesn't hide its report; --quiet sets it to WARN.
+ * Machine-readable output is printed directly and never silenced.
+ */
+export const output = createLogger({ level: 'INFO', context: 'output', plain: true });
@@ -0,0 +1,103 @@
+/**
+ * Project configuration (.devenv/config.json)
+ *
+ * One JSON file holds per-project settings; each feature owns a top-level
+ * section (e.g. `healthScore`). Keys are addressed with dot paths such as
+ * "healthScore.weights.testing".
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const PROJECT_CONFIG_FILE = path.join('.devenv', 'config.json');
+
+export type ProjectConfig = Record<string, any>;
+
+export function getProjectConfigPath(rootDir: string): string {
+  return path.join(rootDir, PROJECT_CONFIG_FILE);
+}
+
+/**
+ * Read the project config; a missing file is an empty config
+ */
+export async function loadProjectConfig(rootDir: string): Promise<ProjectConfig> {
+  let content: string;
+  try {
+    content = await fs.readFile(getProjectConfigPath(rootDir), 'utf8');
+  } catch {
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(content);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('expected a JSON object');
+    }
+    return config;
+  } catch (error: any) {
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+export async function saveProjectConfig(rootDir: string, config: ProjectConfig): Promise<void> {
+  const configPath = getProjectConfigPath(rootDir);
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  await fs.writeFile(configPath, JSON.stringify(config, null, 2) + '\n');
+}
+
+// Segments that would reach Object.prototype instead of the config
+const FORBIDDEN_KEY_PARTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Split a dot path, rejecting segments that could pollute prototypes
+ */
+function splitKey(key: string): string[] {
+  const parts = key.split('.');
+  const forbidden = parts.find(part => FORBIDDEN_KEY_PARTS.includes(part));
+  if (forbidden) {
+    throw new Error(`Invalid config key ${key}: "${forbidden}" is not allowed`);
+  }
+  return parts;
+}
+
+const hasOwn = (value: unknown, part: string) =>
+  Boolean(value) && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, part);
+
+/**
+ * Value at a dot path, or undefined
+ */
+export function getConfigValue(config: ProjectConfig, key: string): unknown {
+  return splitKey(key).reduce<any>((value, part) => (hasOwn(value, part) ? value[part] : undefined), config);
+}
+
+/**
+ * Set a value at a dot path, creating intermediate objects
+ */
+export function setConfigValue(config: ProjectConfig, key: string, value: unknown): void {
+  const parts = splitKey(key);
+  const last = parts.pop()!;
+  let target = config;
+
+  for (const part of parts) {
+    if (!hasOwn(target, part) || !target[part] || typeof target[part] !== 'object' || Array.isArray(target[part])) {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[last] = value;
+}
+
+/**
+ * Remove the value at a dot path. Returns false when it wasn't set.
+ */
+export function unsetConfigValue(config: ProjectConfig, key: string): boolean {
+  const parts = splitKey(key);
+  const last = parts.pop()!;
+  const parent = parts.length > 0 ? getConfigValue(config, parts.join('.')) : config;
+
+  if (!hasOwn(parent, last)) {
+    return false;
+  }
+  delete (parent as ProjectConfig)[last];
+  return true;
+}
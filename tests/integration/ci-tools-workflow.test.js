@@ -80,7 +80,7 @@ describe('CI Tools Workflow Integration', () => {
     
     if (!stackReportExists) {
       // Run stack detector first
-      const stackDetectorPath = path.join(projectRoot, '.github', 'tools', 'stack-detector.js');
+      const stackDetectorPath = path.join(projectRoot, 'scripts', 'tools', 'stack-detector.js');
       await execAsync(`node "${stackDetectorPath}"`, { cwd: tempDir });
     }
     
@@ -110,7 +110,7 @@ describe('CI Tools Workflow Integration', () => {
     
     if (!gapsReportExists) {
       // Run stack detector and gap analyzer first
-      const stackDetectorPath = path.join(projectRoot, '.github', 'tools', 'stack-detector.js');
+      const stackDetectorPath = path.join(projectRoot, 'scripts', 'tools', 'stack-detector.js');
       await execAsync(`node "${stackDetectorPath}"`, { cwd: tempDir });
       
       const gapAnalyzerPath = path.join(projectRoot, 'scripts', 'tools', 'gap-analyzer.js');
@@ -148,7 +148,7 @@ describe('CI Tools Workflow Integration', () => {
     }
     
     // Run full workflow
-    const stackDetectorPath = path.join(projectRoot, '.github', 'tools', 'stack-detector.js');
+    const stackDetectorPath = path.join(projectRoot, 'scripts', 'tools', 'stack-detector.js');
     const gapAnalyzerPath = path.join(projectRoot, 'scripts', 'tools', 'gap-analyzer.js');
     const planGeneratorPath = path.join(projectRoot, 'scripts', 'tools', 'plan-generator.js');
     
@@ -215,7 +215,7 @@ describe('CI Tools Workflow Integration', () => {
     const gapsReportExists = await fs.access(gapsReportPath).then(() => true).catch(() => false);
     
     if (!gapsReportExists) {
-      const stackDetectorPath = path.join(projectRoot, '.github', 'tools', 'stack-detector.js');
+      const stackDetectorPath = path.join(projectRoot, 'scripts', 'tools', 'stack-detector.js');
       await execAsync(`node "${stackDetectorPath}"`, { cwd: tempDir });
       
       const gapAnalyzerPath = path.join(projectRoot, 'scripts', 'tools', 'gap-analyzer.js');
@@ -248,7 +248,7 @@ describe('CI Tools Workflow Integration', () => {
     
     if (!planExists) {
       // Run full workflow
-      const stackDetectorPath = path.join(projectRoot, '.github', 'tools', 'stack-detector.js');
+      const stackDetectorPath = path.join(projectRoot, 'scripts', 'tools', 'stack-detector.js');
       const gapAnalyzerPath = path.join(projectRoot, 'scripts', 'tools', 'gap-analyzer.js');
       const planGeneratorPath = path.join(projectRoot, 'scripts', 'tools', 'plan-generator.js');
       
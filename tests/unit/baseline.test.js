@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for the Accepted-Issue Baseline
+ *
+ * Tests gap fingerprints and baseline comparison including:
+ * - New, worsened and expired regressions
+ * - Preserving reasons and expiry dates on update
+ * - Loading and validating baseline.json
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const {
+  buildBaseline,
+  compareWithBaseline,
+  fingerprintGap,
+  getBaselinePath,
+  loadBaseline,
+  saveBaseline
+} = require('../../dist/scripts/doctor/baseline');
+
+const gap = (title, severity = 'medium', files = ['package.json']) => ({
+  category: 'testing',
+  severity,
+  title,
+  description: '',
+  impact: '',
+  recommendation: '',
+  effort: 'low',
+  files
+});
+
+describe('Baseline', () => {
+  const now = new Date('2026-06-15T12:00:00');
+
+  test('should fingerprint by category, title and files only', () => {
+    const a = gap('No tests', 'low', ['a.js', 'b.js']);
+    const b = gap('No tests', 'high', ['b.js', 'a.js']);
+
+    assert.strictEqual(fingerprintGap(a), fingerprintGap(b));
+    assert.notStrictEqual(fingerprintGap(a), fingerprintGap(gap('No tests', 'low', ['c.js'])));
+    assert.notStrictEqual(fingerprintGap(a), fingerprintGap({ ...a, category: 'ci' }));
+  });
+
+  test('should accept baselined gaps and report new ones', () => {
+    const baseline = buildBaseline([gap('Known issue')], null, now);
+
+    const result = compareWithBaseline([gap('Known issue'), gap('Fresh issue')], baseline, now);
+
+    assert.deepStrictEqual(result.accepted.map(g => g.title), ['Known issue']);
+    assert.deepStrictEqual(result.regressions.map(r => [r.status, r.gap.title]), [['new', 'Fresh issue']]);
+  });
+
+  test('should report gaps that got more severe', () => {
+    const baseline = buildBaseline([gap('Flaky', 'low')], null, now);
+
+    const worse = compareWithBaseline([gap('Flaky', 'high')], baseline, now);
+    const better = compareWithBaseline([gap('Flaky', 'low')], baseline, now);
+
+    assert.strictEqual(worse.regressions[0].status, 'worsened');
+    assert.strictEqual(worse.regressions[0].baselineSeverity, 'low');
+    assert.strictEqual(better.regressions.length, 0);
+  });
+
+  test('should treat acceptances as expired after their expiry date', () => {
+    const baseline = buildBaseline([gap('Temporary')], null, now);
+    baseline.entries[0].expires = '2026-06-15';
+
+    assert.strictEqual(compareWithBaseline([gap('Temporary')], baseline, now).regressions.length, 0);
+
+    const later = compareWithBaseline([gap('Temporary')], baseline, new Date('2026-06-16T00:00:01'));
+    assert.strictEqual(later.regressions[0].status, 'expired');
+  });
+
+  test('should list baseline entries whose gap was fixed', () => {
+    const baseline = buildBaseline([gap('Fixed'), gap('Still there')], null, now);
+
+    const result = compareWithBaseline([gap('Still there')], baseline, now);
+
+    assert.deepStrictEqual(result.resolved.map(e => e.title), ['Fixed']);
+  });
+
+  test('should keep reasons and expiry when updating and drop resolved entries', () => {
+    const previous = buildBaseline([gap('Legacy'), gap('Fixed')], null, now);
+    previous.entries.find(e => e.title === 'Legacy').reason = 'Rewrite planned';
+    previous.entries.find(e => e.title === 'Legacy').expires = '2027-01-01';
+
+    const updated = buildBaseline([gap('Legacy', 'high'), gap('New')], previous, new Date('2026-07-01'));
+    const legacy = updated.entries.find(e => e.title === 'Legacy');
+
+    assert.deepStrictEqual(updated.entries.map(e => e.title).sort(), ['Legacy', 'New']);
+    assert.strictEqual(legacy.reason, 'Rewrite planned');
+    assert.strictEqual(legacy.expires, '2027-01-01');
+    assert.strictEqual(legacy.severity, 'high');
+    assert.strictEqual(legacy.acceptedAt, now.toISOString());
+  });
+
+  test('should accept expired entries afresh when updating', () => {
+    const previous = buildBaseline([gap('Temporary')], null, now);
+    previous.entries[0].reason = 'Waiting on upstream';
+    previous.entries[0].expires = '2026-06-15';
+    const later = new Date('2026-07-01');
+
+    const updated = buildBaseline([gap('Temporary')], previous, later);
+
+    assert.strictEqual(updated.entries[0].expires, undefined);
+    assert.strictEqual(updated.entries[0].reason, 'Waiting on upstream');
+    assert.strictEqual(updated.entries[0].acceptedAt, later.toISOString());
+    assert.strictEqual(compareWithBaseline([gap('Temporary')], updated, later).regressions.length, 0);
+  });
+
+  describe('File handling', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should return null when no baseline exists', async () => {
+      assert.strictEqual(await loadBaseline(rootDir), null);
+    });
+
+    test('should round-trip baseline.json', async () => {
+      const baseline = buildBaseline([gap('Known issue')], null, now);
+
+      await saveBaseline(rootDir, baseline);
+
+      assert.deepStrictEqual(await loadBaseline(rootDir), baseline);
+    });
+
+    test('should reject malformed baseline files', async () => {
+      await fs.mkdir(path.dirname(getBaselinePath(rootDir)), { recursive: true });
+      await fs.writeFile(getBaselinePath(rootDir), JSON.stringify({ version: 1 }));
+
+      await assert.rejects(() => loadBaseline(rootDir), /Invalid baseline .*entries/);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for Quality Budgets
+ *
+ * Tests the budget checker including:
+ * - Metrics from coverage, ESLint, npm audit and build output
+ * - Override profiles
+ * - Pass, fail and skipped results
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFileSync, spawnSync } = require('child_process');
+const {
+  applyProfile,
+  checkBudgets,
+  evaluateBudgets,
+  formatBudgetTable,
+  loadBudgetConfig
+} = require('../../dist/scripts/budgets/checker');
+const { collectMetrics } = require('../../dist/scripts/budgets/metrics');
+
+const CLI = path.join(__dirname, '../../scripts/devenv/cli.js');
+const SHIPPED_CONFIG = path.join(__dirname, '../../config/quality-budgets.json');
+
+const config = {
+  budgets: {
+    performance: { buildTimeMs: 300000, bundleSizeKb: 2, cssSizeKb: 1 },
+    quality: { testCoveragePercent: 80, lintErrorsMax: 0, securityVulnerabilitiesMax: 0 }
+  },
+  overrides: {
+    'legacy-projects': { quality: { testCoveragePercent: 50 } }
+  },
+  reporting: { format: 'table', output: 'console', failOnBudgetExceeded: true, showRecommendations: true }
+};
+
+describe('Quality Budgets', () => {
+  let rootDir;
+
+  const write = async (file, content) => {
+    const filePath = path.join(rootDir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'budgets-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('should collect metrics from default report locations', async () => {
+    await write('coverage/coverage-summary.json', { total: { lines: { pct: 72.5 } } });
+    await write('eslint-report.json', [{ errorCount: 2 }, { errorCount: 1, warningCount: 4 }]);
+    await write('npm-audit.json', { metadata: { vulnerabilities: { low: 1, high: 2, total: 3 } } });
+    await write('dist/app.js', 'x'.repeat(3072));
+    await write('dist/nested/app.js.map', 'x'.repeat(10240));
+    await write('dist/nested/style.css', 'x'.repeat(512));
+    await write('.devenv/metrics.json', { performance: { buildTimeMs: 120000 } });
+
+    const metrics = await collectMetrics(rootDir);
+
+    assert.strictEqual(metrics['quality.testCoveragePercent'].value, 72.5);
+    assert.strictEqual(metrics['quality.lintErrorsMax'].value, 3);
+    assert.strictEqual(metrics['quality.securityVulnerabilitiesMax'].value, 3);
+    assert.strictEqual(metrics['performance.bundleSizeKb'].value, 3);
+    assert.strictEqual(metrics['performance.cssSizeKb'].value, 0.5);
+    assert.strictEqual(metrics['performance.buildTimeMs'].source, '.devenv/metrics.json');
+  });
+
+  test('should count npm 6 audit output without a total', async () => {
+    await write('audit.json', { metadata: { vulnerabilities: { info: 0, low: 1, moderate: 2, high: 0, critical: 1 } } });
+
+    const metrics = await collectMetrics(rootDir, { auditReport: 'audit.json' });
+
+    assert.strictEqual(metrics['quality.securityVulnerabilitiesMax'].value, 4);
+  });
+
+  test('should fail on missing explicit sources and malformed reports', async () => {
+    await assert.rejects(() => collectMetrics(rootDir, { coverageSummary: 'nope.json' }), /nope\.json not found/);
+
+    await write('eslint-report.json', { errorCount: 1 });
+    await assert.rejects(() => collectMetrics(rootDir), /not ESLint JSON output/);
+  });
+
+  test('should apply an override profile', () => {
+    const budgets = applyProfile(config, 'legacy-projects');
+
+    assert.strictEqual(budgets.quality.testCoveragePercent, 50);
+    assert.strictEqual(budgets.quality.lintErrorsMax, 0);
+    assert.strictEqual(config.budgets.quality.testCoveragePercent, 80);
+    assert.throws(() => applyProfile(config, 'staging'), /Unknown budget profile "staging" \(available: legacy-projects\)/);
+  });
+
+  test('should evaluate upper and lower bounds and skip missing metrics', () => {
+    const results = evaluateBudgets(applyProfile(config), {
+      'quality.testCoveragePercent': { value: 79.9, source: 'coverage' },
+      'quality.lintErrorsMax': { value: 0, source: 'eslint' },
+      'performance.bundleSizeKb': { value: 2.1, source: 'dist' }
+    });
+    const status = Object.fromEntries(results.map(r => [r.id, r.status]));
+
+    assert.strictEqual(status['quality.testCoveragePercent'], 'fail');
+    assert.strictEqual(status['quality.lintErrorsMax'], 'pass');
+    assert.strictEqual(status['performance.bundleSizeKb'], 'fail');
+    assert.strictEqual(status['performance.buildTimeMs'], 'skipped');
+    assert.ok(results.find(r => r.id === 'performance.bundleSizeKb').recommendation);
+  });
+
+  test('should summarize and render a report', async () => {
+    await write('coverage/coverage-summary.json', { total: { lines: { pct: 60 } } });
+
+    const report = await checkBudgets(rootDir, { config, profile: 'legacy-projects' });
+    const table = formatBudgetTable(report);
+
+    assert.deepStrictEqual(report.summary, { passed: 1, exceeded: 0, skipped: 5 });
+    assert.strictEqual(report.profile, 'legacy-projects');
+    assert.match(table, /✅ quality\.testCoveragePercent\s+≥ 50\s+60/);
+    assert.match(table, /1 passed, 0 exceeded, 5 skipped/);
+  });
+
+  test('should find the budget file and reject invalid budgets', async () => {
+    await assert.rejects(() => loadBudgetConfig(rootDir), /No quality budgets found/);
+
+    await write('quality-budgets.json', { budgets: { quality: { lintErrorsMax: 'zero' } } });
+    await assert.rejects(() => loadBudgetConfig(rootDir), /budgets\.quality\.lintErrorsMax must be a number/);
+
+    await write('config/quality-budgets.json', config);
+    const loaded = await loadBudgetConfig(rootDir);
+    assert.strictEqual(loaded.path, 'config/quality-budgets.json');
+  });
+
+  test('should exit non-zero only when budgets are exceeded', async () => {
+    await write('config/quality-budgets.json', config);
+    await write('coverage/coverage-summary.json', { total: { lines: { pct: 60 } } });
+    const run = (...args) => {
+      try {
+        return { code: 0, stdout: execFileSync('node', [CLI, 'budgets', ...args], { cwd: rootDir, encoding: 'utf8' }) };
+      } catch (error) {
+        return { code: error.status, stdout: error.stdout };
+      }
+    };
+
+    assert.strictEqual(run().code, 1);
+    assert.strictEqual(run('--no-fail').code, 0);
+
+    const legacy = run('--profile', 'legacy-projects', '--json');
+    assert.strictEqual(legacy.code, 0);
+    assert.strictEqual(JSON.parse(legacy.stdout).summary.passed, 1);
+  });
+
+  test('should fail on exceeded budgets with the shipped config', async () => {
+    await write('config/quality-budgets.json', await fs.readFile(SHIPPED_CONFIG, 'utf8'));
+    await write('coverage/coverage-summary.json', { total: { lines: { pct: 60 } } });
+
+    const result = spawnSync(process.execPath, [CLI, 'budgets'], { cwd: rootDir, encoding: 'utf8' });
+    assert.strictEqual(result.status, 1);
+  });
+});
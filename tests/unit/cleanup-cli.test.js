@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for the Cleanup CLI
+ *
+ * Tests the cleanup command including:
+ * - Dry run by default, changes only with --apply
+ * - Rule and file filters
+ * - --report, --diff and --fail-on-actions exit codes
+ * - undo of the last applied run
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createTempFixture, cleanupTempFixture, readFile } = require('../utils/fixture-helper');
+
+const CLI = path.join(__dirname, '../../scripts/cleanup/cli.js');
+
+function cleanup(cwd, args = []) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8' });
+}
+
+describe('Cleanup CLI', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await createTempFixture('basic-node-project');
+  });
+
+  afterEach(async () => {
+    await cleanupTempFixture(tempDir);
+  });
+
+  test('dry run lists actions without changing files', async () => {
+    const before = await readFile(tempDir, 'src/app.js');
+    const result = cleanup(tempDir);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /\(dry run\)/);
+    assert.match(result.stdout, /would remove 1 block\(s\) from src\/app\.js/);
+    assert.strictEqual(await readFile(tempDir, 'src/app.js'), before);
+  });
+
+  test('--apply changes files and writes --report', async () => {
+    const result = cleanup(tempDir, ['--apply', '--report', 'cleanup-report.json']);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    assert.ok(!(await readFile(tempDir, 'src/app.js')).includes('TEMPLATE-ONLY:START'));
+
+    const report = JSON.parse(await readFile(tempDir, 'cleanup-report.json'));
+    assert.strictEqual(report.dryRun, false);
+    assert.strictEqual(report.summary.totalActions, report.actions.length);
+  });
+
+  test('undo restores the last --apply', async () => {
+    const before = await readFile(tempDir, 'src/app.js');
+
+    let result = cleanup(tempDir, ['--apply']);
+    assert.match(result.stdout, /Journal: \.devenv[\\/]cleanup-journal[\\/]/);
+    assert.notStrictEqual(await readFile(tempDir, 'src/app.js'), before);
+
+    result = cleanup(tempDir, ['undo']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /restored src\/app\.js/);
+    assert.strictEqual(await readFile(tempDir, 'src/app.js'), before);
+
+    assert.strictEqual(cleanup(tempDir, ['undo']).status, 1);
+  });
+
+  test('--fail-on-actions exits 2 until the project is clean', () => {
+    assert.strictEqual(cleanup(tempDir, ['--fail-on-actions']).status, 2);
+    assert.strictEqual(cleanup(tempDir, ['--apply']).status, 0);
+    assert.strictEqual(cleanup(tempDir, ['--fail-on-actions']).status, 0);
+  });
+
+  test('--diff prints a patch or writes it to a file', async () => {
+    let result = cleanup(tempDir, ['--diff']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^diff --git a\/package\.json b\/package\.json/);
+    assert.match(result.stdout, /-\/\/ TEMPLATE-ONLY:START/);
+    assert.match(result.stderr, /Actions: 3/);
+
+    result = cleanup(tempDir, ['--diff', 'cleanup.patch']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Diff: cleanup\.patch/);
+    assert.match(await readFile(tempDir, 'cleanup.patch'), /^\+\+\+ b\/src\/app\.js$/m);
+  });
+
+  test('rule and file filters limit the actions', () => {
+    let report = JSON.parse(cleanup(tempDir, ['--json', '--only-rules', 'strip-template-blocks']).stdout);
+    assert.deepStrictEqual([...new Set(report.actions.map(action => action.rule))], ['strip-template-blocks']);
+
+    report = JSON.parse(cleanup(tempDir, ['--json', '--exclude-rules', 'strip-template-blocks', '--keep-files', 'src/app.js']).stdout);
+    assert.ok(report.actions.length > 0);
+    assert.ok(report.actions.every(action => action.rule !== 'strip-template-blocks'));
+  });
+
+  test('exits 1 when the config or profile is missing', async () => {
+    let result = cleanup(tempDir, ['--profile', 'missing']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Profile 'missing' not found/);
+
+    await fs.rm(path.join(tempDir, 'config'), { recursive: true, force: true });
+    result = cleanup(tempDir);
+    assert.strictEqual(result.status, 1);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for TEMPLATE-IF Conditions
+ *
+ * Tests the condition expressions including:
+ * - Boolean operators, precedence and parentheses
+ * - Variable and version comparisons
+ * - Syntax errors with columns
+ * - TEMPLATE-ELSE branches and file:line errors in the cleanup engine
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { evaluateCondition, parseCondition, ConditionSyntaxError } = require('../../dist/scripts/cleanup/condition');
+const { executeCleanup } = require('../../dist/scripts/cleanup/engine');
+
+const context = {
+  features: new Set(['docker', 'auth', 'postgres']),
+  variables: { profile: 'frontend', node: '20.11.1', typescript: '5.4', ci: 'false' }
+};
+
+const check = condition => evaluateCondition(condition, context);
+
+describe('evaluateCondition', () => {
+  test('features with !, && and ||', () => {
+    assert.strictEqual(check('docker'), true);
+    assert.strictEqual(check('!docker'), false);
+    assert.strictEqual(check('docker && !ci'), true);
+    assert.strictEqual(check('(auth || payments) && postgres'), true);
+    assert.strictEqual(check('payments || !auth'), false);
+    // && binds tighter than ||
+    assert.strictEqual(check('auth || payments && mysql'), true);
+    assert.strictEqual(check('!(docker && auth)'), false);
+    assert.strictEqual(check('true && !false'), true);
+  });
+
+  test('string and version comparisons', () => {
+    assert.strictEqual(check('profile == "frontend"'), true);
+    assert.strictEqual(check("profile != 'frontend'"), false);
+    assert.strictEqual(check('node >= 18'), true);
+    assert.strictEqual(check('node < 20.2'), false);
+    assert.strictEqual(check('node < 20.12'), true);
+    assert.strictEqual(check('typescript > 5.10'), false);
+    assert.strictEqual(check('typescript == "5.4" && node >= 20.11.1'), true);
+  });
+
+  test('syntax errors report the column', () => {
+    const cases = [
+      ['docker &&', /found end of condition/, 10],
+      ['docker & ci', /Unexpected character '&' \(use &&\)/, 8],
+      ['(docker || ci', /Expected '\)'/, 14],
+      ['profile = "x"', /use ==/, 9],
+      ['docker ci', /Unexpected 'ci'/, 8],
+      ['"frontend"', /Expected a comparison/, 1],
+      ['', /Empty condition/, 1]
+    ];
+    for (const [condition, message, column] of cases) {
+      assert.throws(() => parseCondition(condition), error => {
+        assert.ok(error instanceof ConditionSyntaxError, condition);
+        assert.match(error.message, message);
+        assert.strictEqual(error.column, column, condition);
+        return true;
+      });
+    }
+  });
+
+  test('unknown variables and non-version ordering are errors', () => {
+    assert.throws(() => check('database == "postgres"'), /Unknown variable 'database'/);
+    assert.throws(() => check('profile >= 2'), /needs version numbers but got 'frontend'/);
+  });
+});
+
+describe('conditional_block rule', () => {
+  let tempDir;
+
+  const read = file => fs.readFile(path.join(tempDir, file), 'utf8');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-condition-test-'));
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), `
+markers:
+  conditional: { start: "TEMPLATE-IF:", end: "TEMPLATE-ENDIF" }
+variables:
+  database: postgres
+profiles:
+  common:
+    rules:
+      - { id: resolve, type: conditional_block }
+`);
+    await fs.writeFile(path.join(tempDir, 'app.js'), [
+      'start();',
+      '// TEMPLATE-IF: docker && !ci',
+      'useDocker();',
+      '// TEMPLATE-ELSE',
+      'useLocal();',
+      '// TEMPLATE-ENDIF',
+      '// TEMPLATE-IF: database == "postgres"',
+      'usePostgres();',
+      '// TEMPLATE-ENDIF',
+      'end();',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('keeps the matching branch and drops the markers', async () => {
+    await executeCleanup({ workingDir: tempDir, dryRun: false, features: ['docker'] });
+    assert.strictEqual(await read('app.js'), 'start();\nuseDocker();\nusePostgres();\nend();\n');
+  });
+
+  test('TEMPLATE-ELSE survives when the condition is false; --var overrides config', async () => {
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false, variables: { database: 'sqlite' } });
+    assert.deepStrictEqual(report.errors, []);
+    assert.strictEqual(await read('app.js'), 'start();\nuseLocal();\nend();\n');
+  });
+
+  test('a malformed condition names the file and line and leaves the file alone', async () => {
+    const before = (await read('app.js')).replace('database == "postgres"', 'database = "postgres"');
+    await fs.writeFile(path.join(tempDir, 'app.js'), before);
+
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false });
+    assert.strictEqual(report.errors.length, 1);
+    assert.strictEqual(report.errors[0].error,
+      'app.js:7:26: Invalid TEMPLATE-IF condition "database = "postgres"": Unexpected character \'=\' (use ==)');
+    assert.deepStrictEqual(report.errors[0].details, { line: 7, column: 26, condition: 'database = "postgres"' });
+    assert.strictEqual(await read('app.js'), before);
+  });
+});
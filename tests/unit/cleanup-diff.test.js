@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for Cleanup Diffs
+ *
+ * Tests the unified diff preview including:
+ * - Hunks with context, merged when changes are close
+ * - Missing final newlines, deleted and binary files
+ * - Large files without quadratic memory
+ * - Dry runs and transactions where several rules change the same file
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { createFileDiff, formatCleanupDiff } = require('../../dist/scripts/cleanup/diff');
+const { executeCleanup } = require('../../dist/scripts/cleanup/engine');
+
+const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+describe('createFileDiff', () => {
+  test('formats a removal with three lines of context', () => {
+    const before = lines(10);
+    const after = before.replace('line 5\n', '');
+
+    assert.strictEqual(createFileDiff({ path: 'src/a.js', before, after }), [
+      'diff --git a/src/a.js b/src/a.js',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -2,7 +2,6 @@',
+      ' line 2',
+      ' line 3',
+      ' line 4',
+      '-line 5',
+      ' line 6',
+      ' line 7',
+      ' line 8',
+      ''
+    ].join('\n'));
+  });
+
+  test('merges nearby changes and splits distant ones', () => {
+    const before = lines(30);
+    const near = before.replace('line 5\n', '').replace('line 10\n', '');
+    assert.strictEqual(createFileDiff({ path: 'a', before, after: near }).match(/^@@/gm).length, 1);
+
+    const far = before.replace('line 5\n', '').replace('line 25\n', '');
+    const diff = createFileDiff({ path: 'a', before, after: far });
+    assert.deepStrictEqual(diff.match(/^@@.*@@$/gm), ['@@ -2,7 +2,6 @@', '@@ -22,7 +21,6 @@']);
+  });
+
+  test('shows additions and a missing final newline', () => {
+    const diff = createFileDiff({ path: 'a', before: 'a\nb\n', after: 'a\nc' });
+    assert.match(diff, /-b\n\+c\n\\ No newline at end of file\n$/);
+  });
+
+  test('deleted and binary files', () => {
+    const deleted = createFileDiff({ path: 'x.sh', before: 'echo hi\n', after: null });
+    assert.match(deleted, /deleted file mode 100644\n--- a\/x\.sh\n\+\+\+ \/dev\/null\n@@ -1,1 \+0,0 @@\n-echo hi\n/);
+
+    const binary = createFileDiff({ path: 'logo.png', before: '', after: null, binary: true, blobId: 'a'.repeat(40) });
+    assert.match(binary, /index a{40}\.\.0{40}\nBinary files a\/logo\.png and \/dev\/null differ/);
+  });
+
+  test('large deleted and rewritten files', () => {
+    const deleted = createFileDiff({ path: 'big.txt', before: lines(200000), after: null });
+    assert.match(deleted, /@@ -1,200000 \+0,0 @@\n-line 1\n/);
+    assert.ok(deleted.endsWith('-line 200000\n'));
+
+    // Too many differences for the edit search: the changed lines are replaced wholesale
+    const before = lines(6000);
+    const after = before.replace(/line (\d+)/g, 'row $1').replace('row 1\n', 'line 1\n');
+    const rewritten = createFileDiff({ path: 'big.txt', before, after }).split('\n');
+    assert.strictEqual(rewritten[3], '@@ -1,6000 +1,6000 @@');
+    assert.deepStrictEqual(rewritten.slice(4, 7), [' line 1', '-line 2', '-line 3']);
+    assert.strictEqual(rewritten[6004], '+row 2');
+  });
+
+  test('unchanged files produce no output', () => {
+    assert.strictEqual(createFileDiff({ path: 'a', before: 'x\n', after: 'x\n' }), '');
+    assert.strictEqual(formatCleanupDiff([]), '');
+  });
+});
+
+describe('cleanup --diff', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-diff-test-'));
+    await fs.mkdir(path.join(tempDir, 'scaffold'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'scaffold', 'setup.sh'), 'echo setup\n');
+    await fs.writeFile(path.join(tempDir, 'src', 'app.js'), [
+      'const app = 1;',
+      '// TEMPLATE-ONLY:START',
+      'demo();',
+      '// TEMPLATE-ONLY:END',
+      'seed(); // @template-only',
+      'module.exports = app;',
+      ''
+    ].join('\n'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({
+      name: 'diff-test',
+      devDependencies: { 'template-kit': '^1.0.0', jest: '^29.0.0' }
+    }, null, 2) + '\n');
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), `
+markers:
+  template_only: { start: "TEMPLATE-ONLY:START", end: "TEMPLATE-ONLY:END" }
+  line_tag: "@template-only"
+profiles:
+  common:
+    rules:
+      - { id: remove-scaffold, type: file_glob_delete, glob: "scaffold" }
+      - { id: strip-blocks, type: block_markers }
+      - { id: strip-lines, type: line_tag }
+      - { id: prune-deps, type: package_prune, package_prune: { manager: npm }, remove_dev_deps: [template-kit] }
+`);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('dry run diff covers every rule without touching files', async () => {
+    const { diff } = await executeCleanup({ workingDir: tempDir, diff: true });
+
+    assert.match(diff, /diff --git a\/scaffold\/setup\.sh b\/scaffold\/setup\.sh\ndeleted file mode 100644/);
+    // Block and line rules both show up in one hunk for the same file
+    assert.match(diff, /@@ -1,6 \+1,2 @@\n const app = 1;\n-\/\/ TEMPLATE-ONLY:START\n-demo\(\);\n-\/\/ TEMPLATE-ONLY:END\n-seed\(\); \/\/ @template-only\n module\.exports = app;\n/);
+    assert.match(diff, /-    "template-kit": "\^1\.0\.0",\n/);
+    assert.ok(!diff.includes('No newline'), 'package.json keeps its final newline');
+
+    const app = await fs.readFile(path.join(tempDir, 'src', 'app.js'), 'utf8');
+    assert.ok(app.includes('TEMPLATE-ONLY:START'));
+  });
+
+  test('package_prune rules build on each other', async () => {
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), `
+profiles:
+  common:
+    rules:
+      - { id: prune-kit, type: package_prune, package_prune: { manager: npm }, remove_dev_deps: [template-kit] }
+      - { id: prune-jest, type: package_prune, package_prune: { manager: npm }, remove_dev_deps: [jest] }
+`);
+
+    const { diff } = await executeCleanup({ workingDir: tempDir, diff: true });
+    assert.match(diff, /-    "template-kit": "\^1\.0\.0",\n-    "jest": "\^29\.0\.0"\n/);
+
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false, transaction: true });
+    assert.strictEqual(report.transaction.status, 'applied');
+    const pkg = JSON.parse(await fs.readFile(path.join(tempDir, 'package.json'), 'utf8'));
+    assert.deepStrictEqual(pkg.devDependencies, {});
+  });
+
+  test('no diff without the option', async () => {
+    const result = await executeCleanup({ workingDir: tempDir });
+    assert.strictEqual(result.diff, undefined);
+  });
+});
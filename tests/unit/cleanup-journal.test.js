@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for Transactional Cleanup
+ *
+ * Tests the cleanup journal including:
+ * - Staged changes applied together with originals journaled
+ * - Rollback when a write or a rule fails
+ * - Undo of the last applied run, with conflict detection
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const {
+  applyTransaction,
+  listJournals,
+  undoLastCleanup
+} = require('../../dist/scripts/cleanup/journal');
+const { executeCleanup } = require('../../dist/scripts/cleanup/engine');
+
+const CONFIG = `
+markers:
+  template_only: { start: "TEMPLATE-ONLY:START", end: "TEMPLATE-ONLY:END" }
+profiles:
+  common:
+    rules:
+      - { id: remove-scaffold, type: file_glob_delete, glob: "scaffold" }
+      - { id: strip-blocks, type: block_markers }
+  broken:
+    extends: common
+    rules:
+      - { id: missing-module, type: custom, module: ./does-not-exist.js }
+`;
+
+describe('Cleanup journal', () => {
+  let tempDir;
+
+  const read = file => fs.readFile(path.join(tempDir, file), 'utf8');
+  const exists = file => fs.access(path.join(tempDir, file)).then(() => true, () => false);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-journal-test-'));
+    await fs.mkdir(path.join(tempDir, 'scaffold', 'assets'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'scaffold', 'setup.sh'), 'echo setup\n');
+    await fs.writeFile(path.join(tempDir, 'scaffold', 'assets', 'logo.bin'), Buffer.from([0, 1, 2, 255]));
+    await fs.writeFile(path.join(tempDir, 'src', 'app.js'), 'a();\n// TEMPLATE-ONLY:START\ndemo();\n// TEMPLATE-ONLY:END\nb();\n');
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), CONFIG);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('applies staged changes and undo restores them', async () => {
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false, transaction: true });
+
+    assert.strictEqual(report.transaction.status, 'applied');
+    assert.ok(!(await exists('scaffold')));
+    assert.strictEqual(await read('src/app.js'), 'a();\nb();\n');
+
+    const [journal] = await listJournals(tempDir);
+    assert.strictEqual(journal.id, report.transaction.id);
+    assert.deepStrictEqual(journal.directories, ['scaffold']);
+    assert.strictEqual(journal.entries.length, 3);
+
+    const { restored } = await undoLastCleanup(tempDir);
+    assert.strictEqual(restored.length, 3);
+    assert.strictEqual(await read('scaffold/setup.sh'), 'echo setup\n');
+    assert.deepStrictEqual([...(await fs.readFile(path.join(tempDir, 'scaffold/assets/logo.bin')))], [0, 1, 2, 255]);
+    assert.match(await read('src/app.js'), /TEMPLATE-ONLY:START/);
+
+    await assert.rejects(undoLastCleanup(tempDir), /No applied cleanup to undo/);
+  });
+
+  test('a failing rule leaves every file untouched', async () => {
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false, transaction: true, profile: 'broken' });
+
+    assert.strictEqual(report.transaction.status, 'rolled-back');
+    assert.ok(report.errors.some(error => error.rule === 'missing-module'));
+    assert.ok(await exists('scaffold/setup.sh'));
+    assert.match(await read('src/app.js'), /TEMPLATE-ONLY:START/);
+  });
+
+  test('a failed write rolls back earlier changes', async () => {
+    const changes = [
+      { path: 'src/app.js', before: 'x', after: 'rewritten\n' },
+      // src/app.js is a file, so this write fails
+      { path: 'src/app.js/nested.js', before: null, after: 'nope\n' }
+    ];
+
+    await assert.rejects(applyTransaction(tempDir, changes, [], 'common'), /rolled back/);
+    assert.match(await read('src/app.js'), /TEMPLATE-ONLY:START/);
+
+    const [journal] = await listJournals(tempDir);
+    assert.strictEqual(journal.status, 'rolled-back');
+  });
+
+  test('undo refuses to overwrite later edits unless forced', async () => {
+    await executeCleanup({ workingDir: tempDir, dryRun: false, transaction: true });
+    await fs.writeFile(path.join(tempDir, 'src', 'app.js'), 'edited later\n');
+
+    await assert.rejects(undoLastCleanup(tempDir), /Files changed since cleanup .*: src\/app\.js/);
+
+    await undoLastCleanup(tempDir, { force: true });
+    assert.match(await read('src/app.js'), /TEMPLATE-ONLY:START/);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Template Marker Parsing
+ *
+ * Tests the stack-based marker parser including:
+ * - Nested TEMPLATE-ONLY and TEMPLATE-IF blocks
+ * - Unclosed, orphaned and overlapping markers reported with line numbers
+ * - cleanup lint, which never changes files
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { executeCleanup, lintCleanupMarkers } = require('../../dist/scripts/cleanup/engine');
+
+const CLI = path.join(__dirname, '../../scripts/devenv/cli.js');
+
+const CONFIG = `
+markers:
+  template_only: { start: "TEMPLATE-ONLY:START", end: "TEMPLATE-ONLY:END" }
+  conditional: { start: "TEMPLATE-IF:", end: "TEMPLATE-ENDIF" }
+profiles:
+  common:
+    rules:
+      - { id: strip-blocks, type: block_markers }
+      - { id: resolve, type: conditional_block }
+`;
+
+const NESTED = [
+  'a();',
+  '// TEMPLATE-IF: docker',
+  'docker();',
+  '// TEMPLATE-ONLY:START',
+  'demo();',
+  '// TEMPLATE-ONLY:END',
+  '// TEMPLATE-IF: ci',
+  'ci();',
+  '// TEMPLATE-ELSE',
+  'local();',
+  '// TEMPLATE-ENDIF',
+  '// TEMPLATE-ELSE',
+  'noDocker();',
+  '// TEMPLATE-ENDIF',
+  'z();',
+  ''
+].join('\n');
+
+describe('Template marker parsing', () => {
+  let tempDir;
+
+  const read = file => fs.readFile(path.join(tempDir, file), 'utf8');
+  const write = (file, lines) => fs.writeFile(path.join(tempDir, file), lines.join('\n') + '\n');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-markers-test-'));
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), CONFIG);
+    await fs.writeFile(path.join(tempDir, 'app.js'), NESTED);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('nested blocks are resolved from the outside in', async () => {
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false, features: ['docker'] });
+
+    assert.deepStrictEqual(report.errors, []);
+    assert.strictEqual(await read('app.js'), 'a();\ndocker();\nlocal();\nz();\n');
+  });
+
+  test('a dropped branch takes its nested blocks with it', async () => {
+    await executeCleanup({ workingDir: tempDir, dryRun: false, features: ['ci'] });
+    assert.strictEqual(await read('app.js'), 'a();\nnoDocker();\nz();\n');
+  });
+
+  test('unbalanced markers are errors with line numbers and the file is left alone', async () => {
+    const broken = [
+      '// TEMPLATE-IF: docker',
+      '// TEMPLATE-ONLY:START',
+      '// TEMPLATE-ENDIF',
+      '// TEMPLATE-ONLY:END',
+      '// TEMPLATE-ENDIF',
+      '// TEMPLATE-ELSE',
+      '// TEMPLATE-ONLY:START'
+    ];
+    await write('broken.js', broken);
+
+    const { report } = await executeCleanup({ workingDir: tempDir, dryRun: false, transaction: false, features: ['docker'] });
+
+    assert.deepStrictEqual(report.errors.filter(error => error.file === 'broken.js').map(error => error.error), [
+      'broken.js:3: TEMPLATE-ENDIF closes TEMPLATE-IF: from line 1 while TEMPLATE-ONLY:START from line 2 is still open',
+      'broken.js:5: TEMPLATE-ENDIF without a matching TEMPLATE-IF:',
+      'broken.js:6: TEMPLATE-ELSE without a matching TEMPLATE-IF:',
+      'broken.js:7: TEMPLATE-ONLY:START is never closed with TEMPLATE-ONLY:END'
+    ]);
+    assert.strictEqual(await read('broken.js'), broken.join('\n') + '\n');
+    // Files without problems are still cleaned
+    assert.strictEqual(await read('app.js'), 'a();\ndocker();\nlocal();\nz();\n');
+  });
+
+  test('lintCleanupMarkers reports marker and condition problems', async () => {
+    await write('bad.ts', ['// TEMPLATE-IF: docker &', 'x();', '// TEMPLATE-ENDIF', '// TEMPLATE-ELSE']);
+
+    const result = await lintCleanupMarkers({ workingDir: tempDir });
+
+    assert.strictEqual(result.filesChecked, 2);
+    assert.deepStrictEqual(result.problems, [
+      { file: 'bad.ts', line: 1, column: 24, message: 'Invalid TEMPLATE-IF condition "docker &": Unexpected character \'&\' (use &&)' },
+      { file: 'bad.ts', line: 4, message: 'TEMPLATE-ELSE without a matching TEMPLATE-IF:' }
+    ]);
+  });
+
+  test('cleanup lint exits 1 on problems and never changes files', async () => {
+    const lint = args => spawnSync(process.execPath, [CLI, 'cleanup', 'lint', ...args], { cwd: tempDir, encoding: 'utf8' });
+
+    let result = lint([]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Template markers OK \(1 files checked\)/);
+
+    await write('broken.js', ['// TEMPLATE-ONLY:START']);
+    result = lint([]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /^broken\.js:1: TEMPLATE-ONLY:START is never closed/m);
+    assert.strictEqual(await read('app.js'), NESTED);
+
+    result = lint(['--exclude-globs', 'broken.js', '--json']);
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { filesChecked: 1, problems: [] });
+  });
+});
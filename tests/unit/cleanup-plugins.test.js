@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Cleanup Rule Type Plugins
+ *
+ * Tests registered rule types including:
+ * - Loading plugins listed under plugins: in the config
+ * - Dry runs and --diff seeing plugin changes without writing them
+ * - validate() failing a rule before anything changes
+ * - Built-in rule types can't be replaced
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { executeCleanup, registerRuleType, unregisterRuleType } = require('../../dist/scripts/cleanup/engine');
+
+// Replaces TODO with DONE in the files matching rule.files
+const PLUGIN = `
+exports.register = ({ registerRuleType }) => {
+  registerRuleType('replace-todo', {
+    validate: rule => (rule.files ? [] : ['files is required']),
+    async plan(rule, context) {
+      const files = [];
+      for (const file of await context.glob(rule.files)) {
+        if ((await context.readFile(file)).includes('TODO')) files.push(file);
+      }
+      return files.length > 0 ? files : null;
+    },
+    async apply(files, rule, context) {
+      await context.forEach(files, async file => {
+        await context.writeFile(file, (await context.readFile(file)).replace(/TODO/g, 'DONE'));
+        context.report({ type: 'line_remove', path: file });
+      });
+    }
+  });
+};
+`;
+
+describe('Cleanup rule type plugins', () => {
+  let tempDir;
+
+  const config = rule => [
+    'plugins:',
+    '  - ./plugins/replace-todo.js',
+    'profiles:',
+    '  common:',
+    '    rules:',
+    `      - ${rule}`,
+    ''
+  ].join('\n');
+  const run = options => executeCleanup({ workingDir: tempDir, configPath: 'cleanup.config.yaml', ...options });
+  const read = file => fs.readFile(path.join(tempDir, file), 'utf8');
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-plugins-test-'));
+    await fs.mkdir(path.join(tempDir, 'plugins'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'plugins/replace-todo.js'), PLUGIN);
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), config('{ id: todos, type: replace-todo, files: "src/*.js" }'));
+    for (let i = 0; i < 12; i++) {
+      await fs.writeFile(path.join(tempDir, `src/file${i}.js`), `// TODO ${i}\n`);
+    }
+  });
+
+  afterEach(async () => {
+    unregisterRuleType('replace-todo');
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('dry run with diff reports plugin changes without writing them', async () => {
+    const { report, diff } = await run({ dryRun: true, diff: true });
+
+    assert.deepStrictEqual(report.errors, []);
+    assert.strictEqual(report.actions.length, 12);
+    assert.deepStrictEqual(report.actions[0], { type: 'line_remove', path: 'src/file0.js', rule: 'todos', dryRun: true });
+    assert.match(diff, /-\/\/ TODO 0\n\+\/\/ DONE 0/);
+    assert.strictEqual(await read('src/file0.js'), '// TODO 0\n');
+  });
+
+  test('apply writes through the context, in parallel and with exclusions', async () => {
+    const { report } = await run({ dryRun: false, parallel: true, concurrency: 4, excludeGlobs: ['src/file1.js'] });
+
+    assert.deepStrictEqual(report.errors, []);
+    assert.strictEqual(report.summary.linesRemoved, 11);
+    assert.strictEqual(await read('src/file0.js'), '// DONE 0\n');
+    assert.strictEqual(await read('src/file1.js'), '// TODO 1\n');
+  });
+
+  test('validate() problems fail the rule before anything changes', async () => {
+    await fs.writeFile(path.join(tempDir, 'cleanup.config.yaml'), config('{ id: todos, type: replace-todo }'));
+
+    const { report } = await run({ dryRun: false });
+
+    assert.deepStrictEqual(report.errors.map(error => error.error), ["Invalid replace-todo rule 'todos': files is required"]);
+    assert.strictEqual(await read('src/file0.js'), '// TODO 0\n');
+  });
+
+  test('missing plugins fail config loading', async () => {
+    await fs.rm(path.join(tempDir, 'plugins/replace-todo.js'));
+
+    await assert.rejects(run({ dryRun: true }), /Failed to load plugin '\.\/plugins\/replace-todo\.js'/);
+  });
+
+  test('built-in rule types and duplicates are rejected', () => {
+    const plugin = { plan: () => null, apply: () => {} };
+
+    assert.throws(() => registerRuleType('block_markers', plugin), /built in/);
+    registerRuleType('replace-todo', plugin);
+    registerRuleType('replace-todo', plugin);
+    assert.throws(() => registerRuleType('replace-todo', { ...plugin }), /already registered/);
+    assert.throws(() => registerRuleType('other', { plan: () => null }), /plan\(\) and apply\(\)/);
+  });
+});
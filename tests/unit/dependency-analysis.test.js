@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Dependency Analysis
+ *
+ * Tests offline lock file analysis including:
+ * - Installed versions from package-lock.json, pnpm-lock.yaml and yarn.lock
+ * - Advisory ranges matched against installed versions
+ * - Unpinned, git/URL and misplaced package.json specifiers
+ * - Gaps listing the affected packages
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const {
+  parseNpmLock,
+  parsePnpmLock,
+  parseYarnLock,
+  satisfies,
+  findDuplicates,
+  isUnpinnedSpecifier,
+  isRemoteSpecifier
+} = require('../../dist/scripts/tools/dependency-analysis');
+const { GapAnalyzer } = require('../../dist/scripts/tools/gap-analyzer');
+const { createLogger } = require('../../dist/scripts/utils/logger');
+
+const label = packages => packages.map(pkg => `${pkg.name}@${pkg.version}${pkg.deprecated ? ' (deprecated)' : ''}`);
+
+describe('Dependency analysis', () => {
+  test('reads installed versions from each lock file format', () => {
+    const npm = JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app' },
+        'node_modules/lodash': { version: '4.17.20' },
+        'node_modules/a/node_modules/lodash': { version: '4.17.21' },
+        'node_modules/request': { version: '2.88.2', deprecated: 'request has been deprecated' },
+        'packages/web': { version: '1.0.0' },
+        'node_modules/web': { resolved: 'packages/web', link: true }
+      }
+    });
+    const pnpm = [
+      "lockfileVersion: '9.0'",
+      'packages:',
+      '  lodash@4.17.20:',
+      '    resolution: {integrity: sha512-a}',
+      "  '@scope/pkg@1.0.0':",
+      '    resolution: {integrity: sha512-b}',
+      '    deprecated: use @scope/other',
+      ''
+    ].join('\n');
+    const yarn = [
+      '# yarn lockfile v1',
+      '',
+      '"@scope/pkg@^1.0.0", "@scope/pkg@^1.0.1":',
+      '  version "1.0.2"',
+      '',
+      'lodash@^4.17.0:',
+      '  version "4.17.20"',
+      ''
+    ].join('\n');
+
+    assert.deepStrictEqual(label(parseNpmLock(npm)), ['lodash@4.17.20', 'lodash@4.17.21', 'request@2.88.2 (deprecated)']);
+    assert.deepStrictEqual(label(parsePnpmLock(pnpm)), ['lodash@4.17.20', '@scope/pkg@1.0.0 (deprecated)']);
+    assert.deepStrictEqual(label(parsePnpmLock("lockfileVersion: '6.0'\npackages:\n  /lodash@4.17.20(react@18.0.0):\n    dev: false\n")), ['lodash@4.17.20']);
+    assert.deepStrictEqual(label(parseYarnLock(yarn)), ['@scope/pkg@1.0.2', 'lodash@4.17.20']);
+  });
+
+  test('matches versions against advisory ranges', () => {
+    assert.ok(satisfies('4.17.20', '<4.17.21'));
+    assert.ok(!satisfies('4.17.21', '<4.17.21'));
+    assert.ok(satisfies('2.1.0', '>=2.0.0 <2.3.1 || 3.0.0'));
+    assert.ok(satisfies('3.0.0', '>=2.0.0 <2.3.1 || 3.0.0'));
+    assert.ok(!satisfies('2.3.1', '>=2.0.0 <2.3.1'));
+    assert.ok(satisfies('1.5.0', '1.x'));
+    assert.ok(!satisfies('2.0.0', '<=1.x') && satisfies('1.9.9', '<=1.x'));
+    assert.ok(satisfies('1.2.9', '~1.2.3') && !satisfies('1.3.0', '~1.2.3'));
+    assert.ok(!satisfies('1.0.0-beta.2', '<1.0.0') && satisfies('1.0.0-beta.2', '>=1.0.0-beta.1 <1.0.0'));
+    assert.ok(satisfies('0.0.3', '^0.0.3') && !satisfies('0.0.4', '^0.0.3'));
+    assert.ok(satisfies('0.0.4', '~0.0.3') && satisfies('0.2.5', '^0.2.3') && !satisfies('0.3.0', '^0.2.3'));
+  });
+
+  test('sorts duplicate versions in semver order', () => {
+    const versions = ['1.0.0', '1.0.0-beta.10', '1.0.0-Beta', '1.0.0-beta.2', '1.10.0', '1.9.0', '1.9.0.1'];
+    const duplicates = findDuplicates(versions.map(version => ({ name: 'lib', version })));
+
+    assert.deepStrictEqual(duplicates.get('lib'), ['1.0.0-Beta', '1.0.0-beta.2', '1.0.0-beta.10', '1.0.0', '1.9.0', '1.9.0.1', '1.10.0']);
+    assert.ok(satisfies('1.0.0-Beta', '<1.0.0-beta.2'));
+  });
+
+  test('classifies package.json specifiers', () => {
+    for (const spec of ['*', '', 'latest', 'next', '>=1.0.0', 'x', 'npm:other']) {
+      assert.ok(isUnpinnedSpecifier(spec), `expected ${spec} to be unpinned`);
+    }
+    for (const spec of ['^1.0.0', '~1.2.0', '1.2.3', '>=1.0.0 <2.0.0', 'workspace:*', 'file:../lib', 'npm:other@^1.0.0']) {
+      assert.ok(!isUnpinnedSpecifier(spec), `expected ${spec} to be pinned`);
+    }
+    for (const spec of ['git+https://github.com/a/b.git', 'github:a/b', 'a/b#v1.0.0', 'https://example.com/b.tgz']) {
+      assert.ok(isRemoteSpecifier(spec), `expected ${spec} to be remote`);
+    }
+    assert.ok(!isRemoteSpecifier('../lib') && !isRemoteSpecifier('^1.0.0'));
+  });
+
+  describe('gaps', () => {
+    let tempDir;
+
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive: true });
+      await fs.writeFile(path.join(tempDir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    };
+    const analyze = async () => {
+      const stack = { technologies: [{ name: 'Node.js' }], configurations: [], quality: { testing: true, security: true }, ci: { present: true } };
+      const analyzer = new GapAnalyzer({ rootDir: tempDir, stack, logger: createLogger({ level: 'SILENT' }) });
+      await analyzer.analyze();
+      return analyzer.getGapReport().gaps.filter(gap => gap.category === 'dependencies');
+    };
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dependency-analysis-test-'));
+      await write('package.json', {
+        dependencies: { lodash: '^4.17.0', typescript: '^5.0.0', tool: 'github:example/tool', anything: '*' },
+        devDependencies: { eslint: '^9.0.0' }
+      });
+      await write('package-lock.json', {
+        lockfileVersion: 3,
+        packages: {
+          '': {},
+          'node_modules/lodash': { version: '4.17.20' },
+          'node_modules/dep/node_modules/lodash': { version: '4.17.21' },
+          'node_modules/request': { version: '2.88.2' }
+        }
+      });
+      await write('.devenv/advisories.json', {
+        updated: '2026-10-01T00:00:00Z',
+        advisories: {
+          lodash: [{ id: 'GHSA-p6mc-m468-83gw', title: 'Prototype Pollution', severity: 'moderate', vulnerable_versions: '<4.17.21', url: 'https://github.com/advisories/GHSA-p6mc-m468-83gw' }]
+        }
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('reports each finding with the affected packages in files', async () => {
+      const gaps = await analyze();
+      const byRule = Object.fromEntries(gaps.map(gap => [gap.ruleId, gap]));
+
+      assert.deepStrictEqual(byRule['DET-DEP-003'].files, ['lodash@4.17.20']);
+      assert.strictEqual(byRule['DET-DEP-003'].title, 'Known Vulnerability in lodash: Prototype Pollution');
+      assert.strictEqual(byRule['DET-DEP-003'].severity, 'medium');
+      assert.deepStrictEqual(byRule['DET-DEP-004'].files, ['lodash@4.17.20', 'lodash@4.17.21']);
+      assert.deepStrictEqual(byRule['DET-DEP-005'].evidence, ['request@2.88.2: deprecated since 2020; use fetch or undici']);
+      assert.deepStrictEqual(byRule['DET-DEP-006'].files, ['anything@*']);
+      assert.deepStrictEqual(byRule['DET-DEP-007'].files, ['tool@github:example/tool']);
+      assert.deepStrictEqual(byRule['DET-DEP-008'].files, ['typescript@^5.0.0']);
+    });
+
+    test('rule options, severities and package.json comments apply', async () => {
+      await write('.devenv/config.json', {
+        rules: {
+          'DET-DEP-003': 'high',
+          'DET-DEP-004': { options: { ignore: ['lodash'] } },
+          'DET-DEP-005': { options: { unmaintained: {} } }
+        }
+      });
+      const pkg = JSON.parse(await fs.readFile(path.join(tempDir, 'package.json'), 'utf8'));
+      await write('package.json', { '//': 'devenv-disable DET-DEP-008', ...pkg });
+
+      const ids = Object.fromEntries((await analyze()).map(gap => [gap.ruleId, gap]));
+
+      assert.strictEqual(ids['DET-DEP-003'].severity, 'high');
+      assert.ok(!ids['DET-DEP-004'] && !ids['DET-DEP-005'] && !ids['DET-DEP-008']);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for the devenv CLI
+ *
+ * Tests the unified entry point including:
+ * - Global flags (--cwd, --json, --quiet)
+ * - Deprecated entry points forwarding to devenv
+ * - config get/set/unset on .devenv/config.json
+ * - Shell completion generated from the command tree
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { createProgram } = require('../../dist/scripts/devenv/cli');
+const { generateCompletion } = require('../../dist/scripts/devenv/completion');
+const {
+  getConfigValue,
+  setConfigValue,
+  unsetConfigValue
+} = require('../../dist/scripts/utils/project-config');
+
+const CLI = path.join(__dirname, '../../scripts/devenv/cli.js');
+
+function devenv(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: { ...process.env, LOG_LEVEL: 'SILENT' } });
+}
+
+describe('devenv CLI', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'devenv-cli-test-'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'cli-test', version: '1.0.0' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('registers every subcommand', () => {
+    const names = createProgram().commands.map(command => command.name());
+    for (const name of ['init', 'doctor', 'gaps', 'plan', 'cleanup', 'budgets', 'config', 'completion']) {
+      assert.ok(names.includes(name), `missing ${name}`);
+    }
+  });
+
+  test('doctor --json runs in --cwd and prints parseable JSON', () => {
+    const result = devenv(['--cwd', tempDir, 'doctor', '--json']);
+    const report = JSON.parse(result.stdout);
+
+    assert.strictEqual(typeof report.healthScore.overall, 'number');
+    assert.ok(Array.isArray(report.critical));
+  });
+
+  test('doctor --json --fix keeps fix progress off stdout', async () => {
+    const result = devenv(['--cwd', tempDir, 'doctor', '--json', '--fix', '--no-install']);
+    const report = JSON.parse(result.stdout);
+
+    assert.strictEqual(typeof report.healthScore.overall, 'number');
+    assert.match(result.stderr, /Created GitHub Actions CI workflow/);
+    assert.ok(await fs.stat(path.join(tempDir, '.github/workflows/ci.yml')));
+  });
+
+  test('--quiet suppresses informational output', () => {
+    const result = devenv(['doctor', '--cwd', tempDir, '--quiet']);
+    assert.strictEqual(result.stdout, '');
+
+    const json = devenv(['doctor', '--cwd', tempDir, '--quiet', '--format', 'json']);
+    assert.strictEqual(typeof JSON.parse(json.stdout).healthScore.overall, 'number');
+  });
+
+  test('doctor trend and rules accept --format json', () => {
+    const rules = JSON.parse(devenv(['--cwd', tempDir, 'doctor', 'rules', '--format', 'json']).stdout);
+    assert.ok(rules.some(rule => rule.id === 'DET-ENV-004'));
+
+    const trend = JSON.parse(devenv(['--cwd', tempDir, 'doctor', '--format', 'json', 'trend']).stdout);
+    assert.strictEqual(trend.snapshots, 0);
+
+    const sarif = devenv(['--cwd', tempDir, 'doctor', 'rules', '--format', 'sarif']);
+    assert.strictEqual(sarif.status, 1);
+    assert.match(sarif.stderr, /SARIF output is only available for health checks/);
+  });
+
+  test('old entry points warn and forward to devenv', () => {
+    const doctor = path.join(__dirname, '../../scripts/doctor/cli.js');
+    const result = spawnSync(process.execPath, [doctor, '--json'], { cwd: tempDir, encoding: 'utf8', env: { ...process.env, LOG_LEVEL: 'SILENT' } });
+
+    assert.match(result.stderr, /scripts\/doctor\/cli\.js is deprecated; use `devenv doctor` instead/);
+    assert.strictEqual(typeof JSON.parse(result.stdout).healthScore.overall, 'number');
+  });
+
+  test('config set validates and persists values', async () => {
+    let result = devenv(['-C', tempDir, 'config', 'set', 'healthScore.weights.testing', '40']);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const saved = JSON.parse(await fs.readFile(path.join(tempDir, '.devenv', 'config.json'), 'utf8'));
+    assert.deepStrictEqual(saved, { healthScore: { weights: { testing: 40 } } });
+
+    result = devenv(['-C', tempDir, 'config', 'get', 'healthScore.weights.testing']);
+    assert.strictEqual(result.stdout.trim(), '40');
+
+    // Defaults are filled in for unset keys
+    result = devenv(['-C', tempDir, 'config', 'get', 'healthScore.penalties.critical']);
+    assert.strictEqual(result.stdout.trim(), '20');
+
+    result = devenv(['-C', tempDir, 'config', 'set', 'healthScore.weights.testing', '"many"']);
+    assert.strictEqual(result.status, 1);
+    const unchanged = JSON.parse(await fs.readFile(path.join(tempDir, '.devenv', 'config.json'), 'utf8'));
+    assert.deepStrictEqual(unchanged, saved);
+  });
+
+  test('rejects unknown commands and bad --cwd', () => {
+    assert.strictEqual(devenv(['bogus']).status, 1);
+
+    const result = devenv(['--cwd', path.join(tempDir, 'missing'), 'doctor']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /is not a directory/);
+  });
+
+  test('completion scripts include subcommands, options and choices', () => {
+    const program = createProgram();
+    const bash = generateCompletion(program, 'bash');
+    assert.match(bash, /complete -o default -F _devenv_completions devenv/);
+    assert.match(bash, /"doctor trend"\)/);
+    assert.match(bash, /--format\) COMPREPLY=\( \$\(compgen -W "text json sarif"/);
+
+    const zsh = generateCompletion(program, 'zsh');
+    assert.match(zsh, /^#compdef devenv/);
+
+    const fish = generateCompletion(program, 'fish');
+    assert.match(fish, /-a budgets -d 'Check metrics/);
+    assert.match(fish, /__fish_seen_subcommand_from doctor' -l strict/);
+  });
+});
+
+describe('project config paths', () => {
+  test('gets, sets and unsets dot paths', () => {
+    const config = { healthScore: { weights: { testing: 25 } } };
+
+    setConfigValue(config, 'healthScore.penalties.critical', 30);
+    assert.strictEqual(getConfigValue(config, 'healthScore.penalties.critical'), 30);
+    assert.strictEqual(getConfigValue(config, 'healthScore.weights.testing'), 25);
+    assert.strictEqual(getConfigValue(config, 'missing.key'), undefined);
+
+    assert.strictEqual(unsetConfigValue(config, 'healthScore.weights.testing'), true);
+    assert.strictEqual(unsetConfigValue(config, 'healthScore.weights.testing'), false);
+    assert.deepStrictEqual(config, { healthScore: { weights: {}, penalties: { critical: 30 } } });
+  });
+
+  test('rejects keys that reach object prototypes', () => {
+    const config = {};
+
+    for (const key of ['__proto__.polluted', 'constructor.prototype.polluted', 'healthScore.__proto__']) {
+      assert.throws(() => setConfigValue(config, key, 1), /is not allowed/);
+      assert.throws(() => getConfigValue(config, key), /is not allowed/);
+      assert.throws(() => unsetConfigValue(config, key), /is not allowed/);
+    }
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepStrictEqual(config, {});
+    assert.strictEqual(getConfigValue(config, 'toString'), undefined);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for the doctor programmatic API
+ *
+ * Tests in-process diagnosis including:
+ * - Typed report and plan output
+ * - Preset override
+ * - Independence from process.cwd()
+ * - Saving report artifacts
+ * - Per-package scores for workspaces
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { diagnose, saveDiagnosis } = require('../../dist/scripts/doctor/diagnose');
+
+describe('diagnose()', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'diagnose-test-'));
+    await fs.writeFile(
+      path.join(rootDir, 'package.json'),
+      JSON.stringify({ name: 'diagnose-fixture', dependencies: { express: '^4.18.0' } }, null, 2)
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('should return stack, gaps, health report and plan', async () => {
+    const result = await diagnose({ rootDir });
+
+    assert.ok(Array.isArray(result.stack.technologies));
+    assert.ok(result.gapReport.gaps.length > 0);
+    assert.strictEqual(result.gapReport.totalGaps, result.gapReport.gaps.length);
+    assert.ok(result.gapsMarkdown.includes('Gap Analysis'));
+    assert.ok(result.report.healthScore.overall >= 0 && result.report.healthScore.overall <= 100);
+    assert.strictEqual(
+      result.report.critical.length + result.report.warnings.length + result.report.info.length,
+      result.gapReport.gaps.length
+    );
+    assert.strictEqual(result.plan.metadata.totalTasks, result.gapReport.gaps.length);
+    assert.ok(result.plan.dependencyGraph instanceof Map);
+  });
+
+  test('should apply preset to detected stack', async () => {
+    const result = await diagnose({ rootDir, preset: 'nextjs' });
+    assert.strictEqual(result.stack.frameworks.type, 'nextjs');
+  });
+
+  test('should not depend on process.cwd() or write files', async () => {
+    const result = await diagnose({ rootDir });
+    const entries = await fs.readdir(rootDir);
+
+    assert.strictEqual(result.rootDir, rootDir);
+    assert.deepStrictEqual(entries, ['package.json']);
+  });
+
+  test('should reject without rootDir', async () => {
+    await assert.rejects(() => diagnose({}), /rootDir/);
+  });
+
+  test('should save report artifacts', async () => {
+    const result = await diagnose({ rootDir });
+    const written = await saveDiagnosis(result);
+
+    assert.strictEqual(written.length, 4);
+    const health = JSON.parse(await fs.readFile(path.join(rootDir, '.devenv', 'health-report.json'), 'utf8'));
+    assert.strictEqual(health.healthScore.overall, result.report.healthScore.overall);
+    const gaps = JSON.parse(await fs.readFile(path.join(rootDir, '.devenv', 'gaps-report.json'), 'utf8'));
+    assert.strictEqual(gaps.gaps.length, result.gapReport.gaps.length);
+  });
+
+  test('should score workspace packages separately', async () => {
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(rootDir, file)), { recursive: true });
+      await fs.writeFile(path.join(rootDir, file), content);
+    };
+    await write('package.json', JSON.stringify({
+      name: 'monorepo',
+      workspaces: ['apps/*'],
+      devDependencies: { eslint: '^9.0.0', typescript: '^5.0.0' }
+    }));
+    await write('apps/web/package.json', JSON.stringify({ name: 'web', dependencies: { next: '14.0.0', react: '18.0.0' } }));
+    await write('apps/web/next.config.js', 'module.exports = {};');
+    await write('apps/api/package.json', JSON.stringify({ name: 'api', dependencies: { express: '^4.18.0' } }));
+    await write('apps/api/index.js', "const express = require('express');");
+
+    const result = await diagnose({ rootDir });
+    const byPath = Object.fromEntries(result.report.packages.map(p => [p.path, p]));
+
+    assert.strictEqual(result.packages.length, 2);
+    assert.strictEqual(byPath['apps/web'].framework, 'nextjs');
+    assert.strictEqual(byPath['apps/api'].framework, 'express');
+    assert.ok(result.report.repository, 'Should keep repository score');
+
+    const scores = [result.report.repository, ...result.report.packages.map(p => p.healthScore)];
+    const expected = Math.round(scores.reduce((sum, s) => sum + s.overall, 0) / scores.length);
+    assert.strictEqual(result.report.healthScore.overall, expected);
+
+    // Repository-level checks are not repeated per package
+    const apiGaps = result.packages.find(p => p.path === 'apps/api').gapReport.gaps.map(g => g.title);
+    assert.ok(!apiGaps.includes('No CI/CD Pipeline Detected'));
+    assert.ok(!apiGaps.includes('ESLint Not Configured'), 'Should inherit root ESLint');
+    assert.ok(result.plan.taskGroups.some(g => g.tasks.some(t => t.title.endsWith('(apps/web)'))));
+  });
+});
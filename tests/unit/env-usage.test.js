@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for Environment Variable Usage
+ *
+ * Tests .env.example drift detection including:
+ * - process.env, import.meta.env, os.environ and Prisma references
+ * - Comments, string literals and test files are not usage
+ * - Undocumented, unused and public secret-like variables as gaps
+ * - Regenerating .env.example with --fix, keeping existing comments
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { findEnvReferences, renderEnvExample, isPublicSecretName } = require('../../dist/scripts/tools/env-usage');
+const { GapAnalyzer } = require('../../dist/scripts/tools/gap-analyzer');
+const { QUICK_WINS, createQuickWinContext } = require('../../dist/scripts/doctor/quick-wins');
+const { resolveRules } = require('../../dist/scripts/tools/gap-rules');
+const { createLogger } = require('../../dist/scripts/utils/logger');
+
+describe('Environment variable usage', () => {
+  test('finds variables read by JavaScript, Python and Prisma', () => {
+    const js = [
+      'const url = process.env.API_URL;',
+      "const key = process.env['STRIPE_KEY'];",
+      'const { DB_HOST, DB_PORT: port = 5432 } = process.env;',
+      'if (import.meta.env.DEV) console.log(import.meta.env.VITE_SENTRY_DSN);',
+      '<Script src={`${process.env.NEXT_PUBLIC_CDN}/a.js`} />'
+    ].join('\n');
+    const python = "host = os.environ['REDIS_HOST']\nport = os.environ.get(\"REDIS_PORT\", 6379)\ndebug = os.getenv('DEBUG')\n";
+
+    assert.deepStrictEqual(findEnvReferences(js, 'src/app.tsx').sort(), ['API_URL', 'DB_HOST', 'DB_PORT', 'NEXT_PUBLIC_CDN', 'STRIPE_KEY', 'VITE_SENTRY_DSN']);
+    assert.deepStrictEqual(findEnvReferences(python, 'app/settings.py'), ['REDIS_HOST', 'REDIS_PORT', 'DEBUG']);
+    assert.deepStrictEqual(findEnvReferences('url = env("DATABASE_URL")', 'prisma/schema.prisma'), ['DATABASE_URL']);
+    assert.ok(isPublicSecretName('NEXT_PUBLIC_STRIPE_SECRET_KEY') && isPublicSecretName('VITE_API_TOKEN'));
+    assert.ok(!isPublicSecretName('NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY') && !isPublicSecretName('API_TOKEN'));
+  });
+
+  test('ignores mentions in comments and string literals', () => {
+    const js = [
+      '// process.env.LINE_COMMENT',
+      '/* const { BLOCK } = process.env; */',
+      "console.log('set process.env.MESSAGE or NEXT_PUBLIC_MENTION');",
+      'const help = `export ${process.env.SHELL_VAR} and process.env.TEMPLATE_TEXT`;',
+      'const url = /process.env.IN_REGEX/.test(a) ? 1 : 2 / 3; const b = process.env.AFTER_DIVISION;'
+    ].join('\n');
+    const python = "# os.environ['COMMENTED']\nDOC = \"\"\"os.getenv('IN_DOCSTRING')\"\"\"\nkey = os.environ['REAL']  # os.getenv('TRAILING')\n";
+
+    assert.deepStrictEqual(findEnvReferences(js, 'src/help.ts').sort(), ['AFTER_DIVISION', 'SHELL_VAR']);
+    assert.deepStrictEqual(findEnvReferences(python, 'app/settings.py'), ['REAL']);
+    assert.deepStrictEqual(findEnvReferences('// env("OLD_URL")\nurl = env("DATABASE_URL")', 'prisma/schema.prisma'), ['DATABASE_URL']);
+  });
+
+  test('regenerates .env.example, keeping comments of the entries that stay', () => {
+    const existing = [
+      '# Copy to .env',
+      '',
+      '# Database connection',
+      'DATABASE_URL=postgres://localhost/app',
+      '',
+      '# Legacy mailer',
+      'SMTP_HOST=',
+      '',
+      'NODE_ENV=development',
+      ''
+    ].join('\n');
+    const usage = new Map([['API_URL', ['src/a.ts', 'src/b.ts']], ['DATABASE_URL', ['prisma/schema.prisma']]]);
+
+    assert.strictEqual(renderEnvExample(existing, usage, ['NODE_ENV']), [
+      '# Copy to .env',
+      '',
+      '# Database connection',
+      'DATABASE_URL=postgres://localhost/app',
+      '',
+      'NODE_ENV=development',
+      '',
+      '# Used in src/a.ts, src/b.ts',
+      'API_URL=',
+      ''
+    ].join('\n'));
+    assert.strictEqual(renderEnvExample(null, new Map([['PORT', ['server.js']]])), [
+      '# Environment variables read by this project',
+      '# Copy this file to .env and fill in your values',
+      '',
+      '# Used in server.js',
+      'PORT=',
+      ''
+    ].join('\n'));
+  });
+
+  describe('drift', () => {
+    let tempDir;
+
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive: true });
+      await fs.writeFile(path.join(tempDir, file), content);
+    };
+    const analyze = async () => {
+      const stack = { technologies: [{ name: 'Node.js' }], configurations: [], quality: { testing: true, security: true }, ci: { present: true } };
+      const analyzer = new GapAnalyzer({ rootDir: tempDir, stack, logger: createLogger({ level: 'SILENT' }) });
+      await analyzer.analyze();
+      return Object.fromEntries(analyzer.getGapReport().gaps.filter(gap => gap.category === 'environment').map(gap => [gap.ruleId, gap]));
+    };
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'env-usage-test-'));
+      await write('src/config.ts', 'export const api = process.env.API_URL;\nexport const env = process.env.NODE_ENV;\n');
+      await write('src/pay.tsx', 'const stripe = loadStripe(process.env.NEXT_PUBLIC_STRIPE_SECRET_KEY);\n');
+      await write('node_modules/lib/index.js', 'process.env.LIB_ONLY;\n');
+      await write('tests/config.test.ts', 'process.env.TEST_ONLY = "1";\n');
+      await write('src/fixtures/env.js', 'process.env.FIXTURE_ONLY;\n');
+      await write('.env.example', '# Mail\nSMTP_HOST=\nNEXT_PUBLIC_STRIPE_SECRET_KEY=\n');
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('reports undocumented, unused and public secret-like variables', async () => {
+      const gaps = await analyze();
+
+      assert.deepStrictEqual(gaps['DET-ENV-004'].evidence, ['API_URL: read in src/config.ts']);
+      assert.deepStrictEqual(gaps['DET-ENV-004'].files, ['.env.example', 'src/config.ts']);
+      assert.deepStrictEqual(gaps['DET-ENV-005'].evidence, ['SMTP_HOST: not read by any source file']);
+      assert.strictEqual(gaps['DET-ENV-006'].severity, 'high');
+      assert.deepStrictEqual(gaps['DET-ENV-006'].files, ['.env.example', 'src/pay.tsx']);
+    });
+
+    test('--fix uses the rule settings it is given', async () => {
+      const quickWin = QUICK_WINS.find(q => q.id === 'add-env-example');
+      const rules = resolveRules({ 'DET-ENV-004': { options: { ignore: ['NODE_ENV', 'API_URL'] } } });
+      const context = await createQuickWinContext(tempDir, {}, { rules });
+
+      await quickWin.fixAction(context);
+      assert.strictEqual(await fs.readFile(path.join(tempDir, '.env.example'), 'utf8'), 'NEXT_PUBLIC_STRIPE_SECRET_KEY=\n');
+    });
+
+    test('--fix regenerates .env.example and clears the drift', async () => {
+      const quickWin = QUICK_WINS.find(q => q.id === 'add-env-example');
+      const context = await createQuickWinContext(tempDir, {});
+
+      assert.strictEqual(await quickWin.detectCondition(context), true);
+      const result = await quickWin.fixAction(context);
+
+      assert.deepStrictEqual(result.filesModified, ['.env.example']);
+      assert.strictEqual(await fs.readFile(path.join(tempDir, '.env.example'), 'utf8'), [
+        'NEXT_PUBLIC_STRIPE_SECRET_KEY=',
+        '',
+        '# Used in src/config.ts',
+        'API_URL=',
+        ''
+      ].join('\n'));
+      assert.strictEqual(await quickWin.detectCondition(context), false);
+      const gaps = await analyze();
+      assert.ok(!gaps['DET-ENV-004'] && !gaps['DET-ENV-005']);
+    });
+  });
+});
@@ -2,11 +2,12 @@
  * Unit tests for gap analyzer
  */
 
-const { describe, it, before, after } = require('node:test');
+const { describe, it, before, after, beforeEach } = require('node:test');
 const assert = require('node:assert');
 const fs = require('fs').promises;
 const path = require('path');
 const GapAnalyzer = require('../../scripts/tools/gap-analyzer');
+const { GAP_RULES, resolveRules } = require('../../dist/scripts/tools/gap-rules');
 
 describe('Gap Analyzer', () => {
   const testRoot = path.join(__dirname, '..', 'fixtures', 'gap-analyzer-test');
@@ -162,6 +163,88 @@ describe('Gap Analyzer', () => {
     });
   });
 
+  describe('Language Analysis', () => {
+    const language = (name, tooling = {}, extra = {}) => ({
+      name,
+      manifest: extra.manifest || 'manifest',
+      buildTool: extra.buildTool || name,
+      tooling: { testing: [], linting: [], formatting: [], typeChecking: [], ...tooling },
+      testedInCI: extra.testedInCI || false
+    });
+
+    const analyzeLanguages = async (languages, stackOverrides = {}) => {
+      const analyzer = new GapAnalyzer({
+        rootDir: testRoot,
+        stack: {
+          technologies: [],
+          configurations: [],
+          languages,
+          quality: { testing: false, security: false },
+          ci: { present: false },
+          ...stackOverrides
+        }
+      });
+      await analyzer.analyze();
+      return analyzer.getGapReport().gaps.map(g => g.title);
+    };
+
+    it('should report missing pytest and ruff for Python projects', async () => {
+      const titles = await analyzeLanguages([language('python', {}, { manifest: 'pyproject.toml' })]);
+
+      assert.ok(titles.includes('Python Tests Not Configured (pytest)'));
+      assert.ok(titles.includes('Python Linter Not Configured (ruff)'));
+    });
+
+    it('should skip JavaScript-only advice for non-JavaScript projects', async () => {
+      const titles = await analyzeLanguages([language('go', { testing: ['go test'] })]);
+
+      assert.ok(!titles.includes('TypeScript Not Configured'));
+      assert.ok(!titles.includes('ESLint Not Configured'));
+      assert.ok(!titles.includes('No Testing Framework Detected'));
+      assert.ok(titles.includes('Go Static Analysis Not Enforced'));
+      assert.ok(!titles.includes('No Go Tests Found'));
+    });
+
+    it('should keep JavaScript advice for polyglot projects with package.json', async () => {
+      const titles = await analyzeLanguages(
+        [language('python', { testing: ['pytest'], linting: ['ruff'] })],
+        { technologies: [{ name: 'Node.js' }] }
+      );
+
+      assert.ok(titles.includes('TypeScript Not Configured'));
+      assert.ok(!titles.includes('Python Tests Not Configured (pytest)'));
+    });
+
+    it('should suggest golangci-lint when only go vet runs', async () => {
+      const titles = await analyzeLanguages([language('go', { testing: ['go test'], linting: ['go vet'] })]);
+
+      assert.ok(titles.includes('golangci-lint Not Configured'));
+      assert.ok(!titles.includes('Go Static Analysis Not Enforced'));
+    });
+
+    it('should require maven-surefire-plugin for Maven builds', async () => {
+      const maven = await analyzeLanguages([
+        language('java', { testing: ['junit'] }, { manifest: 'pom.xml', buildTool: 'maven' })
+      ]);
+      const gradle = await analyzeLanguages([
+        language('java', { testing: ['junit'] }, { manifest: 'build.gradle', buildTool: 'gradle' })
+      ]);
+
+      assert.ok(maven.includes('Maven Surefire Plugin Not Configured'));
+      assert.ok(!gradle.includes('Maven Surefire Plugin Not Configured'));
+      assert.ok(!maven.includes('No Java Test Framework Detected'));
+    });
+
+    it('should flag CI that does not run language tests', async () => {
+      const titles = await analyzeLanguages(
+        [language('dotnet', { testing: ['xunit'] })],
+        { ci: { present: true, type: 'github-actions' } }
+      );
+
+      assert.ok(titles.includes('CI Does Not Run .NET Tests'));
+    });
+  });
+
   describe('Security Analysis', () => {
     it('should detect missing security measures', async () => {
       const stackReport = {
@@ -242,6 +325,183 @@ describe('Gap Analyzer', () => {
     });
   });
 
+  describe('Evidence-based checks', () => {
+    const projectRoot = path.join(testRoot, 'evidence-project');
+    const uiStack = {
+      technologies: [{ name: 'Node.js' }, { name: 'React' }, { name: 'ESLint' }],
+      configurations: [{ type: 'eslint', configFile: 'eslint.config.js' }],
+      quality: { testing: true, security: true },
+      ci: { present: true, type: 'github-actions' }
+    };
+    const EVIDENCE_TITLES = [
+      'Quality Budgets Not Configured',
+      'Provenance Tracking Not Implemented',
+      'Source and Test Folders Not Separated',
+      'Automated Dependency Updates Not Configured',
+      'Lock File Missing',
+      'Bundle Size Monitoring Not Configured',
+      'Image Optimization Not Configured',
+      'Accessibility Tooling Not Detected',
+      'Missing Architectural Boundaries',
+      'CI Quality Gates Missing'
+    ];
+
+    const write = async (file, content = '') => {
+      await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+      await fs.writeFile(path.join(projectRoot, file), content);
+    };
+    const analyzeProject = async () => {
+      const analyzer = new GapAnalyzer({ rootDir: projectRoot, stack: uiStack });
+      await analyzer.analyze();
+      return analyzer.getGapReport().gaps;
+    };
+
+    beforeEach(async () => {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+      await fs.mkdir(projectRoot, { recursive: true });
+    });
+
+    it('should report each gap with the evidence it looked for', async () => {
+      const gaps = await analyzeProject();
+      const titles = gaps.map(g => g.title);
+
+      for (const title of EVIDENCE_TITLES) {
+        assert.ok(titles.includes(title), `expected ${title}`);
+      }
+      const budgets = gaps.find(g => g.title === 'Quality Budgets Not Configured');
+      assert.match(budgets.evidence[0], /config\/quality-budgets\.json/);
+      assert.ok(gaps.find(g => g.title === 'CI Quality Gates Missing').evidence.includes('No workflow files in .github/workflows'));
+    });
+
+    it('should clear gaps once the remedies are in place', async () => {
+      await write('package.json', JSON.stringify({
+        devDependencies: {
+          '@next/bundle-analyzer': '^14.0.0',
+          'eslint-plugin-boundaries': '^4.0.0',
+          'eslint-plugin-jsx-a11y': '^6.8.0',
+          'jest-axe': '^8.0.0',
+          sharp: '^0.33.0'
+        }
+      }));
+      await write('package-lock.json', '{}');
+      await write('config/quality-budgets.json', '{}');
+      await write('provenance/metrics.jsonl');
+      await write('.github/dependabot.yml', 'version: 2\n');
+      await write('.github/workflows/ci.yml', 'steps:\n  - run: npm run lint\n  - run: npm test\n  - run: npm audit\n');
+      await write('src/index.js');
+      await write('tests/index.test.js');
+
+      const titles = (await analyzeProject()).map(g => g.title);
+
+      for (const title of EVIDENCE_TITLES) {
+        assert.ok(!titles.includes(title), `unexpected ${title}`);
+      }
+      assert.ok(!titles.includes('Accessibility Linting Not Configured'));
+    });
+
+    it('should name the missing CI gates and a11y lint plugin', async () => {
+      await write('package.json', JSON.stringify({ devDependencies: { 'jest-axe': '^8.0.0' } }));
+      await write('.github/workflows/ci.yml', 'steps:\n  - run: npm run lint\n  - run: npm test\n');
+
+      const gaps = await analyzeProject();
+      const ci = gaps.find(g => g.title === 'CI Quality Gates Missing');
+
+      assert.deepStrictEqual(ci.evidence, ['No security step in .github/workflows/ci.yml']);
+      assert.ok(gaps.some(g => g.title === 'Accessibility Linting Not Configured'));
+      assert.ok(!gaps.some(g => g.title === 'Accessibility Tooling Not Detected'));
+    });
+
+    it('should detect boundary rules in the ESLint config', async () => {
+      await write('eslint.config.js', "module.exports = [{ rules: { 'import/no-restricted-paths': 'error' } }];\n");
+
+      const titles = (await analyzeProject()).map(g => g.title);
+
+      assert.ok(!titles.includes('Missing Architectural Boundaries'));
+    });
+  });
+
+  describe('Rule catalogue', () => {
+    const projectRoot = path.join(testRoot, 'rules-project');
+    const stack = {
+      technologies: [{ name: 'Node.js' }, { name: 'React' }, { name: 'ESLint' }],
+      configurations: [{ type: 'eslint', configFile: 'eslint.config.js' }],
+      quality: { testing: true, security: true },
+      ci: { present: true, type: 'github-actions' }
+    };
+
+    const write = async (file, content = '') => {
+      await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+      await fs.writeFile(path.join(projectRoot, file), content);
+    };
+    const analyzeProject = async () => {
+      const analyzer = new GapAnalyzer({ rootDir: projectRoot, stack });
+      await analyzer.analyze();
+      return analyzer.getGapReport();
+    };
+
+    beforeEach(async () => {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+      await fs.mkdir(projectRoot, { recursive: true });
+    });
+
+    it('should tag every gap with a unique catalogue rule', async () => {
+      const ids = GAP_RULES.map(rule => rule.id);
+      assert.strictEqual(new Set(ids).size, ids.length);
+      assert.ok(ids.every(id => /^DET-[A-Z0-9]+-\d{3}$/.test(id)));
+
+      const { gaps } = await analyzeProject();
+      for (const gap of gaps) {
+        const rule = GAP_RULES.find(r => r.id === gap.ruleId);
+        assert.ok(rule, `no rule for ${gap.title}`);
+        assert.strictEqual(gap.category, rule.category);
+      }
+    });
+
+    it('should apply severities, off and options from .devenv/config.json', async () => {
+      await write('README.md', '# App\n\n## Usage\n');
+      await write('.devenv/config.json', JSON.stringify({
+        rules: {
+          'DET-FW-001': 'off',
+          'DET-PERF-001': 'high',
+          'DET-DOC-001': { severity: 'low', options: { sections: ['Usage', 'License'] } }
+        }
+      }));
+
+      const { gaps } = await analyzeProject();
+      const byRule = id => gaps.find(g => g.ruleId === id);
+
+      assert.ok(!byRule('DET-FW-001'));
+      assert.strictEqual(byRule('DET-PERF-001').severity, 'high');
+      assert.strictEqual(byRule('DET-DOC-001').severity, 'low');
+      assert.strictEqual(byRule('DET-DOC-001').recommendation, 'Add sections for: License');
+    });
+
+    it('should honour devenv-disable comments in the gap files', async () => {
+      await write('package.json', JSON.stringify({ '//': 'devenv-disable DET-TEST-002, DET-A11Y-001' }));
+      await write('eslint.config.js', '// devenv-disable DET-LINT-003\nmodule.exports = [];\n');
+
+      const { gaps, suppressed } = await analyzeProject();
+      const ids = gaps.map(g => g.ruleId);
+
+      for (const id of ['DET-TEST-002', 'DET-A11Y-001', 'DET-LINT-003']) {
+        assert.ok(!ids.includes(id), `unexpected ${id}`);
+      }
+      assert.deepStrictEqual(suppressed.map(s => `${s.ruleId} ${s.file}`).sort(), [
+        'DET-A11Y-001 package.json',
+        'DET-LINT-003 eslint.config.js',
+        'DET-TEST-002 package.json'
+      ]);
+      assert.ok(ids.includes('DET-PERF-001'));
+    });
+
+    it('should reject unknown rules, severities and options', () => {
+      assert.throws(() => resolveRules({ 'DET-XX-999': 'off' }), /DET-XX-999 is not a known rule/);
+      assert.throws(() => resolveRules({ 'DET-TS-001': 'critical' }), /severity must be one of off, low, medium, high/);
+      assert.throws(() => resolveRules({ 'DET-TS-001': { options: { strict: true } } }), /not an option of DET-TS-001/);
+      assert.throws(() => resolveRules({ 'DET-DOC-001': { options: { sections: 'Usage' } } }), /sections must be an array/);
+    });
+  });
+
   describe('Documentation Analysis', () => {
     it('should detect missing README', async () => {
       const stackReport = {
@@ -398,6 +658,38 @@ describe('Gap Analyzer', () => {
 
       assert.strictEqual(savedReport, report);
     });
+
+    it('should save structured JSON report alongside markdown', async () => {
+      const stackReport = {
+        technologies: [],
+        configurations: [],
+        quality: { testing: false, security: false },
+        ci: { present: false }
+      };
+
+      await fs.writeFile(
+        path.join(testRoot, '.devenv', 'stack-report.json'),
+        JSON.stringify(stackReport)
+      );
+
+      const analyzer = new GapAnalyzer({ rootDir: testRoot });
+      const report = await analyzer.analyze();
+      await analyzer.saveReport(report);
+
+      const saved = JSON.parse(await fs.readFile(
+        path.join(testRoot, '.devenv', 'gaps-report.json'),
+        'utf8'
+      ));
+
+      assert.strictEqual(saved.totalGaps, saved.gaps.length);
+      assert.strictEqual(
+        saved.highPriority + saved.mediumPriority + saved.lowPriority,
+        saved.totalGaps
+      );
+      assert.ok(saved.gaps.some(g => g.title === 'TypeScript Not Configured'));
+      assert.ok(saved.categories.typescript.length > 0);
+      assert.strictEqual(saved.gaps[0].severity, 'high');
+    });
   });
 });
 
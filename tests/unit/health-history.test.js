@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Health-Score History
+ *
+ * Tests snapshot recording and trend computation including:
+ * - JSONL round trip
+ * - Baselines: previous run, date, git tag and ref
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const {
+  computeTrend,
+  createSnapshot,
+  getHistoryPath,
+  readHistory,
+  recordSnapshot
+} = require('../../dist/scripts/doctor/history');
+
+const score = (overall, testing = overall) => ({
+  overall,
+  security: 80,
+  quality: 70,
+  testing,
+  ci: 100,
+  documentation: 90
+});
+
+const snapshot = (timestamp, overall, commit = null) => ({
+  timestamp,
+  commit,
+  branch: 'main',
+  dirty: false,
+  healthScore: score(overall),
+  issues: { critical: 0, warnings: 0, info: 0 }
+});
+
+describe('Health History', () => {
+  let rootDir;
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: rootDir,
+    encoding: 'utf8'
+  }).trim();
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'health-history-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('should append snapshots and read them back oldest first', async () => {
+    await recordSnapshot(rootDir, snapshot('2026-02-01T10:00:00.000Z', 70));
+    await recordSnapshot(rootDir, snapshot('2026-01-01T10:00:00.000Z', 60));
+    await fs.appendFile(getHistoryPath(rootDir), '{not json\n');
+
+    const history = await readHistory(rootDir);
+
+    assert.deepStrictEqual(history.map(s => s.healthScore.overall), [60, 70]);
+  });
+
+  test('should snapshot a report without a git repository', () => {
+    const report = {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      healthScore: score(75),
+      critical: [{}],
+      warnings: [],
+      info: [{}, {}],
+      quickWins: []
+    };
+
+    const result = createSnapshot(rootDir, report);
+
+    assert.strictEqual(result.commit, null);
+    assert.deepStrictEqual(result.issues, { critical: 1, warnings: 0, info: 2 });
+  });
+
+  test('should need at least two snapshots for a trend', () => {
+    assert.strictEqual(computeTrend(rootDir, [snapshot('2026-01-01T00:00:00.000Z', 50)]), null);
+  });
+
+  test('should compare with the previous run by default', () => {
+    const history = [
+      snapshot('2026-01-01T00:00:00.000Z', 50),
+      snapshot('2026-01-02T00:00:00.000Z', 60),
+      snapshot('2026-01-03T00:00:00.000Z', 55)
+    ];
+
+    const trend = computeTrend(rootDir, history);
+
+    assert.strictEqual(trend.baselineLabel, 'previous run');
+    assert.strictEqual(trend.deltas.overall, -5);
+    assert.strictEqual(trend.deltas.ci, 0);
+  });
+
+  test('should compare with the last snapshot before a date', () => {
+    const history = [
+      snapshot('2026-01-01T00:00:00.000Z', 40),
+      snapshot('2026-01-05T00:00:00.000Z', 50),
+      snapshot('2026-01-20T00:00:00.000Z', 70)
+    ];
+
+    const trend = computeTrend(rootDir, history, '2026-01-10');
+
+    assert.strictEqual(trend.baseline.healthScore.overall, 50);
+    assert.strictEqual(trend.deltas.overall, 20);
+    assert.throws(() => computeTrend(rootDir, history, '2025-12-01'), /No health snapshot recorded before/);
+  });
+
+  test('should compare with the snapshot taken at the latest tag', async () => {
+    git('init', '-q');
+    git('commit', '-q', '--allow-empty', '-m', 'first');
+    const tagged = git('rev-parse', 'HEAD');
+    git('tag', 'v1.0.0');
+    git('commit', '-q', '--allow-empty', '-m', 'second');
+    const head = git('rev-parse', 'HEAD');
+
+    const history = [
+      snapshot('2026-01-01T00:00:00.000Z', 40, tagged),
+      snapshot('2026-01-02T00:00:00.000Z', 45, tagged),
+      snapshot('2026-01-03T00:00:00.000Z', 90, head)
+    ];
+
+    const trend = computeTrend(rootDir, history, 'tag');
+
+    assert.strictEqual(trend.baselineLabel, 'tag v1.0.0');
+    assert.strictEqual(trend.baseline.healthScore.overall, 45);
+    assert.strictEqual(trend.deltas.overall, 45);
+    assert.throws(() => computeTrend(rootDir, history, 'no-such-ref'), /Unknown git ref/);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Health Scoring
+ *
+ * Tests category-based scoring including:
+ * - Default weights and penalties
+ * - Weights, penalties and category mapping from .devenv/config.json
+ * - Config validation
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { calculateHealthScore, aggregateHealthScores } = require('../../dist/scripts/doctor/health');
+const { loadScoringConfig, resolveScoringConfig } = require('../../dist/scripts/doctor/scoring');
+
+const issue = (severity, category, message = 'Some gap') => ({ severity, category, message, estimatedFix: '5 min' });
+
+describe('Health Scoring', () => {
+  test('should score by gap category rather than message keywords', () => {
+    const critical = [issue('critical', 'testing', 'No CI workflow mentioned here')];
+    const warnings = [issue('warning', 'environment', 'Lint the tests')];
+
+    const score = calculateHealthScore(critical, warnings, []);
+
+    assert.strictEqual(score.testing, 80);
+    assert.strictEqual(score.security, 90);
+    assert.strictEqual(score.ci, 100);
+    assert.strictEqual(score.quality, 100);
+    // 80*25 + 100*20 + 100*20 + 90*15 + 100*20 over 100
+    assert.strictEqual(score.overall, 94);
+  });
+
+  test('should score every gap category by default', () => {
+    const critical = [issue('critical', 'accessibility'), issue('critical', 'performance')];
+    const warnings = [issue('warning', 'docker'), issue('warning', 'observability')];
+    const score = calculateHealthScore(critical, warnings, []);
+
+    assert.strictEqual(score.quality, 60);
+    assert.strictEqual(score.ci, 80);
+    assert.strictEqual(score.categories.accessibility, undefined);
+  });
+
+  test('should ignore gap categories mapped to null', () => {
+    const config = resolveScoringConfig({ categoryMap: { accessibility: null } });
+    const score = calculateHealthScore([issue('critical', 'accessibility')], [], [], config);
+
+    assert.strictEqual(score.overall, 100);
+    assert.strictEqual(score.quality, 100);
+  });
+
+  test('should apply custom weights, penalties and mappings', () => {
+    const config = resolveScoringConfig({
+      weights: { accessibility: 50, testing: 50, ci: 0, typeSafety: 0, security: 0, quality: 0 },
+      penalties: { critical: 50 },
+      categoryMap: { accessibility: 'accessibility' }
+    });
+
+    const score = calculateHealthScore([issue('critical', 'accessibility')], [issue('warning', 'testing')], [], config);
+
+    assert.strictEqual(score.categories.accessibility, 50);
+    assert.strictEqual(score.testing, 90);
+    assert.strictEqual(score.overall, 70);
+  });
+
+  test('should average category scores across packages', () => {
+    const a = calculateHealthScore([issue('critical', 'testing')], [], []);
+    const b = calculateHealthScore([], [], []);
+
+    const aggregate = aggregateHealthScores([a, b]);
+
+    assert.strictEqual(aggregate.testing, 90);
+    assert.strictEqual(aggregate.categories.testing, 90);
+  });
+
+  test('should reject invalid configurations', () => {
+    assert.throws(() => resolveScoringConfig({ weights: { testing: -1 } }), /weights\.testing/);
+    assert.throws(() => resolveScoringConfig({ categoryMap: { docker: 'containers' } }), /unknown category "containers"/);
+    assert.throws(
+      () => resolveScoringConfig({ weights: { testing: 0, ci: 0, typeSafety: 0, security: 0, quality: 0 } }),
+      /positive weight/
+    );
+  });
+
+  describe('Config file', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'health-score-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should use defaults without a config file', async () => {
+      const config = await loadScoringConfig(rootDir);
+
+      assert.strictEqual(config.weights.testing, 25);
+      assert.strictEqual(config.penalties.critical, 20);
+    });
+
+    test('should merge the healthScore section over the defaults', async () => {
+      await fs.mkdir(path.join(rootDir, '.devenv'));
+      await fs.writeFile(path.join(rootDir, '.devenv', 'config.json'), JSON.stringify({
+        healthScore: { weights: { testing: 40 }, categoryMap: { documentation: null } }
+      }));
+
+      const config = await loadScoringConfig(rootDir);
+
+      assert.strictEqual(config.weights.testing, 40);
+      assert.strictEqual(config.weights.ci, 20);
+      assert.strictEqual(config.categoryMap.documentation, null);
+      assert.strictEqual(config.categoryMap.typescript, 'typeSafety');
+    });
+
+    test('should report the file for invalid JSON', async () => {
+      await fs.mkdir(path.join(rootDir, '.devenv'));
+      await fs.writeFile(path.join(rootDir, '.devenv', 'config.json'), '{ nope');
+
+      await assert.rejects(() => loadScoringConfig(rootDir), /Invalid \.devenv\/config\.json/);
+    });
+  });
+});
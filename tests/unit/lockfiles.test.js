@@ -0,0 +1,254 @@
+/**
+ * Unit Tests for Lock File Pruning
+ *
+ * Tests offline pruning of package-lock.json, yarn.lock and pnpm-lock.yaml:
+ * - Removed packages and their orphaned transitive entries are dropped
+ * - Entries still needed elsewhere keep their pinned versions
+ * - lock_file: delete falls back to removing the lock file
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { pruneNpmLock, pruneYarnLock, prunePnpmLock } = require('../../dist/scripts/cleanup/package-managers/lockfiles');
+const { getPackageManager } = require('../../dist/scripts/cleanup/package-managers');
+
+const manifest = { name: 'app', version: '1.0.0', dependencies: { keep: '^1.0.0' } };
+
+function npmLock() {
+  return JSON.stringify({
+    name: 'app',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    requires: true,
+    packages: {
+      '': { name: 'app', version: '1.0.0', dependencies: { keep: '^1.0.0', 'template-only': '^1.0.0' } },
+      'node_modules/keep': { version: '1.0.0', dependencies: { shared: '^2.0.0' } },
+      'node_modules/shared': { version: '2.1.0' },
+      'node_modules/template-only': { version: '1.0.0', dependencies: { shared: '^2.0.0', helper: '^3.0.0', nested: '^1.0.0' } },
+      'node_modules/template-only/node_modules/nested': { version: '1.0.0' },
+      'node_modules/helper': { version: '3.0.0' }
+    }
+  }, null, 2) + '\n';
+}
+
+describe('Lock file pruning', () => {
+  test('npm drops the package, its nested and orphaned entries, and keeps shared ones', () => {
+    const lock = JSON.parse(pruneNpmLock(npmLock(), manifest, ['template-only']));
+
+    assert.deepStrictEqual(Object.keys(lock.packages), ['', 'node_modules/keep', 'node_modules/shared']);
+    assert.deepStrictEqual(lock.packages[''].dependencies, { keep: '^1.0.0' });
+    assert.strictEqual(lock.packages['node_modules/shared'].version, '2.1.0');
+  });
+
+  test('yarn classic drops orphaned entries and unused specifiers', () => {
+    const lock = [
+      '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+      '# yarn lockfile v1',
+      '',
+      '',
+      'keep@^1.0.0:',
+      '  version "1.0.0"',
+      '  dependencies:',
+      '    shared "^2.0.0"',
+      '',
+      'shared@^2.0.0, shared@^2.1.0:',
+      '  version "2.1.0"',
+      '',
+      'template-only@^1.0.0:',
+      '  version "1.0.0"',
+      '  dependencies:',
+      '    shared "^2.1.0"',
+      '    helper "^3.0.0"',
+      '',
+      'helper@^3.0.0:',
+      '  version "3.0.0"',
+      ''
+    ].join('\n');
+
+    assert.strictEqual(pruneYarnLock(lock, manifest, ['template-only']), [
+      '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+      '# yarn lockfile v1',
+      '',
+      '',
+      'keep@^1.0.0:',
+      '  version "1.0.0"',
+      '  dependencies:',
+      '    shared "^2.0.0"',
+      '',
+      'shared@^2.0.0:',
+      '  version "2.1.0"',
+      ''
+    ].join('\n'));
+  });
+
+  test('yarn berry edits the root workspace entry', () => {
+    const entry = (header, version, deps = []) => [
+      `"${header}":`,
+      `  version: ${version}`,
+      ...(deps.length ? ['  dependencies:', ...deps.map(dep => `    ${dep}`)] : []),
+      '  linkType: hard',
+      ''
+    ];
+    const lock = [
+      '__metadata:',
+      '  version: 8',
+      '',
+      ...entry('app@workspace:.', '0.0.0-use.local', ['keep: "npm:^1.0.0"', 'template-only: "npm:^1.0.0"']),
+      ...entry('keep@npm:^1.0.0', '1.0.0'),
+      ...entry('template-only@npm:^1.0.0', '1.0.0', ['helper: "npm:^3.0.0"']),
+      ...entry('helper@npm:^3.0.0', '3.0.0')
+    ].join('\n');
+
+    assert.strictEqual(pruneYarnLock(lock, manifest, ['template-only']), [
+      '__metadata:',
+      '  version: 8',
+      '',
+      ...entry('app@workspace:.', '0.0.0-use.local', ['keep: "npm:^1.0.0"']),
+      ...entry('keep@npm:^1.0.0', '1.0.0')
+    ].join('\n'));
+  });
+
+  test('pnpm v9 drops importer entries, snapshots and packages', () => {
+    const lock = [
+      "lockfileVersion: '9.0'",
+      '',
+      'importers:',
+      '',
+      '  .:',
+      '    dependencies:',
+      '      keep:',
+      '        specifier: ^1.0.0',
+      '        version: 1.0.0',
+      '    devDependencies:',
+      '      template-only:',
+      '        specifier: ^1.0.0',
+      '        version: 1.0.0(keep@1.0.0)',
+      '',
+      'packages:',
+      '',
+      '  helper@3.0.0:',
+      '    resolution: {integrity: sha512-h}',
+      '',
+      '  keep@1.0.0:',
+      '    resolution: {integrity: sha512-k}',
+      '',
+      '  template-only@1.0.0:',
+      '    resolution: {integrity: sha512-t}',
+      '    peerDependencies:',
+      '      keep: ^1.0.0',
+      '',
+      'snapshots:',
+      '',
+      '  helper@3.0.0: {}',
+      '',
+      '  keep@1.0.0: {}',
+      '',
+      '  template-only@1.0.0(keep@1.0.0):',
+      '    dependencies:',
+      '      helper: 3.0.0',
+      '      keep: 1.0.0',
+      ''
+    ].join('\n');
+
+    assert.strictEqual(prunePnpmLock(lock, manifest, ['template-only']), [
+      "lockfileVersion: '9.0'",
+      '',
+      'importers:',
+      '',
+      '  .:',
+      '    dependencies:',
+      '      keep:',
+      '        specifier: ^1.0.0',
+      '        version: 1.0.0',
+      '',
+      'packages:',
+      '',
+      '  keep@1.0.0:',
+      '    resolution: {integrity: sha512-k}',
+      '',
+      'snapshots:',
+      '',
+      '  keep@1.0.0: {}',
+      ''
+    ].join('\n'));
+  });
+
+  test('pnpm v6 prunes root sections, specifiers and packages', () => {
+    const lock = [
+      "lockfileVersion: '6.0'",
+      '',
+      'dependencies:',
+      '  keep:',
+      '    specifier: ^1.0.0',
+      '    version: 1.0.0',
+      '  template-only:',
+      '    specifier: ^1.0.0',
+      '    version: 1.0.0',
+      '',
+      'packages:',
+      '',
+      '  /helper@3.0.0:',
+      '    resolution: {integrity: sha512-h}',
+      '    dev: false',
+      '',
+      '  /keep@1.0.0:',
+      '    resolution: {integrity: sha512-k}',
+      '    dependencies:',
+      '      helper: 3.0.0',
+      '    dev: false',
+      '',
+      '  /template-only@1.0.0:',
+      '    resolution: {integrity: sha512-t}',
+      '    dev: false',
+      ''
+    ].join('\n');
+
+    const pruned = prunePnpmLock(lock, manifest, ['template-only']);
+
+    assert.doesNotMatch(pruned, /template-only/);
+    assert.match(pruned, /\/helper@3\.0\.0:/);
+    assert.match(pruned, /\/keep@1\.0\.0:/);
+  });
+
+  describe('through the package manager', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lockfiles-test-'));
+      await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ ...manifest, dependencies: { keep: '^1.0.0', 'template-only': '^1.0.0' } }, null, 2) + '\n');
+      await fs.writeFile(path.join(tempDir, 'package-lock.json'), npmLock());
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('npm prune edits package-lock.json in place', async () => {
+      const { changes } = await getPackageManager('npm', tempDir, false).prune({ id: 'prune', type: 'package_prune', remove_deps: ['template-only'] });
+
+      assert.deepStrictEqual(changes.map(change => change.path), ['package.json', 'package-lock.json']);
+      const lock = JSON.parse(await fs.readFile(path.join(tempDir, 'package-lock.json'), 'utf8'));
+      assert.ok(!('node_modules/template-only' in lock.packages));
+    });
+
+    test('lock_file: delete removes the lock file instead', async () => {
+      const rule = { id: 'prune', type: 'package_prune', remove_deps: ['template-only'], lock_file: 'delete' };
+      const { changes } = await getPackageManager('npm', tempDir, false).prune(rule);
+
+      assert.strictEqual(changes[1].after, null);
+      await assert.rejects(fs.access(path.join(tempDir, 'package-lock.json')));
+    });
+
+    test('a lock file that can\'t be pruned is reported with the fallback', async () => {
+      await fs.writeFile(path.join(tempDir, 'package-lock.json'), '{ not json');
+
+      await assert.rejects(
+        getPackageManager('npm', tempDir, true).prune({ id: 'prune', type: 'package_prune', remove_deps: ['template-only'] }),
+        /Could not prune package-lock\.json: .*lock_file: delete/
+      );
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Unit Tests for Package Managers
+ *
+ * Tests dependency pruning for pip, Poetry, Go, Maven, Gradle and NuGet including:
+ * - Formatting around removed entries is preserved
+ * - Multi-project layouts (every pom.xml, build.gradle, *.csproj)
+ * - PEP 508 names, requirement includes and pyproject.toml tables
+ * - go.sum editing and lock file removal
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { getPackageManager } = require('../../dist/scripts/cleanup/package-managers');
+
+describe('Package managers', () => {
+  let tempDir;
+
+  const read = file => fs.readFile(path.join(tempDir, file), 'utf8');
+  const exists = file => fs.access(path.join(tempDir, file)).then(() => true, () => false);
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive: true });
+    await fs.writeFile(path.join(tempDir, file), content);
+  };
+  const prune = (manager, deps, dryRun = false) =>
+    getPackageManager(manager, tempDir, dryRun).prune({ id: 'prune', type: 'package_prune', remove_deps: deps });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'package-managers-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('pip matches normalized PEP 508 names, not prefixes, across included files', async () => {
+    await write('requirements.txt', [
+      '-r requirements/base.txt',
+      '--index-url https://pypi.org/simple',
+      'pytest==8.0.0',
+      'pytest-cov>=4.1  # keep',
+      'Template_Only[extra]>=1.0 ; python_version >= "3.9"',
+      'template.only @ https://example.com/template_only-1.0.whl',
+      ''
+    ].join('\n'));
+    await write('requirements/base.txt', [
+      'requests==2.31.0 \\',
+      '    --hash=sha256:aaa',
+      'pytest==8.0.0 \\',
+      '    --hash=sha256:bbb',
+      '-e git+https://github.com/example/tool.git#egg=template-only',
+      ''
+    ].join('\n'));
+    await write('requirements-dev.txt', 'pytest\n');
+
+    const { actions } = await prune('pip', ['pytest', 'template-only']);
+
+    assert.deepStrictEqual(actions.map(action => `${action.dependency} ${action.section}`), [
+      'pytest requirements-dev.txt',
+      'pytest requirements.txt',
+      'template-only requirements.txt',
+      'template-only requirements.txt',
+      'pytest requirements/base.txt',
+      'template-only requirements/base.txt'
+    ]);
+    assert.strictEqual(await read('requirements.txt'), [
+      '-r requirements/base.txt',
+      '--index-url https://pypi.org/simple',
+      'pytest-cov>=4.1  # keep',
+      ''
+    ].join('\n'));
+    assert.strictEqual(await read('requirements/base.txt'), 'requests==2.31.0 \\\n    --hash=sha256:aaa\n');
+  });
+
+  test('poetry edits dependency groups, PEP 621 arrays and dependency tables', async () => {
+    await write('pyproject.toml', [
+      '[project]',
+      'name = "app"',
+      'dependencies = ["requests>=2", "Template-Only>=1; extra == \'x\'"]',
+      '',
+      '[project.optional-dependencies]',
+      'test = [',
+      '  "pytest>=8",',
+      '  "pytest-cov",  # coverage',
+      ']',
+      '',
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      'template_only = { version = "^1.0", optional = true }',
+      '',
+      '[tool.poetry.group.dev.dependencies]',
+      'pytest = "^8.0"',
+      'pytest-cov = "^4.1"',
+      '',
+      '[tool.poetry.group.docs.dependencies.template-only]',
+      'version = "^1.0"',
+      '',
+      '[tool.black]',
+      'line-length = 100',
+      ''
+    ].join('\n'));
+    await write('poetry.lock', '');
+
+    const { actions, changes } = await prune('poetry', ['pytest', 'template-only']);
+
+    assert.deepStrictEqual(actions.map(action => `${action.dependency} ${action.section}`), [
+      'template-only project.dependencies',
+      'pytest project.optional-dependencies.test',
+      'template-only tool.poetry.dependencies',
+      'pytest tool.poetry.group.dev.dependencies',
+      'template-only tool.poetry.group.docs.dependencies'
+    ]);
+    assert.strictEqual(await read('pyproject.toml'), [
+      '[project]',
+      'name = "app"',
+      'dependencies = ["requests>=2"]',
+      '',
+      '[project.optional-dependencies]',
+      'test = [',
+      '  "pytest-cov",  # coverage',
+      ']',
+      '',
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      '',
+      '[tool.poetry.group.dev.dependencies]',
+      'pytest-cov = "^4.1"',
+      '',
+      '[tool.black]',
+      'line-length = 100',
+      ''
+    ].join('\n'));
+    assert.ok(changes.some(change => change.path === 'poetry.lock' && change.after === null));
+  });
+
+  test('go removes require and replace lines and their go.sum entries', async () => {
+    await write('go.mod', [
+      'module example.com/app',
+      '',
+      'go 1.22',
+      '',
+      'require github.com/example/template-only v1.0.0',
+      '',
+      'require (',
+      '\tgithub.com/example/template-only/v2 v2.1.0',
+      '\tgithub.com/spf13/cobra v1.8.0 // indirect',
+      ')',
+      '',
+      'replace github.com/example/template-only => ../template-only',
+      ''
+    ].join('\n'));
+    await write('go.sum', [
+      'github.com/example/template-only v1.0.0 h1:abc=',
+      'github.com/example/template-only v1.0.0/go.mod h1:def=',
+      'github.com/spf13/cobra v1.8.0 h1:ghi=',
+      ''
+    ].join('\n'));
+
+    const { actions, changes } = await prune('go', ['github.com/example/template-only']);
+
+    assert.deepStrictEqual(actions.map(action => [action.manager, action.dependency]), [['go', 'github.com/example/template-only']]);
+    assert.deepStrictEqual(changes.map(change => change.path), ['go.mod', 'go.sum']);
+    assert.strictEqual(await read('go.mod'), [
+      'module example.com/app',
+      '',
+      'go 1.22',
+      '',
+      '',
+      'require (',
+      '\tgithub.com/example/template-only/v2 v2.1.0',
+      '\tgithub.com/spf13/cobra v1.8.0 // indirect',
+      ')',
+      '',
+      ''
+    ].join('\n'));
+    assert.strictEqual(await read('go.sum'), 'github.com/spf13/cobra v1.8.0 h1:ghi=\n');
+  });
+
+  test('maven removes dependencies from every module, not exclusions', async () => {
+    const dependency = (groupId, artifactId, extra = '') => [
+      '    <dependency>',
+      `      <groupId>${groupId}</groupId>`,
+      `      <artifactId>${artifactId}</artifactId>${extra}`,
+      '    </dependency>'
+    ].join('\n');
+    const exclusion = '\n      <exclusions><exclusion><groupId>com.example</groupId><artifactId>template-only</artifactId></exclusion></exclusions>';
+
+    await write('pom.xml', [
+      '<project>',
+      '  <dependencies>',
+      dependency('com.example', 'template-only'),
+      dependency('org.junit', 'junit-jupiter', exclusion),
+      '  </dependencies>',
+      '</project>',
+      ''
+    ].join('\n'));
+    await write('service/pom.xml', ['<project>', '  <dependencies>', dependency('com.example', 'template-only'), '  </dependencies>', '</project>', ''].join('\n'));
+    await write('target/pom.xml', dependency('com.example', 'template-only'));
+
+    const { actions } = await prune('maven', ['com.example:template-only']);
+
+    assert.deepStrictEqual(actions.map(action => action.section), ['pom.xml', 'service/pom.xml']);
+    assert.strictEqual(await read('pom.xml'), [
+      '<project>',
+      '  <dependencies>',
+      dependency('org.junit', 'junit-jupiter', exclusion),
+      '  </dependencies>',
+      '</project>',
+      ''
+    ].join('\n'));
+    assert.strictEqual(await read('service/pom.xml'), '<project>\n  <dependencies>\n  </dependencies>\n</project>\n');
+    assert.match(await read('target/pom.xml'), /template-only/);
+  });
+
+  test('gradle removes string, map and block declarations in Groovy and Kotlin scripts', async () => {
+    await write('build.gradle', [
+      'dependencies {',
+      "    implementation 'com.example:template-only:1.0.0'",
+      "    testImplementation group: 'com.example', name: 'template-only', version: '1.0'",
+      "    implementation('com.example:template-only:1.0') {",
+      "        exclude group: 'org.slf4j'",
+      '    }',
+      "    implementation 'org.slf4j:slf4j-api:2.0.9' // keep",
+      '}',
+      ''
+    ].join('\n'));
+    await write('app/build.gradle.kts', 'dependencies {\r\n    implementation("com.example:template-only:1.0")\r\n    implementation(kotlin("stdlib"))\r\n}\r\n');
+    await write('app/gradle.lockfile', 'com.example:template-only:1.0=runtimeClasspath\n');
+
+    const { actions, changes } = await prune('gradle', ['com.example:template-only']);
+
+    assert.strictEqual(actions.length, 4);
+    assert.strictEqual(await read('build.gradle'), "dependencies {\n    implementation 'org.slf4j:slf4j-api:2.0.9' // keep\n}\n");
+    assert.strictEqual(await read('app/build.gradle.kts'), 'dependencies {\r\n    implementation(kotlin("stdlib"))\r\n}\r\n');
+    assert.ok(changes.some(change => change.path === 'app/gradle.lockfile' && change.after === null));
+    assert.ok(!(await exists('app/gradle.lockfile')));
+  });
+
+  test('nuget removes package items case-insensitively, keeping CRLF line endings', async () => {
+    await write('src/App/App.csproj', [
+      '<Project Sdk="Microsoft.NET.Sdk">',
+      '  <ItemGroup>',
+      '    <PackageReference Include="templateonly.package" Version="1.0.0" />',
+      '    <PackageReference Include="Microsoft.Template.Test">',
+      '      <Version>2.0.0</Version>',
+      '    </PackageReference>',
+      '    <PackageReference Include="Serilog" />',
+      '  </ItemGroup>',
+      '</Project>',
+      ''
+    ].join('\r\n'));
+    await write('Directory.Packages.props', '<Project>\n  <ItemGroup>\n    <PackageVersion Include="TemplateOnly.Package" Version="1.0.0" />\n    <PackageVersion Include="Serilog" Version="3.1.1" />\n  </ItemGroup>\n</Project>\n');
+    await write('src/App/packages.lock.json', '{}');
+
+    const { actions } = await prune('nuget', ['TemplateOnly.Package', 'Microsoft.Template.Test']);
+
+    assert.deepStrictEqual(actions.map(action => `${action.dependency} ${action.section}`), [
+      'TemplateOnly.Package Directory.Packages.props',
+      'TemplateOnly.Package src/App/App.csproj',
+      'Microsoft.Template.Test src/App/App.csproj'
+    ]);
+    assert.strictEqual(await read('src/App/App.csproj'), [
+      '<Project Sdk="Microsoft.NET.Sdk">',
+      '  <ItemGroup>',
+      '    <PackageReference Include="Serilog" />',
+      '  </ItemGroup>',
+      '</Project>',
+      ''
+    ].join('\r\n'));
+    assert.doesNotMatch(await read('Directory.Packages.props'), /TemplateOnly/);
+    assert.ok(!(await exists('src/App/packages.lock.json')));
+  });
+
+  test('projects without the manager\'s files are left alone', async () => {
+    for (const manager of ['pip', 'maven', 'gradle', 'nuget']) {
+      assert.deepStrictEqual(await prune(manager, ['x:y']), { actions: [], changes: [] });
+    }
+    await assert.rejects(prune('go', ['x']), /Failed to prune go/);
+  });
+
+  test('dry run reports changes without writing', async () => {
+    await write('pom.xml', '<dependency>\n<groupId>a</groupId><artifactId>b</artifactId>\n</dependency>\n');
+
+    const { actions, changes } = await prune('maven', ['b'], true);
+
+    assert.strictEqual(actions[0].dryRun, true);
+    assert.strictEqual(changes[0].after, '\n');
+    assert.match(await read('pom.xml'), /<artifactId>b/);
+  });
+
+  test('unknown managers list the supported ones', () => {
+    assert.throws(() => getPackageManager('cargo', tempDir, true), /Supported: npm, yarn, pnpm, pip, poetry, go, nuget, maven, gradle/);
+  });
+});
@@ -3,87 +3,73 @@ const { describe, it, beforeEach, afterEach } = require('node:test');
 const path = require('path');
 const { promises: fs } = require('fs');
 const os = require('os');
-const { PlanGenerator } = require('../../scripts/tools/plan-generator');
+const PlanGenerator = require('../../scripts/tools/plan-generator');
 
 describe('Plan Generator', () => {
   let rootDir;
   let devenvDir;
   let gapsReportPath;
 
+  // Write a structured gaps report in the shape produced by GapAnalyzer
+  async function writeGapsReport(gaps) {
+    const categories = {};
+    gaps.forEach(gap => {
+      categories[gap.category] = categories[gap.category] || [];
+      categories[gap.category].push(gap);
+    });
+
+    await fs.writeFile(gapsReportPath, JSON.stringify({
+      timestamp: '2025-11-07T00:00:00.000Z',
+      totalGaps: gaps.length,
+      highPriority: gaps.filter(g => g.severity === 'high').length,
+      mediumPriority: gaps.filter(g => g.severity === 'medium').length,
+      lowPriority: gaps.filter(g => g.severity === 'low').length,
+      gaps,
+      categories
+    }, null, 2), 'utf8');
+  }
+
   beforeEach(async () => {
     // Create a real temporary directory instead of mock-fs (Windows compatibility)
     rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plan-gen-test-'));
     devenvDir = path.join(rootDir, '.devenv');
-    gapsReportPath = path.join(devenvDir, 'gaps-report.md');
+    gapsReportPath = path.join(devenvDir, 'gaps-report.json');
     
     // Create directory and basic gaps report
     await fs.mkdir(devenvDir, { recursive: true });
-    await fs.writeFile(gapsReportPath, `# Gap Analysis Report
-
-**Generated**: 2025-11-07T00:00:00.000Z
-
-## Summary
-
-Total Gaps: 3
-- High Priority: 2
-- Medium Priority: 1
-- Low Priority: 0
-
----
-
-## Gaps by Severity
-
-### 🔴 TypeScript Not Configured
-
-**Category:** typescript
-
-TypeScript provides compile-time type checking and better IDE support.
-
-**Impact:** Increased risk of runtime errors and reduced developer productivity.
-
-**Recommendation:** Add TypeScript as a dev dependency and configure tsconfig.json with strict settings.
-
-**Effort:** medium
-
-**Files:** package.json, tsconfig.json
-
-**Resources:**
-- https://www.typescriptlang.org/docs/handbook/migrating-from-javascript.html
-
----
-
-### 🔴 ESLint Not Configured
-
-**Category:** linting
-
-ESLint catches common errors and enforces code style consistency.
-
-**Impact:** Code quality issues and style inconsistencies.
-
-**Recommendation:** Install ESLint and configure it with recommended rules.
-
-**Effort:** low
-
-**Files:** .eslintrc.json, package.json
-
----
-
-### 🟡 Missing Testing Framework
-
-**Category:** testing
-
-A testing framework is essential for maintaining code quality.
-
-**Impact:** No automated tests means higher risk of bugs.
-
-**Recommendation:** Use Node.js native test runner or install Jest.
-
-**Effort:** medium
-
-**Files:** tests/unit/example.test.js, package.json
-
----
-`, 'utf8');
+    await writeGapsReport([
+      {
+        category: 'typescript',
+        severity: 'high',
+        title: 'TypeScript Not Configured',
+        description: 'TypeScript provides compile-time type checking and better IDE support.',
+        impact: 'Increased risk of runtime errors and reduced developer productivity.',
+        recommendation: 'Add TypeScript as a dev dependency and configure tsconfig.json with strict settings.',
+        effort: 'medium',
+        files: ['package.json', 'tsconfig.json'],
+        resources: ['https://www.typescriptlang.org/docs/handbook/migrating-from-javascript.html']
+      },
+      {
+        category: 'linting',
+        severity: 'high',
+        title: 'ESLint Not Configured',
+        description: 'ESLint catches common errors and enforces code style consistency.',
+        impact: 'Code quality issues and style inconsistencies.',
+        recommendation: 'Install ESLint and configure it with recommended rules.',
+        effort: 'low',
+        files: ['.eslintrc.json', 'package.json']
+      },
+      {
+        category: 'testing',
+        severity: 'medium',
+        title: 'Missing Testing Framework',
+        description: 'A testing framework is essential for maintaining code quality.',
+        impact: 'No automated tests means higher risk of bugs.',
+        recommendation: 'Use Node.js native test runner or install Jest.',
+        effort: 'medium',
+        files: ['tests/unit/example.test.js', 'package.json']
+      }
+    ]);
   });
 
   afterEach(async () => {
@@ -176,40 +162,28 @@ A testing framework is essential for maintaining code quality.
 
   it('should detect dependencies between tasks', async () => {
     // Create a gaps report with TypeScript linting that depends on TypeScript config
-    await fs.writeFile(gapsReportPath, `# Gap Analysis Report
-
-### 🔴 TypeScript Not Configured
-
-**Category:** typescript
-
-TypeScript provides compile-time type checking.
-
-**Impact:** Increased risk of runtime errors.
-
-**Recommendation:** Add TypeScript as a dev dependency.
-
-**Effort:** medium
-
-**Files:** package.json, tsconfig.json
-
----
-
-### 🔴 TypeScript ESLint Rules Missing
-
-**Category:** linting
-
-TypeScript-specific ESLint rules are missing.
-
-**Impact:** TypeScript code may have style issues.
-
-**Recommendation:** Install @typescript-eslint plugins.
-
-**Effort:** low
-
-**Files:** .eslintrc.json
-
----
-`, 'utf8');
+    await writeGapsReport([
+      {
+        category: 'typescript',
+        severity: 'high',
+        title: 'TypeScript Not Configured',
+        description: 'TypeScript provides compile-time type checking.',
+        impact: 'Increased risk of runtime errors.',
+        recommendation: 'Add TypeScript as a dev dependency.',
+        effort: 'medium',
+        files: ['package.json', 'tsconfig.json']
+      },
+      {
+        category: 'linting',
+        severity: 'high',
+        title: 'TypeScript ESLint Rules Missing',
+        description: 'TypeScript-specific ESLint rules are missing.',
+        impact: 'TypeScript code may have style issues.',
+        recommendation: 'Install @typescript-eslint plugins.',
+        effort: 'low',
+        files: ['.eslintrc.json']
+      }
+    ]);
 
     const generator = new PlanGenerator({ rootDir, includeDependencies: true });
     const plan = await generator.generate();
@@ -255,10 +229,7 @@ TypeScript-specific ESLint rules are missing.
   });
 
   it('should handle empty gaps report', async () => {
-    await fs.writeFile(gapsReportPath, `# Gap Analysis Report
-
-No gaps found.
-`, 'utf8');
+    await writeGapsReport([]);
 
     const generator = new PlanGenerator({ rootDir });
     const plan = await generator.generate();
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Quick Wins Registry
+ *
+ * Tests registry-driven auto-fixes including:
+ * - Detection against a real project directory
+ * - Framework filtering
+ * - Fix actions and reported files
+ * - Fixed and skipped counts
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const {
+  QUICK_WINS,
+  applyQuickWins,
+  createQuickWinContext,
+  getApplicableQuickWins
+} = require('../../dist/scripts/doctor/quick-wins');
+
+describe('Quick Wins', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quick-wins-test-'));
+    await fs.writeFile(
+      path.join(rootDir, 'package.json'),
+      JSON.stringify({
+        name: 'test-project',
+        devDependencies: { eslint: '^9.0.0', prettier: '^3.0.0', vitest: '^1.0.0' }
+      }, null, 2)
+    );
+    await fs.mkdir(path.join(rootDir, '.github', 'workflows'), { recursive: true });
+    await fs.writeFile(path.join(rootDir, '.github', 'workflows', 'ci.yml'), 'name: CI\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('should detect applicable quick wins from project state', async () => {
+    const context = await createQuickWinContext(rootDir, { frameworks: { type: 'vite' } });
+    const ids = (await getApplicableQuickWins(context)).map(q => q.id);
+
+    assert.ok(ids.includes('add-eslint-config'));
+    assert.ok(ids.includes('add-prettier-config'));
+    assert.ok(ids.includes('add-lint-script'));
+    assert.ok(ids.includes('add-format-script'));
+    assert.ok(ids.includes('add-test-script'));
+    assert.ok(!ids.includes('add-github-actions'), 'CI workflow already exists');
+    assert.ok(!ids.includes('enable-ts-strict'), 'No tsconfig.json present');
+  });
+
+  test('should skip quick wins that do not support the framework', async () => {
+    const context = await createQuickWinContext(rootDir, { frameworks: { type: 'remix' } });
+    const ids = (await getApplicableQuickWins(context)).map(q => q.id);
+
+    assert.ok(!ids.includes('add-eslint-config'));
+    assert.ok(ids.includes('add-lint-script'));
+  });
+
+  test('should write framework-specific ESLint config', async () => {
+    const context = await createQuickWinContext(rootDir, { frameworks: { type: 'vite' } });
+    const quickWin = QUICK_WINS.find(q => q.id === 'add-eslint-config');
+
+    const result = await quickWin.fixAction(context);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.filesCreated, ['.eslintrc.json']);
+    const config = JSON.parse(await fs.readFile(path.join(rootDir, '.eslintrc.json'), 'utf8'));
+    assert.ok(config.plugins.includes('react-hooks'));
+  });
+
+  test('should keep package.json in context up to date after script fixes', async () => {
+    const context = await createQuickWinContext(rootDir, {});
+    const quickWin = QUICK_WINS.find(q => q.id === 'add-test-script');
+
+    const result = await quickWin.fixAction(context);
+
+    assert.deepStrictEqual(result.filesModified, ['package.json']);
+    assert.strictEqual(context.packageJson.scripts.test, 'vitest');
+    const ids = (await getApplicableQuickWins(context)).map(q => q.id);
+    assert.ok(!ids.includes('add-test-script'));
+  });
+
+  test('should create CI workflow when none exists', async () => {
+    await fs.rm(path.join(rootDir, '.github'), { recursive: true, force: true });
+    const context = await createQuickWinContext(rootDir, {});
+    const quickWin = QUICK_WINS.find(q => q.id === 'add-github-actions');
+
+    assert.strictEqual(await quickWin.detectCondition(context), true);
+    const result = await quickWin.fixAction(context);
+
+    assert.deepStrictEqual(result.filesCreated, ['.github/workflows/ci.yml']);
+    const workflow = await fs.readFile(path.join(rootDir, '.github', 'workflows', 'ci.yml'), 'utf8');
+    assert.ok(workflow.includes('npm test'));
+  });
+
+  test('should skip repository-only quick wins inside workspace packages', async () => {
+    await fs.rm(path.join(rootDir, '.github'), { recursive: true, force: true });
+    const context = await createQuickWinContext(rootDir, {}, { workspacePackage: true });
+    const ids = (await getApplicableQuickWins(context)).map(q => q.id);
+
+    assert.ok(!ids.includes('add-github-actions'));
+    assert.ok(!ids.includes('add-prettier-config'));
+    assert.ok(ids.includes('add-lint-script'));
+  });
+
+  test('should not count installs left out by noInstall as fixes', async () => {
+    await fs.writeFile(
+      path.join(rootDir, 'package.json'),
+      JSON.stringify({ name: 'test-project', devDependencies: { typescript: '^5.0.0' } }, null, 2)
+    );
+    const messages = [];
+    const context = await createQuickWinContext(rootDir, {}, { noInstall: true, log: message => messages.push(message) });
+    const fixable = (await getApplicableQuickWins(context)).filter(q => q.autoFixable && q.fixAction);
+    assert.ok(fixable.some(q => q.id === 'add-types-node'));
+
+    const summary = await applyQuickWins(context);
+
+    assert.strictEqual(summary.skipped, 1);
+    assert.strictEqual(summary.fixed, fixable.length - 1);
+    assert.ok(messages.includes(`\n✅ Applied ${fixable.length - 1} automatic fixes, skipped 1`));
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for SARIF Output
+ *
+ * Tests gap → SARIF 2.1.0 conversion including:
+ * - Rule IDs and deduplicated rules
+ * - Severity → level mapping
+ * - File locations and workspace packages
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { sarifRuleId, toSarif } = require('../../dist/scripts/tools/sarif');
+
+const gap = (overrides = {}) => ({
+  category: 'testing',
+  severity: 'high',
+  title: 'No Testing Framework Detected',
+  description: 'No tests found.',
+  impact: 'Bugs ship unnoticed',
+  recommendation: 'Add Vitest.',
+  effort: 'medium',
+  files: ['package.json', 'tests/'],
+  ...overrides
+});
+
+describe('SARIF Output', () => {
+  test('should use catalogue rule IDs, else derive them from category and title', () => {
+    assert.strictEqual(sarifRuleId(gap({ ruleId: 'DET-TEST-001' })), 'DET-TEST-001');
+    assert.strictEqual(sarifRuleId(gap()), 'testing/no-testing-framework-detected');
+    assert.strictEqual(sarifRuleId(gap({ category: 'environment', title: '.env Not in .gitignore' })), 'environment/env-not-in-gitignore');
+  });
+
+  test('should produce a SARIF 2.1.0 log with one rule per distinct gap', () => {
+    const log = toSarif([gap(), gap({ package: 'packages/api', files: ['packages/api/package.json'] })], {
+      rootDir: '/work/project',
+      toolVersion: '3.0.0'
+    });
+    const run = log.runs[0];
+
+    assert.strictEqual(log.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.version, '3.0.0');
+    assert.strictEqual(run.tool.driver.rules.length, 1);
+    assert.strictEqual(run.tool.driver.rules[0].name, 'NoTestingFrameworkDetected');
+    assert.strictEqual(run.results.length, 2);
+    assert.ok(run.results.every(r => r.ruleIndex === 0));
+    assert.strictEqual(run.originalUriBaseIds['%SRCROOT%'].uri, 'file:///work/project/');
+    assert.strictEqual(run.results[1].properties.package, 'packages/api');
+    assert.match(run.results[1].message.text, /^No Testing Framework Detected \(packages\/api\)/);
+  });
+
+  test('should map severities to SARIF levels', () => {
+    const log = toSarif([
+      gap({ severity: 'high' }),
+      gap({ severity: 'medium', title: 'B' }),
+      gap({ severity: 'low', title: 'C' })
+    ]);
+
+    assert.deepStrictEqual(log.runs[0].results.map(r => r.level), ['error', 'warning', 'note']);
+  });
+
+  test('should locate results at gap files, skipping placeholders, globs and packages', () => {
+    const log = toSarif([
+      gap(),
+      gap({ title: 'Folder Structure Not Verified', files: ['[restructure directories]'] }),
+      gap({ title: 'ARIA Labels Review Needed', files: ['src/components/**/*.tsx', 'src/App.tsx'] }),
+      gap({ title: 'Duplicate Package Versions', files: ['lodash@4.17.20', '@scope/pkg@1.0.0'] })
+    ]);
+    const [withFiles, placeholder, glob, packages] = log.runs[0].results;
+
+    assert.deepStrictEqual(
+      withFiles.locations.map(l => l.physicalLocation.artifactLocation),
+      [{ uri: 'package.json', uriBaseId: '%SRCROOT%' }, { uri: 'tests/', uriBaseId: '%SRCROOT%' }]
+    );
+    assert.strictEqual(placeholder.locations, undefined);
+    assert.deepStrictEqual(glob.locations.map(l => l.physicalLocation.artifactLocation.uri), ['src/App.tsx']);
+    assert.strictEqual(packages.locations, undefined);
+  });
+
+  test('should give the gap line as the region of its first file', () => {
+    const [result] = toSarif([gap({ files: ['config/prod.js'], line: 12 })]).runs[0].results;
+
+    assert.deepStrictEqual(result.locations[0].physicalLocation.region, { startLine: 12 });
+  });
+});
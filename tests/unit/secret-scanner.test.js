@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Secret Scanning
+ *
+ * Tests the secret scanner including:
+ * - Provider patterns and high-entropy assignments, with line numbers
+ * - Placeholders and environment lookups are not secrets
+ * - Allowlisted paths and values
+ * - Gaps for tracked files, git history and tracked .env files
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { scanText, parseAllowlist, isAllowed, redact } = require('../../dist/scripts/tools/secret-scanner');
+const { GapAnalyzer } = require('../../dist/scripts/tools/gap-analyzer');
+const { createLogger } = require('../../dist/scripts/utils/logger');
+
+// Split so this file doesn't trip the scanner itself
+const AWS_KEY = 'AKIA' + 'Z7QW4RT2JK9PLM3X';
+const GITHUB_TOKEN = 'ghp_' + 'aB3dE5fG7hJ9kL1mN3pQ5rS7tU9vW1xY3z5A';
+const STRIPE_KEY = 'sk_live_' + '4eC39HqLyjWDarjtT1zdp7dc';
+const PRIVATE_KEY = '-----BEGIN RSA ' + 'PRIVATE KEY-----';
+const API_KEY = 'q8Zr2Lm5' + 'Xv9Tn4Kw7Bp1';
+
+describe('Secret scanning', () => {
+  test('finds provider credentials and high-entropy assignments by line', () => {
+    const text = [
+      `const aws = '${AWS_KEY}';`,
+      `GITHUB_TOKEN=${GITHUB_TOKEN}`,
+      `stripe: "${STRIPE_KEY}"`,
+      PRIVATE_KEY,
+      `API_KEY=${API_KEY}`
+    ].join('\n');
+
+    assert.deepStrictEqual(scanText(text, 'config.js', 3.5).map(f => `${f.line} ${f.kind}`), [
+      '1 AWS Access Key ID',
+      '2 GitHub Token',
+      '3 Stripe Secret Key',
+      '4 Private Key',
+      '5 High-Entropy Secret'
+    ]);
+  });
+
+  test('ignores placeholders, lookups and low-entropy values', () => {
+    const text = [
+      'const token = process.env.GITHUB_TOKEN;',
+      'API_KEY=your-api-key-goes-here-1',
+      'password: "aaaaaaaaaaaaaaaa1"',
+      'const apiKey = config.credentials.apiKeyFromVault;'
+    ].join('\n');
+
+    assert.deepStrictEqual(scanText(text, 'config.js', 3.5), []);
+  });
+
+  test('allowlists paths and values and redacts what it prints', () => {
+    const allowlist = parseAllowlist('# fixtures\ntests/fixtures/**\n*.pem\n/^AKIAZ7QW/  # docs example\n');
+    const finding = (file, secret) => ({ kind: 'AWS Access Key ID', file, line: 1, secret });
+
+    assert.ok(isAllowed(finding('tests/fixtures/a/b.js', 'x'), allowlist));
+    assert.ok(isAllowed(finding('keys/dev.pem', 'x'), allowlist));
+    assert.ok(isAllowed(finding('src/aws.js', AWS_KEY), allowlist));
+    assert.ok(!isAllowed(finding('src/aws.js', GITHUB_TOKEN), allowlist));
+    assert.throws(() => parseAllowlist('/(/'), /line 1/);
+    assert.strictEqual(redact(AWS_KEY), 'AKIA************LM3X');
+    assert.strictEqual(redact(PRIVATE_KEY), PRIVATE_KEY);
+  });
+
+  describe('gaps', () => {
+    let tempDir;
+
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive: true });
+      await fs.writeFile(path.join(tempDir, file), content);
+    };
+    const git = (...args) =>
+      execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: tempDir, stdio: 'pipe' }).toString().trim();
+    const analyze = async () => {
+      const stack = { technologies: [], configurations: [], quality: { testing: true, security: true }, ci: { present: true } };
+      const analyzer = new GapAnalyzer({ rootDir: tempDir, stack, logger: createLogger({ level: 'SILENT' }) });
+      await analyzer.analyze();
+      return analyzer.getGapReport().gaps.filter(gap => /^DET-(SEC-00[34]|ENV-003)$/.test(gap.ruleId));
+    };
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'secret-scanner-test-'));
+      git('init', '-q');
+      await write('.gitignore', '.env\n');
+      await write('src/old.js', `const token = '${GITHUB_TOKEN}';\n`);
+      git('add', '-A');
+      git('commit', '-q', '-m', 'initial');
+      await write('src/old.js', 'const token = process.env.TOKEN;\n');
+      await write('src/aws.js', `// AWS\nexport const key = '${AWS_KEY}';\n`);
+      await write('.env.production', `STRIPE_KEY=${STRIPE_KEY}\n`);
+      await write('.env.example', 'STRIPE_KEY=\n');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'move secrets');
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('reports tracked secrets, removed secrets and tracked .env files', async () => {
+      const initial = git('rev-list', '--max-parents=0', '--abbrev-commit', 'HEAD');
+      const gaps = await analyze();
+
+      assert.deepStrictEqual(gaps.map(gap => [gap.ruleId, gap.title, gap.line]), [
+        ['DET-SEC-003', 'Stripe Secret Key in .env.production:1', 1],
+        ['DET-SEC-003', 'AWS Access Key ID in src/aws.js:2', 2],
+        ['DET-SEC-004', 'GitHub Token in Git History: src/old.js:1', 1],
+        ['DET-ENV-003', '.env File Tracked by Git', undefined]
+      ]);
+      assert.ok(gaps.every(gap => gap.severity === 'high'));
+      assert.deepStrictEqual(gaps[2].evidence, [`GitHub Token added in ${initial}: ${redact(GITHUB_TOKEN)}`]);
+      assert.deepStrictEqual(gaps[3].files, ['.env.production']);
+      assert.ok(!JSON.stringify(gaps).includes(AWS_KEY));
+    });
+
+    test('the allowlist and rule settings apply', async () => {
+      await write('.devenv/secrets-allowlist', 'src/aws.js\n/^ghp_/\n');
+      await write('.devenv/config.json', JSON.stringify({ rules: { 'DET-ENV-003': 'off' } }));
+
+      assert.deepStrictEqual((await analyze()).map(gap => gap.title), ['Stripe Secret Key in .env.production:1']);
+    });
+  });
+});
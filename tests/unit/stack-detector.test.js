@@ -3,13 +3,17 @@
  * 
  * Tests technology stack detection including:
  * - Node.js/package.json detection
- * - Python project detection
+ * - Python, Go, Java and .NET detection with tooling
+ * - Workspace (monorepo) package discovery
  * - Framework detection
  * - CI detection
  */
 
-const { describe, test } = require('node:test');
+const { describe, test, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
 const StackDetector = require('../../scripts/tools/stack-detector');
 
 describe('StackDetector', () => {
@@ -175,5 +179,130 @@ describe('StackDetector', () => {
       assert.strictEqual(detector.stack.technologies[0].confidence, 'low', 'Should have low confidence');
     });
   });
-});
 
+  describe('Language Detection', () => {
+    let rootDir;
+
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(rootDir, file)), { recursive: true });
+      await fs.writeFile(path.join(rootDir, file), content);
+    };
+
+    beforeEach(async () => {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stack-detector-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should detect Python tooling from pyproject.toml', async () => {
+      await write('pyproject.toml', '[tool.poetry]\nname = "svc"\n\n[tool.poetry.group.dev.dependencies]\npytest = "^8.0"\n');
+      await write('.github/workflows/ci.yml', 'steps:\n  - run: poetry run pytest\n');
+
+      const stack = await new StackDetector({ rootDir }).detect();
+      const python = stack.languages.find(l => l.name === 'python');
+
+      assert.ok(python, 'Should record Python language');
+      assert.strictEqual(python.buildTool, 'poetry');
+      assert.deepStrictEqual(python.tooling.testing, ['pytest']);
+      assert.deepStrictEqual(python.tooling.linting, []);
+      assert.strictEqual(python.testedInCI, true);
+      assert.strictEqual(stack.quality.testing, true);
+      assert.ok(!stack.technologies.some(t => t.name === 'Node.js'));
+    });
+
+    test('should detect Go tests and linters', async () => {
+      await write('go.mod', 'module example.com/svc\n\ngo 1.22\n');
+      await write('internal/api/handler_test.go', 'package api\n');
+      await write('Makefile', 'lint:\n\tgo vet ./...\n');
+
+      const stack = await new StackDetector({ rootDir }).detect();
+      const go = stack.languages.find(l => l.name === 'go');
+
+      assert.deepStrictEqual(go.tooling.testing, ['go test']);
+      assert.deepStrictEqual(go.tooling.linting, ['go vet']);
+      assert.strictEqual(go.testedInCI, false);
+    });
+
+    test('should detect Maven surefire and .NET test projects in subdirectories', async () => {
+      await write('pom.xml', '<project><dependency><artifactId>junit-jupiter</artifactId></dependency></project>');
+      await write('tests/Api.Tests/Api.Tests.csproj', '<Project><ItemGroup><PackageReference Include="xunit" /></ItemGroup></Project>');
+
+      const stack = await new StackDetector({ rootDir }).detect();
+      const java = stack.languages.find(l => l.name === 'java');
+      const dotnet = stack.languages.find(l => l.name === 'dotnet');
+
+      assert.strictEqual(java.buildTool, 'maven');
+      assert.deepStrictEqual(java.tooling.testing, ['junit']);
+      assert.deepStrictEqual(dotnet.tooling.testing, ['xunit']);
+      assert.strictEqual(dotnet.manifest, path.join('tests', 'Api.Tests', 'Api.Tests.csproj'));
+    });
+  });
+
+  describe('Workspace Detection', () => {
+    let rootDir;
+
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(rootDir, file)), { recursive: true });
+      await fs.writeFile(path.join(rootDir, file), content);
+    };
+
+    beforeEach(async () => {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('should report no workspaces for a single package', async () => {
+      await write('package.json', JSON.stringify({ name: 'single' }));
+
+      const stack = await new StackDetector({ rootDir }).detect();
+
+      assert.strictEqual(stack.workspaces, null);
+    });
+
+    test('should discover npm workspaces and Turborepo', async () => {
+      await write('package.json', JSON.stringify({ name: 'root', workspaces: ['apps/*', 'packages/*'] }));
+      await write('turbo.json', '{}');
+      await write('apps/web/package.json', JSON.stringify({ name: '@acme/web' }));
+      await write('apps/api/package.json', JSON.stringify({ name: '@acme/api' }));
+      await write('packages/ui/package.json', JSON.stringify({ name: '@acme/ui' }));
+      await write('packages/ui/node_modules/dep/package.json', JSON.stringify({ name: 'dep' }));
+
+      const stack = await new StackDetector({ rootDir }).detect();
+
+      assert.deepStrictEqual(stack.workspaces.tools, ['npm', 'turbo']);
+      assert.deepStrictEqual(stack.workspaces.packages, [
+        { name: '@acme/api', path: 'apps/api' },
+        { name: '@acme/web', path: 'apps/web' },
+        { name: '@acme/ui', path: 'packages/ui' }
+      ]);
+    });
+
+    test('should honour pnpm-workspace.yaml exclusions', async () => {
+      await write('package.json', JSON.stringify({ name: 'root' }));
+      await write('pnpm-workspace.yaml', "packages:\n  - 'packages/*'\n  - '!packages/legacy'\n");
+      await write('packages/core/package.json', JSON.stringify({ name: 'core' }));
+      await write('packages/legacy/package.json', JSON.stringify({ name: 'legacy' }));
+
+      const stack = await new StackDetector({ rootDir }).detect();
+
+      assert.deepStrictEqual(stack.workspaces.tools, ['pnpm']);
+      assert.deepStrictEqual(stack.workspaces.packages.map(p => p.path), ['packages/core']);
+    });
+
+    test('should find Nx projects that only have project.json', async () => {
+      await write('package.json', JSON.stringify({ name: 'root' }));
+      await write('nx.json', '{}');
+      await write('apps/shop/project.json', JSON.stringify({ name: 'shop' }));
+
+      const stack = await new StackDetector({ rootDir }).detect();
+
+      assert.deepStrictEqual(stack.workspaces.tools, ['nx']);
+      assert.deepStrictEqual(stack.workspaces.packages, [{ name: 'shop', path: 'apps/shop' }]);
+    });
+  });
+});